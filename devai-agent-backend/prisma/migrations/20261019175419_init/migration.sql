@@ -0,0 +1,241 @@
+-- CreateTable
+CREATE TABLE "users" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "username" TEXT,
+    "name" TEXT,
+    "avatar" TEXT,
+    "password" TEXT NOT NULL,
+    "emailVerified" BOOLEAN NOT NULL DEFAULT false,
+    "emailVerificationToken" TEXT,
+    "passwordResetToken" TEXT,
+    "passwordResetExpires" TIMESTAMP(3),
+    "preferences" JSONB NOT NULL DEFAULT '{}',
+    "settings" JSONB NOT NULL DEFAULT '{}',
+    "timezone" TEXT NOT NULL DEFAULT 'America/Argentina/Mendoza',
+    "language" TEXT NOT NULL DEFAULT 'es',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "lastLoginAt" TIMESTAMP(3),
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+
+    CONSTRAINT "users_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "api_keys" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "keyHash" TEXT NOT NULL,
+    "name" TEXT,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "isDefault" BOOLEAN NOT NULL DEFAULT false,
+    "usageCount" INTEGER NOT NULL DEFAULT 0,
+    "lastUsedAt" TIMESTAMP(3),
+    "monthlyLimit" INTEGER,
+    "dailyLimit" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "api_keys_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "conversations" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "preview" TEXT,
+    "aiProvider" TEXT,
+    "aiModel" TEXT,
+    "projectId" TEXT,
+    "messageCount" INTEGER NOT NULL DEFAULT 0,
+    "totalTokens" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "isArchived" BOOLEAN NOT NULL DEFAULT false,
+    "isPinned" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "conversations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "messages" (
+    "id" TEXT NOT NULL,
+    "conversationId" TEXT NOT NULL,
+    "role" TEXT NOT NULL,
+    "content" TEXT NOT NULL,
+    "aiProvider" TEXT,
+    "aiModel" TEXT,
+    "thinking" TEXT,
+    "promptTokens" INTEGER,
+    "completionTokens" INTEGER,
+    "totalTokens" INTEGER,
+    "estimatedCost" DOUBLE PRECISION,
+    "attachments" JSONB NOT NULL DEFAULT '[]',
+    "rating" INTEGER,
+    "feedback" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "editedAt" TIMESTAMP(3),
+
+    CONSTRAINT "messages_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "projects" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "totalFiles" INTEGER NOT NULL DEFAULT 0,
+    "totalSize" BIGINT NOT NULL DEFAULT 0,
+    "totalLines" INTEGER NOT NULL DEFAULT 0,
+    "primaryLanguage" TEXT,
+    "languages" JSONB NOT NULL DEFAULT '{}',
+    "analysis" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "isArchived" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "projects_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "project_files" (
+    "id" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "path" TEXT,
+    "content" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "language" TEXT,
+    "lineCount" INTEGER NOT NULL DEFAULT 0,
+    "charCount" INTEGER NOT NULL DEFAULT 0,
+    "complexity" INTEGER,
+    "dependencies" JSONB NOT NULL DEFAULT '[]',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "project_files_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "analytics" (
+    "id" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "category" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "userId" TEXT,
+    "conversationId" TEXT,
+    "projectId" TEXT,
+    "properties" JSONB NOT NULL DEFAULT '{}',
+    "metadata" JSONB NOT NULL DEFAULT '{}',
+    "userAgent" TEXT,
+    "ipAddress" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "analytics_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "usage" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "period" TEXT NOT NULL,
+    "messagesCount" INTEGER NOT NULL DEFAULT 0,
+    "tokensUsed" INTEGER NOT NULL DEFAULT 0,
+    "filesUploaded" INTEGER NOT NULL DEFAULT 0,
+    "projectsCreated" INTEGER NOT NULL DEFAULT 0,
+    "apiCallsCount" INTEGER NOT NULL DEFAULT 0,
+    "geminiCalls" INTEGER NOT NULL DEFAULT 0,
+    "groqCalls" INTEGER NOT NULL DEFAULT 0,
+    "huggingfaceCalls" INTEGER NOT NULL DEFAULT 0,
+    "ollamaCalls" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "usage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "error_logs" (
+    "id" TEXT NOT NULL,
+    "error" TEXT NOT NULL,
+    "stack" TEXT,
+    "message" TEXT NOT NULL,
+    "level" TEXT NOT NULL DEFAULT 'error',
+    "userId" TEXT,
+    "endpoint" TEXT,
+    "method" TEXT,
+    "userAgent" TEXT,
+    "requestBody" JSONB,
+    "query" JSONB,
+    "params" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolved" BOOLEAN NOT NULL DEFAULT false,
+
+    CONSTRAINT "error_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_email_key" ON "users"("email");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_username_key" ON "users"("username");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "api_keys_userId_provider_key" ON "api_keys"("userId", "provider");
+
+-- CreateIndex
+CREATE INDEX "conversations_userId_createdAt_idx" ON "conversations"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "conversations_userId_isArchived_idx" ON "conversations"("userId", "isArchived");
+
+-- CreateIndex
+CREATE INDEX "messages_conversationId_createdAt_idx" ON "messages"("conversationId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "projects_userId_createdAt_idx" ON "projects"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "project_files_projectId_language_idx" ON "project_files"("projectId", "language");
+
+-- CreateIndex
+CREATE INDEX "analytics_event_createdAt_idx" ON "analytics"("event", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "analytics_userId_createdAt_idx" ON "analytics"("userId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "usage_date_period_idx" ON "usage"("date", "period");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "usage_userId_date_period_key" ON "usage"("userId", "date", "period");
+
+-- CreateIndex
+CREATE INDEX "error_logs_level_createdAt_idx" ON "error_logs"("level", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "error_logs_userId_createdAt_idx" ON "error_logs"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "api_keys" ADD CONSTRAINT "api_keys_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "conversations" ADD CONSTRAINT "conversations_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_conversationId_fkey" FOREIGN KEY ("conversationId") REFERENCES "conversations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "projects" ADD CONSTRAINT "projects_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "project_files" ADD CONSTRAINT "project_files_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "conversations" ADD COLUMN     "contextSummary" TEXT,
+ADD COLUMN     "contextSummaryCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "contextSummaryUntil" TIMESTAMP(3);
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "conversations" ADD COLUMN     "totalCost" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "usage" ADD COLUMN     "estimatedCost" DOUBLE PRECISION NOT NULL DEFAULT 0;
@@ -0,0 +1,52 @@
+-- AlterTable
+ALTER TABLE "conversations" ADD COLUMN     "systemPrompt" TEXT;
+
+-- CreateTable
+CREATE TABLE "prompt_templates" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "content" TEXT NOT NULL,
+    "variables" JSONB NOT NULL DEFAULT '[]',
+    "defaultProvider" TEXT,
+    "defaultModel" TEXT,
+    "defaultSettings" JSONB NOT NULL DEFAULT '{}',
+    "version" INTEGER NOT NULL DEFAULT 1,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "prompt_templates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "prompt_template_versions" (
+    "id" TEXT NOT NULL,
+    "templateId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "content" TEXT NOT NULL,
+    "variables" JSONB NOT NULL DEFAULT '[]',
+    "defaultProvider" TEXT,
+    "defaultModel" TEXT,
+    "defaultSettings" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "prompt_template_versions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "prompt_templates_userId_updatedAt_idx" ON "prompt_templates"("userId", "updatedAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_templates_userId_name_key" ON "prompt_templates"("userId", "name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "prompt_template_versions_templateId_version_key" ON "prompt_template_versions"("templateId", "version");
+
+-- AddForeignKey
+ALTER TABLE "prompt_templates" ADD CONSTRAINT "prompt_templates_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "prompt_template_versions" ADD CONSTRAINT "prompt_template_versions_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "prompt_templates"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "api_keys" ADD COLUMN     "dailyUsage" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "encryptedKey" TEXT,
+ADD COLUMN     "keyPreview" TEXT,
+ADD COLUMN     "monthlyUsage" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,28 @@
+-- AlterTable
+ALTER TABLE "project_files" ADD COLUMN     "indexedAt" TIMESTAMP(3),
+ADD COLUMN     "indexedHash" TEXT;
+
+-- CreateTable
+CREATE TABLE "project_file_chunks" (
+    "id" TEXT NOT NULL,
+    "fileId" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "chunkIndex" INTEGER NOT NULL,
+    "startLine" INTEGER NOT NULL,
+    "endLine" INTEGER NOT NULL,
+    "content" TEXT NOT NULL,
+    "embedding" DOUBLE PRECISION[],
+    "embeddingModel" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "project_file_chunks_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "project_file_chunks_projectId_embeddingModel_idx" ON "project_file_chunks"("projectId", "embeddingModel");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "project_file_chunks_fileId_chunkIndex_key" ON "project_file_chunks"("fileId", "chunkIndex");
+
+-- AddForeignKey
+ALTER TABLE "project_file_chunks" ADD CONSTRAINT "project_file_chunks_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "project_files"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "conversations" ADD COLUMN     "titleGeneratedAt" TIMESTAMP(3),
+ADD COLUMN     "titleMessageCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "titleSource" TEXT NOT NULL DEFAULT 'auto';
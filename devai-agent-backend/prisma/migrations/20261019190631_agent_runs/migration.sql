@@ -0,0 +1,85 @@
+-- CreateTable
+CREATE TABLE "agent_runs" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "projectId" TEXT NOT NULL,
+    "goal" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "model" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "maxSteps" INTEGER NOT NULL,
+    "stepCount" INTEGER NOT NULL DEFAULT 0,
+    "summary" TEXT,
+    "error" TEXT,
+    "totalTokens" INTEGER NOT NULL DEFAULT 0,
+    "totalCost" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "finishedAt" TIMESTAMP(3),
+
+    CONSTRAINT "agent_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "agent_steps" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "index" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "content" TEXT,
+    "toolCalls" JSONB,
+    "toolName" TEXT,
+    "arguments" JSONB,
+    "result" JSONB,
+    "metadata" JSONB NOT NULL DEFAULT '{}',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "agent_steps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "agent_patches" (
+    "id" TEXT NOT NULL,
+    "runId" TEXT NOT NULL,
+    "fileId" TEXT,
+    "path" TEXT NOT NULL,
+    "description" TEXT,
+    "originalContent" TEXT,
+    "originalHash" TEXT,
+    "newContent" TEXT NOT NULL,
+    "diff" TEXT NOT NULL,
+    "additions" INTEGER NOT NULL DEFAULT 0,
+    "deletions" INTEGER NOT NULL DEFAULT 0,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "decidedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "agent_patches_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "agent_runs_userId_status_idx" ON "agent_runs"("userId", "status");
+
+-- CreateIndex
+CREATE INDEX "agent_runs_projectId_createdAt_idx" ON "agent_runs"("projectId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "agent_steps_runId_index_key" ON "agent_steps"("runId", "index");
+
+-- CreateIndex
+CREATE INDEX "agent_patches_runId_status_idx" ON "agent_patches"("runId", "status");
+
+-- AddForeignKey
+ALTER TABLE "agent_runs" ADD CONSTRAINT "agent_runs_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "agent_runs" ADD CONSTRAINT "agent_runs_projectId_fkey" FOREIGN KEY ("projectId") REFERENCES "projects"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "agent_steps" ADD CONSTRAINT "agent_steps_runId_fkey" FOREIGN KEY ("runId") REFERENCES "agent_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "agent_patches" ADD CONSTRAINT "agent_patches_runId_fkey" FOREIGN KEY ("runId") REFERENCES "agent_runs"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "agent_patches" ADD CONSTRAINT "agent_patches_fileId_fkey" FOREIGN KEY ("fileId") REFERENCES "project_files"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "messages" ADD COLUMN     "metadata" JSONB NOT NULL DEFAULT '{}',
+ADD COLUMN     "parentMessageId" TEXT,
+ADD COLUMN     "tokenCount" INTEGER;
+
+-- AddForeignKey
+ALTER TABLE "messages" ADD CONSTRAINT "messages_parentMessageId_fkey" FOREIGN KEY ("parentMessageId") REFERENCES "messages"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -1,12 +1,18 @@
 const logger = require('../config/logger');
+const { toGeminiTools, parseToolArguments } = require('./toolFormat');
+const { reportRateLimit } = require('./rateLimitHeaders');
 
 // =================================
 // CLIENTE DE GOOGLE GEMINI
 // =================================
 
 class GeminiClient {
-  constructor() {
-    this.apiKey = process.env.GEMINI_API_KEY;
+  /**
+   * @param {Object} config - Configuración opcional
+   * @param {string} config.apiKey - API key a usar en lugar de GEMINI_API_KEY (ej: la del usuario)
+   */
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || process.env.GEMINI_API_KEY;
     this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta';
     this.availableModels = [
       'gemini-pro',
@@ -87,7 +93,9 @@ class GeminiClient {
     const {
       model = 'gemini-pro',
       messages = [],
-      settings = {}
+      settings = {},
+      tools = [],
+      signal = null
     } = options;
 
     if (!this.isAvailable()) {
@@ -98,17 +106,17 @@ class GeminiClient {
       throw new Error(`Model '${model}' is not available. Available models: ${this.availableModels.join(', ')}`);
     }
 
-    const requestBody = this.prepareRequestBody(messages, settings);
+    const requestBody = this.prepareRequestBody(messages, settings, tools);
     
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const response = await this.makeRequest(model, requestBody, false);
+        const response = await this.makeRequest(model, requestBody, false, signal);
         return this.parseResponse(response);
       } catch (error) {
         lastError = error;
         
-        if (attempt < this.maxRetries && this.isRetryableError(error)) {
+        if (attempt < this.maxRetries && !signal?.aborted && this.isRetryableError(error)) {
           logger.warn(`Gemini API attempt ${attempt} failed, retrying...`, {
             error: error.message,
             model,
@@ -142,7 +150,8 @@ class GeminiClient {
     const {
       model = 'gemini-pro',
       messages = [],
-      settings = {}
+      settings = {},
+      signal = null
     } = options;
 
     if (!this.isAvailable()) {
@@ -156,7 +165,7 @@ class GeminiClient {
     const requestBody = this.prepareRequestBody(messages, settings);
     
     try {
-      const response = await this.makeRequest(model, requestBody, true);
+      const response = await this.makeRequest(model, requestBody, true, signal);
       return await this.parseStreamingResponse(response, onChunk);
     } catch (error) {
       logger.error('Gemini streaming request failed:', error);
@@ -168,9 +177,10 @@ class GeminiClient {
    * Preparar cuerpo de la solicitud
    * @param {Array} messages - Mensajes de la conversación
    * @param {Object} settings - Configuraciones
+   * @param {Array} tools - Herramientas en formato unificado
    * @returns {Object} Cuerpo de la solicitud
    */
-  prepareRequestBody(messages, settings) {
+  prepareRequestBody(messages, settings, tools = []) {
     // Convertir mensajes al formato de Gemini
     const contents = this.convertMessagesToGeminiFormat(messages);
     
@@ -180,12 +190,15 @@ class GeminiClient {
       topK: settings.topK || 40,
       topP: settings.topP || 0.9,
       maxOutputTokens: settings.maxTokens || 2048,
-      ...(settings.stopSequences && { stopSequences: settings.stopSequences })
+      ...(settings.stopSequences && { stopSequences: settings.stopSequences }),
+      // Modo JSON nativo (salida estructurada)
+      ...(settings.jsonMode && { responseMimeType: 'application/json' })
     };
 
     const requestBody = {
       contents,
-      generationConfig
+      generationConfig,
+      ...(tools.length > 0 && { tools: toGeminiTools(tools) })
     };
 
     // Agregar instrucciones del sistema si existen
@@ -210,6 +223,34 @@ class GeminiClient {
     for (const message of messages) {
       // Saltar mensajes del sistema (se manejan por separado)
       if (message.role === 'system') continue;
+
+      // Resultado de herramienta: Gemini lo espera como functionResponse
+      if (message.role === 'tool') {
+        contents.push({
+          role: 'function',
+          parts: [{
+            functionResponse: {
+              name: message.name,
+              response: { name: message.name, content: parseToolArguments(message.content) }
+            }
+          }]
+        });
+        continue;
+      }
+
+      // Llamadas a herramientas hechas por el modelo en turnos anteriores
+      if (message.role === 'assistant' && message.toolCalls?.length > 0) {
+        contents.push({
+          role: 'model',
+          parts: [
+            ...(message.content ? [{ text: message.content }] : []),
+            ...message.toolCalls.map(call => ({
+              functionCall: { name: call.name, args: call.arguments || {} }
+            }))
+          ]
+        });
+        continue;
+      }
       
       // Convertir roles
       let role;
@@ -221,9 +262,15 @@ class GeminiClient {
         continue; // Saltar roles desconocidos
       }
 
+      // Imágenes adjuntas como partes inline_data (base64)
       contents.push({
         role,
-        parts: [{ text: message.content }]
+        parts: [
+          { text: message.content },
+          ...(message.images || []).map(image => ({
+            inline_data: { mime_type: image.mimeType, data: image.data }
+          }))
+        ]
       });
     }
 
@@ -235,9 +282,10 @@ class GeminiClient {
    * @param {string} model - Modelo a usar
    * @param {Object} requestBody - Cuerpo de la solicitud
    * @param {boolean} streaming - Si es streaming
+   * @param {AbortSignal} signal - Señal para cancelar la solicitud
    * @returns {Promise<Response>} Respuesta HTTP
    */
-  async makeRequest(model, requestBody, streaming = false) {
+  async makeRequest(model, requestBody, streaming = false, signal = null) {
     const fetch = require('node-fetch');
     
     const endpoint = streaming ? 'streamGenerateContent' : 'generateContent';
@@ -250,9 +298,13 @@ class GeminiClient {
         'User-Agent': 'DevAI-Agent/1.0.0'
       },
       body: JSON.stringify(requestBody),
-      timeout: 60000 // 60 segundos
+      timeout: 60000, // 60 segundos
+      ...(signal && { signal })
     });
 
+    // Cuota restante informada por el proveedor (también en errores 429)
+    reportRateLimit(this, response);
+
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
       const error = new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
@@ -282,10 +334,21 @@ class GeminiClient {
       logger.warn('Gemini generation finished with reason:', candidate.finishReason);
     }
 
-    const content = candidate.content?.parts?.[0]?.text || '';
+    const parts = candidate.content?.parts || [];
+    const content = parts.filter(part => part.text).map(part => part.text).join('');
+
+    // Gemini no asigna ids a las llamadas, se generan para poder asociar los resultados
+    const toolCalls = parts
+      .filter(part => part.functionCall)
+      .map((part, index) => ({
+        id: `call_${index + 1}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }));
     
     return {
       content,
+      toolCalls,
       usage: {
         promptTokens: data.usageMetadata?.promptTokenCount || 0,
         completionTokens: data.usageMetadata?.candidatesTokenCount || 0,
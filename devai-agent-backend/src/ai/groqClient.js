@@ -1,12 +1,19 @@
 const logger = require('../config/logger');
+const { toOpenAITools, toOpenAIMessages, fromOpenAIToolCalls } = require('./toolFormat');
+const { reportRateLimit } = require('./rateLimitHeaders');
+const { splitThinking, createThinkingParser } = require('./thinking');
 
 // =================================
 // CLIENTE DE GROQ
 // =================================
 
 class GroqClient {
-  constructor() {
-    this.apiKey = process.env.GROQ_API_KEY;
+  /**
+   * @param {Object} config - Configuración opcional
+   * @param {string} config.apiKey - API key a usar en lugar de GROQ_API_KEY (ej: la del usuario)
+   */
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || process.env.GROQ_API_KEY;
     this.baseUrl = 'https://api.groq.com/openai/v1';
     this.availableModels = [
       'mixtral-8x7b-32768',
@@ -14,7 +21,8 @@ class GroqClient {
       'llama3-8b-8192',
       'llama3-70b-8192',
       'gemma-7b-it',
-      'gemma2-9b-it'
+      'gemma2-9b-it',
+      'deepseek-r1-distill-llama-70b'
     ];
     this.maxRetries = 3;
     this.retryDelay = 1000;
@@ -88,7 +96,9 @@ class GroqClient {
     const {
       model = 'mixtral-8x7b-32768',
       messages = [],
-      settings = {}
+      settings = {},
+      tools = [],
+      signal = null
     } = options;
 
     if (!this.isAvailable()) {
@@ -99,17 +109,17 @@ class GroqClient {
       throw new Error(`Model '${model}' is not available. Available models: ${this.availableModels.join(', ')}`);
     }
 
-    const requestBody = this.prepareRequestBody(messages, settings, model);
+    const requestBody = this.prepareRequestBody(messages, settings, model, false, tools);
     
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const response = await this.makeRequest('/chat/completions', requestBody);
+        const response = await this.makeRequest('/chat/completions', requestBody, false, signal);
         return this.parseResponse(response);
       } catch (error) {
         lastError = error;
         
-        if (attempt < this.maxRetries && this.isRetryableError(error)) {
+        if (attempt < this.maxRetries && !signal?.aborted && this.isRetryableError(error)) {
           logger.warn(`Groq API attempt ${attempt} failed, retrying...`, {
             error: error.message,
             model,
@@ -143,7 +153,9 @@ class GroqClient {
     const {
       model = 'mixtral-8x7b-32768',
       messages = [],
-      settings = {}
+      settings = {},
+      signal = null,
+      onThinking = null
     } = options;
 
     if (!this.isAvailable()) {
@@ -157,8 +169,8 @@ class GroqClient {
     const requestBody = this.prepareRequestBody(messages, settings, model, true);
     
     try {
-      const response = await this.makeRequest('/chat/completions', requestBody, true);
-      return await this.parseStreamingResponse(response, onChunk);
+      const response = await this.makeRequest('/chat/completions', requestBody, true, signal);
+      return await this.parseStreamingResponse(response, onChunk, onThinking);
     } catch (error) {
       logger.error('Groq streaming request failed:', error);
       throw error;
@@ -171,14 +183,12 @@ class GroqClient {
    * @param {Object} settings - Configuraciones
    * @param {string} model - Modelo a usar
    * @param {boolean} streaming - Si es streaming
+   * @param {Array} tools - Herramientas en formato unificado
    * @returns {Object} Cuerpo de la solicitud
    */
-  prepareRequestBody(messages, settings, model, streaming = false) {
-    // Convertir mensajes al formato OpenAI compatible
-    const formattedMessages = messages.map(msg => ({
-      role: msg.role === 'assistant' ? 'assistant' : msg.role,
-      content: msg.content
-    }));
+  prepareRequestBody(messages, settings, model, streaming = false, tools = []) {
+    // Convertir mensajes al formato OpenAI compatible (incluye llamadas a herramientas)
+    const formattedMessages = toOpenAIMessages(messages);
 
     const requestBody = {
       model,
@@ -188,7 +198,9 @@ class GroqClient {
       top_p: settings.topP || 0.9,
       stream: streaming,
       ...(settings.stopSequences && { stop: settings.stopSequences }),
-      ...(settings.responseFormat && { response_format: settings.responseFormat })
+      ...(settings.responseFormat && { response_format: settings.responseFormat }),
+      ...(settings.jsonMode && !settings.responseFormat && { response_format: { type: 'json_object' } }),
+      ...(tools.length > 0 && { tools: toOpenAITools(tools), tool_choice: 'auto' })
     };
 
     return requestBody;
@@ -199,9 +211,10 @@ class GroqClient {
    * @param {string} endpoint - Endpoint de la API
    * @param {Object} requestBody - Cuerpo de la solicitud
    * @param {boolean} streaming - Si es streaming
+   * @param {AbortSignal} signal - Señal para cancelar la solicitud
    * @returns {Promise<Response>} Respuesta HTTP
    */
-  async makeRequest(endpoint, requestBody, streaming = false) {
+  async makeRequest(endpoint, requestBody, streaming = false, signal = null) {
     const fetch = require('node-fetch');
     
     const url = `${this.baseUrl}${endpoint}`;
@@ -216,9 +229,13 @@ class GroqClient {
       method: 'POST',
       headers,
       body: JSON.stringify(requestBody),
-      timeout: 60000
+      timeout: 60000,
+      ...(signal && { signal })
     });
 
+    // Cuota restante informada por el proveedor (también en errores 429)
+    reportRateLimit(this, response);
+
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
       const error = new Error(`Groq API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
@@ -244,10 +261,13 @@ class GroqClient {
     }
 
     const choice = data.choices[0];
-    const content = choice.message?.content || '';
+    // Los modelos de razonamiento (deepseek-r1...) anteponen un bloque <think>
+    const { content, thinking } = splitThinking(choice.message?.content || '');
     
     return {
       content,
+      ...(thinking && { thinking }),
+      toolCalls: fromOpenAIToolCalls(choice.message?.tool_calls),
       usage: {
         promptTokens: data.usage?.prompt_tokens || 0,
         completionTokens: data.usage?.completion_tokens || 0,
@@ -262,10 +282,11 @@ class GroqClient {
    * Parsear respuesta streaming
    * @param {Response} response - Respuesta HTTP
    * @param {Function} onChunk - Callback para chunks
+   * @param {Function} onThinking - Callback para fragmentos del razonamiento (<think>)
    * @returns {Promise<Object>} Respuesta completa
    */
-  async parseStreamingResponse(response, onChunk) {
-    let fullContent = '';
+  async parseStreamingResponse(response, onChunk, onThinking = null) {
+    const parser = createThinkingParser(onChunk, onThinking);
     let totalUsage = {
       promptTokens: 0,
       completionTokens: 0,
@@ -298,9 +319,7 @@ class GroqClient {
               const choice = data.choices[0];
               
               if (choice.delta?.content) {
-                const content = choice.delta.content;
-                fullContent += content;
-                onChunk(content);
+                parser.push(choice.delta.content);
               }
 
               if (choice.finish_reason) {
@@ -325,14 +344,14 @@ class GroqClient {
       reader.releaseLock();
     }
 
-    // Si no obtuvimos uso de tokens del stream, estimarlo
-    if (totalUsage.totalTokens === 0) {
-      totalUsage.completionTokens = Math.ceil(fullContent.length / 4);
-      totalUsage.totalTokens = totalUsage.promptTokens + totalUsage.completionTokens;
-    }
+    parser.end();
+    const thinking = parser.getThinking();
+
+    // Si el stream no informó uso de tokens, AIService lo calcula con el tokenizador
 
     return {
-      content: fullContent,
+      content: parser.getContent(),
+      ...(thinking && { thinking }),
       usage: totalUsage,
       finishReason
     };
@@ -1,12 +1,19 @@
 const logger = require('../config/logger');
+const { injectToolPrompt, parseToolCallsFromText } = require('./toolFormat');
+const { countTokens, getTokenizerFamily } = require('./tokenizer');
+const { reportRateLimit } = require('./rateLimitHeaders');
 
 // =================================
 // CLIENTE DE HUGGINGFACE
 // =================================
 
 class HuggingFaceClient {
-  constructor() {
-    this.apiKey = process.env.HUGGINGFACE_API_KEY;
+  /**
+   * @param {Object} config - Configuración opcional
+   * @param {string} config.apiKey - API key a usar en lugar de HUGGINGFACE_API_KEY (ej: la del usuario)
+   */
+  constructor(config = {}) {
+    this.apiKey = config.apiKey || process.env.HUGGINGFACE_API_KEY;
     this.baseUrl = 'https://api-inference.huggingface.co';
     this.availableModels = [
       'microsoft/DialoGPT-large',
@@ -89,7 +96,9 @@ class HuggingFaceClient {
     const {
       model = 'microsoft/DialoGPT-large',
       messages = [],
-      settings = {}
+      settings = {},
+      tools = [],
+      signal = null
     } = options;
 
     if (!this.isAvailable()) {
@@ -100,22 +109,32 @@ class HuggingFaceClient {
       throw new Error(`Model '${model}' is not available. Available models: ${this.availableModels.join(', ')}`);
     }
 
+    // Sin function calling nativo: las herramientas se describen en el prompt
+    const inputMessages = tools.length > 0 ? injectToolPrompt(messages, tools) : messages;
+
     // Preparar input según el tipo de modelo
-    const input = this.prepareInput(model, messages, settings);
+    const input = this.prepareInput(model, inputMessages, settings);
     const requestBody = this.prepareRequestBody(input, settings);
     
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
         // Verificar si el modelo está cargado
-        await this.waitForModelLoad(model);
+        await this.waitForModelLoad(model, 60000, signal);
         
-        const response = await this.makeRequest(model, requestBody);
-        return this.parseResponse(response, model);
+        const response = await this.makeRequest(model, requestBody, signal);
+        const parsed = await this.parseResponse(response, model, input);
+
+        if (tools.length === 0) {
+          return parsed;
+        }
+
+        const { content, toolCalls } = parseToolCallsFromText(parsed.content);
+        return { ...parsed, content, toolCalls };
       } catch (error) {
         lastError = error;
         
-        if (attempt < this.maxRetries && this.isRetryableError(error)) {
+        if (attempt < this.maxRetries && !signal?.aborted && this.isRetryableError(error)) {
           logger.warn(`HuggingFace API attempt ${attempt} failed, retrying...`, {
             error: error.message,
             model,
@@ -154,6 +173,8 @@ class HuggingFaceClient {
     // Simular streaming dividiendo la respuesta
     const words = response.content.split(' ');
     for (let i = 0; i < words.length; i++) {
+      if (options.signal?.aborted) break;
+
       const chunk = words[i] + (i < words.length - 1 ? ' ' : '');
       onChunk(chunk);
       await this.delay(100); // Simular delay entre chunks
@@ -239,18 +260,20 @@ class HuggingFaceClient {
   /**
    * Verificar y esperar a que el modelo se cargue
    * @param {string} model - Modelo a verificar
+   * @param {number} maxWaitTime - Tiempo máximo de espera en ms
+   * @param {AbortSignal} signal - Señal para cancelar la espera
    * @returns {Promise<void>}
    */
-  async waitForModelLoad(model, maxWaitTime = 60000) {
+  async waitForModelLoad(model, maxWaitTime = 60000, signal = null) {
     const startTime = Date.now();
     
-    while (Date.now() - startTime < maxWaitTime) {
+    while (Date.now() - startTime < maxWaitTime && !signal?.aborted) {
       try {
         const response = await this.makeRequest(model, {
           inputs: 'test',
           parameters: { max_length: 10 },
           options: { wait_for_model: false }
-        });
+        }, signal);
         
         const data = await response.json();
         
@@ -274,9 +297,10 @@ class HuggingFaceClient {
    * Realizar solicitud HTTP
    * @param {string} model - Modelo a usar
    * @param {Object} requestBody - Cuerpo de la solicitud
+   * @param {AbortSignal} signal - Señal para cancelar la solicitud
    * @returns {Promise<Response>} Respuesta HTTP
    */
-  async makeRequest(model, requestBody) {
+  async makeRequest(model, requestBody, signal = null) {
     const fetch = require('node-fetch');
     
     const url = `${this.baseUrl}/models/${model}`;
@@ -289,9 +313,13 @@ class HuggingFaceClient {
         'User-Agent': 'DevAI-Agent/1.0.0'
       },
       body: JSON.stringify(requestBody),
-      timeout: 120000 // 2 minutos para HuggingFace
+      timeout: 120000, // 2 minutos para HuggingFace
+      ...(signal && { signal })
     });
 
+    // Cuota restante informada por el proveedor (también en errores 429)
+    reportRateLimit(this, response);
+
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({}));
       const error = new Error(`HuggingFace API error: ${response.status} - ${errorData.error || response.statusText}`);
@@ -307,9 +335,10 @@ class HuggingFaceClient {
    * Parsear respuesta
    * @param {Response} response - Respuesta HTTP
    * @param {string} model - Modelo usado
+   * @param {string} input - Texto enviado al modelo (para contar tokens del prompt)
    * @returns {Promise<Object>} Respuesta parseada
    */
-  async parseResponse(response, model) {
+  async parseResponse(response, model, input = '') {
     const data = await response.json();
     
     // HuggingFace puede devolver diferentes formatos según el modelo
@@ -341,7 +370,7 @@ class HuggingFaceClient {
     
     return {
       content,
-      usage: this.estimateUsage(content),
+      usage: this.calculateUsage(input, content, model),
       model,
       provider: 'huggingface'
     };
@@ -377,17 +406,23 @@ class HuggingFaceClient {
   }
 
   /**
-   * Estimar uso de tokens
+   * Calcular uso de tokens (HuggingFace no proporciona esta información)
+   * @param {string} input - Texto enviado al modelo
    * @param {string} content - Contenido generado
-   * @returns {Object} Información de uso estimada
+   * @param {string} model - Modelo usado
+   * @returns {Object} Información de uso calculada con el tokenizador
    */
-  estimateUsage(content) {
-    const completionTokens = Math.ceil((content || '').length / 4);
-    
+  calculateUsage(input, content, model) {
+    const promptTokens = countTokens(input, model);
+    const completionTokens = countTokens(content, model);
+    const { exact, family } = getTokenizerFamily(model);
+
     return {
-      promptTokens: 0, // HuggingFace no proporciona esta información
+      promptTokens,
       completionTokens,
-      totalTokens: completionTokens
+      totalTokens: promptTokens + completionTokens,
+      estimated: !exact,
+      tokenizer: family
     };
   }
 
@@ -0,0 +1,33 @@
+// =================================
+// CAPACIDADES DE LOS MODELOS
+// =================================
+
+const { AI_VISION_CONFIG } = require('../utils/constants');
+
+/**
+ * Buscar el valor configurado para un modelo por prefijo más largo
+ * (ej: 'gemini-pro-vision' antes que 'gemini-pro')
+ * @param {Object} map - Mapa prefijo → valor
+ * @param {string} model - Nombre del modelo
+ * @returns {*} Valor del prefijo o undefined si no hay coincidencia
+ */
+function lookupByPrefix(map, model = '') {
+  const prefix = Object.keys(map)
+    .filter(key => model.toLowerCase().startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return prefix ? map[prefix] : undefined;
+}
+
+/**
+ * Verificar si un modelo acepta imágenes en los mensajes
+ * @param {string} model - Nombre del modelo
+ * @returns {boolean} True si el modelo tiene visión
+ */
+function supportsVision(model) {
+  return lookupByPrefix(AI_VISION_CONFIG.models, model) === true;
+}
+
+module.exports = {
+  supportsVision
+};
@@ -1,4 +1,6 @@
 const logger = require('../config/logger');
+const { toOpenAITools, toOpenAIMessages, fromOpenAIToolCalls } = require('./toolFormat');
+const { splitThinking, createThinkingParser } = require('./thinking');
 
 // =================================
 // CLIENTE DE OLLAMA
@@ -48,17 +50,12 @@ class OllamaClient {
    */
   async loadAvailableModels() {
     try {
-      const response = await this.makeRequest('/api/tags', {}, 'GET');
-      const data = await response.json();
-      
-      if (data.models && Array.isArray(data.models)) {
-        this.availableModels = data.models.map(model => model.name);
-        this.modelsLoaded = true;
-        
+      const models = await this.listModels();
+
+      if (models.length > 0) {
         logger.info(`📦 Loaded ${this.availableModels.length} Ollama models:`, this.availableModels);
       } else {
         logger.warn('No models found in Ollama response');
-        this.availableModels = [];
       }
       
       return this.availableModels;
@@ -81,6 +78,108 @@ class OllamaClient {
     }
   }
 
+  /**
+   * Listar los modelos instalados con sus detalles (actualiza la lista de modelos disponibles)
+   * @returns {Promise<Array<Object>>} Modelos tal como los devuelve /api/tags
+   */
+  async listModels() {
+    const response = await this.makeRequest('/api/tags', {}, 'GET');
+    const data = await response.json();
+    const models = Array.isArray(data.models) ? data.models : [];
+
+    this.availableModels = models.map(model => model.name);
+    this.modelsLoaded = true;
+
+    return models;
+  }
+
+  /**
+   * Obtener los detalles de un modelo instalado (parámetros, plantilla, licencia...)
+   * @param {string} modelName - Nombre del modelo
+   * @returns {Promise<Object>} Respuesta de /api/show
+   */
+  async showModel(modelName) {
+    const response = await this.makeRequest('/api/show', { name: modelName });
+    return await response.json();
+  }
+
+  /**
+   * Descargar un modelo informando el progreso
+   * @param {string} modelName - Nombre del modelo
+   * @param {Object} options - { onProgress, signal }
+   * @returns {Promise<Object>} Último estado informado por Ollama (ej: { status: 'success' })
+   */
+  async pullModel(modelName, { onProgress = null, signal = null } = {}) {
+    const response = await this.makeRequest('/api/pull', { name: modelName, stream: true }, 'POST', signal);
+    let lastStatus = null;
+
+    await this.readJsonLines(response, (progress) => {
+      // Ollama informa los errores de descarga dentro del stream con código 200
+      if (progress.error) {
+        const error = new Error(`Ollama pull failed: ${progress.error}`);
+        error.details = progress;
+        throw error;
+      }
+
+      lastStatus = progress;
+      if (onProgress && progress.status) {
+        onProgress(progress);
+      }
+    });
+
+    // Actualizar la lista de modelos disponibles
+    await this.loadAvailableModels();
+
+    return lastStatus;
+  }
+
+  /**
+   * Eliminar un modelo instalado
+   * @param {string} modelName - Nombre del modelo
+   * @returns {Promise<void>}
+   */
+  async deleteModel(modelName) {
+    await this.makeRequest('/api/delete', { name: modelName }, 'DELETE');
+
+    // Actualizar la lista de modelos disponibles
+    await this.loadAvailableModels();
+  }
+
+  /**
+   * Leer una respuesta en formato JSON por líneas (NDJSON)
+   * @param {Response} response - Respuesta HTTP
+   * @param {Function} onData - Callback para cada objeto
+   * @returns {Promise<void>}
+   */
+  async readJsonLines(response, onData) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const parseLine = (line) => {
+      if (line.trim() === '') return;
+
+      let data;
+      try {
+        data = JSON.parse(line);
+      } catch {
+        // Ignorar líneas que no sean JSON válido
+        return;
+      }
+      onData(data);
+    };
+
+    for await (const value of response.body) {
+      buffer += decoder.decode(value, { stream: true });
+
+      // Una línea puede quedar cortada entre dos chunks: se guarda hasta el siguiente
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(parseLine);
+    }
+
+    parseLine(buffer + decoder.decode());
+  }
+
   /**
    * Obtener características soportadas
    * @returns {Array<string>} Lista de características
@@ -92,7 +191,10 @@ class OllamaClient {
       'privacy-focused',
       'streaming',
       'custom-models',
-      'offline-capable'
+      'offline-capable',
+      'function-calling',
+      'embeddings',
+      'vision'
     ];
   }
 
@@ -121,7 +223,9 @@ class OllamaClient {
     const {
       model = 'llama2',
       messages = [],
-      settings = {}
+      settings = {},
+      tools = [],
+      signal = null
     } = options;
 
     if (!this.isAvailable()) {
@@ -138,17 +242,17 @@ class OllamaClient {
       throw new Error(`Model '${model}' is not available. Available models: ${this.availableModels.join(', ')}`);
     }
 
-    const requestBody = this.prepareRequestBody(model, messages, settings, false);
+    const requestBody = this.prepareRequestBody(model, messages, settings, false, tools);
     
     let lastError;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const response = await this.makeRequest('/api/chat', requestBody);
+        const response = await this.makeRequest('/api/chat', requestBody, 'POST', signal);
         return await this.parseResponse(response);
       } catch (error) {
         lastError = error;
         
-        if (attempt < this.maxRetries && this.isRetryableError(error)) {
+        if (attempt < this.maxRetries && !signal?.aborted && this.isRetryableError(error)) {
           logger.warn(`Ollama API attempt ${attempt} failed, retrying...`, {
             error: error.message,
             model,
@@ -182,7 +286,9 @@ class OllamaClient {
     const {
       model = 'llama2',
       messages = [],
-      settings = {}
+      settings = {},
+      signal = null,
+      onThinking = null
     } = options;
 
     if (!this.isAvailable()) {
@@ -201,8 +307,8 @@ class OllamaClient {
     const requestBody = this.prepareRequestBody(model, messages, settings, true);
     
     try {
-      const response = await this.makeRequest('/api/chat', requestBody);
-      return await this.parseStreamingResponse(response, onChunk);
+      const response = await this.makeRequest('/api/chat', requestBody, 'POST', signal);
+      return await this.parseStreamingResponse(response, onChunk, onThinking);
     } catch (error) {
       logger.error('Ollama streaming request failed:', error);
       throw error;
@@ -215,19 +321,23 @@ class OllamaClient {
    * @param {Array} messages - Mensajes de la conversación
    * @param {Object} settings - Configuraciones
    * @param {boolean} streaming - Si es streaming
+   * @param {Array} tools - Herramientas en formato unificado
    * @returns {Object} Cuerpo de la solicitud
    */
-  prepareRequestBody(model, messages, settings, streaming = false) {
-    // Convertir mensajes al formato de Ollama
-    const formattedMessages = messages.map(msg => ({
-      role: msg.role,
-      content: msg.content
-    }));
+  prepareRequestBody(model, messages, settings, streaming = false, tools = []) {
+    // Convertir mensajes al formato de Ollama (argumentos de herramientas como objeto)
+    // Los modelos de visión (llava...) reciben las imágenes en base64 en `images`
+    const formattedMessages = toOpenAIMessages(messages, { stringifyArguments: false })
+      .map((msg, index) => (messages[index].images?.length > 0
+        ? { ...msg, images: messages[index].images.map(image => image.data) }
+        : msg));
 
     const requestBody = {
       model,
       messages: formattedMessages,
       stream: streaming,
+      ...(tools.length > 0 && { tools: toOpenAITools(tools) }),
+      ...(settings.jsonMode && { format: 'json' }),
       options: {
         temperature: settings.temperature || 0.7,
         top_p: settings.topP || 0.9,
@@ -246,9 +356,10 @@ class OllamaClient {
    * @param {string} endpoint - Endpoint de la API
    * @param {Object} requestBody - Cuerpo de la solicitud
    * @param {string} method - Método HTTP
+   * @param {AbortSignal} signal - Señal para cancelar la solicitud
    * @returns {Promise<Response>} Respuesta HTTP
    */
-  async makeRequest(endpoint, requestBody = {}, method = 'POST') {
+  async makeRequest(endpoint, requestBody = {}, method = 'POST', signal = null) {
     const fetch = require('node-fetch');
     
     const url = `${this.baseUrl}${endpoint}`;
@@ -259,10 +370,11 @@ class OllamaClient {
         'Content-Type': 'application/json',
         'User-Agent': 'DevAI-Agent/1.0.0'
       },
-      timeout: 120000 // 2 minutos para modelos locales
+      timeout: 120000, // 2 minutos para modelos locales
+      ...(signal && { signal })
     };
 
-    if (method === 'POST') {
+    if (method !== 'GET') {
       config.body = JSON.stringify(requestBody);
     }
 
@@ -294,14 +406,19 @@ class OllamaClient {
   async parseResponse(response) {
     const data = await response.json();
     
-    if (!data.message || !data.message.content) {
+    const toolCalls = fromOpenAIToolCalls(data.message?.tool_calls);
+
+    if (!data.message || (!data.message.content && toolCalls.length === 0)) {
       throw new Error('Invalid response format from Ollama');
     }
 
-    const content = data.message.content;
+    // Los modelos de razonamiento (deepseek-r1, qwq...) anteponen un bloque <think>
+    const { content, thinking } = splitThinking(data.message.content || '');
     
     return {
       content,
+      ...(thinking && { thinking }),
+      toolCalls,
       usage: {
         promptTokens: data.prompt_eval_count || 0,
         completionTokens: data.eval_count || 0,
@@ -317,10 +434,11 @@ class OllamaClient {
    * Parsear respuesta streaming
    * @param {Response} response - Respuesta HTTP
    * @param {Function} onChunk - Callback para chunks
+   * @param {Function} onThinking - Callback para fragmentos del razonamiento (<think>)
    * @returns {Promise<Object>} Respuesta completa
    */
-  async parseStreamingResponse(response, onChunk) {
-    let fullContent = '';
+  async parseStreamingResponse(response, onChunk, onThinking = null) {
+    const parser = createThinkingParser(onChunk, onThinking);
     let totalUsage = {
       promptTokens: 0,
       completionTokens: 0,
@@ -347,9 +465,7 @@ class OllamaClient {
             const data = JSON.parse(line);
             
             if (data.message && data.message.content) {
-              const content = data.message.content;
-              fullContent += content;
-              onChunk(content);
+              parser.push(data.message.content);
             }
 
             // Actualizar información del modelo
@@ -374,8 +490,12 @@ class OllamaClient {
       reader.releaseLock();
     }
 
+    parser.end();
+    const thinking = parser.getThinking();
+
     return {
-      content: fullContent,
+      content: parser.getContent(),
+      ...(thinking && { thinking }),
       usage: totalUsage,
       model: modelName,
       provider: 'ollama'
@@ -415,6 +535,30 @@ class OllamaClient {
     return false;
   }
 
+  /**
+   * Generar embeddings de uno o varios textos
+   * @param {Array<string>} texts - Textos a vectorizar
+   * @param {Object} options - { model, signal }
+   * @returns {Promise<Object>} { embeddings, model, usage }
+   */
+  async generateEmbeddings(texts, { model = 'nomic-embed-text', signal = null } = {}) {
+    const response = await this.makeRequest('/api/embed', { model, input: texts }, 'POST', signal);
+    const data = await response.json();
+
+    if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+      throw new Error('Invalid embeddings in Ollama response');
+    }
+
+    return {
+      embeddings: data.embeddings,
+      model: data.model || model,
+      usage: {
+        promptTokens: data.prompt_eval_count || 0,
+        totalTokens: data.prompt_eval_count || 0
+      }
+    };
+  }
+
   /**
    * Verificar disponibilidad de un modelo específico
    * @param {string} modelName - Nombre del modelo
@@ -441,37 +585,9 @@ class OllamaClient {
     try {
       logger.info(`📥 Starting download of model: ${modelName}`);
       
-      const response = await this.makeRequest('/api/pull', {
-        name: modelName
+      await this.pullModel(modelName, {
+        onProgress: (progress) => logger.info(`📦 Model download progress: ${progress.status}`)
       });
-
-      // El endpoint de pull devuelve un stream de progreso
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) break;
-        
-        const chunk = decoder.decode(value, { stream: true });
-        const lines = chunk.split('\n');
-        
-        for (const line of lines) {
-          if (line.trim() === '') continue;
-          
-          try {
-            const progress = JSON.parse(line);
-            if (progress.status) {
-              logger.info(`📦 Model download progress: ${progress.status}`);
-            }
-          } catch {
-            // Ignorar líneas que no sean JSON válido
-          }
-        }
-      }
-      
-      // Recargar lista de modelos
-      await this.loadAvailableModels();
       
       logger.info(`✅ Model ${modelName} downloaded successfully`);
       return true;
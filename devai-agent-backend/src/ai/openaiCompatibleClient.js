@@ -0,0 +1,477 @@
+const logger = require('../config/logger');
+const { toOpenAITools, toOpenAIMessages, fromOpenAIToolCalls } = require('./toolFormat');
+const { reportRateLimit } = require('./rateLimitHeaders');
+
+// =================================
+// CLIENTE COMPATIBLE CON OPENAI
+// =================================
+
+// Sirve para OpenAI y para cualquier servidor que implemente /v1/chat/completions
+// (llama.cpp server, vLLM, LM Studio, LocalAI...)
+class OpenAICompatibleClient {
+  /**
+   * @param {Object} config - Configuración del cliente
+   * @param {string} config.provider - Identificador del proveedor (ej: 'openai')
+   * @param {string} config.name - Nombre descriptivo
+   * @param {string} config.baseUrl - URL base de la API (incluyendo /v1)
+   * @param {string} config.apiKey - API key (opcional en servidores locales)
+   * @param {Array<string>} config.models - Modelos fijos (si está vacío se cargan de /models)
+   * @param {string} config.defaultModel - Modelo por defecto
+   */
+  constructor(config = {}) {
+    this.provider = config.provider || 'openai-compatible';
+    this.name = config.name || 'OpenAI Compatible';
+    this.baseUrl = (config.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = config.apiKey || null;
+    this.availableModels = config.models ? [...config.models] : [];
+    this.modelsLoaded = this.availableModels.length > 0;
+    this.defaultModel = config.defaultModel || this.availableModels[0] || null;
+    this.timeout = config.timeout || 120000;
+    this.maxRetries = 3;
+    this.retryDelay = 1000;
+  }
+
+  /**
+   * Verificar si el cliente está disponible
+   * @returns {boolean} True si está configurado
+   */
+  isAvailable() {
+    return !!this.baseUrl;
+  }
+
+  /**
+   * Obtener información del proveedor
+   * @returns {Object} Información del proveedor
+   */
+  getProviderInfo() {
+    return {
+      name: this.name,
+      provider: this.provider,
+      website: this.baseUrl,
+      description: 'OpenAI-compatible chat completions API'
+    };
+  }
+
+  /**
+   * Obtener modelos disponibles
+   * @returns {Array<string>} Lista de modelos
+   */
+  getAvailableModels() {
+    return [...this.availableModels];
+  }
+
+  /**
+   * Cargar lista de modelos desde el endpoint /models
+   * @returns {Promise<Array<string>>} Lista de modelos cargada
+   */
+  async loadAvailableModels() {
+    try {
+      const response = await this.makeRequest('/models', null, false, 'GET');
+      const data = await response.json();
+
+      if (Array.isArray(data.data)) {
+        this.availableModels = data.data.map(model => model.id);
+        this.modelsLoaded = true;
+        this.defaultModel = this.defaultModel || this.availableModels[0] || null;
+
+        logger.info(`📦 Loaded ${this.availableModels.length} ${this.name} models:`, this.availableModels);
+      } else {
+        logger.warn(`No models found in ${this.name} response`);
+      }
+    } catch (error) {
+      logger.error(`Failed to load ${this.name} models:`, error);
+    }
+
+    return this.availableModels;
+  }
+
+  /**
+   * Obtener características soportadas
+   * @returns {Array<string>} Lista de características
+   */
+  getSupportedFeatures() {
+    return [
+      'text-generation',
+      'streaming',
+      'openai-compatible',
+      'function-calling',
+      'json-mode',
+      'embeddings'
+    ];
+  }
+
+  /**
+   * Obtener información de rate limit
+   * @returns {string} Información de límite
+   */
+  getRateLimit() {
+    return 'Depends on server configuration';
+  }
+
+  /**
+   * Verificar si soporta streaming
+   * @returns {boolean} True si soporta streaming
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * Validar configuración y resolver el modelo antes de una solicitud
+   * @param {string} requestedModel - Modelo solicitado (opcional)
+   * @returns {Promise<string>} Modelo a usar
+   */
+  async resolveModel(requestedModel) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} base URL is not configured`);
+    }
+
+    if (!this.modelsLoaded) {
+      await this.loadAvailableModels();
+    }
+
+    const model = requestedModel || this.defaultModel;
+    if (!model) {
+      throw new Error(`No model specified for ${this.name}`);
+    }
+
+    if (this.availableModels.length > 0 && !this.availableModels.includes(model)) {
+      throw new Error(`Model '${model}' is not available. Available models: ${this.availableModels.join(', ')}`);
+    }
+
+    return model;
+  }
+
+  /**
+   * Generar respuesta de IA
+   * @param {Object} options - Opciones de generación
+   * @returns {Promise<Object>} Respuesta de IA
+   */
+  async generateResponse(options) {
+    const {
+      messages = [],
+      settings = {},
+      tools = [],
+      signal = null
+    } = options;
+
+    const model = await this.resolveModel(options.model);
+
+    const requestBody = this.prepareRequestBody(messages, settings, model, false, tools);
+
+    let lastError;
+    let attempts = 0;
+    for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      attempts = attempt;
+      try {
+        const response = await this.makeRequest('/chat/completions', requestBody, false, 'POST', signal);
+        return await this.parseResponse(response);
+      } catch (error) {
+        lastError = error;
+
+        if (attempt < this.maxRetries && !signal?.aborted && this.isRetryableError(error)) {
+          logger.warn(`${this.name} API attempt ${attempt} failed, retrying...`, {
+            error: error.message,
+            model,
+            attempt
+          });
+
+          await this.delay(this.retryDelay * attempt);
+          continue;
+        }
+
+        break;
+      }
+    }
+
+    logger.error(`${this.name} API request failed after ${attempts} attempt(s):`, {
+      error: lastError.message,
+      model,
+      attempts
+    });
+
+    throw lastError;
+  }
+
+  /**
+   * Generar respuesta streaming
+   * @param {Object} options - Opciones de generación
+   * @param {Function} onChunk - Callback para cada chunk
+   * @returns {Promise<Object>} Respuesta completa
+   */
+  async generateStreamingResponse(options, onChunk) {
+    const {
+      messages = [],
+      settings = {},
+      signal = null
+    } = options;
+
+    const model = await this.resolveModel(options.model);
+
+    const requestBody = this.prepareRequestBody(messages, settings, model, true);
+
+    try {
+      const response = await this.makeRequest('/chat/completions', requestBody, true, 'POST', signal);
+      return await this.parseStreamingResponse(response, onChunk);
+    } catch (error) {
+      logger.error(`${this.name} streaming request failed:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Preparar cuerpo de la solicitud
+   * @param {Array} messages - Mensajes de la conversación
+   * @param {Object} settings - Configuraciones
+   * @param {string} model - Modelo a usar
+   * @param {boolean} streaming - Si es streaming
+   * @param {Array} tools - Herramientas en formato unificado
+   * @returns {Object} Cuerpo de la solicitud
+   */
+  prepareRequestBody(messages, settings, model, streaming = false, tools = []) {
+    return {
+      model,
+      messages: toOpenAIMessages(messages),
+      max_tokens: settings.maxTokens || 2048,
+      temperature: settings.temperature ?? 0.7,
+      top_p: settings.topP || 0.9,
+      stream: streaming,
+      ...(streaming && { stream_options: { include_usage: true } }),
+      ...(settings.stopSequences && { stop: settings.stopSequences }),
+      ...(settings.seed && { seed: settings.seed }),
+      ...(settings.responseFormat && { response_format: settings.responseFormat }),
+      ...(settings.jsonMode && !settings.responseFormat && { response_format: { type: 'json_object' } }),
+      ...(tools.length > 0 && { tools: toOpenAITools(tools), tool_choice: 'auto' })
+    };
+  }
+
+  /**
+   * Realizar solicitud HTTP
+   * @param {string} endpoint - Endpoint de la API
+   * @param {Object} requestBody - Cuerpo de la solicitud
+   * @param {boolean} streaming - Si es streaming
+   * @param {string} method - Método HTTP
+   * @param {AbortSignal} signal - Señal para cancelar la solicitud
+   * @returns {Promise<Response>} Respuesta HTTP
+   */
+  async makeRequest(endpoint, requestBody, streaming = false, method = 'POST', signal = null) {
+    const fetch = require('node-fetch');
+
+    const url = `${this.baseUrl}${endpoint}`;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'DevAI-Agent/1.0.0',
+      ...(streaming && { 'Accept': 'text/event-stream' }),
+      ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+    };
+
+    const response = await fetch(url, {
+      method,
+      headers,
+      ...(method === 'POST' && { body: JSON.stringify(requestBody) }),
+      timeout: this.timeout,
+      ...(signal && { signal })
+    });
+
+    // Cuota restante informada por el proveedor (también en errores 429)
+    reportRateLimit(this, response);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(`${this.name} API error: ${response.status} - ${errorData.error?.message || response.statusText}`);
+      error.status = response.status;
+      error.code = errorData.error?.code;
+      error.type = errorData.error?.type;
+      throw error;
+    }
+
+    return response;
+  }
+
+  /**
+   * Parsear respuesta normal
+   * @param {Response} response - Respuesta HTTP
+   * @returns {Promise<Object>} Respuesta parseada
+   */
+  async parseResponse(response) {
+    const data = await response.json();
+
+    if (!data.choices || data.choices.length === 0) {
+      throw new Error(`No choices in ${this.name} response`);
+    }
+
+    const choice = data.choices[0];
+
+    return {
+      content: choice.message?.content || '',
+      toolCalls: fromOpenAIToolCalls(choice.message?.tool_calls),
+      usage: data.usage ? this.formatUsage(data.usage) : null,
+      finishReason: choice.finish_reason || 'stop',
+      model: data.model
+    };
+  }
+
+  /**
+   * Parsear respuesta streaming (Server-Sent Events)
+   * @param {Response} response - Respuesta HTTP
+   * @param {Function} onChunk - Callback para chunks
+   * @returns {Promise<Object>} Respuesta completa
+   */
+  async parseStreamingResponse(response, onChunk) {
+    let fullContent = '';
+    let usage = null;
+    let finishReason = 'stop';
+    let modelName = null;
+    let buffer = '';
+
+    const decoder = new TextDecoder();
+
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+
+      const jsonStr = line.substring(5).trim();
+      if (jsonStr === '' || jsonStr === '[DONE]') return;
+
+      try {
+        const data = JSON.parse(jsonStr);
+        modelName = data.model || modelName;
+
+        const choice = data.choices?.[0];
+        if (choice?.delta?.content) {
+          fullContent += choice.delta.content;
+          onChunk(choice.delta.content);
+        }
+
+        if (choice?.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+
+        if (data.usage) {
+          usage = this.formatUsage(data.usage);
+        }
+      } catch (parseError) {
+        logger.warn(`Failed to parse ${this.name} streaming chunk:`, parseError.message);
+      }
+    };
+
+    // Las líneas SSE pueden llegar partidas entre chunks de red
+    for await (const value of response.body) {
+      buffer += typeof value === 'string' ? value : decoder.decode(value, { stream: true });
+
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+
+      for (const line of lines) {
+        handleLine(line.trim());
+      }
+    }
+
+    if (buffer.trim()) {
+      handleLine(buffer.trim());
+    }
+
+    return {
+      content: fullContent,
+      usage,
+      finishReason,
+      model: modelName
+    };
+  }
+
+  /**
+   * Convertir uso de tokens al formato interno
+   * @param {Object} usage - Uso en formato OpenAI
+   * @returns {Object} Uso normalizado
+   */
+  formatUsage(usage) {
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+    };
+  }
+
+  /**
+   * Generar embeddings de uno o varios textos (/embeddings)
+   * @param {Array<string>} texts - Textos a vectorizar
+   * @param {Object} options - { model, signal }
+   * @returns {Promise<Object>} { embeddings, model, usage }
+   */
+  async generateEmbeddings(texts, { model, signal = null } = {}) {
+    if (!this.isAvailable()) {
+      throw new Error(`${this.name} base URL is not configured`);
+    }
+
+    const response = await this.makeRequest('/embeddings', { model, input: texts }, false, 'POST', signal);
+    const data = await response.json();
+
+    if (!Array.isArray(data.data) || data.data.length !== texts.length) {
+      throw new Error(`Invalid embeddings in ${this.name} response`);
+    }
+
+    return {
+      embeddings: [...data.data].sort((a, b) => a.index - b.index).map(item => item.embedding),
+      model: data.model || model,
+      usage: this.formatUsage(data.usage || {})
+    };
+  }
+
+  /**
+   * Verificar si un error es reintentable
+   * @param {Error} error - Error a verificar
+   * @returns {boolean} True si es reintentable
+   */
+  isRetryableError(error) {
+    // Errores de red
+    if (error.code === 'ENOTFOUND' ||
+        error.code === 'ECONNRESET' ||
+        error.code === 'ETIMEDOUT' ||
+        error.code === 'ECONNREFUSED') {
+      return true;
+    }
+
+    // Errores HTTP temporales
+    if (error.status >= 500 || error.status === 429) {
+      return true;
+    }
+
+    if (error.type === 'server_error' || error.type === 'rate_limit_exceeded') {
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Realizar health check
+   * @returns {Promise<boolean>} True si está saludable
+   */
+  async healthCheck() {
+    try {
+      if (!this.isAvailable()) {
+        return false;
+      }
+
+      // Listar modelos es barato y lo implementan todos los servidores compatibles
+      const response = await this.makeRequest('/models', null, false, 'GET');
+      const data = await response.json();
+
+      return Array.isArray(data.data);
+    } catch (error) {
+      logger.error(`${this.name} health check failed:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Delay helper
+   * @param {number} ms - Milisegundos a esperar
+   * @returns {Promise} Promise que resuelve después del delay
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+module.exports = OpenAICompatibleClient;
@@ -0,0 +1,104 @@
+// =================================
+// HEADERS DE RATE LIMIT DE LOS PROVEEDORES
+// =================================
+
+/*
+ * Cuota informada por el proveedor en cada respuesta (normalizada):
+ *   { remainingRequests, remainingTokens, resetRequestsMs, resetTokensMs, retryAfterMs }
+ * Los campos que el proveedor no envía quedan en null.
+ *
+ * Formatos soportados:
+ *   - OpenAI / Groq: x-ratelimit-remaining-requests, x-ratelimit-reset-requests ('1m30.5s', '6ms')...
+ *   - Borrador IETF: ratelimit-remaining, ratelimit-reset (segundos)
+ *   - retry-after en respuestas 429/503 (segundos o fecha HTTP)
+ */
+
+const DURATION_PART_REGEX = /(\d+(?:\.\d+)?)(ms|h|m|s)/g;
+const DURATION_UNITS_MS = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+
+/**
+ * Parsear una duración de reset ('2m59.56s', '6ms', '30' en segundos)
+ * @param {string|null} value - Valor del header
+ * @returns {number|null} Milisegundos o null si no se puede parsear
+ */
+function parseDuration(value) {
+  if (value === null || value === undefined || value === '') return null;
+
+  const trimmed = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    return Math.round(parseFloat(trimmed) * 1000);
+  }
+
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of trimmed.matchAll(DURATION_PART_REGEX)) {
+    total += parseFloat(amount) * DURATION_UNITS_MS[unit];
+    matched = true;
+  }
+
+  return matched ? Math.round(total) : null;
+}
+
+/**
+ * Parsear el header retry-after (segundos o fecha HTTP)
+ * @param {string|null} value - Valor del header
+ * @returns {number|null} Milisegundos hasta poder reintentar
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = parseDuration(value);
+  if (seconds !== null) return seconds;
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Parsear un número entero de un header
+ * @param {string|null} value - Valor del header
+ * @returns {number|null} Número o null
+ */
+function parseCount(value) {
+  const count = parseInt(value, 10);
+  return Number.isNaN(count) ? null : count;
+}
+
+/**
+ * Extraer la cuota informada en los headers de una respuesta
+ * @param {Headers} headers - Headers de la respuesta (fetch)
+ * @returns {Object|null} Cuota normalizada o null si el proveedor no informa nada
+ */
+function parseRateLimitHeaders(headers) {
+  if (!headers || typeof headers.get !== 'function') return null;
+
+  const info = {
+    remainingRequests: parseCount(headers.get('x-ratelimit-remaining-requests') ?? headers.get('ratelimit-remaining')),
+    remainingTokens: parseCount(headers.get('x-ratelimit-remaining-tokens')),
+    resetRequestsMs: parseDuration(headers.get('x-ratelimit-reset-requests') ?? headers.get('ratelimit-reset')),
+    resetTokensMs: parseDuration(headers.get('x-ratelimit-reset-tokens')),
+    retryAfterMs: parseRetryAfter(headers.get('retry-after'))
+  };
+
+  return Object.values(info).some(value => value !== null) ? info : null;
+}
+
+/**
+ * Informar al listener del cliente (si lo tiene) la cuota de una respuesta
+ * @param {Object} client - Cliente de IA (con `onRateLimit` opcional)
+ * @param {Response} response - Respuesta HTTP del proveedor
+ */
+function reportRateLimit(client, response) {
+  if (typeof client.onRateLimit !== 'function') return;
+
+  const info = parseRateLimitHeaders(response.headers);
+  if (info) {
+    client.onRateLimit({ ...info, status: response.status });
+  }
+}
+
+module.exports = {
+  parseDuration,
+  parseRateLimitHeaders,
+  reportRateLimit
+};
@@ -0,0 +1,192 @@
+// =================================
+// REDACCIÓN DE SECRETOS Y DATOS PERSONALES
+// =================================
+
+/*
+ * Antes de enviar un prompt a un proveedor externo se reemplazan los secretos y datos
+ * personales por marcadores estables ([REDACTED_API_KEY_1]...): el mismo valor recibe
+ * siempre el mismo marcador dentro de una solicitud, así el modelo puede seguir
+ * refiriéndose a él y la respuesta se puede restaurar antes de devolverla al usuario.
+ */
+
+/**
+ * Entropía de Shannon de un texto, en bits por carácter
+ * @param {string} value - Texto a medir
+ * @returns {number} Entropía (los secretos aleatorios suelen superar 3)
+ */
+function shannonEntropy(value) {
+  const counts = {};
+  for (const char of value) counts[char] = (counts[char] || 0) + 1;
+
+  return Object.values(counts).reduce((entropy, count) => {
+    const probability = count / value.length;
+    return entropy - probability * Math.log2(probability);
+  }, 0);
+}
+
+// El orden importa: las cadenas de conexión contienen usuario:clave@host (no es un email)
+const DETECTORS = [
+  {
+    type: 'private_key',
+    regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/g
+  },
+  {
+    type: 'connection_string',
+    regex: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|rediss?|amqps?|mssql|sqlserver):\/\/[^\s'"`<>]+/gi
+  },
+  {
+    type: 'jwt',
+    regex: /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    // Formatos conocidos: OpenAI/Anthropic, Groq, Hugging Face, Google, AWS, GitHub, Slack, Stripe
+    type: 'api_key',
+    regex: /\b(?:sk-[A-Za-z0-9_-]{20,}|gsk_[A-Za-z0-9]{20,}|hf_[A-Za-z0-9]{20,}|AIza[0-9A-Za-z_-]{35}|AKIA[0-9A-Z]{16}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,}|xox[abprs]-[A-Za-z0-9-]{10,}|(?:sk|rk)_live_[A-Za-z0-9]{20,})/g
+  },
+  {
+    // Líneas de .env: API_KEY=valor (sin espacios alrededor del "=" y hasta el final de la línea)
+    type: 'api_key',
+    regex: /(?<=^[ \t]*(?:export[ \t]+)?[A-Za-z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PWD)[A-Za-z0-9_]*=["']?)(?!\$)[^\s"'#]{8,}(?=["']?[ \t]*(?:#.*)?$)/gm
+  },
+  {
+    // Literales entre comillas asignados a un nombre de secreto: "clientSecret": "...", apiKey = '...'.
+    // Solo si el valor parece aleatorio; los nombres de variables y textos comunes no se tocan
+    type: 'api_key',
+    regex: /(?<=\b[A-Za-z0-9_]*(?:KEY|SECRET|TOKEN|PASSWORD|PASSWD|PWD|Key|Secret|Token|Password|apikey|api_key|secret|token|password|passwd)["']?\s*[=:]\s*["'])[A-Za-z0-9+/=_.~!@#$%^&*-]{8,}(?=["'])/g,
+    validate: (value) => /[0-9]/.test(value) && /[A-Za-z]/.test(value) && shannonEntropy(value) >= 3
+  },
+  {
+    type: 'email',
+    regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g
+  }
+];
+
+const PLACEHOLDER_REGEX = /\[REDACTED_[A-Z_]+_\d+\]/g;
+// Posible inicio de marcador partido entre chunks del stream
+const PARTIAL_PLACEHOLDER_REGEX = /\[[A-Z_0-9]{0,40}$/;
+
+/**
+ * Aplicar una transformación a todos los strings de un valor (objetos y arrays anidados)
+ * @param {*} value - Valor a recorrer
+ * @param {Function} transform - Función aplicada a cada string
+ * @returns {*} Copia transformada
+ */
+function mapStrings(value, transform) {
+  if (typeof value === 'string') return transform(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, transform));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, transform)]));
+  }
+  return value;
+}
+
+/**
+ * Crear un redactor para una solicitud
+ * @param {Object} options - Opciones
+ * @param {Array<string>} options.types - Tipos a detectar (api_key, jwt, email, private_key, connection_string)
+ * @returns {Object} { redact, redactDeep, restore, restoreDeep, createStreamRestorer, getCount }
+ */
+function createRedactor({ types = DETECTORS.map(detector => detector.type) } = {}) {
+  const detectors = DETECTORS.filter(detector => types.includes(detector.type));
+  const placeholders = new Map(); // valor original → marcador
+  const originals = new Map(); // marcador → valor original
+  const counters = {};
+
+  const getPlaceholder = (type, value) => {
+    if (placeholders.has(value)) return placeholders.get(value);
+
+    counters[type] = (counters[type] || 0) + 1;
+    const placeholder = `[REDACTED_${type.toUpperCase()}_${counters[type]}]`;
+    placeholders.set(value, placeholder);
+    originals.set(placeholder, value);
+    return placeholder;
+  };
+
+  const redactText = (text, found) => {
+    if (!text) return text;
+
+    let result = text;
+    for (const { type, regex, validate } of detectors) {
+      result = result.replace(regex, (value) => {
+        // No volver a redactar marcadores ya insertados por un detector anterior
+        if (value.includes('[REDACTED_') || (validate && !validate(value))) return value;
+        found[type] = (found[type] || 0) + 1;
+        return getPlaceholder(type, value);
+      });
+    }
+    return result;
+  };
+
+  const restore = (text) => (typeof text === 'string' && originals.size > 0
+    ? text.replace(PLACEHOLDER_REGEX, placeholder => originals.get(placeholder) ?? placeholder)
+    : text);
+
+  return {
+    /**
+     * Reemplazar los valores sensibles de un texto
+     * @param {string} text - Texto original
+     * @returns {Object} { text, found: { [type]: cantidad } }
+     */
+    redact(text) {
+      const found = {};
+      return { text: typeof text === 'string' ? redactText(text, found) : text, found };
+    },
+
+    /**
+     * Reemplazar los valores sensibles de todos los strings de un valor (ej: argumentos de herramientas)
+     * @param {*} value - Valor a redactar
+     * @param {Object} found - Contador por tipo que se actualiza
+     * @returns {*} Copia redactada
+     */
+    redactDeep(value, found = {}) {
+      return mapStrings(value, text => redactText(text, found));
+    },
+
+    restore,
+
+    /**
+     * Restaurar los marcadores de todos los strings de un valor
+     * @param {*} value - Valor con marcadores
+     * @returns {*} Copia con los valores originales
+     */
+    restoreDeep(value) {
+      return mapStrings(value, restore);
+    },
+
+    /**
+     * Restaurar marcadores en una respuesta en streaming (pueden llegar partidos entre chunks)
+     * @param {Function} onChunk - Callback con el texto restaurado
+     * @returns {Object} { push(chunk), end() }
+     */
+    createStreamRestorer(onChunk) {
+      let buffer = '';
+
+      const emit = (text) => {
+        if (text) onChunk(restore(text));
+      };
+
+      return {
+        push(chunk) {
+          buffer += chunk;
+          const partial = buffer.match(PARTIAL_PLACEHOLDER_REGEX);
+          const keep = partial ? partial[0].length : 0;
+          emit(buffer.slice(0, buffer.length - keep));
+          buffer = buffer.slice(buffer.length - keep);
+        },
+        end() {
+          emit(buffer);
+          buffer = '';
+        }
+      };
+    },
+
+    getCount() {
+      return originals.size;
+    }
+  };
+}
+
+module.exports = {
+  createRedactor,
+  mapStrings
+};
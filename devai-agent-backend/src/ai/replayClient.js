@@ -0,0 +1,325 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../config/logger');
+const { generateHash } = require('../utils/helpers');
+
+// =================================
+// CLIENTE DE GRABACIÓN Y REPRODUCCIÓN (TESTS OFFLINE)
+// =================================
+
+/*
+ * Implementa la misma interfaz que el resto de clientes de IA.
+ * - record: envuelve al cliente real, le pasa cada solicitud y guarda la respuesta
+ *   (y los chunks si es streaming) en `<fixturesDir>/<provider>/<hash>.json`.
+ * - replay: no usa la red; responde con el fixture cuyo hash coincide con la solicitud.
+ * El hash se calcula sobre la solicitud normalizada (modelo, mensajes, settings, tools...),
+ * nunca sobre la API key, así que las keys de usuario y del servidor comparten fixtures.
+ */
+
+// Serializar con las claves ordenadas para que el hash no dependa del orden de las propiedades
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+class ReplayClient {
+  /**
+   * @param {Object} config - Configuración del cliente
+   * @param {string} config.provider - Proveedor que se graba o reproduce (ej: 'gemini')
+   * @param {string} config.mode - 'record' o 'replay'
+   * @param {string} config.fixturesDir - Directorio raíz de los fixtures
+   * @param {Object} config.client - Cliente real (obligatorio en modo record)
+   */
+  constructor(config = {}) {
+    this.provider = config.provider;
+    this.mode = config.mode === 'record' ? 'record' : 'replay';
+    this.fixturesDir = path.resolve(config.fixturesDir || 'tests/fixtures/ai', this.provider);
+    this.client = config.client || null;
+
+    // La cuota que informa el cliente real se reenvía al listener de este cliente (scheduler)
+    if (this.client) {
+      this.client.onRateLimit = (info) => this.onRateLimit?.(info);
+    }
+
+    if (this.mode === 'record' && !this.client) {
+      throw new Error(`Record mode for '${this.provider}' requires a live client`);
+    }
+
+    // Embeddings solo si el cliente real los soporta (o siempre al reproducir)
+    if (this.mode === 'replay' || typeof this.client.generateEmbeddings === 'function') {
+      this.generateEmbeddings = this.generateEmbeddingsWithFixtures;
+    }
+  }
+
+  /**
+   * Verificar si el cliente está disponible
+   * @returns {boolean} True si está configurado
+   */
+  isAvailable() {
+    return this.client ? this.client.isAvailable() : true;
+  }
+
+  /**
+   * Obtener información del proveedor
+   * @returns {Object} Información del proveedor
+   */
+  getProviderInfo() {
+    const info = this.client
+      ? this.client.getProviderInfo()
+      : { name: this.provider, provider: this.provider, description: 'Responses served from recorded fixtures' };
+
+    return { ...info, mode: this.mode };
+  }
+
+  /**
+   * Obtener modelos disponibles
+   * @returns {Array<string>} Lista de modelos (vacía al reproducir: se acepta cualquier modelo grabado)
+   */
+  getAvailableModels() {
+    return this.client ? this.client.getAvailableModels() : [];
+  }
+
+  /**
+   * Obtener características soportadas
+   * @returns {Array<string>} Lista de características
+   */
+  getSupportedFeatures() {
+    return this.client
+      ? this.client.getSupportedFeatures()
+      : ['text-generation', 'streaming', 'function-calling', 'embeddings', 'vision'];
+  }
+
+  /**
+   * Obtener información de rate limit
+   * @returns {string} Información de límite
+   */
+  getRateLimit() {
+    return this.client ? this.client.getRateLimit() : 'Unlimited (replay)';
+  }
+
+  /**
+   * Verificar si soporta streaming
+   * @returns {boolean} True si soporta streaming
+   */
+  supportsStreaming() {
+    return this.client ? this.client.supportsStreaming() : true;
+  }
+
+  /**
+   * Generar respuesta
+   * @param {Object} options - Opciones de generación
+   * @returns {Promise<Object>} Respuesta generada
+   */
+  async generateResponse(options) {
+    const { signal = null, ...request } = options;
+
+    return this.withFixture('chat', request, signal, async () => ({
+      response: await this.client.generateResponse(options)
+    }));
+  }
+
+  /**
+   * Generar respuesta streaming
+   * @param {Object} options - Opciones de generación
+   * @param {Function} onChunk - Callback para cada chunk
+   * @returns {Promise<Object>} Respuesta completa
+   */
+  async generateStreamingResponse(options, onChunk) {
+    const { signal = null, onThinking = null, ...request } = options;
+    const chunks = [];
+    const thinkingChunks = [];
+
+    return this.withFixture('stream', request, signal, async () => {
+      const response = await this.client.generateStreamingResponse({
+        ...options,
+        onThinking: (chunk) => {
+          thinkingChunks.push(chunk);
+          if (onThinking) onThinking(chunk);
+        }
+      }, (chunk) => {
+        chunks.push(chunk);
+        onChunk(chunk);
+      });
+      return { response, chunks, ...(thinkingChunks.length > 0 && { thinkingChunks }) };
+    }, (recorded) => {
+      // Al reproducir, emitir los chunks grabados en el mismo orden (el razonamiento va antes de la respuesta)
+      for (const chunk of recorded.thinkingChunks || []) {
+        this.throwIfAborted(signal);
+        if (onThinking) onThinking(chunk);
+      }
+      for (const chunk of recorded.chunks || []) {
+        this.throwIfAborted(signal);
+        onChunk(chunk);
+      }
+    });
+  }
+
+  /**
+   * Generar embeddings (solo se expone si el cliente real los soporta)
+   * @param {Array<string>} texts - Textos a vectorizar
+   * @param {Object} options - { model, signal }
+   * @returns {Promise<Object>} { embeddings, model, usage }
+   */
+  async generateEmbeddingsWithFixtures(texts, { model, signal = null } = {}) {
+    return this.withFixture('embeddings', { model, texts }, signal, async () => ({
+      response: await this.client.generateEmbeddings(texts, { model, signal })
+    }));
+  }
+
+  /**
+   * Grabar o reproducir una solicitud
+   * @param {string} type - Tipo de llamada ('chat', 'stream' o 'embeddings')
+   * @param {Object} request - Solicitud sin la señal de cancelación
+   * @param {AbortSignal} signal - Señal de cancelación
+   * @param {Function} call - Llamada al cliente real; devuelve { response, chunks }
+   * @param {Function} onReplay - Callback con el fixture antes de devolver la respuesta
+   * @returns {Promise<Object>} Respuesta del proveedor o del fixture
+   */
+  async withFixture(type, request, signal, call, onReplay = null) {
+    const hash = this.getRequestHash(type, request);
+    const filePath = path.join(this.fixturesDir, `${hash}.json`);
+
+    if (this.mode === 'replay') {
+      this.throwIfAborted(signal);
+      const fixture = this.readFixture(filePath, type, request);
+
+      if (onReplay) onReplay(fixture);
+
+      if (fixture.error) {
+        throw Object.assign(new Error(fixture.error.message), fixture.error);
+      }
+      return fixture.response;
+    }
+
+    try {
+      const result = await call();
+      this.writeFixture(filePath, { type, request, ...result });
+      return result.response;
+    } catch (error) {
+      // Los errores del proveedor también se graban para poder probar el failover offline
+      if (!signal?.aborted && error.name !== 'AbortError') {
+        this.writeFixture(filePath, {
+          type,
+          request,
+          error: {
+            message: error.message,
+            ...(error.code && { code: error.code }),
+            ...(error.status && { status: error.status }),
+            ...(error.type && { type: error.type })
+          }
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Hash de una solicitud normalizada
+   * @param {string} type - Tipo de llamada
+   * @param {Object} request - Solicitud sin la señal de cancelación
+   * @returns {string} Hash sha256 en hexadecimal
+   */
+  getRequestHash(type, request) {
+    return generateHash(stableStringify({ provider: this.provider, type, request }));
+  }
+
+  /**
+   * Leer un fixture grabado
+   * @param {string} filePath - Ruta del fixture
+   * @param {string} type - Tipo de llamada (para el mensaje de error)
+   * @param {Object} request - Solicitud (para el mensaje de error)
+   * @returns {Object} Fixture
+   */
+  readFixture(filePath, type, request) {
+    if (!fs.existsSync(filePath)) {
+      const error = new Error(
+        `No recorded ${type} fixture for provider '${this.provider}' and model '${request.model}' (${path.basename(filePath)}). ` +
+        'Run with AI_CLIENT_MODE=record to record it.'
+      );
+      error.code = 'AI_REPLAY_FIXTURE_MISSING';
+      error.provider = this.provider;
+      error.fixture = filePath;
+      throw error;
+    }
+
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Guardar un fixture
+   * @param {string} filePath - Ruta del fixture
+   * @param {Object} fixture - { type, request, response, chunks } o { type, request, error }
+   */
+  writeFixture(filePath, fixture) {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, `${JSON.stringify({
+        provider: this.provider,
+        recordedAt: new Date().toISOString(),
+        ...fixture
+      }, null, 2)}\n`);
+
+      logger.debug(`📼 AI fixture recorded: ${this.provider}/${path.basename(filePath)}`, {
+        type: fixture.type,
+        model: fixture.request.model
+      });
+    } catch (error) {
+      // Un fallo al grabar no debe romper la respuesta real
+      logger.warn('Could not write AI fixture:', { file: filePath, error: error.message });
+    }
+  }
+
+  /**
+   * Cortar la reproducción si la solicitud fue cancelada
+   * @param {AbortSignal} signal - Señal de cancelación
+   */
+  throwIfAborted(signal) {
+    if (signal?.aborted) {
+      const error = new Error('Replay aborted');
+      error.name = 'AbortError';
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar si un error es reintentable
+   * @param {Error} error - Error a verificar
+   * @returns {boolean} True si es reintentable
+   */
+  isRetryableError(error) {
+    if (error.code === 'AI_REPLAY_FIXTURE_MISSING') {
+      return false;
+    }
+
+    if (this.client) {
+      return this.client.isRetryableError(error);
+    }
+
+    // Errores grabados: mismos criterios generales que los clientes reales
+    return error.status >= 500 || error.status === 429;
+  }
+
+  /**
+   * Realizar health check
+   * @returns {Promise<boolean>} True si está saludable
+   */
+  async healthCheck() {
+    if (this.mode === 'replay') {
+      return fs.existsSync(this.fixturesDir);
+    }
+    return this.client.healthCheck();
+  }
+}
+
+module.exports = ReplayClient;
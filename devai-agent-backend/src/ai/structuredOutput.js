@@ -0,0 +1,115 @@
+const Ajv = require('ajv');
+
+// =================================
+// SALIDA ESTRUCTURADA (JSON CON SCHEMA)
+// =================================
+
+/*
+ * `responseSchema` es un JSON Schema (draft-07 / 2019-09). Los proveedores con modo JSON
+ * nativo reciben `settings.jsonMode`; el schema siempre viaja también en el prompt del sistema,
+ * porque los modos nativos garantizan JSON válido pero no la forma del objeto.
+ */
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+const JSON_FENCE_REGEX = /```(?:json)?\s*([\s\S]*?)```/i;
+
+/**
+ * Compilar un schema (lanza si el schema no es válido)
+ * @param {Object} schema - JSON Schema
+ * @returns {Function} Validador de Ajv
+ */
+function compileSchema(schema) {
+  return ajv.compile(schema);
+}
+
+/**
+ * Construir las instrucciones de formato para el prompt del sistema
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Instrucciones
+ */
+function buildSchemaPrompt(schema) {
+  return [
+    'Respond only with a JSON value that is valid against this JSON Schema.',
+    'Do not wrap it in markdown and do not add any text before or after it.',
+    '',
+    JSON.stringify(schema, null, 2)
+  ].join('\n');
+}
+
+/**
+ * Agregar las instrucciones de formato al prompt del sistema
+ * @param {string|null} systemPrompt - Prompt del sistema
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Prompt del sistema final
+ */
+function injectSchemaPrompt(systemPrompt, schema) {
+  const schemaBlock = buildSchemaPrompt(schema);
+  return systemPrompt ? `${systemPrompt}\n\n${schemaBlock}` : schemaBlock;
+}
+
+/**
+ * Extraer el JSON de una respuesta (tolera bloques ```json y texto alrededor)
+ * @param {string} content - Contenido de la respuesta
+ * @returns {string} Texto JSON candidato
+ */
+function extractJson(content = '') {
+  const fenced = content.match(JSON_FENCE_REGEX);
+  if (fenced) return fenced[1].trim();
+
+  const trimmed = content.trim();
+  const start = trimmed.search(/[[{]/);
+  if (start === -1) return trimmed;
+
+  const closing = trimmed[start] === '{' ? '}' : ']';
+  const end = trimmed.lastIndexOf(closing);
+  return end > start ? trimmed.slice(start, end + 1) : trimmed.slice(start);
+}
+
+/**
+ * Parsear y validar una respuesta contra el schema
+ * @param {string} content - Contenido de la respuesta
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} { data, errors } (errors vacío si es válida)
+ */
+function parseStructuredResponse(content, schema) {
+  let data;
+  try {
+    data = JSON.parse(extractJson(content));
+  } catch (error) {
+    return { data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const validate = compileSchema(schema);
+  if (validate(data)) {
+    return { data, errors: [] };
+  }
+
+  const errors = validate.errors.map(error =>
+    `${error.instancePath || '(root)'} ${error.message}${error.params?.additionalProperty ? ` '${error.params.additionalProperty}'` : ''}`
+  );
+
+  return { data, errors };
+}
+
+/**
+ * Construir el mensaje que pide corregir una respuesta inválida
+ * @param {Array<string>} errors - Errores de validación
+ * @returns {string} Mensaje para el modelo
+ */
+function buildRepairPrompt(errors) {
+  return [
+    'Your previous answer does not match the required JSON Schema:',
+    ...errors.map(error => `- ${error}`),
+    'Reply again with only the corrected JSON.'
+  ].join('\n');
+}
+
+module.exports = {
+  compileSchema,
+  buildSchemaPrompt,
+  injectSchemaPrompt,
+  extractJson,
+  parseStructuredResponse,
+  buildRepairPrompt
+};
@@ -0,0 +1,121 @@
+// =================================
+// RAZONAMIENTO DE LOS MODELOS (<think>)
+// =================================
+
+/*
+ * Los modelos de razonamiento (deepseek-r1, qwq...) en Groq y Ollama escriben su
+ * proceso de pensamiento entre <think> y </think> antes de la respuesta.
+ * Se separa del contenido para guardarlo en Message.thinking y mostrarlo aparte.
+ */
+
+const OPEN_TAG = '<think>';
+const CLOSE_TAG = '</think>';
+const THINK_BLOCK_REGEX = /<think>([\s\S]*?)(?:<\/think>|$)/g;
+
+/**
+ * Separar los bloques <think> de una respuesta completa
+ * @param {string} text - Respuesta del modelo
+ * @returns {Object} { content, thinking } (thinking es null si no hay bloques)
+ */
+function splitThinking(text = '') {
+  if (!text.includes(OPEN_TAG)) {
+    return { content: text, thinking: null };
+  }
+
+  const blocks = [];
+  const content = text.replace(THINK_BLOCK_REGEX, (match, block) => {
+    blocks.push(block.trim());
+    return '';
+  });
+
+  const thinking = blocks.filter(Boolean).join('\n\n');
+  return {
+    content: content.trim(),
+    thinking: thinking || null
+  };
+}
+
+/**
+ * Longitud del sufijo de `text` que puede ser el inicio de `tag` (tag partido entre chunks)
+ * @param {string} text - Texto acumulado
+ * @param {string} tag - Etiqueta buscada
+ * @returns {number} Caracteres a retener hasta el próximo chunk
+ */
+function partialTagLength(text, tag) {
+  for (let length = Math.min(tag.length - 1, text.length); length > 0; length--) {
+    if (text.endsWith(tag.slice(0, length))) return length;
+  }
+  return 0;
+}
+
+/**
+ * Crear un separador incremental para respuestas en streaming.
+ * Las etiquetas pueden llegar partidas entre chunks: se retiene el texto ambiguo.
+ * @param {Function} onContent - Callback con cada fragmento de la respuesta
+ * @param {Function} onThinking - Callback con cada fragmento del razonamiento (opcional)
+ * @returns {Object} { push(chunk), end(), getContent(), getThinking() }
+ */
+function createThinkingParser(onContent, onThinking = null) {
+  let buffer = '';
+  let inThinking = false;
+  let afterThinking = false;
+  let content = '';
+  let thinking = '';
+
+  const emitContent = (text) => {
+    // Saltar los saltos de línea que separan el bloque de razonamiento de la respuesta
+    const fragment = afterThinking && content === '' ? text.replace(/^\s+/, '') : text;
+    if (!fragment) return;
+    content += fragment;
+    onContent(fragment);
+  };
+
+  const emitThinking = (text) => {
+    const fragment = thinking === '' ? text.replace(/^\s+/, '') : text;
+    if (!fragment) return;
+    thinking += fragment;
+    if (onThinking) onThinking(fragment);
+  };
+
+  const drain = (final) => {
+    while (buffer) {
+      const tag = inThinking ? CLOSE_TAG : OPEN_TAG;
+      const index = buffer.indexOf(tag);
+      const emit = inThinking ? emitThinking : emitContent;
+
+      if (index !== -1) {
+        emit(buffer.slice(0, index));
+        buffer = buffer.slice(index + tag.length);
+        if (inThinking) afterThinking = true;
+        inThinking = !inThinking;
+        continue;
+      }
+
+      const keep = final ? 0 : partialTagLength(buffer, tag);
+      emit(buffer.slice(0, buffer.length - keep));
+      buffer = buffer.slice(buffer.length - keep);
+      break;
+    }
+  };
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      drain(false);
+    },
+    end() {
+      drain(true);
+    },
+    getContent() {
+      return content;
+    },
+    getThinking() {
+      return thinking.trim() || null;
+    }
+  };
+}
+
+module.exports = {
+  splitThinking,
+  createThinkingParser
+};
@@ -0,0 +1,153 @@
+const { Tiktoken } = require('js-tiktoken/lite');
+const { AI_CONTEXT_CONFIG } = require('../utils/constants');
+
+// =================================
+// TOKENIZADOR OFFLINE POR FAMILIA DE MODELO
+// =================================
+
+/*
+ * Cada familia usa un vocabulario BPE incluido en js-tiktoken (sin red).
+ * Las familias con tokenizador propio no disponible offline (SentencePiece de
+ * Gemini, Llama 2, Mistral...) usan cl100k_base con un factor de corrección
+ * aproximado; se marcan como `exact: false`.
+ */
+const TOKENIZER_FAMILIES = [
+  { family: 'gpt-4o', pattern: /^(gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4)/i, encoding: 'o200k_base', exact: true },
+  { family: 'gpt-4', pattern: /^(gpt-4|gpt-3\.5|text-embedding-(ada|3))/i, encoding: 'cl100k_base', exact: true },
+  { family: 'gpt-2', pattern: /(dialogpt|gpt2|gpt-j|gpt-neo)/i, encoding: 'gpt2', exact: true },
+  { family: 'llama-3', pattern: /(llama-?3|llama3)/i, encoding: 'cl100k_base', exact: false, factor: 1.0 },
+  { family: 'gemini', pattern: /(gemini|gemma)/i, encoding: 'cl100k_base', exact: false, factor: 1.1 },
+  { family: 'sentencepiece', pattern: /(llama|mistral|mixtral|codellama|phi|neural-chat|starling|t5|bloom|blenderbot)/i, encoding: 'cl100k_base', exact: false, factor: 1.15 }
+];
+
+const DEFAULT_FAMILY = { family: 'default', encoding: 'cl100k_base', exact: false, factor: 1.1 };
+
+// Tokens extra por mensaje (separadores de rol) y para preparar la respuesta
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+const encoders = new Map();
+
+/**
+ * Obtener (y cachear) el encoder de un vocabulario
+ * @param {string} encoding - Nombre del vocabulario (cl100k_base, o200k_base, gpt2)
+ * @returns {Tiktoken} Encoder
+ */
+function getEncoder(encoding) {
+  if (!encoders.has(encoding)) {
+    const ranks = require(`js-tiktoken/ranks/${encoding}`);
+    encoders.set(encoding, new Tiktoken(ranks));
+  }
+  return encoders.get(encoding);
+}
+
+/**
+ * Resolver la familia de tokenizador de un modelo
+ * @param {string} model - Nombre del modelo
+ * @returns {Object} Familia { family, encoding, exact, factor }
+ */
+function getTokenizerFamily(model = '') {
+  return TOKENIZER_FAMILIES.find(entry => entry.pattern.test(model)) || DEFAULT_FAMILY;
+}
+
+/**
+ * Contar tokens de un texto para un modelo
+ * @param {string} text - Texto a evaluar
+ * @param {string} model - Nombre del modelo
+ * @returns {number} Número de tokens
+ */
+function countTokens(text, model) {
+  if (!text) return 0;
+
+  const { encoding, exact, factor = 1 } = getTokenizerFamily(model);
+  // Los tokens especiales (<|endoftext|>...) dentro del texto se cuentan como texto normal
+  const count = getEncoder(encoding).encode(String(text), [], []).length;
+
+  return exact ? count : Math.ceil(count * factor);
+}
+
+/**
+ * Contar tokens de un mensaje, incluyendo llamadas a herramientas
+ * @param {Object} message - Mensaje { role, content, toolCalls }
+ * @param {string} model - Nombre del modelo
+ * @returns {number} Número de tokens
+ */
+function countMessageTokens(message, model) {
+  let tokens = TOKENS_PER_MESSAGE + countTokens(message.role, model) + countTokens(message.content, model);
+
+  if (message.toolCalls?.length > 0) {
+    tokens += countTokens(JSON.stringify(message.toolCalls), model);
+  }
+  if (message.name) {
+    tokens += countTokens(message.name, model);
+  }
+
+  return tokens;
+}
+
+/**
+ * Contar tokens del prompt completo (mensajes + definiciones de herramientas)
+ * @param {Array<Object>} messages - Mensajes preparados
+ * @param {string} model - Nombre del modelo
+ * @param {Array<Object>} tools - Definiciones de herramientas enviadas
+ * @returns {number} Tokens del prompt
+ */
+function countPromptTokens(messages = [], model, tools = []) {
+  const messageTokens = messages.reduce((total, msg) => total + countMessageTokens(msg, model), 0);
+  const toolTokens = tools.length > 0 ? countTokens(JSON.stringify(tools), model) : 0;
+
+  return messageTokens + toolTokens + TOKENS_PER_REPLY;
+}
+
+/**
+ * Calcular uso de tokens cuando el proveedor no lo informa
+ * @param {Array<Object>} messages - Mensajes de entrada
+ * @param {string} completion - Contenido generado
+ * @param {string} model - Nombre del modelo
+ * @param {Array<Object>} tools - Definiciones de herramientas enviadas
+ * @returns {Object} Uso { promptTokens, completionTokens, totalTokens, estimated, tokenizer }
+ */
+function calculateUsage(messages, completion, model, tools = []) {
+  const { family, exact } = getTokenizerFamily(model);
+  const promptTokens = countPromptTokens(messages, model, tools);
+  const completionTokens = countTokens(completion, model);
+
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+    estimated: !exact,
+    tokenizer: family
+  };
+}
+
+/**
+ * Obtener la ventana de contexto de un modelo
+ * @param {string} model - Nombre del modelo
+ * @returns {number|null} Tokens máximos o null si no se conoce
+ */
+function getContextWindow(model = '') {
+  const { contextWindows, defaultContextWindow } = AI_CONTEXT_CONFIG;
+
+  // Coincidencia por prefijo más largo (ej: 'gpt-4o' antes que 'gpt-4')
+  const prefix = Object.keys(contextWindows)
+    .filter(key => model.toLowerCase().startsWith(key.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (prefix) return contextWindows[prefix];
+
+  // Modelos de Groq incluyen la ventana en el nombre (ej: mixtral-8x7b-32768)
+  const suffix = model.match(/-(\d{4,7})$/);
+  if (suffix) return parseInt(suffix[1]);
+
+  return defaultContextWindow;
+}
+
+module.exports = {
+  getTokenizerFamily,
+  countTokens,
+  countMessageTokens,
+  countPromptTokens,
+  calculateUsage,
+  getContextWindow
+};
@@ -0,0 +1,228 @@
+// =================================
+// FORMATO UNIFICADO DE HERRAMIENTAS (FUNCTION CALLING)
+// =================================
+
+/*
+ * Definición de herramienta (independiente del proveedor):
+ *   { name: 'get_project_file', description: '...', parameters: { type: 'object', properties: {...}, required: [...] } }
+ *
+ * Llamada a herramienta normalizada (lo que devuelven los clientes en `toolCalls`):
+ *   { id: 'call_1', name: 'get_project_file', arguments: { path: 'src/app.js' } }
+ *
+ * Mensajes del loop de herramientas:
+ *   { role: 'assistant', content: '', toolCalls: [ ...llamadas ] }
+ *   { role: 'tool', toolCallId: 'call_1', name: 'get_project_file', content: '{"ok":true,...}' }
+ */
+
+const TOOL_CALL_BLOCK_REGEX = /<tool_call>([\s\S]*?)<\/tool_call>/g;
+
+/**
+ * Parsear argumentos que pueden venir como string JSON u objeto
+ * @param {string|Object} args - Argumentos crudos
+ * @returns {Object} Argumentos como objeto
+ */
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args === 'object') return args;
+
+  try {
+    return JSON.parse(args);
+  } catch {
+    return { _raw: args };
+  }
+}
+
+/**
+ * Convertir definiciones al formato de OpenAI/Groq/Ollama
+ * @param {Array<Object>} tools - Definiciones unificadas
+ * @returns {Array<Object>} Herramientas en formato OpenAI
+ */
+function toOpenAITools(tools = []) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }
+  }));
+}
+
+/**
+ * Convertir definiciones al formato de Gemini (functionDeclarations)
+ * @param {Array<Object>} tools - Definiciones unificadas
+ * @returns {Array<Object>} Herramientas en formato Gemini
+ */
+function toGeminiTools(tools = []) {
+  return [{
+    functionDeclarations: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    }))
+  }];
+}
+
+/**
+ * Convertir mensajes internos al formato OpenAI, incluyendo llamadas y resultados de herramientas
+ * @param {Array<Object>} messages - Mensajes internos
+ * @param {Object} options - Opciones de formato
+ * @param {boolean} options.stringifyArguments - OpenAI espera argumentos como string, Ollama como objeto
+ * @returns {Array<Object>} Mensajes en formato OpenAI
+ */
+function toOpenAIMessages(messages = [], { stringifyArguments = true } = {}) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return {
+        role: 'tool',
+        tool_call_id: msg.toolCallId,
+        name: msg.name,
+        content: msg.content
+      };
+    }
+
+    if (msg.role === 'assistant' && msg.toolCalls?.length > 0) {
+      return {
+        role: 'assistant',
+        content: msg.content || '',
+        tool_calls: msg.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: {
+            name: call.name,
+            arguments: stringifyArguments ? JSON.stringify(call.arguments || {}) : (call.arguments || {})
+          }
+        }))
+      };
+    }
+
+    return {
+      role: msg.role,
+      content: msg.content
+    };
+  });
+}
+
+/**
+ * Normalizar tool_calls en formato OpenAI/Ollama
+ * @param {Array<Object>} toolCalls - Llamadas del proveedor
+ * @returns {Array<Object>} Llamadas normalizadas
+ */
+function fromOpenAIToolCalls(toolCalls = []) {
+  return toolCalls.map((call, index) => ({
+    id: call.id || `call_${index + 1}`,
+    name: call.function?.name,
+    arguments: parseToolArguments(call.function?.arguments)
+  }));
+}
+
+/**
+ * Construir instrucciones de sistema para proveedores sin function calling nativo
+ * @param {Array<Object>} tools - Definiciones unificadas
+ * @returns {string} Instrucciones para el modelo
+ */
+function buildToolPrompt(tools = []) {
+  const toolList = tools
+    .map(tool => `- ${tool.name}: ${tool.description}\n  Parameters (JSON Schema): ${JSON.stringify(tool.parameters || {})}`)
+    .join('\n');
+
+  return [
+    'You can call the following tools when you need information you do not have:',
+    toolList,
+    '',
+    'To call a tool, reply ONLY with one or more blocks in this exact format:',
+    '<tool_call>{"name": "tool_name", "arguments": {"param": "value"}}</tool_call>',
+    'You will then receive the tool results and can answer the user normally.',
+    'If you do not need a tool, answer directly without any <tool_call> block.'
+  ].join('\n');
+}
+
+/**
+ * Convertir mensajes de herramientas a texto plano (fallback por prompt)
+ * @param {Array<Object>} messages - Mensajes internos
+ * @returns {Array<Object>} Mensajes solo con roles system/user/assistant
+ */
+function toPromptMessages(messages = []) {
+  return messages.map(msg => {
+    if (msg.role === 'tool') {
+      return {
+        role: 'user',
+        content: `Tool result for ${msg.name} (${msg.toolCallId}):\n${msg.content}`
+      };
+    }
+
+    if (msg.role === 'assistant' && msg.toolCalls?.length > 0) {
+      const blocks = msg.toolCalls
+        .map(call => `<tool_call>${JSON.stringify({ name: call.name, arguments: call.arguments })}</tool_call>`)
+        .join('\n');
+
+      return {
+        role: 'assistant',
+        content: [msg.content, blocks].filter(Boolean).join('\n')
+      };
+    }
+
+    return msg;
+  });
+}
+
+/**
+ * Agregar instrucciones de herramientas al prompt del sistema (fallback por prompt)
+ * @param {Array<Object>} messages - Mensajes internos
+ * @param {Array<Object>} tools - Definiciones unificadas
+ * @returns {Array<Object>} Mensajes con instrucciones de herramientas
+ */
+function injectToolPrompt(messages = [], tools = []) {
+  const toolPrompt = buildToolPrompt(tools);
+  const promptMessages = toPromptMessages(messages);
+  const systemIndex = promptMessages.findIndex(msg => msg.role === 'system');
+
+  if (systemIndex === -1) {
+    return [{ role: 'system', content: toolPrompt }, ...promptMessages];
+  }
+
+  return promptMessages.map((msg, index) => (
+    index === systemIndex ? { ...msg, content: `${msg.content}\n\n${toolPrompt}` } : msg
+  ));
+}
+
+/**
+ * Extraer llamadas a herramientas de una respuesta de texto (fallback por prompt)
+ * @param {string} content - Texto generado
+ * @returns {Object} Contenido sin bloques y llamadas encontradas
+ */
+function parseToolCallsFromText(content = '') {
+  const toolCalls = [];
+
+  for (const match of content.matchAll(TOOL_CALL_BLOCK_REGEX)) {
+    try {
+      const parsed = JSON.parse(match[1].trim());
+      if (parsed.name) {
+        toolCalls.push({
+          id: `call_${toolCalls.length + 1}`,
+          name: parsed.name,
+          arguments: parseToolArguments(parsed.arguments)
+        });
+      }
+    } catch {
+      // Bloque mal formado: se deja como texto
+    }
+  }
+
+  return {
+    content: toolCalls.length > 0 ? content.replace(TOOL_CALL_BLOCK_REGEX, '').trim() : content,
+    toolCalls
+  };
+}
+
+module.exports = {
+  parseToolArguments,
+  toOpenAITools,
+  toGeminiTools,
+  toOpenAIMessages,
+  fromOpenAIToolCalls,
+  buildToolPrompt,
+  toPromptMessages,
+  injectToolPrompt,
+  parseToolCallsFromText
+};
@@ -10,6 +10,11 @@ const logger = require('./config/logger');
 
 // 🚨 IMPORTAR RUTAS (ESTO ES LO QUE FALTABA)
 const apiRoutes = require('./routes/index');
+const aiRoutes = require('./routes/ai');
+const projectRoutes = require('./routes/project');
+const costRoutes = require('./routes/costs');
+const promptRoutes = require('./routes/prompts');
+const apiKeyRoutes = require('./routes/apiKeys');
 
 // Crear aplicación Express
 const app = express();
@@ -151,6 +156,13 @@ app.get('/api-docs', (req, res) => {
 // 🚨 CRÍTICO: REGISTRAR LAS RUTAS DE LA API
 app.use('/', apiRoutes);
 
+// Rutas autenticadas de la API v1 (cada ruta aplica authenticate)
+app.use('/api/v1/ai', aiRoutes);
+app.use('/api/v1/projects', projectRoutes);
+app.use('/api/v1/costs', costRoutes);
+app.use('/api/v1/prompts', promptRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+
 // =================================
 // 🚫 MANEJO DE ERRORES Y 404
 // =================================
@@ -169,7 +181,12 @@ app.use('*', (req, res) => {
       'GET /api-docs': 'API documentation', 
       'GET /': 'API information',
       'POST /ai/chat': 'AI chat endpoint',
-      'GET /ai/status': 'AI providers status'
+      'GET /ai/status': 'AI providers status',
+      'POST /api/v1/ai/chat': 'AI chat with persisted conversations',
+      'GET /api/v1/projects': 'Projects, files and agent runs',
+      'GET /api/v1/costs': 'Estimated AI costs',
+      'GET /api/v1/prompts': 'Prompt templates',
+      'GET /api/v1/api-keys': 'Personal provider API keys'
     },
     timestamp: new Date().toISOString()
   });
@@ -4,7 +4,7 @@
 
 import jwt from 'jsonwebtoken';
 import { cache } from './redis.js';
-import { log } from './logger.js';
+import log from './logger.js';
 
 /**
  * 🔧 Configuración JWT
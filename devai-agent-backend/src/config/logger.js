@@ -56,5 +56,8 @@ const loggingMiddleware = () => {
   };
 };
 
+// Eventos de seguridad (accesos denegados, tokens inválidos...)
+logger.security = (message, meta) => logger.warn(`🛡️ ${message}`, meta);
+
 module.exports = logger;
 module.exports.loggingMiddleware = loggingMiddleware;
\ No newline at end of file
@@ -8,7 +8,7 @@ import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
 import sharp from 'sharp';
 import { v4 as uuidv4 } from 'uuid';
-import { log } from './logger.js';
+import log from './logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -0,0 +1,318 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_AGENT_CONFIG, ERROR_MESSAGES } = require('../utils/constants');
+const agentService = require('../services/agentService');
+const aiService = require('../services/aiService');
+const streamService = require('../services/streamService');
+
+const prisma = new PrismaClient();
+
+// =================================
+// UTILIDADES
+// =================================
+
+const projectNotFound = (res) => res.status(404).json({
+  error: 'Project not found',
+  message: 'Project with specified ID does not exist or you do not have access'
+});
+
+const runNotFound = (res) => res.status(404).json({
+  error: 'Agent run not found',
+  message: 'Agent run with specified ID does not exist in this project'
+});
+
+const patchNotFound = (res) => res.status(404).json({
+  error: 'Patch not found',
+  message: 'Patch with specified ID does not exist in this agent run'
+});
+
+// Verificar que el proyecto pertenece al usuario
+const findProject = (projectId, userId) => prisma.project.findFirst({
+  where: { id: projectId, userId },
+  select: { id: true, name: true, description: true }
+});
+
+// Errores de decisión sobre parches → respuesta HTTP
+const PATCH_ERRORS = {
+  AGENT_RUN_IN_PROGRESS: { status: 409, error: 'Agent run in progress' },
+  AGENT_PATCH_NOT_PENDING: { status: 409, error: 'Patch already decided' },
+  AGENT_PATCH_CONFLICT: { status: 409, error: 'Patch conflict' }
+};
+
+const sseHeaders = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  'Connection': 'keep-alive',
+  'Access-Control-Allow-Origin': '*'
+};
+
+// =================================
+// CONTROLADORES DEL MODO AGENTE
+// =================================
+
+/**
+ * @desc    Iniciar una ejecución del agente sobre el proyecto (con stream, responde por SSE)
+ * @route   POST /api/v1/projects/:id/agent/runs
+ * @access  Private
+ */
+const startAgentRun = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      goal,
+      provider = 'gemini',
+      model = 'gemini-pro',
+      maxSteps = AI_AGENT_CONFIG.defaultMaxSteps,
+      stream = false
+    } = req.body;
+
+    if (!AI_AGENT_CONFIG.enabled) {
+      return res.status(503).json({
+        error: 'Agent mode disabled',
+        message: 'Agent mode is not enabled on this server'
+      });
+    }
+
+    const project = await findProject(req.params.id, userId);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    if (!await aiService.pickAvailableTarget([{ provider, model }], userId)) {
+      return res.status(400).json({
+        error: 'Provider not available',
+        message: `AI provider '${provider}' with model '${model}' is not configured or unavailable`
+      });
+    }
+
+    let run;
+    try {
+      run = await agentService.startRun({ userId, project, goal: goal.trim(), provider, model, maxSteps });
+    } catch (error) {
+      if (error.code === 'AGENT_RUN_LIMIT') {
+        return res.status(429).json({
+          error: 'Too many agent runs',
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    if (!stream) {
+      return res.status(202).json({
+        message: 'Agent run started',
+        run,
+        streamUrl: `/api/v1/projects/${project.id}/agent/runs/${run.id}/stream`
+      });
+    }
+
+    // La ejecución sigue aunque el cliente se desconecte: puede reconectarse al stream
+    res.writeHead(200, sseHeaders);
+    await streamService.attach(res, run.id);
+
+  } catch (error) {
+    logger.error('Start agent run error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to start agent run',
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+      });
+    } else {
+      res.end();
+    }
+  }
+};
+
+/**
+ * @desc    Listar ejecuciones del agente del proyecto
+ * @route   GET /api/v1/projects/:id/agent/runs
+ * @access  Private
+ */
+const getAgentRuns = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const project = await findProject(req.params.id, userId);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = parseInt(req.query.offset) || 0;
+    const { runs, total } = await agentService.listRuns(project.id, userId, { limit, offset });
+
+    res.json({
+      runs,
+      pagination: { total, limit, offset }
+    });
+
+  } catch (error) {
+    logger.error('Get agent runs error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch agent runs',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Obtener una ejecución con su registro de pasos y parches
+ * @route   GET /api/v1/projects/:id/agent/runs/:runId
+ * @access  Private
+ */
+const getAgentRunById = async (req, res) => {
+  try {
+    const run = await agentService.getRun(req.params.runId, req.params.id, req.user.id);
+    if (!run) {
+      return runNotFound(res);
+    }
+
+    res.json({ run });
+
+  } catch (error) {
+    logger.error('Get agent run error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch agent run',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Conectarse (o reconectarse) al stream SSE de una ejecución desde Last-Event-ID
+ * @route   GET /api/v1/projects/:id/agent/runs/:runId/stream
+ * @access  Private
+ */
+const streamAgentRun = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const userId = req.user.id;
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+    const meta = await streamService.getMeta(runId);
+    if (!meta || meta.userId !== userId) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: 'There is no stream for this agent run or it has expired'
+      });
+    }
+
+    res.writeHead(200, sseHeaders);
+    await streamService.attach(res, runId, lastEventId);
+
+  } catch (error) {
+    logger.error('Agent run stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to stream agent run',
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+      });
+    } else {
+      res.end();
+    }
+  }
+};
+
+/**
+ * @desc    Cancelar una ejecución en curso (los parches propuestos se conservan)
+ * @route   POST /api/v1/projects/:id/agent/runs/:runId/cancel
+ * @access  Private
+ */
+const cancelAgentRun = async (req, res) => {
+  try {
+    const { runId } = req.params;
+    const userId = req.user.id;
+
+    const run = await prisma.agentRun.findFirst({
+      where: { id: runId, projectId: req.params.id, userId },
+      select: { id: true }
+    });
+    if (!run) {
+      return runNotFound(res);
+    }
+
+    if (!agentService.cancelRun(runId, userId)) {
+      return res.status(409).json({
+        error: 'Agent run not in progress',
+        message: 'This agent run has already finished'
+      });
+    }
+
+    // El loop se corta en el siguiente paso y cierra el stream con un evento 'cancelled'
+    res.status(202).json({
+      message: 'Agent run cancellation requested',
+      runId
+    });
+
+  } catch (error) {
+    logger.error('Cancel agent run error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel agent run',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * Responder a una decisión sobre un parche (aprobar o rechazar)
+ * @param {Function} decide - agentService.approvePatch o rejectPatch
+ * @param {string} action - Texto para los mensajes ('approve', 'reject')
+ * @returns {Function} Controlador
+ */
+const decidePatch = (decide, action) => async (req, res) => {
+  try {
+    const result = await decide({
+      runId: req.params.runId,
+      patchId: req.params.patchId,
+      projectId: req.params.id,
+      userId: req.user.id
+    });
+    if (!result) {
+      return patchNotFound(res);
+    }
+
+    res.json({
+      message: action === 'approve' ? 'Patch applied successfully' : 'Patch rejected',
+      ...(action === 'approve' ? result : { patch: result })
+    });
+
+  } catch (error) {
+    const known = PATCH_ERRORS[error.code];
+    if (known) {
+      return res.status(known.status).json({
+        error: known.error,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error(`Agent patch ${action} error:`, error);
+    res.status(500).json({
+      error: `Failed to ${action} patch`,
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Aprobar un parche: se aplica al archivo del proyecto (y se reindexa)
+ * @route   POST /api/v1/projects/:id/agent/runs/:runId/patches/:patchId/approve
+ * @access  Private
+ */
+const approveAgentPatch = decidePatch((ids) => agentService.approvePatch(ids), 'approve');
+
+/**
+ * @desc    Rechazar un parche propuesto
+ * @route   POST /api/v1/projects/:id/agent/runs/:runId/patches/:patchId/reject
+ * @access  Private
+ */
+const rejectAgentPatch = decidePatch((ids) => agentService.rejectPatch(ids), 'reject');
+
+module.exports = {
+  startAgentRun,
+  getAgentRuns,
+  getAgentRunById,
+  streamAgentRun,
+  cancelAgentRun,
+  approveAgentPatch,
+  rejectAgentPatch
+};
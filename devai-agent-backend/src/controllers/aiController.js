@@ -1,7 +1,23 @@
 const logger = require('../config/logger');
-const { MESSAGE_TYPES, MESSAGE_STATUS, AI_CONFIG, ERROR_MESSAGES } = require('../utils/constants');
+const { MESSAGE_TYPES, MESSAGE_STATUS, AI_CONFIG, AI_STREAM_CONFIG, AI_REPLAY_CONFIG, AI_INJECTION_GUARD_CONFIG, AI_SANDBOX_CONFIG, ERROR_MESSAGES } = require('../utils/constants');
 const conversationService = require('../services/conversationService');
 const messageService = require('../services/messageService');
+const circuitBreakerService = require('../services/circuitBreakerService');
+const schedulerService = require('../services/schedulerService');
+const aiService = require('../services/aiService');
+const contextService = require('../services/contextService');
+const generationService = require('../services/generationService');
+const streamService = require('../services/streamService');
+const costService = require('../services/costService');
+const promptService = require('../services/promptService');
+const apiKeyService = require('../services/apiKeyService');
+const ragService = require('../services/ragService');
+const embeddingService = require('../services/embeddingService');
+const attachmentService = require('../services/attachmentService');
+const titleService = require('../services/titleService');
+const suggestionService = require('../services/suggestionService');
+const sandboxService = require('../services/sandboxService');
+const injectionGuard = require('../ai/injectionGuard');
 
 // =================================
 // CONTROLADOR DE IA
@@ -75,6 +91,57 @@ const getProviders = async (req, res) => {
       }
     }
 
+    if (process.env.OPENAI_API_KEY) {
+      providers.openai = {
+        name: 'OpenAI',
+        available: true,
+        models: Object.keys(AI_CONFIG.MODELS.OPENAI || {}),
+        features: ['text', 'function-calling', 'json-mode'],
+        rateLimit: 'Depends on account tier'
+      };
+    }
+
+    if (process.env.OPENAI_COMPATIBLE_URL) {
+      try {
+        // Los servidores compatibles exponen sus modelos en GET /models
+        const fetch = require('node-fetch');
+        const baseUrl = process.env.OPENAI_COMPATIBLE_URL.replace(/\/+$/, '');
+        const response = await fetch(`${baseUrl}/models`, {
+          headers: process.env.OPENAI_COMPATIBLE_API_KEY
+            ? { 'Authorization': `Bearer ${process.env.OPENAI_COMPATIBLE_API_KEY}` }
+            : {},
+          timeout: 5000
+        });
+
+        if (response.ok) {
+          const models = await response.json();
+          providers['openai-compatible'] = {
+            name: process.env.OPENAI_COMPATIBLE_NAME || 'OpenAI Compatible',
+            available: true,
+            models: models.data?.map(m => m.id) || [],
+            features: ['local', 'openai-compatible'],
+            rateLimit: 'Depends on server configuration'
+          };
+        }
+      } catch (error) {
+        logger.warn('OpenAI-compatible server not available:', error.message);
+        providers['openai-compatible'] = {
+          name: process.env.OPENAI_COMPATIBLE_NAME || 'OpenAI Compatible',
+          available: false,
+          error: 'Service not reachable'
+        };
+      }
+    }
+
+    // Adjuntar estado del circuit breaker para que los clientes eviten proveedores caídos
+    for (const [name, info] of Object.entries(providers)) {
+      info.circuitBreaker = circuitBreakerService.getProviderState(name);
+      info.scheduler = schedulerService.getProviderState(name);
+      if (info.circuitBreaker.state === 'open') {
+        info.available = false;
+      }
+    }
+
     logger.info(`🤖 AI providers queried`, {
       userId: req.user.id,
       availableProviders: Object.keys(providers).filter(p => providers[p].available)
@@ -166,11 +233,18 @@ const chat = async (req, res) => {
     const {
       conversationId,
       message,
-      provider = 'gemini',
-      model = 'gemini-pro',
-      settings = {},
-      systemPrompt,
-      stream = false
+      provider: requestedProvider,
+      model: requestedModel,
+      settings: requestedSettings = {},
+      systemPrompt: requestedSystemPrompt,
+      templateId = null,
+      variables = {},
+      useProjectFiles = true,
+      stream = false,
+      suggestions: wantsSuggestions = true,
+      tools = false,
+      responseSchema = null,
+      attachments: attachmentIds = []
     } = req.body;
 
     // Validaciones básicas
@@ -195,6 +269,13 @@ const chat = async (req, res) => {
       });
     }
 
+    if (templateId && requestedSystemPrompt) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Use either templateId or systemPrompt, not both'
+      });
+    }
+
     // Verificar que la conversación existe y pertenece al usuario
     const conversation = await conversationService.findByIdAndUser(conversationId, userId);
     if (!conversation) {
@@ -204,22 +285,80 @@ const chat = async (req, res) => {
       });
     }
 
+    // Renderizar la plantilla de prompt (sus valores por defecto no pisan los de la petición)
+    let rendered = null;
+    if (templateId) {
+      try {
+        rendered = await promptService.renderTemplate(templateId, userId, variables);
+      } catch (error) {
+        if (error.code === 'PROMPT_VARIABLES_MISSING') {
+          return res.status(400).json({
+            error: 'Missing template variables',
+            message: error.message,
+            missing: error.missing
+          });
+        }
+        throw error;
+      }
+
+      if (!rendered) {
+        return res.status(404).json({
+          error: 'Prompt template not found',
+          message: 'Prompt template with specified ID does not exist or you do not have access'
+        });
+      }
+    }
+
+    const provider = requestedProvider || rendered?.provider || 'gemini';
+    const model = requestedModel || (!requestedProvider && rendered?.model) || 'gemini-pro';
+    const settings = { ...rendered?.settings, ...requestedSettings };
+    const systemPrompt = rendered?.systemPrompt || requestedSystemPrompt;
+
     // Verificar que el proveedor esté disponible
-    if (!await isProviderAvailable(provider)) {
+    if (!await isProviderAvailable(provider, userId)) {
       return res.status(400).json({
         error: 'Provider not available',
         message: `AI provider '${provider}' is not configured or unavailable`
       });
     }
 
+    // Imágenes adjuntas: solo para modelos con visión, validadas antes de guardar el mensaje
+    let loadedImages = { attachments: [], images: [] };
+    if (attachmentIds.length > 0) {
+      const clients = await aiService.getClientsForUser(userId);
+      if (!aiService.supportsVision(provider, model, clients)) {
+        return visionUnsupported(res, provider, model);
+      }
+
+      try {
+        loadedImages = await attachmentService.loadImages(userId, attachmentIds);
+      } catch (error) {
+        if (error.code === 'AI_ATTACHMENT_INVALID') {
+          return res.status(400).json({
+            error: 'Invalid attachment',
+            message: error.message,
+            fileId: error.fileId
+          });
+        }
+        throw error;
+      }
+    }
+
     // Crear mensaje del usuario
     const userMessage = await messageService.createMessage(conversationId, userId, {
       content: message.trim(),
       role: MESSAGE_TYPES.USER,
+      attachments: loadedImages.attachments,
       metadata: {
         provider,
         model,
-        settings
+        settings,
+        ...(rendered && {
+          promptTemplate: {
+            id: rendered.template.id,
+            version: rendered.template.version
+          }
+        })
       }
     });
 
@@ -227,24 +366,51 @@ const chat = async (req, res) => {
     const assistantMessage = await messageService.createMessage(conversationId, userId, {
       content: '',
       role: MESSAGE_TYPES.ASSISTANT,
+      status: MESSAGE_STATUS.PROCESSING,
+      parentMessageId: userMessage.id,
       metadata: {
         provider,
         model,
-        status: MESSAGE_STATUS.PROCESSING,
         parentMessageId: userMessage.id
       }
     });
 
+    // Registrar la generación para poder cancelarla (endpoint de cancelación o desconexión del cliente)
+    const generation = generationService.start(assistantMessage.id, userId, conversationId);
+    res.on('close', () => {
+      if (res.writableFinished) return;
+
+      // Un stream se puede reanudar: solo se cancela si nadie se reconecta a tiempo
+      if (stream) {
+        cancelIfAbandoned(assistantMessage.id, userId);
+      } else {
+        generationService.cancel(assistantMessage.id, userId, 'client_disconnected');
+      }
+    });
+
     try {
-      // Obtener historial de la conversación para contexto
-      const conversationHistory = await getConversationHistory(conversationId, 20);
-      
       // Preparar configuración de IA
       const aiSettings = {
         ...AI_CONFIG.DEFAULT_SETTINGS,
         ...settings
       };
 
+      // En conversaciones de un proyecto, agregar los fragmentos de archivos relevantes al mensaje
+      const retrieval = useProjectFiles
+        ? await retrieveProjectContext(conversation, message.trim(), systemPrompt || conversation.systemPrompt, model, generation.signal)
+        : { systemPrompt: systemPrompt || conversation.systemPrompt, citations: [] };
+
+      // Ajustar el historial a la ventana de contexto del modelo (con resumen de mensajes antiguos)
+      const context = await contextService.buildContext({
+        conversationId,
+        userId,
+        provider,
+        model,
+        systemPrompt: retrieval.systemPrompt,
+        settings: aiSettings,
+        images: { [userMessage.id]: loadedImages.images }
+      });
+
       // Generar respuesta de IA
       let aiResponse;
       if (stream) {
@@ -256,18 +422,39 @@ const chat = async (req, res) => {
           'Access-Control-Allow-Origin': '*'
         });
 
+        // Los eventos se guardan con IDs secuenciales para poder reanudar con Last-Event-ID
+        await streamService.open(assistantMessage.id, { userId, conversationId });
+        await streamService.attach(res, assistantMessage.id);
+        streamService.push(assistantMessage.id, 'start', { messageId: assistantMessage.id });
+
         aiResponse = await generateStreamingResponse({
           provider,
           model,
-          messages: conversationHistory,
-          systemPrompt: systemPrompt || conversation.systemPrompt,
+          messages: context.messages,
+          systemPrompt: context.systemPrompt,
           settings: aiSettings,
+          tools,
+          responseSchema,
+          userId,
+          conversationId,
+          projectId: conversation.projectId,
+          signal: generation.signal,
           onChunk: (chunk) => {
-            res.write(`data: ${JSON.stringify({ type: 'chunk', content: chunk })}\n\n`);
+            generationService.appendPartial(assistantMessage.id, chunk);
+            streamService.push(assistantMessage.id, 'chunk', { content: chunk });
+          },
+          // Razonamiento <think> de los modelos que lo emiten, como evento aparte de la respuesta
+          onThinking: (chunk) => {
+            streamService.push(assistantMessage.id, 'thinking', { content: chunk });
           },
+          // El stream se cierra después de las sugerencias de seguimiento
           onComplete: (fullResponse) => {
-            res.write(`data: ${JSON.stringify({ type: 'complete', messageId: assistantMessage.id })}\n\n`);
-            res.end();
+            const guardReport = injectionGuard.mergeReports(retrieval.guard, fullResponse.injectionGuard);
+            streamService.push(assistantMessage.id, 'complete', {
+              messageId: assistantMessage.id,
+              ...(retrieval.citations.length > 0 && { citations: retrieval.citations }),
+              ...(guardReport && { injectionGuard: guardReport })
+            });
           }
         });
       } else {
@@ -275,30 +462,89 @@ const chat = async (req, res) => {
         aiResponse = await generateResponse({
           provider,
           model,
-          messages: conversationHistory,
-          systemPrompt: systemPrompt || conversation.systemPrompt,
-          settings: aiSettings
+          messages: context.messages,
+          systemPrompt: context.systemPrompt,
+          settings: aiSettings,
+          tools,
+          responseSchema,
+          userId,
+          conversationId,
+          projectId: conversation.projectId,
+          signal: generation.signal
         });
       }
 
+      // Riesgo de prompt injection del contenido de archivos usado (fragmentos del RAG y herramientas)
+      const guardReport = injectionGuard.mergeReports(retrieval.guard, aiResponse.injectionGuard);
+      if (guardReport?.score >= AI_INJECTION_GUARD_CONFIG.threshold) {
+        logger.warn('🛡️ Possible prompt injection in file content', {
+          userId,
+          conversationId,
+          messageId: assistantMessage.id,
+          score: guardReport.score,
+          sources: guardReport.segments.map(segment => segment.source)
+        });
+      }
+
+      // Sugerencias de seguimiento (paso opcional: si falla la respuesta se entrega sin ellas)
+      const suggestions = wantsSuggestions && !aiResponse.structured
+        ? await suggestionService.generate({
+          question: message.trim(),
+          answer: aiResponse.content,
+          userId,
+          conversationId,
+          fallback: { provider: aiResponse.provider, model: aiResponse.model },
+          signal: generation.signal
+        })
+        : [];
+
+      if (stream) {
+        if (suggestions.length > 0) {
+          streamService.push(assistantMessage.id, 'suggestions', { messageId: assistantMessage.id, suggestions });
+        }
+        streamService.end(assistantMessage.id, 'completed');
+      }
+
       // Actualizar mensaje del asistente con la respuesta
-      const updatedAssistantMessage = await messageService.updateMessage(
+      const updatedAssistantMessage = await messageService.updateAssistantMessage(
         assistantMessage.id,
         userId,
         {
           content: aiResponse.content,
+          status: MESSAGE_STATUS.COMPLETED,
+          thinking: aiResponse.thinking,
+          tokenCount: aiResponse.tokenCount,
+          promptTokens: aiResponse.usage.promptTokens,
+          completionTokens: aiResponse.usage.completionTokens,
+          totalTokens: aiResponse.usage.totalTokens,
+          estimatedCost: aiResponse.cost?.totalCost,
+          aiProvider: aiResponse.provider,
+          aiModel: aiResponse.model,
           metadata: {
             provider,
             model,
-            status: MESSAGE_STATUS.COMPLETED,
             tokenCount: aiResponse.tokenCount,
             usage: aiResponse.usage,
             responseTime: aiResponse.responseTime,
-            parentMessageId: userMessage.id
+            context: context.stats,
+            parentMessageId: userMessage.id,
+            ...(aiResponse.toolCalls?.length > 0 && { toolCalls: aiResponse.toolCalls }),
+            ...(aiResponse.structured && { structured: aiResponse.structured }),
+            ...(aiResponse.userKeyId && { userKeyId: aiResponse.userKeyId }),
+            ...(retrieval.citations.length > 0 && { citations: retrieval.citations }),
+            ...(guardReport && { injectionGuard: guardReport }),
+            ...(suggestions.length > 0 && { suggestions })
           }
         }
       );
 
+      // Título y preview generados por IA (tras la primera respuesta o si el tema cambió)
+      titleService.refreshInBackground({
+        conversationId,
+        userId,
+        fallback: { provider: aiResponse.provider, model: aiResponse.model }
+      });
+
       if (!stream) {
         logger.info(`🤖 AI chat response generated`, {
           userId,
@@ -314,26 +560,81 @@ const chat = async (req, res) => {
           message: 'Chat response generated successfully',
           userMessage,
           assistantMessage: updatedAssistantMessage,
-          usage: aiResponse.usage
+          ...(aiResponse.structured && { data: aiResponse.data }),
+          citations: retrieval.citations,
+          suggestions,
+          usage: aiResponse.usage,
+          cost: aiResponse.cost
         });
       }
 
     } catch (aiError) {
+      if (aiError.code === 'AI_REQUEST_CANCELLED' || generation.signal.aborted) {
+        return handleCancelledGeneration(req, res, {
+          generation,
+          stream,
+          userMessage,
+          provider,
+          model
+        });
+      }
+
       logger.error('AI response generation failed:', aiError);
 
       // Actualizar mensaje del asistente con error
-      await messageService.updateMessage(assistantMessage.id, userId, {
+      await messageService.updateAssistantMessage(assistantMessage.id, userId, {
         content: 'Sorry, I encountered an error while generating a response. Please try again.',
+        status: MESSAGE_STATUS.FAILED,
         metadata: {
           provider,
           model,
-          status: MESSAGE_STATUS.FAILED,
           error: aiError.message,
-          parentMessageId: userMessage.id
+          parentMessageId: userMessage.id,
+          ...(aiError.validationErrors && { validationErrors: aiError.validationErrors })
         }
       });
 
-      if (!stream) {
+      if (aiError.code === 'AI_KEY_LIMIT_EXCEEDED' && !res.headersSent) {
+        return res.status(429).json({
+          error: 'API key limit exceeded',
+          message: aiError.message,
+          userMessage,
+          assistantMessageId: assistantMessage.id
+        });
+      }
+
+      if (aiError.code === 'AI_PROVIDER_RATE_LIMITED' && !res.headersSent) {
+        res.set('Retry-After', String(Math.ceil(aiError.retryAfterMs / 1000)));
+        return res.status(429).json({
+          error: 'AI provider rate limited',
+          message: aiError.message,
+          retryAfterMs: aiError.retryAfterMs,
+          userMessage,
+          assistantMessageId: assistantMessage.id
+        });
+      }
+
+      if (aiError.code === 'AI_VISION_UNSUPPORTED' && !res.headersSent) {
+        return res.status(400).json({
+          error: 'Images not supported',
+          message: aiError.message,
+          userMessage,
+          assistantMessageId: assistantMessage.id
+        });
+      }
+
+      if (aiError.code === 'AI_STRUCTURED_OUTPUT_INVALID' && !res.headersSent) {
+        return res.status(422).json({
+          error: 'Invalid structured output',
+          message: aiError.message,
+          validationErrors: aiError.validationErrors,
+          userMessage,
+          assistantMessageId: assistantMessage.id
+        });
+      }
+
+      // Si falló antes de abrir el stream (ej: al preparar el contexto) se responde con JSON
+      if (!stream || !res.headersSent) {
         res.status(500).json({
           error: 'AI response generation failed',
           message: 'The AI service encountered an error. Please try again.',
@@ -341,9 +642,17 @@ const chat = async (req, res) => {
           assistantMessageId: assistantMessage.id
         });
       } else {
-        res.write(`data: ${JSON.stringify({ type: 'error', error: 'AI response generation failed' })}\n\n`);
-        res.end();
+        streamService.push(assistantMessage.id, 'error', {
+          error: 'AI response generation failed',
+          ...(['AI_KEY_LIMIT_EXCEEDED', 'AI_PROVIDER_RATE_LIMITED', 'AI_VISION_UNSUPPORTED'].includes(aiError.code) && {
+            code: aiError.code,
+            message: aiError.message
+          })
+        });
+        streamService.end(assistantMessage.id, 'failed');
       }
+    } finally {
+      generationService.finish(assistantMessage.id);
     }
 
   } catch (error) {
@@ -355,6 +664,327 @@ const chat = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Comparar la respuesta de varios proveedor/modelo al mismo prompt
+ * @route   POST /api/v1/ai/compare
+ * @access  Private
+ */
+const compare = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      message,
+      targets,
+      systemPrompt,
+      settings = {},
+      stream = false
+    } = req.body;
+
+    const aiSettings = {
+      ...AI_CONFIG.DEFAULT_SETTINGS,
+      ...settings
+    };
+
+    // Cancelar todos los destinos si el cliente se desconecta
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    const options = {
+      targets,
+      messages: [{ role: MESSAGE_TYPES.USER, content: message.trim() }],
+      systemPrompt,
+      settings: aiSettings,
+      userId,
+      signal: controller.signal
+    };
+
+    const startTime = Date.now();
+
+    if (stream) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+      });
+
+      const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+      send({ type: 'start', targets });
+
+      // Un solo stream multiplexado: cada evento indica a qué destino pertenece
+      const results = await aiService.compareResponses(options, {
+        onChunk: (index, target, chunk) => send({ type: 'chunk', index, provider: target.provider, model: target.model, content: chunk }),
+        onResult: (index, result) => send({ type: 'result', index, ...result })
+      });
+
+      send({ type: 'complete', totalTime: Date.now() - startTime, summary: summarizeComparison(results) });
+      res.end();
+      return;
+    }
+
+    const results = await aiService.compareResponses(options);
+
+    logger.info(`⚖️ AI comparison completed`, {
+      userId,
+      targets: targets.map(t => `${t.provider}/${t.model}`),
+      totalTime: Date.now() - startTime
+    });
+
+    res.json({
+      message: 'Comparison completed',
+      results,
+      totalTime: Date.now() - startTime,
+      summary: summarizeComparison(results)
+    });
+
+  } catch (error) {
+    logger.error('AI compare error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Comparison failed',
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+      });
+    } else {
+      res.write(`data: ${JSON.stringify({ type: 'error', error: 'Comparison failed' })}\n\n`);
+      res.end();
+    }
+  }
+};
+
+/**
+ * @desc    Generar embeddings de uno o varios textos
+ * @route   POST /api/v1/ai/embeddings
+ * @access  Private
+ */
+const createEmbeddings = async (req, res) => {
+  try {
+    const { input, model } = req.body;
+    const texts = Array.isArray(input) ? input : [input];
+
+    if (!embeddingService.isAvailable()) {
+      return res.status(503).json({
+        error: 'Embeddings unavailable',
+        message: 'No embeddings provider is configured'
+      });
+    }
+
+    const result = await embeddingService.embed(texts, { ...(model && { model }) });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Create embeddings error:', error);
+    res.status(502).json({
+      error: 'Embeddings generation failed',
+      message: 'The embeddings provider encountered an error. Please try again.'
+    });
+  }
+};
+
+/**
+ * @desc    Cancelar la generación en curso de un mensaje del asistente
+ * @route   POST /api/v1/ai/chat/:messageId/cancel
+ * @access  Private
+ */
+const cancelGeneration = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+
+    const message = await messageService.findByIdAndUser(messageId, userId);
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message with specified ID does not exist or you do not have access'
+      });
+    }
+
+    const generation = generationService.cancel(messageId, userId, 'user');
+    if (!generation) {
+      return res.status(409).json({
+        error: 'Generation not in progress',
+        message: 'There is no AI generation in progress for this message'
+      });
+    }
+
+    // La solicitud de chat original guarda el contenido parcial y responde al cliente
+    res.status(202).json({
+      message: 'Generation cancellation requested',
+      messageId,
+      partialLength: generation.partialContent.length
+    });
+
+  } catch (error) {
+    logger.error('Cancel generation error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel generation',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Reanudar el stream SSE de una respuesta (reenvía desde Last-Event-ID)
+ * @route   GET /api/v1/ai/chat/:messageId/stream
+ * @access  Private
+ */
+const resumeStream = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+    const meta = await streamService.getMeta(messageId);
+    if (!meta || meta.userId !== userId) {
+      return res.status(404).json({
+        error: 'Stream not found',
+        message: 'There is no resumable stream for this message or it has expired'
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+
+    res.on('close', () => {
+      if (!res.writableFinished && generationService.get(messageId)) {
+        cancelIfAbandoned(messageId, userId);
+      }
+    });
+
+    logger.info(`📡 AI stream resumed`, {
+      userId,
+      messageId,
+      conversationId: meta.conversationId,
+      lastEventId,
+      status: meta.status
+    });
+
+    await streamService.attach(res, messageId, lastEventId);
+
+  } catch (error) {
+    logger.error('Resume stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to resume stream',
+        message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+      });
+    } else {
+      res.end();
+    }
+  }
+};
+
+// Errores del sandbox → estado HTTP
+const SANDBOX_ERROR_STATUS = {
+  SANDBOX_LANGUAGE_UNSUPPORTED: 400,
+  SANDBOX_INVALID_CODE: 400,
+  SANDBOX_BUSY: 429,
+  SANDBOX_UNAVAILABLE: 503,
+  SANDBOX_RUNTIME_UNAVAILABLE: 503
+};
+
+/**
+ * @desc    Ejecutar un bloque de código del mensaje en el sandbox (el resultado se guarda en el mensaje)
+ * @route   POST /api/v1/ai/chat/:messageId/execute
+ * @access  Private
+ */
+const executeCode = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const userId = req.user.id;
+    const { blockIndex = null, code: editedCode = null, language: requestedLanguage = null } = req.body;
+
+    if (!sandboxService.isEnabled()) {
+      return res.status(503).json({
+        error: 'Code execution disabled',
+        message: 'Code execution is not enabled on this server'
+      });
+    }
+
+    const message = await messageService.findByIdAndUser(messageId, userId);
+    if (!message) {
+      return res.status(404).json({
+        error: 'Message not found',
+        message: 'Message with specified ID does not exist or you do not have access'
+      });
+    }
+
+    if (message.role !== MESSAGE_TYPES.ASSISTANT) {
+      return res.status(400).json({
+        error: 'Invalid message type',
+        message: 'Can only execute code from assistant messages'
+      });
+    }
+
+    // Sin índice se usa el primer bloque ejecutable; `code` permite correr una versión editada
+    const blocks = sandboxService.extractCodeBlocks(message.content);
+    const block = blockIndex === null ? blocks.find(candidate => candidate.runtime) : blocks[blockIndex];
+    if (!block && editedCode === null) {
+      return res.status(404).json({
+        error: 'Code block not found',
+        message: blockIndex === null
+          ? 'This message has no JavaScript or Python code blocks'
+          : `This message has no code block at index ${blockIndex}`
+      });
+    }
+
+    const language = requestedLanguage || block?.language;
+    const code = editedCode ?? block.code;
+    if (!language) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'Language is required to run code without a language tag'
+      });
+    }
+
+    let result;
+    try {
+      result = await sandboxService.execute({ language, code, userId });
+    } catch (error) {
+      const status = SANDBOX_ERROR_STATUS[error.code];
+      if (status) {
+        return res.status(status).json({
+          error: 'Code execution failed',
+          message: error.message,
+          code: error.code
+        });
+      }
+      throw error;
+    }
+
+    const execution = {
+      blockIndex: block ? block.index : null,
+      edited: !block || code !== block.code,
+      ...result
+    };
+
+    // Solo se conservan las últimas ejecuciones de cada mensaje
+    const executions = [...(message.metadata?.executions || []), execution].slice(-AI_SANDBOX_CONFIG.maxExecutionsPerMessage);
+    await messageService.updateAssistantMessage(messageId, userId, {
+      metadata: { executions }
+    });
+
+    res.json({
+      message: 'Code executed',
+      messageId,
+      execution
+    });
+
+  } catch (error) {
+    logger.error('Execute code error:', error);
+    res.status(500).json({
+      error: 'Failed to execute code',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
 /**
  * @desc    Regenerar respuesta de IA para un mensaje
  * @route   POST /api/v1/ai/regenerate/:messageId
@@ -390,49 +1020,105 @@ const regenerateResponse = async (req, res) => {
     const selectedModel = model || message.metadata?.model || 'gemini-pro';
 
     // Verificar disponibilidad del proveedor
-    if (!await isProviderAvailable(selectedProvider)) {
+    if (!await isProviderAvailable(selectedProvider, userId)) {
       return res.status(400).json({
         error: 'Provider not available',
         message: `AI provider '${selectedProvider}' is not configured or unavailable`
       });
     }
 
+    // Reenviar las imágenes adjuntas del mensaje del usuario que originó la respuesta
+    const parentMessageId = message.parentMessageId || message.metadata?.parentMessageId;
+    const parentMessage = parentMessageId
+      ? await messageService.findByIdAndUser(parentMessageId, userId)
+      : null;
+    const parentAttachments = Array.isArray(parentMessage?.attachments) ? parentMessage.attachments : [];
+
+    let images = {};
+    if (parentAttachments.length > 0) {
+      const clients = await aiService.getClientsForUser(userId);
+      if (!aiService.supportsVision(selectedProvider, selectedModel, clients)) {
+        return visionUnsupported(res, selectedProvider, selectedModel);
+      }
+
+      try {
+        const loaded = await attachmentService.loadImages(userId, parentAttachments.map(a => a.fileId));
+        images = { [parentMessage.id]: loaded.images };
+      } catch (error) {
+        if (error.code === 'AI_ATTACHMENT_INVALID') {
+          return res.status(400).json({
+            error: 'Invalid attachment',
+            message: error.message,
+            fileId: error.fileId
+          });
+        }
+        throw error;
+      }
+    }
+
     // Marcar mensaje como procesando
-    await messageService.updateMessage(messageId, userId, {
+    await messageService.updateAssistantMessage(messageId, userId, {
+      status: MESSAGE_STATUS.PROCESSING,
       metadata: {
-        ...message.metadata,
-        status: MESSAGE_STATUS.PROCESSING,
         regeneratedAt: new Date().toISOString()
       }
     });
 
+    // Registrar la generación para poder cancelarla (endpoint de cancelación o desconexión del cliente)
+    const generation = generationService.start(messageId, userId, conversationId);
+    res.on('close', () => {
+      if (!res.writableFinished) {
+        generationService.cancel(messageId, userId, 'client_disconnected');
+      }
+    });
+
     try {
-      // Obtener historial hasta el mensaje anterior
-      const conversationHistory = await getConversationHistory(conversationId, 20, messageId);
-      
       // Configuración de IA
       const aiSettings = {
         ...AI_CONFIG.DEFAULT_SETTINGS,
         ...settings
       };
 
+      // Historial sin el mensaje a regenerar, ajustado a la ventana de contexto
+      const context = await contextService.buildContext({
+        conversationId,
+        userId,
+        provider: selectedProvider,
+        model: selectedModel,
+        systemPrompt: message.conversation.systemPrompt,
+        settings: aiSettings,
+        excludeMessageId: messageId,
+        images
+      });
+
       // Generar nueva respuesta
       const aiResponse = await generateResponse({
         provider: selectedProvider,
         model: selectedModel,
-        messages: conversationHistory,
-        systemPrompt: message.conversation.systemPrompt,
-        settings: aiSettings
+        messages: context.messages,
+        systemPrompt: context.systemPrompt,
+        settings: aiSettings,
+        userId,
+        conversationId,
+        signal: generation.signal
       });
 
       // Actualizar mensaje con nueva respuesta
-      const updatedMessage = await messageService.updateMessage(messageId, userId, {
+      const updatedMessage = await messageService.updateAssistantMessage(messageId, userId, {
         content: aiResponse.content,
+        status: MESSAGE_STATUS.COMPLETED,
+        // Vaciar el razonamiento anterior si el nuevo modelo no emite <think>
+        thinking: aiResponse.thinking || '',
+        tokenCount: aiResponse.tokenCount,
+        promptTokens: aiResponse.usage.promptTokens,
+        completionTokens: aiResponse.usage.completionTokens,
+        totalTokens: aiResponse.usage.totalTokens,
+        estimatedCost: aiResponse.cost?.totalCost,
+        aiProvider: aiResponse.provider,
+        aiModel: aiResponse.model,
         metadata: {
-          ...message.metadata,
           provider: selectedProvider,
           model: selectedModel,
-          status: MESSAGE_STATUS.COMPLETED,
           tokenCount: aiResponse.tokenCount,
           usage: aiResponse.usage,
           responseTime: aiResponse.responseTime,
@@ -451,25 +1137,56 @@ const regenerateResponse = async (req, res) => {
       res.json({
         message: 'Response regenerated successfully',
         data: updatedMessage,
-        usage: aiResponse.usage
+        usage: aiResponse.usage,
+        cost: aiResponse.cost
       });
 
     } catch (aiError) {
+      if (aiError.code === 'AI_REQUEST_CANCELLED' || generation.signal.aborted) {
+        // La respuesta anterior se conserva tal como estaba
+        const restoredMessage = await messageService.updateAssistantMessage(messageId, userId, {
+          status: message.status,
+          metadata: {
+            cancelReason: generation.cancelReason || 'client_disconnected',
+            regenerationCancelledAt: new Date().toISOString()
+          }
+        });
+
+        logger.info(`🛑 AI regeneration cancelled`, { userId, messageId, conversationId });
+
+        if (!res.writableEnded && !res.destroyed) {
+          res.json({
+            message: 'Response regeneration cancelled',
+            cancelled: true,
+            data: restoredMessage
+          });
+        }
+        return;
+      }
+
       logger.error('AI regeneration failed:', aiError);
 
-      await messageService.updateMessage(messageId, userId, {
+      await messageService.updateAssistantMessage(messageId, userId, {
+        status: MESSAGE_STATUS.FAILED,
         metadata: {
-          ...message.metadata,
-          status: MESSAGE_STATUS.FAILED,
           error: aiError.message,
           regenerationFailedAt: new Date().toISOString()
         }
       });
 
+      if (aiError.code === 'AI_VISION_UNSUPPORTED') {
+        return res.status(400).json({
+          error: 'Images not supported',
+          message: aiError.message
+        });
+      }
+
       res.status(500).json({
         error: 'Response regeneration failed',
         message: 'The AI service encountered an error. Please try again.'
       });
+    } finally {
+      generationService.finish(messageId);
     }
 
   } catch (error) {
@@ -486,9 +1203,28 @@ const regenerateResponse = async (req, res) => {
 // =================================
 
 /**
- * Verificar si un proveedor está disponible
+ * Responder que el modelo elegido no acepta imágenes adjuntas
+ */
+function visionUnsupported(res, provider, model) {
+  return res.status(400).json({
+    error: 'Images not supported',
+    message: `Model '${model}' of provider '${provider}' does not support image attachments. Choose a vision model (e.g. gemini-1.5-flash or llava).`
+  });
+}
+
+/**
+ * Verificar si un proveedor está disponible (con la key del servidor o una API key del usuario)
  */
-async function isProviderAvailable(provider) {
+async function isProviderAvailable(provider, userId = null) {
+  if (userId && await apiKeyService.findUsableKey(userId, provider)) {
+    return true;
+  }
+
+  // Con fixtures grabados los proveedores no necesitan API key
+  if (AI_REPLAY_CONFIG.mode === 'replay') {
+    return aiService.isProviderAvailable(provider);
+  }
+
   switch (provider) {
     case 'gemini':
       return !!process.env.GEMINI_API_KEY;
@@ -498,11 +1234,37 @@ async function isProviderAvailable(provider) {
       return !!process.env.HUGGINGFACE_API_KEY;
     case 'ollama':
       return !!process.env.OLLAMA_URL;
+    case 'openai':
+      return !!process.env.OPENAI_API_KEY;
+    case 'openai-compatible':
+      return !!process.env.OPENAI_COMPATIBLE_URL;
     default:
       return false;
   }
 }
 
+/**
+ * Recuperar fragmentos de los archivos del proyecto de la conversación y agregarlos al prompt.
+ * Si no hay proyecto, índice o backend de embeddings, se sigue sin contexto adicional.
+ */
+async function retrieveProjectContext(conversation, query, systemPrompt, model, signal) {
+  if (!conversation.projectId || !ragService.isEnabled()) {
+    return { systemPrompt, citations: [] };
+  }
+
+  try {
+    const chunks = await ragService.retrieve(conversation.projectId, query, { signal });
+    return ragService.injectContext(systemPrompt, chunks, model);
+  } catch (error) {
+    logger.warn('⚠️ Project file retrieval failed, answering without it', {
+      conversationId: conversation.id,
+      projectId: conversation.projectId,
+      error: error.message
+    });
+    return { systemPrompt, citations: [] };
+  }
+}
+
 /**
  * Verificar si un modelo está disponible
  */
@@ -515,88 +1277,116 @@ async function isModelAvailable(provider, model) {
 }
 
 /**
- * Obtener historial de conversación para contexto
+ * Resumir una comparación: destinos completados, más rápido y más barato
  */
-async function getConversationHistory(conversationId, limit = 20, excludeMessageId = null) {
-  try {
-    const { PrismaClient } = require('@prisma/client');
-    const prisma = new PrismaClient();
+function summarizeComparison(results) {
+  const completed = results.filter(result => result.status === 'completed');
+  const pick = (compareFn) => {
+    const best = [...completed].sort(compareFn)[0];
+    return best ? { provider: best.provider, model: best.model } : null;
+  };
 
-    const messages = await prisma.message.findMany({
-      where: {
-        conversationId,
-        ...(excludeMessageId && { id: { not: excludeMessageId } })
-      },
-      orderBy: { createdAt: 'desc' },
-      take: limit,
-      select: {
-        role: true,
-        content: true,
-        createdAt: true
-      }
-    });
+  return {
+    completed: completed.length,
+    failed: results.length - completed.length,
+    fastest: pick((a, b) => a.latencyMs - b.latencyMs),
+    cheapest: pick((a, b) => (a.cost?.totalCost || 0) - (b.cost?.totalCost || 0)),
+    totalCost: costService.sumCosts(completed.map(result => result.cost)).totalCost
+  };
+}
 
-    return messages.reverse(); // Orden cronológico
-  } catch (error) {
-    logger.error('Error getting conversation history:', error);
-    return [];
+/**
+ * Cancelar una generación en streaming si ningún cliente se reconecta dentro del margen
+ */
+function cancelIfAbandoned(messageId, userId) {
+  setTimeout(() => {
+    if (!streamService.hasClients(messageId)) {
+      generationService.cancel(messageId, userId, 'client_disconnected');
+    }
+  }, AI_STREAM_CONFIG.resumeGraceMs).unref();
+}
+
+/**
+ * Guardar el contenido parcial de una generación cancelada y avisar al cliente si sigue conectado
+ */
+async function handleCancelledGeneration(req, res, { generation, stream, userMessage, provider, model }) {
+  const { messageId, userId, partialContent } = generation;
+  const cancelReason = generation.cancelReason || 'client_disconnected';
+
+  const cancelledMessage = await messageService.updateAssistantMessage(messageId, userId, {
+    content: partialContent,
+    status: MESSAGE_STATUS.CANCELLED,
+    metadata: {
+      provider,
+      model,
+      cancelReason,
+      cancelledAt: new Date().toISOString(),
+      parentMessageId: userMessage.id
+    }
+  });
+
+  logger.info(`🛑 AI chat response cancelled`, {
+    userId,
+    conversationId: generation.conversationId,
+    messageId,
+    reason: cancelReason,
+    partialLength: partialContent.length
+  });
+
+  if (stream) {
+    streamService.push(messageId, 'cancelled', { messageId, reason: cancelReason });
+    streamService.end(messageId, 'cancelled');
+    return;
+  }
+
+  // Si el cliente se desconectó no hay a quién responder
+  if (!res.writableEnded && !res.destroyed) {
+    res.json({
+      message: 'Chat response cancelled',
+      cancelled: true,
+      userMessage,
+      assistantMessage: cancelledMessage
+    });
   }
 }
 
 /**
- * Generar respuesta de IA (función mock - implementar con proveedores reales)
+ * Generar respuesta de IA a través de AIService
  */
-async function generateResponse({ provider, model, messages, systemPrompt, settings }) {
-  // Esta es una implementación mock
-  // En la implementación real, aquí se haría la llamada al proveedor de IA correspondiente
-  
-  const startTime = Date.now();
-  
-  // Simular tiempo de respuesta
-  await new Promise(resolve => setTimeout(resolve, 1000 + Math.random() * 2000));
-  
-  const responseTime = Date.now() - startTime;
-  const mockResponse = `This is a mock response from ${provider} using model ${model}. In a real implementation, this would be the actual AI response based on the conversation history and system prompt.`;
-  
-  return {
-    content: mockResponse,
-    tokenCount: Math.ceil(mockResponse.length / 4),
-    usage: {
-      promptTokens: messages.reduce((acc, msg) => acc + Math.ceil(msg.content.length / 4), 0),
-      completionTokens: Math.ceil(mockResponse.length / 4),
-      totalTokens: Math.ceil(mockResponse.length / 4) + messages.reduce((acc, msg) => acc + Math.ceil(msg.content.length / 4), 0)
-    },
-    responseTime
-  };
+async function generateResponse({ provider, model, messages, systemPrompt, settings, tools = false, responseSchema = null, userId, conversationId, projectId, signal = null }) {
+  return aiService.generateResponse({
+    provider,
+    model,
+    messages,
+    systemPrompt,
+    settings,
+    tools,
+    responseSchema,
+    toolContext: { projectId },
+    userId,
+    conversationId,
+    signal
+  });
 }
 
 /**
- * Generar respuesta de IA con streaming (función mock)
+ * Generar respuesta de IA con streaming a través de AIService
  */
-async function generateStreamingResponse({ provider, model, messages, systemPrompt, settings, onChunk, onComplete }) {
-  const mockResponse = `This is a streaming mock response from ${provider} using model ${model}. `;
-  const chunks = mockResponse.split(' ');
-  
-  let fullResponse = '';
-  
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i] + (i < chunks.length - 1 ? ' ' : '');
-    fullResponse += chunk;
-    onChunk(chunk);
-    await new Promise(resolve => setTimeout(resolve, 100)); // Simular streaming
-  }
-  
-  onComplete(fullResponse);
-  
-  return {
-    content: fullResponse,
-    tokenCount: Math.ceil(fullResponse.length / 4),
-    usage: {
-      promptTokens: messages.reduce((acc, msg) => acc + Math.ceil(msg.content.length / 4), 0),
-      completionTokens: Math.ceil(fullResponse.length / 4),
-      totalTokens: Math.ceil(fullResponse.length / 4) + messages.reduce((acc, msg) => acc + Math.ceil(msg.content.length / 4), 0)
-    }
-  };
+async function generateStreamingResponse({ provider, model, messages, systemPrompt, settings, tools = false, responseSchema = null, userId, conversationId, projectId, signal = null, onChunk, onThinking = null, onComplete }) {
+  return aiService.generateStreamingResponse({
+    provider,
+    model,
+    messages,
+    systemPrompt,
+    settings,
+    tools,
+    responseSchema,
+    toolContext: { projectId },
+    userId,
+    conversationId,
+    signal,
+    onThinking
+  }, onChunk, onComplete);
 }
 
 // =================================
@@ -607,5 +1397,10 @@ module.exports = {
   getProviders,
   getModels,
   chat,
+  compare,
+  createEmbeddings,
+  cancelGeneration,
+  resumeStream,
+  executeCode,
   regenerateResponse
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
 const redis = require('redis');
+const costService = require('../services/costService');
 
 class AnalyticsController {
     constructor() {
@@ -56,7 +57,9 @@ class AnalyticsController {
                     GROUP BY agent_type 
                     ORDER BY usage_count DESC 
                     LIMIT 5
-                `)
+                `),
+                // Costo estimado total y de hoy
+                costService.getCostTotals()
             ]);
 
             const metrics = {
@@ -67,6 +70,8 @@ class AnalyticsController {
                 totalMessages: parseInt(queries[4].rows[0].total_messages),
                 avgMessagesPerConversation: parseFloat(queries[5].rows[0].avg_messages_per_conversation) || 0,
                 topAgentTypes: queries[6].rows,
+                totalCost: queries[7].totalCost,
+                todayCost: queries[7].todayCost,
                 timestamp: new Date().toISOString()
             };
 
@@ -215,6 +220,24 @@ class AnalyticsController {
         }
     }
 
+    // Obtener costos estimados de IA por usuario, día, conversación y modelo
+    async getCostStats(req, res) {
+        try {
+            const { days = 30, userId } = req.query;
+            const periodDays = Math.min(365, Math.max(1, parseInt(days) || 30));
+
+            const costs = await costService.getCostStats({ days: periodDays, userId });
+
+            res.json({
+                ...costs,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            console.error('Error getting cost stats:', error);
+            res.status(500).json({ error: 'Error al obtener costos estimados' });
+        }
+    }
+
     // Obtener estadísticas detalladas de un usuario específico
     async getUserAnalytics(req, res) {
         try {
@@ -253,7 +276,9 @@ class AnalyticsController {
                         AVG(EXTRACT(EPOCH FROM (updated_at - created_at))) as avg_session_duration
                     FROM conversations 
                     WHERE user_id = $1
-                `, [userId])
+                `, [userId]),
+                // Costo estimado diario (últimos 30 días)
+                costService.getCostStats({ days: 30, userId })
             ]);
 
             if (queries[0].rows.length === 0) {
@@ -266,6 +291,8 @@ class AnalyticsController {
                 conversationsByAgentType: queries[2].rows,
                 monthlyActivity: queries[3].rows,
                 avgSessionDuration: parseFloat(queries[4].rows[0].avg_session_duration) || 0,
+                dailyCost: queries[5].byDay,
+                totalCost: queries[5].totalCost,
                 timestamp: new Date().toISOString()
             };
 
@@ -0,0 +1,145 @@
+const logger = require('../config/logger');
+const { ERROR_MESSAGES } = require('../utils/constants');
+const apiKeyService = require('../services/apiKeyService');
+
+// =================================
+// UTILIDADES
+// =================================
+
+// Error de Prisma por key repetida (@@unique([userId, provider]))
+const isDuplicateProviderError = (error) => error.code === 'P2002';
+
+const keyNotFound = (res) => res.status(404).json({
+  error: 'API key not found',
+  message: 'API key with specified ID does not exist or you do not have access'
+});
+
+const storageDisabled = (res) => res.status(503).json({
+  error: 'API key storage disabled',
+  message: 'Storing personal API keys is not enabled on this server'
+});
+
+// =================================
+// CONTROLADORES DE API KEYS
+// =================================
+
+/**
+ * @desc    Listar las API keys del usuario (sin el valor de la key)
+ * @route   GET /api/v1/api-keys
+ * @access  Private
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.getKeys(req.user.id);
+
+    res.json({
+      keys,
+      enabled: apiKeyService.isEnabled()
+    });
+
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Guardar una API key propia para un proveedor
+ * @route   POST /api/v1/api-keys
+ * @access  Private
+ */
+const createApiKey = async (req, res) => {
+  try {
+    if (!apiKeyService.isEnabled()) {
+      return storageDisabled(res);
+    }
+
+    const key = await apiKeyService.createKey(req.user.id, req.body);
+
+    res.status(201).json({
+      message: 'API key stored successfully',
+      key
+    });
+
+  } catch (error) {
+    if (isDuplicateProviderError(error)) {
+      return res.status(409).json({
+        error: 'API key already exists',
+        message: `You already have an API key for '${req.body.provider}'. Update it instead.`
+      });
+    }
+
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      error: 'Failed to store API key',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Actualizar una API key (nombre, estado, límites o rotar el valor)
+ * @route   PUT /api/v1/api-keys/:id
+ * @access  Private
+ */
+const updateApiKey = async (req, res) => {
+  try {
+    if (req.body.apiKey && !apiKeyService.isEnabled()) {
+      return storageDisabled(res);
+    }
+
+    const key = await apiKeyService.updateKey(req.params.id, req.user.id, req.body);
+    if (!key) {
+      return keyNotFound(res);
+    }
+
+    res.json({
+      message: 'API key updated successfully',
+      key
+    });
+
+  } catch (error) {
+    logger.error('Update API key error:', error);
+    res.status(500).json({
+      error: 'Failed to update API key',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Eliminar una API key
+ * @route   DELETE /api/v1/api-keys/:id
+ * @access  Private
+ */
+const deleteApiKey = async (req, res) => {
+  try {
+    const deleted = await apiKeyService.deleteKey(req.params.id, req.user.id);
+    if (!deleted) {
+      return keyNotFound(res);
+    }
+
+    res.json({ message: 'API key deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete API key error:', error);
+    res.status(500).json({
+      error: 'Failed to delete API key',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+// =================================
+// EXPORTAR CONTROLADORES
+// =================================
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey
+};
@@ -358,6 +358,8 @@ const updateConversation = async (req, res) => {
         });
       }
       updateData.title = title.trim();
+      // Un título editado a mano ya no se regenera automáticamente
+      updateData.titleSource = 'user';
     }
 
     if (description !== undefined) {
@@ -0,0 +1,56 @@
+const logger = require('../config/logger');
+const { ERROR_MESSAGES } = require('../utils/constants');
+const costService = require('../services/costService');
+
+// Días por defecto del resumen de costos
+const DEFAULT_COST_DAYS = 30;
+
+// =================================
+// CONTROLADORES DE COSTOS
+// =================================
+
+/**
+ * Responder con el resumen de costos (del usuario o de todo el equipo)
+ * @param {boolean} team - Incluir a todos los usuarios
+ * @returns {Function} Controlador
+ */
+const sendCostStats = (team) => async (req, res) => {
+  try {
+    const days = req.query.days || DEFAULT_COST_DAYS;
+    const costs = await costService.getCostStats({
+      days,
+      userId: team ? null : req.user.id
+    });
+
+    res.json({
+      ...costs,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Get cost stats error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch cost stats',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Costos estimados del usuario por día, modelo y conversación
+ * @route   GET /api/v1/costs
+ * @access  Private
+ */
+const getCostStats = sendCostStats(false);
+
+/**
+ * @desc    Costos estimados de todo el equipo, por miembro, día, modelo y conversación
+ * @route   GET /api/v1/costs/team
+ * @access  Private (admin)
+ */
+const getTeamCostStats = sendCostStats(true);
+
+module.exports = {
+  getCostStats,
+  getTeamCostStats
+};
@@ -0,0 +1,222 @@
+const logger = require('../config/logger');
+const { ERROR_MESSAGES } = require('../utils/constants');
+const aiService = require('../services/aiService');
+
+// =================================
+// UTILIDADES
+// =================================
+
+// Cliente de Ollama con gestión de modelos (no disponible si no está configurado o en modo replay)
+const getOllamaClient = () => {
+  const client = aiService.clients.get('ollama');
+  return client && typeof client.pullModel === 'function' ? client : null;
+};
+
+const ollamaUnavailable = (res) => res.status(503).json({
+  error: 'Ollama unavailable',
+  message: 'Ollama is not configured on this server'
+});
+
+// Errores de Ollama: modelo inexistente, servidor caído o fallo genérico
+const handleOllamaError = (res, error, action) => {
+  if (error.status === 404) {
+    return res.status(404).json({
+      error: 'Model not found',
+      message: 'The requested model is not installed in Ollama'
+    });
+  }
+
+  if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND' || error.code === 'ETIMEDOUT') {
+    return res.status(503).json({
+      error: 'Ollama unavailable',
+      message: 'Could not connect to the Ollama server'
+    });
+  }
+
+  logger.error(`Ollama ${action} error:`, error);
+  res.status(500).json({
+    error: `Failed to ${action}`,
+    message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+  });
+};
+
+// Formato de un modelo de /api/tags
+const formatModel = (model) => ({
+  name: model.name,
+  size: model.size,
+  digest: model.digest,
+  modifiedAt: model.modified_at,
+  details: model.details || {}
+});
+
+// Formato de un evento de progreso de /api/pull
+const formatProgress = (progress) => ({
+  status: progress.status,
+  ...(progress.digest && { digest: progress.digest }),
+  ...(progress.total && {
+    total: progress.total,
+    completed: progress.completed || 0,
+    percent: Math.round(((progress.completed || 0) / progress.total) * 100)
+  })
+});
+
+// =================================
+// CONTROLADORES DE MODELOS DE OLLAMA
+// =================================
+
+/**
+ * @desc    Listar los modelos instalados en Ollama
+ * @route   GET /api/v1/ai/ollama/models
+ * @access  Private
+ */
+const getOllamaModels = async (req, res) => {
+  const client = getOllamaClient();
+  if (!client) {
+    return ollamaUnavailable(res);
+  }
+
+  try {
+    const [models, systemInfo] = await Promise.all([
+      client.listModels(),
+      client.getSystemInfo()
+    ]);
+
+    res.json({
+      models: models.map(formatModel),
+      version: systemInfo?.version || null
+    });
+
+  } catch (error) {
+    handleOllamaError(res, error, 'list Ollama models');
+  }
+};
+
+/**
+ * @desc    Obtener los detalles de un modelo de Ollama
+ * @route   GET /api/v1/ai/ollama/models/:name
+ * @access  Private
+ */
+const getOllamaModel = async (req, res) => {
+  const client = getOllamaClient();
+  if (!client) {
+    return ollamaUnavailable(res);
+  }
+
+  try {
+    const details = await client.showModel(req.params.name);
+
+    res.json({
+      model: {
+        name: req.params.name,
+        details: details.details || {},
+        parameters: details.parameters || null,
+        template: details.template || null,
+        license: details.license || null,
+        modelInfo: details.model_info || {},
+        modifiedAt: details.modified_at || null
+      }
+    });
+
+  } catch (error) {
+    handleOllamaError(res, error, 'get Ollama model');
+  }
+};
+
+/**
+ * @desc    Descargar un modelo en Ollama con progreso por SSE
+ * @route   POST /api/v1/ai/ollama/models/pull
+ * @access  Private (Admin)
+ */
+const pullOllamaModel = async (req, res) => {
+  const client = getOllamaClient();
+  if (!client) {
+    return ollamaUnavailable(res);
+  }
+
+  const { name } = req.body;
+  const startTime = Date.now();
+
+  // Si el cliente se desconecta se corta la descarga
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+
+  const send = (event) => res.write(`data: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'start', model: name });
+
+  logger.info(`📥 Ollama model pull started: ${name}`, { userId: req.user.id });
+
+  try {
+    await client.pullModel(name, {
+      signal: controller.signal,
+      onProgress: (progress) => send({ type: 'progress', ...formatProgress(progress) })
+    });
+
+    logger.info(`✅ Ollama model pulled: ${name}`, {
+      userId: req.user.id,
+      duration: Date.now() - startTime
+    });
+
+    send({ type: 'complete', model: name, models: client.getAvailableModels() });
+    res.end();
+
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(`🛑 Ollama model pull cancelled: ${name}`, { userId: req.user.id });
+      return;
+    }
+
+    logger.error('Ollama pull error:', { model: name, error: error.message });
+    send({
+      type: 'error',
+      error: 'Failed to pull model',
+      message: error.details?.error || error.message
+    });
+    res.end();
+  }
+};
+
+/**
+ * @desc    Eliminar un modelo de Ollama
+ * @route   DELETE /api/v1/ai/ollama/models/:name
+ * @access  Private (Admin)
+ */
+const deleteOllamaModel = async (req, res) => {
+  const client = getOllamaClient();
+  if (!client) {
+    return ollamaUnavailable(res);
+  }
+
+  try {
+    await client.deleteModel(req.params.name);
+
+    logger.info(`🗑️ Ollama model deleted: ${req.params.name}`, { userId: req.user.id });
+
+    res.json({
+      message: 'Model deleted successfully',
+      models: client.getAvailableModels()
+    });
+
+  } catch (error) {
+    handleOllamaError(res, error, 'delete Ollama model');
+  }
+};
+
+// =================================
+// EXPORTAR CONTROLADORES
+// =================================
+
+module.exports = {
+  getOllamaModels,
+  getOllamaModel,
+  pullOllamaModel,
+  deleteOllamaModel
+};
@@ -0,0 +1,343 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { ERROR_MESSAGES } = require('../utils/constants');
+const { buildFileStats } = require('../services/fileService');
+const ragService = require('../services/ragService');
+
+const prisma = new PrismaClient();
+
+// =================================
+// UTILIDADES
+// =================================
+
+// Campos de archivo devueltos en listados (sin el contenido)
+const FILE_SUMMARY_FIELDS = {
+  id: true,
+  name: true,
+  path: true,
+  size: true,
+  type: true,
+  language: true,
+  lineCount: true,
+  indexedAt: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const projectNotFound = (res) => res.status(404).json({
+  error: 'Project not found',
+  message: 'Project with specified ID does not exist or you do not have access'
+});
+
+const fileNotFound = (res) => res.status(404).json({
+  error: 'File not found',
+  message: 'File with specified ID does not exist in this project'
+});
+
+// Verificar que el proyecto pertenece al usuario
+const findProject = (projectId, userId) => prisma.project.findFirst({
+  where: { id: projectId, userId },
+  select: { id: true }
+});
+
+// =================================
+// CONTROLADORES DE ARCHIVOS DE PROYECTO
+// =================================
+
+/**
+ * @desc    Listar archivos del proyecto
+ * @route   GET /api/v1/projects/:id/files
+ * @access  Private
+ */
+const getProjectFiles = async (req, res) => {
+  try {
+    const project = await findProject(req.params.id, req.user.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const files = await prisma.projectFile.findMany({
+      where: { projectId: project.id },
+      select: FILE_SUMMARY_FIELDS,
+      orderBy: { path: 'asc' }
+    });
+
+    res.json({
+      files,
+      rag: { enabled: ragService.isEnabled() }
+    });
+
+  } catch (error) {
+    logger.error('Get project files error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch project files',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Subir archivo al proyecto (se indexa para RAG en segundo plano)
+ * @route   POST /api/v1/projects/:id/files
+ * @access  Private
+ */
+const createProjectFile = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const project = await findProject(req.params.id, userId);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const { name, path: filePath = null, content } = req.body;
+    const stats = buildFileStats(name, content);
+
+    const [file] = await prisma.$transaction([
+      prisma.projectFile.create({
+        data: {
+          projectId: project.id,
+          name,
+          path: filePath || name,
+          content,
+          ...stats
+        }
+      }),
+      prisma.project.update({
+        where: { id: project.id },
+        data: {
+          totalFiles: { increment: 1 },
+          totalSize: { increment: stats.size },
+          totalLines: { increment: stats.lineCount }
+        }
+      })
+    ]);
+
+    ragService.indexFileInBackground(file);
+
+    logger.info(`📄 Project file uploaded: ${file.path}`, {
+      fileId: file.id,
+      projectId: project.id,
+      userId,
+      size: stats.size
+    });
+
+    const { content: _content, ...summary } = file;
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      file: summary,
+      indexing: ragService.isEnabled()
+    });
+
+  } catch (error) {
+    logger.error('Create project file error:', error);
+    res.status(500).json({
+      error: 'Failed to upload file',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Obtener archivo del proyecto con su contenido
+ * @route   GET /api/v1/projects/:id/files/:fileId
+ * @access  Private
+ */
+const getProjectFileById = async (req, res) => {
+  try {
+    const project = await findProject(req.params.id, req.user.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const file = await prisma.projectFile.findFirst({
+      where: { id: req.params.fileId, projectId: project.id },
+      include: { _count: { select: { chunks: true } } }
+    });
+    if (!file) {
+      return fileNotFound(res);
+    }
+
+    const { _count, indexedHash, ...fileData } = file;
+    res.json({
+      file: {
+        ...fileData,
+        chunks: _count.chunks
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get project file error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch file',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Actualizar archivo del proyecto (se reindexa si cambió el contenido)
+ * @route   PUT /api/v1/projects/:id/files/:fileId
+ * @access  Private
+ */
+const updateProjectFile = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const project = await findProject(req.params.id, userId);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const existing = await prisma.projectFile.findFirst({
+      where: { id: req.params.fileId, projectId: project.id }
+    });
+    if (!existing) {
+      return fileNotFound(res);
+    }
+
+    const { name = existing.name, path: filePath, content = existing.content } = req.body;
+    const stats = buildFileStats(name, content);
+
+    const [file] = await prisma.$transaction([
+      prisma.projectFile.update({
+        where: { id: existing.id },
+        data: {
+          name,
+          ...(filePath !== undefined && { path: filePath || name }),
+          content,
+          ...stats
+        }
+      }),
+      prisma.project.update({
+        where: { id: project.id },
+        data: {
+          totalSize: { increment: stats.size - existing.size },
+          totalLines: { increment: stats.lineCount - existing.lineCount }
+        }
+      })
+    ]);
+
+    // El nombre y la ruta también forman parte del texto indexado
+    const needsReindex = content !== existing.content || file.path !== existing.path || name !== existing.name;
+    if (needsReindex) {
+      ragService.indexFileInBackground({ ...file, indexedHash: null });
+    }
+
+    logger.info(`✏️ Project file updated: ${file.path}`, {
+      fileId: file.id,
+      projectId: project.id,
+      userId,
+      reindex: needsReindex
+    });
+
+    const { content: _content, ...summary } = file;
+    res.json({
+      message: 'File updated successfully',
+      file: summary,
+      indexing: needsReindex && ragService.isEnabled()
+    });
+
+  } catch (error) {
+    logger.error('Update project file error:', error);
+    res.status(500).json({
+      error: 'Failed to update file',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Eliminar archivo del proyecto (y sus fragmentos indexados)
+ * @route   DELETE /api/v1/projects/:id/files/:fileId
+ * @access  Private
+ */
+const deleteProjectFile = async (req, res) => {
+  try {
+    const project = await findProject(req.params.id, req.user.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    const existing = await prisma.projectFile.findFirst({
+      where: { id: req.params.fileId, projectId: project.id },
+      select: { id: true, path: true, size: true, lineCount: true }
+    });
+    if (!existing) {
+      return fileNotFound(res);
+    }
+
+    await prisma.$transaction([
+      prisma.projectFile.delete({ where: { id: existing.id } }),
+      prisma.project.update({
+        where: { id: project.id },
+        data: {
+          totalFiles: { decrement: 1 },
+          totalSize: { decrement: existing.size },
+          totalLines: { decrement: existing.lineCount }
+        }
+      })
+    ]);
+
+    logger.info(`🗑️ Project file deleted: ${existing.path}`, {
+      fileId: existing.id,
+      projectId: project.id,
+      userId: req.user.id
+    });
+
+    res.json({ message: 'File deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete project file error:', error);
+    res.status(500).json({
+      error: 'Failed to delete file',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Reindexar los archivos del proyecto para RAG
+ * @route   POST /api/v1/projects/:id/reindex
+ * @access  Private
+ */
+const reindexProject = async (req, res) => {
+  try {
+    const project = await findProject(req.params.id, req.user.id);
+    if (!project) {
+      return projectNotFound(res);
+    }
+
+    if (!ragService.isEnabled()) {
+      return res.status(503).json({
+        error: 'Embeddings unavailable',
+        message: 'Project file indexing is disabled or no embeddings provider is configured'
+      });
+    }
+
+    const result = await ragService.indexProject(project.id);
+
+    res.json({
+      message: 'Project files reindexed',
+      ...result
+    });
+
+  } catch (error) {
+    logger.error('Reindex project error:', error);
+    res.status(500).json({
+      error: 'Failed to reindex project',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+// =================================
+// EXPORTAR CONTROLADORES
+// =================================
+
+module.exports = {
+  getProjectFiles,
+  createProjectFile,
+  getProjectFileById,
+  updateProjectFile,
+  deleteProjectFile,
+  reindexProject
+};
@@ -0,0 +1,261 @@
+const logger = require('../config/logger');
+const { ERROR_MESSAGES } = require('../utils/constants');
+const promptService = require('../services/promptService');
+
+// =================================
+// UTILIDADES
+// =================================
+
+// Error de Prisma por nombre de plantilla repetido (@@unique([userId, name]))
+const isDuplicateNameError = (error) => error.code === 'P2002';
+
+const templateNotFound = (res) => res.status(404).json({
+  error: 'Prompt template not found',
+  message: 'Prompt template with specified ID does not exist or you do not have access'
+});
+
+const duplicateName = (res, name) => res.status(409).json({
+  error: 'Prompt template already exists',
+  message: `You already have a prompt template named '${name}'`
+});
+
+// =================================
+// CONTROLADORES DE PLANTILLAS DE PROMPTS
+// =================================
+
+/**
+ * @desc    Obtener plantillas de prompts del usuario
+ * @route   GET /api/v1/prompts
+ * @access  Private
+ */
+const getPrompts = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { search = '', page = 1, limit = 20 } = req.query;
+
+    const result = await promptService.getTemplates(userId, {
+      search,
+      page: Math.max(1, parseInt(page)),
+      limit: Math.min(100, Math.max(1, parseInt(limit)))
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('Get prompt templates error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch prompt templates',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Crear plantilla de prompt
+ * @route   POST /api/v1/prompts
+ * @access  Private
+ */
+const createPrompt = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const template = await promptService.createTemplate(userId, req.body);
+
+    res.status(201).json({
+      message: 'Prompt template created successfully',
+      template
+    });
+
+  } catch (error) {
+    if (isDuplicateNameError(error)) {
+      return duplicateName(res, req.body.name);
+    }
+
+    logger.error('Create prompt template error:', error);
+    res.status(500).json({
+      error: 'Failed to create prompt template',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Obtener plantilla de prompt por ID
+ * @route   GET /api/v1/prompts/:id
+ * @access  Private
+ */
+const getPromptById = async (req, res) => {
+  try {
+    const template = await promptService.findByIdAndUser(req.params.id, req.user.id);
+    if (!template) {
+      return templateNotFound(res);
+    }
+
+    res.json({ template });
+
+  } catch (error) {
+    logger.error('Get prompt template by ID error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch prompt template',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Actualizar plantilla de prompt (crea una nueva versión)
+ * @route   PUT /api/v1/prompts/:id
+ * @access  Private
+ */
+const updatePrompt = async (req, res) => {
+  try {
+    const template = await promptService.updateTemplate(req.params.id, req.user.id, req.body);
+    if (!template) {
+      return templateNotFound(res);
+    }
+
+    res.json({
+      message: 'Prompt template updated successfully',
+      template
+    });
+
+  } catch (error) {
+    if (isDuplicateNameError(error)) {
+      return duplicateName(res, req.body.name);
+    }
+
+    logger.error('Update prompt template error:', error);
+    res.status(500).json({
+      error: 'Failed to update prompt template',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Eliminar plantilla de prompt y su historial
+ * @route   DELETE /api/v1/prompts/:id
+ * @access  Private
+ */
+const deletePrompt = async (req, res) => {
+  try {
+    const deleted = await promptService.deleteTemplate(req.params.id, req.user.id);
+    if (!deleted) {
+      return templateNotFound(res);
+    }
+
+    res.json({ message: 'Prompt template deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete prompt template error:', error);
+    res.status(500).json({
+      error: 'Failed to delete prompt template',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Obtener historial de versiones de una plantilla
+ * @route   GET /api/v1/prompts/:id/versions
+ * @access  Private
+ */
+const getPromptVersions = async (req, res) => {
+  try {
+    const versions = await promptService.getVersions(req.params.id, req.user.id);
+    if (!versions) {
+      return templateNotFound(res);
+    }
+
+    res.json({ versions });
+
+  } catch (error) {
+    logger.error('Get prompt template versions error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch prompt template versions',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Restaurar una versión anterior de una plantilla
+ * @route   POST /api/v1/prompts/:id/versions/:version/restore
+ * @access  Private
+ */
+const restorePromptVersion = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    const template = await promptService.restoreVersion(req.params.id, req.user.id, version);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Prompt template version not found',
+        message: `Version ${version} does not exist for this prompt template or you do not have access`
+      });
+    }
+
+    res.json({
+      message: `Prompt template restored from version ${version}`,
+      template
+    });
+
+  } catch (error) {
+    if (isDuplicateNameError(error)) {
+      return res.status(409).json({
+        error: 'Prompt template already exists',
+        message: 'Another prompt template already uses the name of the restored version'
+      });
+    }
+
+    logger.error('Restore prompt template version error:', error);
+    res.status(500).json({
+      error: 'Failed to restore prompt template version',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+/**
+ * @desc    Previsualizar una plantilla renderizada con variables
+ * @route   POST /api/v1/prompts/:id/render
+ * @access  Private
+ */
+const renderPrompt = async (req, res) => {
+  try {
+    const rendered = await promptService.renderTemplate(req.params.id, req.user.id, req.body.variables);
+    if (!rendered) {
+      return templateNotFound(res);
+    }
+
+    res.json(rendered);
+
+  } catch (error) {
+    if (error.code === 'PROMPT_VARIABLES_MISSING') {
+      return res.status(400).json({
+        error: 'Missing template variables',
+        message: error.message,
+        missing: error.missing
+      });
+    }
+
+    logger.error('Render prompt template error:', error);
+    res.status(500).json({
+      error: 'Failed to render prompt template',
+      message: ERROR_MESSAGES.INTERNAL_SERVER_ERROR
+    });
+  }
+};
+
+// =================================
+// EXPORTAR CONTROLADORES
+// =================================
+
+module.exports = {
+  getPrompts,
+  createPrompt,
+  getPromptById,
+  updatePrompt,
+  deletePrompt,
+  getPromptVersions,
+  restorePromptVersion,
+  renderPrompt
+};
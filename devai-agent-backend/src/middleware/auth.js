@@ -4,7 +4,7 @@
 
 import { jwtService } from '../config/jwt.js';
 import { prisma } from '../config/database.js';
-import { log } from '../config/logger.js';
+import log from '../config/logger.js';
 import { cache } from '../config/redis.js';
 
 /**
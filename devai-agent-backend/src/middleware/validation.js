@@ -3,7 +3,7 @@
 // ============================================
 
 import { body, query, param, validationResult } from 'express-validator';
-import { log } from '../config/logger.js';
+import log from '../config/logger.js';
 
 /**
  * 🔧 Middleware para manejar errores de validación
@@ -7,12 +7,26 @@ const {
   getProviders,
   getModels,
   chat,
+  compare,
+  createEmbeddings,
+  cancelGeneration,
+  resumeStream,
+  executeCode,
   regenerateResponse
 } = require('../controllers/aiController');
 
-const { authenticate } = require('../middleware/auth');
+const {
+  getOllamaModels,
+  getOllamaModel,
+  pullOllamaModel,
+  deleteOllamaModel
+} = require('../controllers/ollamaController');
+
+const { authenticate, requireRole } = require('../middleware/auth');
 const logger = require('../config/logger');
-const { AI_CONFIG, MESSAGE_TYPES } = require('../utils/constants');
+const { AI_CONFIG, AI_COMPARE_CONFIG, AI_VISION_CONFIG, AI_SANDBOX_CONFIG, MESSAGE_TYPES, USER_ROLES } = require('../utils/constants');
+const toolService = require('../services/toolService');
+const { compileSchema } = require('../ai/structuredOutput');
 
 // Crear router
 const router = express.Router();
@@ -72,6 +86,51 @@ const regenerateLimiter = rateLimit({
   }
 });
 
+// Rate limiting para comparaciones (cada una llama a varios proveedores)
+const compareLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutos
+  max: 10, // 10 comparaciones por 5 minutos
+  message: {
+    error: 'Compare rate limit exceeded',
+    message: 'You can only run 10 comparisons per 5 minutes.',
+    retryAfter: '5 minutes'
+  },
+  handler: (req, res) => {
+    logger.warn('AI compare rate limit exceeded', {
+      ip: req.ip,
+      userId: req.user?.id,
+      userAgent: req.get('User-Agent')
+    });
+    res.status(429).json({
+      error: 'Compare rate limit exceeded',
+      message: 'You can only run 10 comparisons per 5 minutes.',
+      retryAfter: '5 minutes'
+    });
+  }
+});
+
+// Rate limiting para gestión de modelos de Ollama (descargas pesadas)
+const ollamaModelLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20, // 20 descargas/eliminaciones por 15 minutos
+  message: {
+    error: 'Too many model operations',
+    message: 'Too many Ollama model operations, please try again later.',
+    retryAfter: '15 minutes'
+  }
+});
+
+// Rate limiting para ejecución de código (cada ejecución ocupa un proceso del servidor)
+const executeLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 20, // 20 ejecuciones por minuto
+  message: {
+    error: 'Code execution rate limit exceeded',
+    message: 'You can only run 20 code snippets per minute.',
+    retryAfter: '1 minute'
+  }
+});
+
 // Rate limiting general para endpoints de información
 const infoLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minuto
@@ -87,6 +146,28 @@ const infoLimiter = rateLimit({
 // VALIDACIONES DE INPUT
 // =================================
 
+// Validar configuraciones específicas de IA
+const validateSettings = (value) => {
+  if (value) {
+    if (value.temperature !== undefined) {
+      if (typeof value.temperature !== 'number' || value.temperature < 0 || value.temperature > 2) {
+        throw new Error('Temperature must be a number between 0 and 2');
+      }
+    }
+    if (value.maxTokens !== undefined) {
+      if (!Number.isInteger(value.maxTokens) || value.maxTokens < 1 || value.maxTokens > 8000) {
+        throw new Error('Max tokens must be an integer between 1 and 8000');
+      }
+    }
+    if (value.topP !== undefined) {
+      if (typeof value.topP !== 'number' || value.topP < 0 || value.topP > 1) {
+        throw new Error('Top P must be a number between 0 and 1');
+      }
+    }
+  }
+  return true;
+};
+
 // Validaciones para chat
 const validateChat = [
   body('conversationId')
@@ -118,40 +199,185 @@ const validateChat = [
     .optional()
     .isObject()
     .withMessage('Settings must be an object')
+    .custom(validateSettings),
+  
+  body('systemPrompt')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('System prompt must be less than 2000 characters'),
+
+  body('templateId')
+    .optional({ values: 'null' })
+    .isUUID()
+    .withMessage('Prompt template ID must be a valid UUID'),
+
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('Template variables must be an object'),
+
+  body('useProjectFiles')
+    .optional()
+    .isBoolean()
+    .withMessage('useProjectFiles must be a boolean value'),
+  
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('Stream must be a boolean value'),
+
+  body('suggestions')
+    .optional()
+    .isBoolean()
+    .withMessage('suggestions must be a boolean value'),
+
+  body('tools')
+    .optional()
+    .custom((value) => {
+      if (typeof value === 'boolean') return true;
+
+      if (!Array.isArray(value) || value.some(name => typeof name !== 'string')) {
+        throw new Error('Tools must be a boolean or an array of tool names');
+      }
+
+      const unknown = value.filter(name => !toolService.getToolNames().includes(name));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown tools: ${unknown.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('responseSchema')
+    .optional({ values: 'null' })
+    .isObject()
+    .withMessage('Response schema must be a JSON Schema object')
     .custom((value) => {
-      if (value) {
-        // Validar configuraciones específicas
-        if (value.temperature !== undefined) {
-          if (typeof value.temperature !== 'number' || value.temperature < 0 || value.temperature > 2) {
-            throw new Error('Temperature must be a number between 0 and 2');
-          }
-        }
-        if (value.maxTokens !== undefined) {
-          if (!Number.isInteger(value.maxTokens) || value.maxTokens < 1 || value.maxTokens > 8000) {
-            throw new Error('Max tokens must be an integer between 1 and 8000');
-          }
-        }
-        if (value.topP !== undefined) {
-          if (typeof value.topP !== 'number' || value.topP < 0 || value.topP > 1) {
-            throw new Error('Top P must be a number between 0 and 1');
-          }
-        }
+      try {
+        compileSchema(value);
+      } catch (error) {
+        throw new Error(`Invalid response schema: ${error.message}`);
       }
       return true;
     }),
-  
+
+  body('attachments')
+    .optional()
+    .isArray({ max: AI_VISION_CONFIG.maxImagesPerMessage })
+    .withMessage(`Attachments must be an array of up to ${AI_VISION_CONFIG.maxImagesPerMessage} image file IDs`),
+
+  body('attachments.*')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each attachment must be a file ID')
+];
+
+// Validaciones para comparación entre proveedores
+const validateCompare = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Message must be between 1 and 10,000 characters'),
+
+  body('targets')
+    .isArray({ min: 2, max: AI_COMPARE_CONFIG.maxTargets })
+    .withMessage(`Targets must be an array of 2 to ${AI_COMPARE_CONFIG.maxTargets} provider/model pairs`),
+
+  body('targets.*.provider')
+    .isIn(Object.values(AI_CONFIG.PROVIDERS))
+    .withMessage(`Provider must be one of: ${Object.values(AI_CONFIG.PROVIDERS).join(', ')}`),
+
+  body('targets.*.model')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Model name must be between 1 and 100 characters'),
+
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('Settings must be an object')
+    .custom(validateSettings),
+
   body('systemPrompt')
     .optional()
     .trim()
     .isLength({ max: 2000 })
     .withMessage('System prompt must be less than 2000 characters'),
-  
+
   body('stream')
     .optional()
     .isBoolean()
     .withMessage('Stream must be a boolean value')
 ];
 
+// Validaciones para embeddings
+const validateEmbeddings = [
+  body('input')
+    .custom((value) => {
+      const texts = Array.isArray(value) ? value : [value];
+      if (texts.length === 0 || texts.length > 100) {
+        throw new Error('Input must be a string or an array of 1 to 100 strings');
+      }
+      if (texts.some(text => typeof text !== 'string' || text.length === 0 || text.length > 10000)) {
+        throw new Error('Each input must be a non-empty string of at most 10,000 characters');
+      }
+      return true;
+    }),
+
+  body('model')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Model name must be between 1 and 100 characters')
+];
+
+// Nombre de modelo de Ollama (ej: llama3:8b, hf.co/usuario/modelo:Q4_K_M)
+const ollamaModelName = (field) => field
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 200 })
+  .matches(/^[a-zA-Z0-9][\w.\-/:]*$/)
+  .withMessage('Model name must be a valid Ollama model name (e.g. llama3:8b)');
+
+// Validaciones para descargar un modelo de Ollama
+const validatePullOllamaModel = [
+  ollamaModelName(body('name'))
+];
+
+// Validaciones para rutas de un modelo de Ollama
+const validateOllamaModelName = [
+  ollamaModelName(param('name'))
+];
+
+// Validaciones para rutas de una generación (cancelar, reanudar stream)
+const validateGenerationMessage = [
+  param('messageId')
+    .isUUID()
+    .withMessage('Message ID must be a valid UUID')
+];
+
+// Validaciones para ejecutar un bloque de código de un mensaje
+const validateExecuteCode = [
+  ...validateGenerationMessage,
+
+  body('blockIndex')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('blockIndex must be a non-negative integer')
+    .toInt(),
+
+  body('code')
+    .optional({ values: 'null' })
+    .isString()
+    .isLength({ min: 1, max: AI_SANDBOX_CONFIG.maxCodeChars })
+    .withMessage(`Code must be between 1 and ${AI_SANDBOX_CONFIG.maxCodeChars} characters`),
+
+  body('language')
+    .optional({ values: 'null' })
+    .isIn(Object.keys(AI_SANDBOX_CONFIG.languageAliases))
+    .withMessage('Language must be JavaScript or Python')
+];
+
 // Validaciones para regeneración
 const validateRegenerate = [
   param('messageId')
@@ -242,6 +468,73 @@ const handleValidationErrors = (req, res, next) => {
  *             type: string
  *         rateLimit:
  *           type: string
+ *         circuitBreaker:
+ *           $ref: '#/components/schemas/AICircuitBreaker'
+ *         scheduler:
+ *           $ref: '#/components/schemas/AIScheduler'
+ *     
+ *     AICircuitBreaker:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         state:
+ *           type: string
+ *           enum: [closed, degraded, open]
+ *         models:
+ *           type: object
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               state:
+ *                 type: string
+ *                 enum: [closed, open, half_open]
+ *               consecutiveFailures:
+ *                 type: integer
+ *               retryAt:
+ *                 type: string
+ *                 format: date-time
+ *               lastFailureReason:
+ *                 type: string
+ *     
+ *     AIScheduler:
+ *       type: object
+ *       description: Per-provider request queue driven by upstream rate-limit headers
+ *       properties:
+ *         queueDepth:
+ *           type: integer
+ *         lanes:
+ *           type: object
+ *           properties:
+ *             interactive:
+ *               type: integer
+ *             background:
+ *               type: integer
+ *         active:
+ *           type: integer
+ *         waits:
+ *           type: object
+ *           properties:
+ *             avgMs:
+ *               type: integer
+ *             maxMs:
+ *               type: integer
+ *             delayed:
+ *               type: integer
+ *             rejected:
+ *               type: integer
+ *         quota:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             remainingRequests:
+ *               type: integer
+ *             remainingTokens:
+ *               type: integer
+ *             resetRequestsInMs:
+ *               type: integer
+ *             retryAfterMs:
+ *               type: integer
  *     
  *     AIModel:
  *       type: object
@@ -269,7 +562,7 @@ const handleValidationErrors = (req, res, next) => {
  *           maxLength: 10000
  *         provider:
  *           type: string
- *           enum: [gemini, groq, huggingface, ollama]
+ *           enum: [gemini, groq, huggingface, ollama, openai, openai-compatible]
  *           default: gemini
  *         model:
  *           type: string
@@ -295,9 +588,41 @@ const handleValidationErrors = (req, res, next) => {
  *         systemPrompt:
  *           type: string
  *           maxLength: 2000
+ *         templateId:
+ *           type: string
+ *           description: Prompt template rendered as the system prompt (cannot be combined with systemPrompt). Its default provider, model and settings apply when not given in the request
+ *         variables:
+ *           type: object
+ *           description: Values for the template's {{variable}} placeholders
+ *         useProjectFiles:
+ *           type: boolean
+ *           default: true
+ *           description: In project conversations, retrieve relevant project file chunks into the prompt and return `citations` (file and lines)
  *         stream:
  *           type: boolean
  *           default: false
+ *         suggestions:
+ *           type: boolean
+ *           default: true
+ *           description: Return 2-4 suggested follow-up prompts in `suggestions` (and `metadata.suggestions` of the assistant message). Streams send them in a `suggestions` event after `complete`. Disabled server-wide with AI_SUGGESTIONS_ENABLED=false
+ *         tools:
+ *           description: Tools the model may call (true = all registered tools)
+ *           oneOf:
+ *             - type: boolean
+ *             - type: array
+ *               items:
+ *                 type: string
+ *                 enum: [list_project_files, get_project_file, search_project_files, run_code_snippet, search_messages]
+ *           default: false
+ *         responseSchema:
+ *           type: object
+ *           description: JSON Schema the answer must match. The validated JSON is returned in `data`; invalid answers are re-asked up to AI_STRUCTURED_MAX_REPAIRS times (422 if still invalid)
+ *         attachments:
+ *           type: array
+ *           maxItems: 4
+ *           items:
+ *             type: string
+ *           description: IDs of uploaded images (png, jpeg, webp, gif) sent with the message. Only vision models accept them (e.g. gemini-1.5-flash, llava); other models return 400
  */
 
 /**
@@ -348,7 +673,7 @@ router.get('/providers',
  *         name: provider
  *         schema:
  *           type: string
- *           enum: [all, gemini, groq, huggingface, ollama]
+ *           enum: [all, gemini, groq, huggingface, ollama, openai, openai-compatible]
  *         description: Filter models by provider
  *     responses:
  *       200:
@@ -435,6 +760,357 @@ router.post('/chat',
   chat
 );
 
+/**
+ * @swagger
+ * /api/v1/ai/compare:
+ *   post:
+ *     summary: Compare answers from several providers/models to the same prompt
+ *     description: Runs every target in parallel without failover. With `stream` the answers are multiplexed over one SSE stream; each event carries the target `index`, `provider` and `model`.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *               - targets
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 maxLength: 10000
+ *               targets:
+ *                 type: array
+ *                 minItems: 2
+ *                 items:
+ *                   type: object
+ *                   required: [provider, model]
+ *                   properties:
+ *                     provider:
+ *                       type: string
+ *                       enum: [gemini, groq, huggingface, ollama, openai, openai-compatible]
+ *                     model:
+ *                       type: string
+ *               systemPrompt:
+ *                 type: string
+ *                 maxLength: 2000
+ *               settings:
+ *                 type: object
+ *               stream:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Answers side by side with latency, token usage, cost and errors
+ *       400:
+ *         description: Validation error
+ *       429:
+ *         description: Rate limit exceeded
+ */
+router.post('/compare',
+  authenticate,
+  compareLimiter,
+  validateCompare,
+  handleValidationErrors,
+  compare
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/embeddings:
+ *   post:
+ *     summary: Generate embeddings
+ *     description: Uses the configured embeddings provider (AI_EMBEDDINGS_PROVIDER, Ollama by default).
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - input
+ *             properties:
+ *               input:
+ *                 oneOf:
+ *                   - type: string
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                     maxItems: 100
+ *               model:
+ *                 type: string
+ *                 description: Embeddings model (defaults to AI_EMBEDDINGS_MODEL)
+ *     responses:
+ *       200:
+ *         description: Embeddings in input order with provider, model, dimensions and usage
+ *       503:
+ *         description: No embeddings provider configured
+ */
+router.post('/embeddings',
+  authenticate,
+  chatLimiter,
+  validateEmbeddings,
+  handleValidationErrors,
+  createEmbeddings
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/ollama/models:
+ *   get:
+ *     summary: List models installed in Ollama
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Installed models (name, size, digest, details) and Ollama version
+ *       503:
+ *         description: Ollama not configured or unreachable
+ */
+router.get('/ollama/models',
+  authenticate,
+  infoLimiter,
+  getOllamaModels
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/ollama/models/pull:
+ *   post:
+ *     summary: Pull a model into Ollama
+ *     description: Streams download progress as Server-Sent Events (start, progress, complete or error). Closing the connection cancels the download.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: llama3:8b
+ *     responses:
+ *       200:
+ *         description: SSE stream of pull progress
+ *         content:
+ *           text/event-stream: {}
+ *       403:
+ *         description: Admin role required
+ *       503:
+ *         description: Ollama not configured
+ */
+router.post('/ollama/models/pull',
+  authenticate,
+  requireRole([USER_ROLES.ADMIN]),
+  ollamaModelLimiter,
+  validatePullOllamaModel,
+  handleValidationErrors,
+  pullOllamaModel
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/ollama/models/{name}:
+ *   get:
+ *     summary: Show details of an Ollama model
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Model name (URL-encoded)
+ *     responses:
+ *       200:
+ *         description: Model details, parameters, template and license
+ *       404:
+ *         description: Model not installed
+ */
+router.get('/ollama/models/:name',
+  authenticate,
+  infoLimiter,
+  validateOllamaModelName,
+  handleValidationErrors,
+  getOllamaModel
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/ollama/models/{name}:
+ *   delete:
+ *     summary: Delete an Ollama model
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Model name (URL-encoded)
+ *     responses:
+ *       200:
+ *         description: Model deleted; returns the refreshed model list
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: Model not installed
+ */
+router.delete('/ollama/models/:name',
+  authenticate,
+  requireRole([USER_ROLES.ADMIN]),
+  ollamaModelLimiter,
+  validateOllamaModelName,
+  handleValidationErrors,
+  deleteOllamaModel
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/chat/{messageId}/cancel:
+ *   post:
+ *     summary: Cancel an in-progress AI response
+ *     description: Aborts the provider request. The assistant message keeps the content streamed so far and is marked as cancelled.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID of the assistant message being generated
+ *     responses:
+ *       202:
+ *         description: Cancellation requested
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: No generation in progress for this message
+ */
+router.post('/chat/:messageId/cancel',
+  authenticate,
+  infoLimiter,
+  validateGenerationMessage,
+  handleValidationErrors,
+  cancelGeneration
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/chat/{messageId}/stream:
+ *   get:
+ *     summary: Resume the SSE stream of an AI response
+ *     description: Replays the events after Last-Event-ID and keeps streaming until the response finishes. Events are kept for AI_STREAM_BUFFER_TTL seconds.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: ID of the assistant message (sent in the stream's `start` event)
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *         description: ID of the last event received
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *         description: Alternative to the Last-Event-ID header
+ *     responses:
+ *       200:
+ *         description: SSE stream (text/event-stream)
+ *       404:
+ *         description: No resumable stream for this message
+ */
+router.get('/chat/:messageId/stream',
+  authenticate,
+  infoLimiter,
+  validateGenerationMessage,
+  query('lastEventId')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('lastEventId must be a non-negative integer'),
+  handleValidationErrors,
+  resumeStream
+);
+
+/**
+ * @swagger
+ * /api/v1/ai/chat/{messageId}/execute:
+ *   post:
+ *     summary: Run a JavaScript or Python code block of an assistant message in the sandbox
+ *     description: Runs the snippet in an isolated child process with no network, no access to the server filesystem, CPU, memory, time and file size limits, and a temporary working directory. The result is stored in the message `metadata.executions`.
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: messageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               blockIndex:
+ *                 type: integer
+ *                 description: Index of the code block in the message (defaults to the first JavaScript or Python block)
+ *               code:
+ *                 type: string
+ *                 description: Edited version of the snippet to run instead of the block content
+ *               language:
+ *                 type: string
+ *                 enum: [javascript, js, node, python, py]
+ *                 description: Overrides the language tag of the block
+ *     responses:
+ *       200:
+ *         description: Execution result (stdout, stderr, exitCode, signal, timedOut, truncated, durationMs)
+ *       400:
+ *         description: Unsupported language, invalid code or not an assistant message
+ *       404:
+ *         description: Message or code block not found
+ *       429:
+ *         description: Too many executions in progress
+ *       503:
+ *         description: Code execution disabled or not supported on this server
+ */
+router.post('/chat/:messageId/execute',
+  authenticate,
+  executeLimiter,
+  validateExecuteCode,
+  handleValidationErrors,
+  executeCode
+);
+
 /**
  * @swagger
  * /api/v1/ai/regenerate/{messageId}:
@@ -460,7 +1136,7 @@ router.post('/chat',
  *             properties:
  *               provider:
  *                 type: string
- *                 enum: [gemini, groq, huggingface, ollama]
+ *                 enum: [gemini, groq, huggingface, ollama, openai, openai-compatible]
  *               model:
  *                 type: string
  *               settings:
@@ -521,19 +1197,34 @@ router.get('/', (req, res) => {
       providers: 'GET /ai/providers',
       models: 'GET /ai/models',
       chat: 'POST /ai/chat',
+      compare: 'POST /ai/compare',
+      embeddings: 'POST /ai/embeddings',
+      ollamaModels: 'GET /ai/ollama/models',
+      ollamaModel: 'GET /ai/ollama/models/:name',
+      ollamaPull: 'POST /ai/ollama/models/pull',
+      ollamaDelete: 'DELETE /ai/ollama/models/:name',
+      cancel: 'POST /ai/chat/:messageId/cancel',
+      resumeStream: 'GET /ai/chat/:messageId/stream',
+      executeCode: 'POST /ai/chat/:messageId/execute',
       regenerate: 'POST /ai/regenerate/:messageId'
     },
     rateLimits: {
       chat: '30 requests per minute',
       regenerate: '10 requests per 5 minutes',
+      compare: '10 requests per 5 minutes',
+      ollamaModels: '20 pulls/deletes per 15 minutes',
+      executeCode: '20 executions per minute',
       info: '60 requests per minute'
     },
     supportedProviders: Object.values(AI_CONFIG.PROVIDERS),
     features: [
       'Multi-provider AI integration',
-      'Streaming responses',
+      'Streaming responses (resumable with Last-Event-ID)',
       'Conversation context awareness',
       'Response regeneration',
+      'Side-by-side provider comparison',
+      'Cancellation of in-progress responses',
+      'Sandboxed execution of JavaScript and Python code blocks',
       'Custom system prompts',
       'Configurable AI settings',
       'Token usage tracking',
@@ -550,7 +1241,8 @@ router.get('/', (req, res) => {
     streaming: {
       supported: true,
       format: 'Server-Sent Events (SSE)',
-      contentType: 'text/event-stream'
+      contentType: 'text/event-stream',
+      events: ['start', 'thinking', 'chunk', 'complete', 'suggestions', 'cancelled', 'error']
     }
   });
 });
@@ -589,6 +1281,45 @@ router.use((error, req, res, next) => {
     });
   }
   
+  if (error.code === 'AI_KEY_LIMIT_EXCEEDED') {
+    return res.status(429).json({
+      error: 'API key limit exceeded',
+      message: error.message
+    });
+  }
+  
+  if (error.code === 'AI_PROVIDER_RATE_LIMITED') {
+    res.set('Retry-After', String(Math.ceil(error.retryAfterMs / 1000)));
+    return res.status(429).json({
+      error: 'AI provider rate limited',
+      message: error.message,
+      retryAfterMs: error.retryAfterMs
+    });
+  }
+  
+  if (error.code === 'AI_STRUCTURED_OUTPUT_INVALID') {
+    return res.status(422).json({
+      error: 'Invalid structured output',
+      message: 'The AI response did not match the requested JSON schema.',
+      validationErrors: error.validationErrors
+    });
+  }
+  
+  if (error.code === 'AI_VISION_UNSUPPORTED' || error.code === 'AI_ATTACHMENT_INVALID') {
+    return res.status(400).json({
+      error: error.code === 'AI_VISION_UNSUPPORTED' ? 'Images not supported' : 'Invalid attachment',
+      message: error.message
+    });
+  }
+  
+  if (error.code === 'AI_CONTEXT_LENGTH_EXCEEDED') {
+    return res.status(413).json({
+      error: 'AI context length exceeded',
+      message: 'The conversation is too long for the selected model. Try a model with a larger context window or reduce the input.',
+      ...(isDevelopment && { details: error.message })
+    });
+  }
+  
   if (error.code === 'AI_MODEL_NOT_FOUND') {
     return res.status(400).json({
       error: 'AI model not available',
@@ -42,6 +42,27 @@ router.get('/performance',
     analyticsController.getPerformanceStats.bind(analyticsController)
 );
 
+/**
+ * @route   GET /api/analytics/costs
+ * @desc    Obtener costos estimados de IA por usuario, día, modelo y conversación
+ * @query   days: 1-365, userId (opcional)
+ * @access  Private (solo el propio usuario o admin)
+ */
+router.get('/costs',
+    rateLimit(60, 30),
+    (req, res, next) => {
+        // Sin userId solo un admin puede ver los costos de todo el equipo
+        const { userId } = req.query;
+        if (req.user.role !== 'admin' && userId !== req.user.id) {
+            return res.status(403).json({
+                error: 'No tienes permisos para ver estos costos'
+            });
+        }
+        next();
+    },
+    analyticsController.getCostStats.bind(analyticsController)
+);
+
 /**
  * @route   GET /api/analytics/realtime
  * @desc    Obtener métricas en tiempo real
@@ -0,0 +1,303 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, validationResult } = require('express-validator');
+
+// Importar controladores y middleware
+const {
+  getApiKeys,
+  createApiKey,
+  updateApiKey,
+  deleteApiKey
+} = require('../controllers/apiKeyController');
+
+const { authenticate } = require('../middleware/auth');
+const logger = require('../config/logger');
+const { AI_BYOK_CONFIG } = require('../utils/constants');
+
+// Crear router
+const router = express.Router();
+
+// =================================
+// RATE LIMITING ESPECÍFICO
+// =================================
+
+// Rate limiting para cambios en API keys
+const writeApiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutos
+  max: 20, // 20 cambios por 15 minutos
+  message: {
+    error: 'Too many API key changes',
+    message: 'Too many API key changes, please try again later.',
+    retryAfter: '15 minutes'
+  }
+});
+
+// =================================
+// VALIDACIONES DE INPUT
+// =================================
+
+// Validaciones comunes (nombre, estado y límites)
+const keyFields = [
+  body('name')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+
+  body('isDefault')
+    .optional()
+    .isBoolean()
+    .withMessage('isDefault must be a boolean value'),
+
+  body('dailyLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Daily limit must be a positive integer')
+    .toInt(),
+
+  body('monthlyLimit')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('Monthly limit must be a positive integer')
+    .toInt()
+];
+
+// Validaciones para guardar una API key
+const validateCreateApiKey = [
+  body('provider')
+    .isIn(AI_BYOK_CONFIG.providers)
+    .withMessage(`Provider must be one of: ${AI_BYOK_CONFIG.providers.join(', ')}`),
+
+  body('apiKey')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('API key must be between 10 and 500 characters'),
+
+  ...keyFields
+];
+
+// Validaciones para actualizar una API key
+const validateUpdateApiKey = [
+  param('id')
+    .isUUID()
+    .withMessage('API key ID must be a valid UUID'),
+
+  body('apiKey')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('API key must be between 10 and 500 characters'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean value'),
+
+  ...keyFields
+];
+
+// Validación de parámetro ID
+const validateApiKeyId = [
+  param('id')
+    .isUUID()
+    .withMessage('API key ID must be a valid UUID')
+];
+
+// =================================
+// MIDDLEWARE DE VALIDACIÓN
+// =================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    // Nunca registrar el valor de la API key
+    const validationErrors = errors.array().map(error => ({
+      field: error.param,
+      message: error.msg,
+      ...(error.param !== 'apiKey' && { value: error.value })
+    }));
+
+    logger.warn('Validation errors in API key request', {
+      errors: validationErrors,
+      ip: req.ip,
+      path: req.path,
+      userId: req.user?.id
+    });
+
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input and try again',
+      validationErrors
+    });
+  }
+
+  next();
+};
+
+// =================================
+// RUTAS DE API KEYS
+// =================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         provider:
+ *           type: string
+ *           enum: [gemini, groq, huggingface, openai]
+ *         name:
+ *           type: string
+ *         keyPreview:
+ *           type: string
+ *           description: Last characters of the key (the key itself is never returned)
+ *         isActive:
+ *           type: boolean
+ *         isDefault:
+ *           type: boolean
+ *           description: Use this key instead of the server key for chat requests
+ *         usageCount:
+ *           type: integer
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         dailyLimit:
+ *           type: integer
+ *         monthlyLimit:
+ *           type: integer
+ *         dailyUsage:
+ *           type: integer
+ *         monthlyUsage:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   get:
+ *     summary: List the user's provider API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys (without the key values)
+ */
+router.get('/',
+  authenticate,
+  getApiKeys
+);
+
+/**
+ * @swagger
+ * /api/v1/api-keys:
+ *   post:
+ *     summary: Store a provider API key (encrypted at rest)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - provider
+ *               - apiKey
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [gemini, groq, huggingface, openai]
+ *               apiKey:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *                 default: true
+ *               dailyLimit:
+ *                 type: integer
+ *               monthlyLimit:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: API key stored
+ *       409:
+ *         description: The user already has a key for this provider
+ *       503:
+ *         description: API key storage is not enabled on this server
+ */
+router.post('/',
+  authenticate,
+  writeApiKeyLimiter,
+  validateCreateApiKey,
+  handleValidationErrors,
+  createApiKey
+);
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}:
+ *   put:
+ *     summary: Update an API key (name, status, limits or rotate the key)
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key updated
+ *       404:
+ *         description: API key not found
+ */
+router.put('/:id',
+  authenticate,
+  writeApiKeyLimiter,
+  validateUpdateApiKey,
+  handleValidationErrors,
+  updateApiKey
+);
+
+/**
+ * @swagger
+ * /api/v1/api-keys/{id}:
+ *   delete:
+ *     summary: Delete an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key deleted
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id',
+  authenticate,
+  writeApiKeyLimiter,
+  validateApiKeyId,
+  handleValidationErrors,
+  deleteApiKey
+);
+
+module.exports = router;
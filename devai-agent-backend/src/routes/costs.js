@@ -0,0 +1,121 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+
+// Importar controladores y middleware
+const {
+  getCostStats,
+  getTeamCostStats
+} = require('../controllers/costController');
+
+const { authenticate, requireRole } = require('../middleware/auth');
+const logger = require('../config/logger');
+const { USER_ROLES } = require('../utils/constants');
+
+// Crear router
+const router = express.Router();
+
+// =================================
+// VALIDACIONES DE INPUT
+// =================================
+
+const validateCostQuery = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+    .toInt()
+];
+
+// =================================
+// MIDDLEWARE DE VALIDACIÓN
+// =================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const validationErrors = errors.array().map(error => ({
+      field: error.param,
+      message: error.msg,
+      value: error.value
+    }));
+
+    logger.warn('Validation errors in cost request', {
+      errors: validationErrors,
+      ip: req.ip,
+      path: req.path,
+      userId: req.user?.id
+    });
+
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input and try again',
+      validationErrors
+    });
+  }
+
+  next();
+};
+
+// =================================
+// RUTAS DE COSTOS
+// =================================
+
+/**
+ * @swagger
+ * /api/v1/costs:
+ *   get:
+ *     summary: Estimated AI cost of my usage on paid tiers
+ *     tags: [Costs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Costs per day, provider/model and conversation
+ */
+router.get('/',
+  authenticate,
+  validateCostQuery,
+  handleValidationErrors,
+  getCostStats
+);
+
+/**
+ * @swagger
+ * /api/v1/costs/team:
+ *   get:
+ *     summary: Estimated AI cost of every team member on paid tiers
+ *     tags: [Costs]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Costs per team member, day, provider/model and conversation
+ *       403:
+ *         description: Access denied
+ */
+router.get('/team',
+  authenticate,
+  requireRole([USER_ROLES.ADMIN]),
+  validateCostQuery,
+  handleValidationErrors,
+  getTeamCostStats
+);
+
+module.exports = router;
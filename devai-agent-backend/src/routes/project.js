@@ -14,9 +14,28 @@ const {
   getProjectStats
 } = require('../controllers/projectController');
 
+const {
+  getProjectFiles,
+  createProjectFile,
+  getProjectFileById,
+  updateProjectFile,
+  deleteProjectFile,
+  reindexProject
+} = require('../controllers/projectFileController');
+
+const {
+  startAgentRun,
+  getAgentRuns,
+  getAgentRunById,
+  streamAgentRun,
+  cancelAgentRun,
+  approveAgentPatch,
+  rejectAgentPatch
+} = require('../controllers/agentController');
+
 const { authenticate } = require('../middleware/auth');
 const logger = require('../config/logger');
-const { PROJECT_STATUS, PAGINATION_CONFIG } = require('../utils/constants');
+const { PROJECT_STATUS, PAGINATION_CONFIG, AI_AGENT_CONFIG } = require('../utils/constants');
 
 // Crear router
 const router = express.Router();
@@ -70,6 +89,17 @@ const generalLimiter = rateLimit({
   }
 });
 
+// Rate limiting para ejecuciones del agente (cada una hace varias llamadas a la IA)
+const agentRunLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hora
+  max: 30, // 30 ejecuciones por hora
+  message: {
+    error: 'Agent run rate limit exceeded',
+    message: 'You can only start 30 agent runs per hour. Please try again later.',
+    retryAfter: '1 hour'
+  }
+});
+
 // =================================
 // VALIDACIONES DE INPUT
 // =================================
@@ -236,6 +266,103 @@ const validateProjectId = [
     .withMessage('Project ID must be a valid UUID')
 ];
 
+// Validación de parámetros de archivo
+const validateProjectFileId = [
+  ...validateProjectId,
+  param('fileId')
+    .isUUID()
+    .withMessage('File ID must be a valid UUID')
+];
+
+// Validación de parámetros de ejecuciones del agente
+const validateAgentRunId = [
+  ...validateProjectId,
+  param('runId')
+    .isUUID()
+    .withMessage('Agent run ID must be a valid UUID')
+];
+
+const validateAgentPatchId = [
+  ...validateAgentRunId,
+  param('patchId')
+    .isUUID()
+    .withMessage('Patch ID must be a valid UUID')
+];
+
+// Validaciones para iniciar una ejecución del agente
+const validateStartAgentRun = [
+  ...validateProjectId,
+  body('goal')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 4000 })
+    .withMessage('Goal must be between 1 and 4000 characters'),
+
+  body('provider')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Provider must be between 1 and 50 characters'),
+
+  body('model')
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Model name must be between 1 and 100 characters'),
+
+  body('maxSteps')
+    .optional()
+    .isInt({ min: 1, max: AI_AGENT_CONFIG.maxStepsLimit })
+    .withMessage(`maxSteps must be between 1 and ${AI_AGENT_CONFIG.maxStepsLimit}`)
+    .toInt(),
+
+  body('stream')
+    .optional()
+    .isBoolean()
+    .withMessage('Stream must be a boolean value')
+];
+
+// Validaciones para listar ejecuciones del agente
+const validateGetAgentRuns = [
+  ...validateProjectId,
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive integer')
+];
+
+// Validaciones para subir o actualizar archivos de proyecto
+const projectFileFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('File name must be between 1 and 255 characters'),
+
+    body('path')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('File path must be less than 500 characters')
+      .not().matches(/(^|\/)\.\.(\/|$)/)
+      .withMessage('File path cannot contain ".." segments'),
+
+    field('content')
+      .isString()
+      .isLength({ max: 1024 * 1024 })
+      .withMessage('File content must be text of at most 1MB')
+  ];
+};
+
 // =================================
 // MIDDLEWARE DE VALIDACIÓN
 // =================================
@@ -667,6 +794,493 @@ router.put('/:id/restore',
   restoreProject
 );
 
+// =================================
+// ARCHIVOS DEL PROYECTO (RAG)
+// =================================
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/files:
+ *   get:
+ *     summary: List project files (without content)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Project files with their indexing status
+ *       404:
+ *         description: Project not found
+ */
+router.get('/:id/files',
+  authenticate,
+  generalLimiter,
+  validateProjectId,
+  handleValidationErrors,
+  getProjectFiles
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/files:
+ *   post:
+ *     summary: Upload a text file to the project
+ *     description: The file is chunked and embedded in the background so chats in the project can retrieve it.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - content
+ *             properties:
+ *               name:
+ *                 type: string
+ *               path:
+ *                 type: string
+ *                 description: Relative path in the project (defaults to the name)
+ *               content:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: File uploaded
+ *       404:
+ *         description: Project not found
+ */
+router.post('/:id/files',
+  authenticate,
+  updateProjectLimiter,
+  validateProjectId,
+  projectFileFields(false),
+  handleValidationErrors,
+  createProjectFile
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/reindex:
+ *   post:
+ *     summary: Re-embed the project files that changed since they were indexed
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     responses:
+ *       200:
+ *         description: Indexed, skipped and failed file counts
+ *       503:
+ *         description: No embeddings provider available
+ */
+router.post('/:id/reindex',
+  authenticate,
+  updateProjectLimiter,
+  validateProjectId,
+  handleValidationErrors,
+  reindexProject
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/files/{fileId}:
+ *   get:
+ *     summary: Get a project file with its content
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File retrieved
+ *       404:
+ *         description: Project or file not found
+ */
+router.get('/:id/files/:fileId',
+  authenticate,
+  generalLimiter,
+  validateProjectFileId,
+  handleValidationErrors,
+  getProjectFileById
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/files/{fileId}:
+ *   put:
+ *     summary: Update a project file (re-indexed when it changes)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File updated
+ *       404:
+ *         description: Project or file not found
+ */
+router.put('/:id/files/:fileId',
+  authenticate,
+  updateProjectLimiter,
+  validateProjectFileId,
+  projectFileFields(true),
+  handleValidationErrors,
+  updateProjectFile
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/files/{fileId}:
+ *   delete:
+ *     summary: Delete a project file and its indexed chunks
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File deleted
+ *       404:
+ *         description: Project or file not found
+ */
+router.delete('/:id/files/:fileId',
+  authenticate,
+  generalLimiter,
+  validateProjectFileId,
+  handleValidationErrors,
+  deleteProjectFile
+);
+
+// =================================
+// RUTAS DEL MODO AGENTE
+// =================================
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/agent/runs:
+ *   post:
+ *     summary: Start an agent run on the project
+ *     description: The agent plans, lists, searches and reads the project files and proposes patches in a loop until it finishes or the step budget runs out. Proposed patches are not applied until the user approves them. With `stream` the steps are sent as SSE events (start, step, patch, complete, error, cancelled).
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - goal
+ *             properties:
+ *               goal:
+ *                 type: string
+ *                 description: What the agent should do, e.g. "Add input validation to every route"
+ *               provider:
+ *                 type: string
+ *               model:
+ *                 type: string
+ *               maxSteps:
+ *                 type: integer
+ *                 description: Step budget (model responses), defaults to AI_AGENT_DEFAULT_STEPS
+ *               stream:
+ *                 type: boolean
+ *     responses:
+ *       202:
+ *         description: Run started (follow it on the stream URL)
+ *       200:
+ *         description: SSE stream of the run (text/event-stream)
+ *       404:
+ *         description: Project not found
+ *       429:
+ *         description: Too many runs in progress
+ */
+router.post('/:id/agent/runs',
+  authenticate,
+  agentRunLimiter,
+  validateStartAgentRun,
+  handleValidationErrors,
+  startAgentRun
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/agent/runs:
+ *   get:
+ *     summary: List the agent runs of the project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Runs with their step and patch counts
+ */
+router.get('/:id/agent/runs',
+  authenticate,
+  generalLimiter,
+  validateGetAgentRuns,
+  handleValidationErrors,
+  getAgentRuns
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/agent/runs/{runId}:
+ *   get:
+ *     summary: Get an agent run with its step log and proposed patches
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Run with steps and patches (with unified diffs)
+ *       404:
+ *         description: Run not found
+ */
+router.get('/:id/agent/runs/:runId',
+  authenticate,
+  generalLimiter,
+  validateAgentRunId,
+  handleValidationErrors,
+  getAgentRunById
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/agent/runs/{runId}/stream:
+ *   get:
+ *     summary: Follow (or resume) the SSE stream of an agent run
+ *     description: Replays the events after Last-Event-ID and keeps streaming until the run finishes.
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: SSE stream (text/event-stream)
+ *       404:
+ *         description: No stream for this run
+ */
+router.get('/:id/agent/runs/:runId/stream',
+  authenticate,
+  generalLimiter,
+  validateAgentRunId,
+  handleValidationErrors,
+  streamAgentRun
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/agent/runs/{runId}/cancel:
+ *   post:
+ *     summary: Cancel an agent run in progress
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Cancellation requested
+ *       409:
+ *         description: Run already finished
+ */
+router.post('/:id/agent/runs/:runId/cancel',
+  authenticate,
+  generalLimiter,
+  validateAgentRunId,
+  handleValidationErrors,
+  cancelAgentRun
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/agent/runs/{runId}/patches/{patchId}/approve:
+ *   post:
+ *     summary: Approve a proposed patch and apply it to the project file
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: patchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patch applied
+ *       404:
+ *         description: Patch not found
+ *       409:
+ *         description: Run still in progress, patch already decided, or the file changed after the patch was proposed
+ */
+router.post('/:id/agent/runs/:runId/patches/:patchId/approve',
+  authenticate,
+  updateProjectLimiter,
+  validateAgentPatchId,
+  handleValidationErrors,
+  approveAgentPatch
+);
+
+/**
+ * @swagger
+ * /api/v1/projects/{id}/agent/runs/{runId}/patches/{patchId}/reject:
+ *   post:
+ *     summary: Reject a proposed patch
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: runId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: patchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patch rejected
+ *       404:
+ *         description: Patch not found
+ *       409:
+ *         description: Run still in progress or patch already decided
+ */
+router.post('/:id/agent/runs/:runId/patches/:patchId/reject',
+  authenticate,
+  updateProjectLimiter,
+  validateAgentPatchId,
+  handleValidationErrors,
+  rejectAgentPatch
+);
+
 // =================================
 // RUTA DE INFORMACIÓN
 // =================================
@@ -694,11 +1308,25 @@ router.get('/', (req, res) => {
       update: 'PUT /projects/:id',
       delete: 'DELETE /projects/:id',
       archive: 'PUT /projects/:id/archive',
-      restore: 'PUT /projects/:id/restore'
+      restore: 'PUT /projects/:id/restore',
+      files: 'GET /projects/:id/files',
+      uploadFile: 'POST /projects/:id/files',
+      getFile: 'GET /projects/:id/files/:fileId',
+      updateFile: 'PUT /projects/:id/files/:fileId',
+      deleteFile: 'DELETE /projects/:id/files/:fileId',
+      reindex: 'POST /projects/:id/reindex',
+      startAgentRun: 'POST /projects/:id/agent/runs',
+      agentRuns: 'GET /projects/:id/agent/runs',
+      getAgentRun: 'GET /projects/:id/agent/runs/:runId',
+      streamAgentRun: 'GET /projects/:id/agent/runs/:runId/stream',
+      cancelAgentRun: 'POST /projects/:id/agent/runs/:runId/cancel',
+      approvePatch: 'POST /projects/:id/agent/runs/:runId/patches/:patchId/approve',
+      rejectPatch: 'POST /projects/:id/agent/runs/:runId/patches/:patchId/reject'
     },
     rateLimits: {
       create: '20 projects per hour',
       update: '60 updates per minute',
+      agentRuns: '30 agent runs per hour',
       general: '100 requests per minute'
     },
     features: [
@@ -710,6 +1338,7 @@ router.get('/', (req, res) => {
       'Archive/restore functionality',
       'Soft delete with recovery',
       'Conversation and file organization',
+      'Agent mode with approved patches',
       'Custom project settings'
     ],
     projectStatuses: Object.values(PROJECT_STATUS),
@@ -0,0 +1,471 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { body, param, query, validationResult } = require('express-validator');
+
+// Importar controladores y middleware
+const {
+  getPrompts,
+  createPrompt,
+  getPromptById,
+  updatePrompt,
+  deletePrompt,
+  getPromptVersions,
+  restorePromptVersion,
+  renderPrompt
+} = require('../controllers/promptController');
+
+const { authenticate } = require('../middleware/auth');
+const logger = require('../config/logger');
+const { AI_CONFIG } = require('../utils/constants');
+
+// Crear router
+const router = express.Router();
+
+// =================================
+// RATE LIMITING ESPECÍFICO
+// =================================
+
+// Rate limiting para cambios en plantillas (cada cambio crea una versión)
+const writePromptLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minuto
+  max: 30, // 30 cambios por minuto
+  message: {
+    error: 'Too many prompt template changes',
+    message: 'Too many prompt template changes, please slow down.',
+    retryAfter: '1 minute'
+  }
+});
+
+// =================================
+// VALIDACIONES DE INPUT
+// =================================
+
+// Validaciones comunes de los campos de una plantilla
+const templateFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must be less than 500 characters'),
+
+    field('content')
+      .isString()
+      .isLength({ min: 1, max: 10000 })
+      .withMessage('Content must be between 1 and 10,000 characters'),
+
+    body('variables')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Variables must be an array (max 50)'),
+
+    body('variables.*.name')
+      .matches(/^[a-zA-Z_][a-zA-Z0-9_]*$/)
+      .withMessage('Variable names must be valid identifiers'),
+
+    body('variables.*.required')
+      .optional()
+      .isBoolean()
+      .withMessage('Variable required flag must be a boolean'),
+
+    body('defaultProvider')
+      .optional({ values: 'null' })
+      .isIn(Object.values(AI_CONFIG.PROVIDERS))
+      .withMessage(`Provider must be one of: ${Object.values(AI_CONFIG.PROVIDERS).join(', ')}`),
+
+    body('defaultModel')
+      .optional({ values: 'null' })
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Model name must be between 1 and 100 characters'),
+
+    body('defaultSettings')
+      .optional()
+      .isObject()
+      .withMessage('Default settings must be an object')
+  ];
+};
+
+// Validación de parámetro ID
+const validatePromptId = [
+  param('id')
+    .isUUID()
+    .withMessage('Prompt template ID must be a valid UUID')
+];
+
+// Validaciones para listar plantillas
+const validateGetPrompts = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search term must be less than 100 characters')
+];
+
+// Validaciones para restaurar versión
+const validateRestoreVersion = [
+  ...validatePromptId,
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer')
+];
+
+// Validaciones para renderizar
+const validateRender = [
+  ...validatePromptId,
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('Variables must be an object')
+];
+
+// =================================
+// MIDDLEWARE DE VALIDACIÓN
+// =================================
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+
+  if (!errors.isEmpty()) {
+    const validationErrors = errors.array().map(error => ({
+      field: error.param,
+      message: error.msg,
+      value: error.value
+    }));
+
+    logger.warn('Validation errors in prompt template request', {
+      errors: validationErrors,
+      ip: req.ip,
+      path: req.path,
+      userId: req.user?.id
+    });
+
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'Please check your input and try again',
+      validationErrors
+    });
+  }
+
+  next();
+};
+
+// =================================
+// RUTAS DE PLANTILLAS DE PROMPTS
+// =================================
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PromptTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         content:
+ *           type: string
+ *           description: System prompt with {{variable}} placeholders
+ *         variables:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               defaultValue:
+ *                 type: string
+ *               required:
+ *                 type: boolean
+ *         defaultProvider:
+ *           type: string
+ *         defaultModel:
+ *           type: string
+ *         defaultSettings:
+ *           type: object
+ *         version:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/prompts:
+ *   get:
+ *     summary: Get user's prompt templates
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prompt templates retrieved successfully
+ */
+router.get('/',
+  authenticate,
+  validateGetPrompts,
+  handleValidationErrors,
+  getPrompts
+);
+
+/**
+ * @swagger
+ * /api/v1/prompts:
+ *   post:
+ *     summary: Create prompt template
+ *     description: Variables are detected from {{variable}} placeholders; declared definitions add descriptions and default values.
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromptTemplate'
+ *     responses:
+ *       201:
+ *         description: Prompt template created (version 1)
+ *       409:
+ *         description: A template with this name already exists
+ */
+router.post('/',
+  authenticate,
+  writePromptLimiter,
+  templateFields(false),
+  handleValidationErrors,
+  createPrompt
+);
+
+/**
+ * @swagger
+ * /api/v1/prompts/{id}:
+ *   get:
+ *     summary: Get prompt template by ID
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prompt template retrieved successfully
+ *       404:
+ *         description: Prompt template not found
+ */
+router.get('/:id',
+  authenticate,
+  validatePromptId,
+  handleValidationErrors,
+  getPromptById
+);
+
+/**
+ * @swagger
+ * /api/v1/prompts/{id}:
+ *   put:
+ *     summary: Update prompt template
+ *     description: Every update is saved as a new version in the template history.
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromptTemplate'
+ *     responses:
+ *       200:
+ *         description: Prompt template updated successfully
+ *       404:
+ *         description: Prompt template not found
+ *       409:
+ *         description: A template with this name already exists
+ */
+router.put('/:id',
+  authenticate,
+  writePromptLimiter,
+  validatePromptId,
+  templateFields(true),
+  handleValidationErrors,
+  updatePrompt
+);
+
+/**
+ * @swagger
+ * /api/v1/prompts/{id}:
+ *   delete:
+ *     summary: Delete prompt template and its version history
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prompt template deleted successfully
+ *       404:
+ *         description: Prompt template not found
+ */
+router.delete('/:id',
+  authenticate,
+  writePromptLimiter,
+  validatePromptId,
+  handleValidationErrors,
+  deletePrompt
+);
+
+/**
+ * @swagger
+ * /api/v1/prompts/{id}/versions:
+ *   get:
+ *     summary: Get version history of a prompt template
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Versions, newest first
+ *       404:
+ *         description: Prompt template not found
+ */
+router.get('/:id/versions',
+  authenticate,
+  validatePromptId,
+  handleValidationErrors,
+  getPromptVersions
+);
+
+/**
+ * @swagger
+ * /api/v1/prompts/{id}/versions/{version}/restore:
+ *   post:
+ *     summary: Restore a previous version (saved as a new version)
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prompt template restored
+ *       404:
+ *         description: Prompt template or version not found
+ */
+router.post('/:id/versions/:version/restore',
+  authenticate,
+  writePromptLimiter,
+  validateRestoreVersion,
+  handleValidationErrors,
+  restorePromptVersion
+);
+
+/**
+ * @swagger
+ * /api/v1/prompts/{id}/render:
+ *   post:
+ *     summary: Preview a prompt template rendered with variables
+ *     tags: [Prompts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variables:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Rendered system prompt with the template's default provider, model and settings
+ *       400:
+ *         description: Missing template variables
+ *       404:
+ *         description: Prompt template not found
+ */
+router.post('/:id/render',
+  authenticate,
+  validateRender,
+  handleValidationErrors,
+  renderPrompt
+);
+
+module.exports = router;
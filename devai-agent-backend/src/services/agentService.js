@@ -0,0 +1,602 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_AGENT_CONFIG, AI_INJECTION_GUARD_CONFIG } = require('../utils/constants');
+const { createUnifiedDiff, generateHash } = require('../utils/helpers');
+const injectionGuard = require('../ai/injectionGuard');
+const { buildFileStats } = require('./fileService');
+const aiService = require('./aiService');
+const toolService = require('./toolService');
+const streamService = require('./streamService');
+const generationService = require('./generationService');
+const costService = require('./costService');
+const ragService = require('./ragService');
+
+const prisma = new PrismaClient();
+
+// =================================
+// MODO AGENTE (PLAN / ACT SOBRE UN PROYECTO)
+// =================================
+
+/*
+ * El agente recibe un objetivo y trabaja en pasos: en cada paso el modelo planifica y pide
+ * herramientas (listar, buscar y leer archivos del proyecto, proponer cambios), se ejecutan y
+ * sus resultados vuelven al modelo, hasta que responde sin herramientas o se agota el
+ * presupuesto de pasos. Cada paso se guarda en AgentStep y se emite por SSE.
+ * Los cambios propuestos quedan como AgentPatch pendientes: nada se escribe en los archivos
+ * hasta que el usuario aprueba cada parche.
+ */
+
+const AGENT_SYSTEM_PROMPT = [
+  'You are a coding agent working on the files of a software project.',
+  'Start with a short plan, then use the tools to list, search and read the files you need before changing anything.',
+  'Propose changes with propose_file_change: prefer "edits" with exact "find" snippets copied from the file, use "content" for new files or full rewrites.',
+  'Proposed changes are NOT applied: the user reviews and approves each one, so never claim that a file was changed.',
+  'Calling propose_file_change again for the same path replaces your previous proposal for it.',
+  'When you are done, answer without calling tools with a short summary of the proposed changes.'
+].join(' ');
+
+const BUDGET_NOTICE = 'This is your last step: do not call more tools, summarize what you found and the changes you proposed.';
+
+class AgentService {
+  constructor() {
+    // Ejecuciones en curso en esta instancia (runId → userId)
+    this.activeRuns = new Map();
+    this.registerTools();
+  }
+
+  /**
+   * Registrar las herramientas exclusivas del modo agente
+   */
+  registerTools() {
+    toolService.register({
+      name: 'propose_file_change',
+      agentOnly: true,
+      description: 'Propose a change to a project file (or a new file). The change is stored for the user to review and is only applied if the user approves it.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Relative path of the file, e.g. "src/app.js"' },
+          description: { type: 'string', description: 'Why the change is needed, in one sentence' },
+          content: { type: 'string', description: 'Complete new content of the file (for new files or full rewrites)' },
+          edits: {
+            type: 'array',
+            description: 'Replacements to apply to the current content. Each "find" must appear exactly once in the file.',
+            items: {
+              type: 'object',
+              properties: {
+                find: { type: 'string' },
+                replace: { type: 'string' }
+              },
+              required: ['find', 'replace']
+            }
+          }
+        },
+        required: ['path', 'description']
+      },
+      handler: (args, context) => this.proposeChange(args, context)
+    });
+  }
+
+  /**
+   * Iniciar una ejecución del agente (el loop corre en segundo plano)
+   * @param {Object} options - Opciones
+   * @param {string} options.userId - ID del usuario
+   * @param {Object} options.project - Proyecto { id, name, description }
+   * @param {string} options.goal - Objetivo pedido por el usuario
+   * @param {string} options.provider - Proveedor de IA
+   * @param {string} options.model - Modelo de IA
+   * @param {number} options.maxSteps - Presupuesto de pasos
+   * @returns {Promise<Object>} Ejecución creada
+   */
+  async startRun({ userId, project, goal, provider, model, maxSteps = AI_AGENT_CONFIG.defaultMaxSteps }) {
+    const active = [...this.activeRuns.values()].filter(owner => owner === userId).length;
+    if (active >= AI_AGENT_CONFIG.maxConcurrentRuns) {
+      const error = new Error(`Only ${AI_AGENT_CONFIG.maxConcurrentRuns} agent runs can be in progress at the same time`);
+      error.code = 'AGENT_RUN_LIMIT';
+      throw error;
+    }
+
+    const run = await prisma.agentRun.create({
+      data: {
+        userId,
+        projectId: project.id,
+        goal,
+        provider,
+        model,
+        maxSteps: Math.min(maxSteps, AI_AGENT_CONFIG.maxStepsLimit)
+      }
+    });
+
+    // Los eventos usan el mismo buffer reanudable que el chat, con el ID de la ejecución
+    this.activeRuns.set(run.id, userId);
+    const generation = generationService.start(run.id, userId, null);
+    await streamService.open(run.id, { userId, conversationId: null });
+    streamService.push(run.id, 'start', { runId: run.id, goal, maxSteps: run.maxSteps });
+
+    logger.info(`🤖 Agent run started`, {
+      runId: run.id,
+      userId,
+      projectId: project.id,
+      provider,
+      model,
+      maxSteps: run.maxSteps
+    });
+
+    this.execute(run, project, generation.signal).catch(error => {
+      logger.error('Agent run crashed:', { runId: run.id, error: error.message });
+    });
+
+    return run;
+  }
+
+  /**
+   * Loop plan/act de una ejecución
+   * @param {Object} run - Ejecución
+   * @param {Object} project - Proyecto
+   * @param {AbortSignal} signal - Señal de cancelación
+   */
+  async execute(run, project, signal) {
+    const definitions = toolService.getDefinitions(AI_AGENT_CONFIG.tools);
+    const context = { userId: run.userId, projectId: run.projectId, agentRunId: run.id };
+    const guardEnabled = AI_INJECTION_GUARD_CONFIG.enabled;
+    const systemPrompt = guardEnabled
+      ? `${AGENT_SYSTEM_PROMPT}\n\n${injectionGuard.UNTRUSTED_CONTENT_NOTICE}`
+      : AGENT_SYSTEM_PROMPT;
+    const messages = [{ role: 'user', content: this.buildGoalPrompt(run, project) }];
+    const totals = { stepIndex: 0, tokens: 0, costs: [] };
+    let target = { provider: run.provider, model: run.model };
+    let status = 'budget_exhausted';
+    let summary = null;
+
+    try {
+      for (let step = 0; step < run.maxSteps; step++) {
+        aiService.throwIfCancelled(signal);
+
+        const isLastStep = step === run.maxSteps - 1;
+        const response = await aiService.generateWithFailover({
+          ...target,
+          systemPrompt,
+          messages: isLastStep ? [...messages, { role: 'user', content: BUDGET_NOTICE }] : messages,
+          tools: definitions,
+          settings: { temperature: 0.2 },
+          userId: run.userId,
+          signal
+        });
+
+        // Mantener el mismo proveedor durante toda la ejecución para no mezclar formatos
+        target = { provider: response.provider, model: response.model, failover: false };
+        totals.tokens += response.usage?.totalTokens || 0;
+        totals.costs.push(response.cost);
+
+        await prisma.agentRun.update({
+          where: { id: run.id },
+          data: {
+            stepCount: step + 1,
+            totalTokens: totals.tokens,
+            totalCost: costService.sumCosts(totals.costs).totalCost
+          }
+        });
+
+        const toolCalls = response.toolCalls || [];
+        await this.recordStep(run.id, totals, {
+          type: toolCalls.length > 0 ? 'plan' : 'final',
+          content: response.content || null,
+          toolCalls: toolCalls.length > 0 ? toolCalls : undefined,
+          metadata: { provider: response.provider, model: response.model, usage: response.usage }
+        });
+
+        summary = response.content || summary;
+        if (toolCalls.length === 0) {
+          status = 'completed';
+          break;
+        }
+        if (isLastStep) break;
+
+        messages.push({ role: 'assistant', content: response.content || '', toolCalls });
+
+        for (const toolCall of toolCalls) {
+          aiService.throwIfCancelled(signal);
+
+          const result = await toolService.execute(toolCall, context);
+
+          // Contenido de archivos: se analiza contra prompt injection antes de dárselo al modelo
+          let output = result.ok ? result.result : { error: result.error };
+          let guardResult = null;
+          if (result.ok && guardEnabled && toolService.isUntrusted(toolCall.name)) {
+            const guarded = injectionGuard.guardValue(output, `${toolCall.name} ${JSON.stringify(toolCall.arguments || {})}`);
+            output = guarded.value;
+            guardResult = guarded.result;
+          }
+
+          await this.recordStep(run.id, totals, {
+            type: 'tool',
+            toolName: toolCall.name,
+            arguments: toolCall.arguments || {},
+            result: output,
+            metadata: {
+              ok: result.ok,
+              durationMs: result.durationMs,
+              ...(guardResult?.findings.length > 0 && { injectionGuard: guardResult })
+            }
+          });
+
+          messages.push({
+            role: 'tool',
+            toolCallId: toolCall.id,
+            name: toolCall.name,
+            content: JSON.stringify(output)
+          });
+        }
+      }
+
+      await this.finishRun(run, { status, summary });
+
+    } catch (error) {
+      if (error.code === 'AI_REQUEST_CANCELLED') {
+        await this.finishRun(run, { status: 'cancelled', summary });
+        return;
+      }
+
+      logger.error('Agent run failed:', { runId: run.id, error: error.message });
+      await this.recordStep(run.id, totals, { type: 'error', content: error.message }).catch(() => {});
+      await this.finishRun(run, { status: 'failed', summary, error: error.message });
+    }
+  }
+
+  /**
+   * Construir el mensaje inicial con el objetivo y el proyecto
+   * @param {Object} run - Ejecución
+   * @param {Object} project - Proyecto
+   * @returns {string} Prompt
+   */
+  buildGoalPrompt(run, project) {
+    return [
+      `Project: ${project.name}${project.description ? ` - ${project.description}` : ''}`,
+      `Step budget: ${run.maxSteps} steps (each of your responses is one step).`,
+      '',
+      `Goal:\n${run.goal}`
+    ].join('\n');
+  }
+
+  /**
+   * Guardar un paso y emitirlo por SSE
+   * @param {string} runId - ID de la ejecución
+   * @param {Object} totals - Acumuladores de la ejecución (stepIndex se incrementa)
+   * @param {Object} data - Datos del paso (type, content, toolCalls, toolName, arguments, result, metadata)
+   * @returns {Promise<Object>} Paso guardado
+   */
+  async recordStep(runId, totals, data) {
+    const step = await prisma.agentStep.create({
+      data: { runId, index: totals.stepIndex++, ...data }
+    });
+
+    streamService.push(runId, 'step', { step });
+    return step;
+  }
+
+  /**
+   * Cerrar una ejecución: guardar el estado final y terminar el stream
+   * @param {Object} run - Ejecución
+   * @param {Object} outcome - { status, summary, error }
+   */
+  async finishRun(run, { status, summary = null, error = null }) {
+    try {
+      await prisma.agentRun.update({
+        where: { id: run.id },
+        data: { status, summary, error, finishedAt: new Date() }
+      });
+
+      const pendingPatches = await prisma.agentPatch.count({ where: { runId: run.id, status: 'pending' } });
+
+      logger.info(`🤖 Agent run finished`, {
+        runId: run.id,
+        userId: run.userId,
+        status,
+        pendingPatches
+      });
+
+      if (status === 'cancelled') {
+        streamService.push(run.id, 'cancelled', { runId: run.id, pendingPatches });
+      } else if (status === 'failed') {
+        streamService.push(run.id, 'error', { runId: run.id, error, pendingPatches });
+      } else {
+        streamService.push(run.id, 'complete', { runId: run.id, status, summary, pendingPatches });
+      }
+    } finally {
+      streamService.end(run.id, status === 'budget_exhausted' ? 'completed' : status);
+      generationService.finish(run.id);
+      this.activeRuns.delete(run.id);
+    }
+  }
+
+  /**
+   * Guardar un cambio propuesto por el agente (handler de propose_file_change)
+   * @param {Object} args - { path, description, content, edits }
+   * @param {Object} context - Contexto de la herramienta { userId, projectId, agentRunId }
+   * @returns {Promise<Object>} Resumen del parche para el modelo
+   */
+  async proposeChange({ path, description = null, content, edits }, context) {
+    if (!context.agentRunId) {
+      throw new Error('propose_file_change is only available in agent mode');
+    }
+    if (!path) {
+      throw new Error('Parameter "path" is required');
+    }
+    if (typeof content !== 'string' && !(Array.isArray(edits) && edits.length > 0)) {
+      throw new Error('Provide either "content" or "edits"');
+    }
+
+    const file = await prisma.projectFile.findFirst({
+      where: { projectId: context.projectId, OR: [{ path }, { name: path }] },
+      select: { id: true, path: true, content: true }
+    });
+    const filePath = file ? file.path : path;
+
+    // Las ediciones se aplican sobre la propuesta anterior del mismo archivo, si existe
+    const previous = await prisma.agentPatch.findFirst({
+      where: { runId: context.agentRunId, path: filePath, status: 'pending' },
+      orderBy: { createdAt: 'desc' }
+    });
+    const base = previous ? previous.newContent : (file ? file.content : null);
+
+    const newContent = typeof content === 'string' ? content : this.applyEdits(base, edits);
+    if (newContent === base) {
+      throw new Error('The proposed change does not modify the file');
+    }
+    if (newContent.length > AI_AGENT_CONFIG.maxFileChars) {
+      throw new Error(`The proposed content exceeds ${AI_AGENT_CONFIG.maxFileChars} characters`);
+    }
+
+    const { diff, additions, deletions } = createUnifiedDiff(file ? file.content : null, newContent, filePath);
+
+    const [, patch] = await prisma.$transaction([
+      prisma.agentPatch.updateMany({
+        where: { runId: context.agentRunId, path: filePath, status: 'pending' },
+        data: { status: 'superseded', decidedAt: new Date() }
+      }),
+      prisma.agentPatch.create({
+        data: {
+          runId: context.agentRunId,
+          fileId: file ? file.id : null,
+          path: filePath,
+          description,
+          originalContent: file ? file.content : null,
+          originalHash: file ? generateHash(file.content) : null,
+          newContent,
+          diff,
+          additions,
+          deletions
+        }
+      })
+    ]);
+
+    const { originalContent, newContent: _newContent, ...summary } = patch;
+    streamService.push(context.agentRunId, 'patch', { patch: summary });
+
+    return {
+      patchId: patch.id,
+      path: filePath,
+      newFile: !file,
+      additions,
+      deletions,
+      status: 'pending_approval'
+    };
+  }
+
+  /**
+   * Aplicar ediciones find/replace sobre un contenido
+   * @param {string|null} content - Contenido actual (null = el archivo no existe)
+   * @param {Array<Object>} edits - [{ find, replace }]
+   * @returns {string} Contenido editado
+   */
+  applyEdits(content, edits) {
+    if (content === null) {
+      throw new Error('The file does not exist: use "content" to create it');
+    }
+
+    return edits.reduce((result, { find, replace = '' }, index) => {
+      if (!find) {
+        throw new Error(`Edit ${index + 1}: "find" is required`);
+      }
+
+      const occurrences = result.split(find).length - 1;
+      if (occurrences !== 1) {
+        throw new Error(`Edit ${index + 1}: "find" text must appear exactly once in the file (found ${occurrences})`);
+      }
+
+      return result.replace(find, () => replace);
+    }, content);
+  }
+
+  /**
+   * Listar las ejecuciones de un proyecto
+   * @param {string} projectId - ID del proyecto
+   * @param {string} userId - ID del usuario
+   * @param {Object} options - { limit, offset }
+   * @returns {Promise<Object>} { runs, total }
+   */
+  async listRuns(projectId, userId, { limit = 20, offset = 0 } = {}) {
+    const where = { projectId, userId };
+
+    const [runs, total] = await Promise.all([
+      prisma.agentRun.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset,
+        include: { _count: { select: { steps: true, patches: true } } }
+      }),
+      prisma.agentRun.count({ where })
+    ]);
+
+    return { runs, total };
+  }
+
+  /**
+   * Obtener una ejecución con sus pasos y parches
+   * @param {string} runId - ID de la ejecución
+   * @param {string} projectId - ID del proyecto
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} Ejecución o null si no existe o no pertenece al usuario
+   */
+  async getRun(runId, projectId, userId) {
+    return prisma.agentRun.findFirst({
+      where: { id: runId, projectId, userId },
+      include: {
+        steps: { orderBy: { index: 'asc' } },
+        patches: {
+          orderBy: { createdAt: 'asc' },
+          select: {
+            id: true,
+            fileId: true,
+            path: true,
+            description: true,
+            diff: true,
+            additions: true,
+            deletions: true,
+            status: true,
+            decidedAt: true,
+            createdAt: true
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Cancelar una ejecución en curso
+   * @param {string} runId - ID de la ejecución
+   * @param {string} userId - ID del usuario
+   * @returns {boolean} True si estaba en curso
+   */
+  cancelRun(runId, userId) {
+    return Boolean(generationService.cancel(runId, userId, 'user'));
+  }
+
+  /**
+   * Buscar un parche de una ejecución del usuario, validando que se pueda decidir
+   * @param {Object} ids - { runId, patchId, projectId, userId }
+   * @returns {Promise<Object|null>} { run, patch } o null si no existe
+   */
+  async findPendingPatch({ runId, patchId, projectId, userId }) {
+    const run = await prisma.agentRun.findFirst({ where: { id: runId, projectId, userId } });
+    if (!run) return null;
+
+    const patch = await prisma.agentPatch.findFirst({ where: { id: patchId, runId } });
+    if (!patch) return null;
+
+    // Mientras el agente trabaja todavía puede reemplazar sus propuestas
+    if (run.status === 'running') {
+      const error = new Error('The agent run is still in progress');
+      error.code = 'AGENT_RUN_IN_PROGRESS';
+      throw error;
+    }
+
+    if (patch.status !== 'pending') {
+      const error = new Error(`Patch is already ${patch.status}`);
+      error.code = 'AGENT_PATCH_NOT_PENDING';
+      throw error;
+    }
+
+    return { run, patch };
+  }
+
+  /**
+   * Aplicar un parche aprobado por el usuario
+   * @param {Object} ids - { runId, patchId, projectId, userId }
+   * @returns {Promise<Object|null>} { patch, file } o null si no existe
+   */
+  async approvePatch(ids) {
+    const found = await this.findPendingPatch(ids);
+    if (!found) return null;
+
+    const { patch } = found;
+    const current = patch.fileId
+      ? await prisma.projectFile.findUnique({ where: { id: patch.fileId } })
+      : await prisma.projectFile.findFirst({ where: { projectId: ids.projectId, path: patch.path } });
+
+    // El archivo cambió (o se creó/eliminó) después de la propuesta: no pisar esos cambios
+    const changed = patch.originalHash
+      ? !current || generateHash(current.content) !== patch.originalHash
+      : Boolean(current);
+
+    if (changed) {
+      await prisma.agentPatch.update({
+        where: { id: patch.id },
+        data: { status: 'conflict', decidedAt: new Date() }
+      });
+
+      const error = new Error(`File '${patch.path}' changed after the patch was proposed`);
+      error.code = 'AGENT_PATCH_CONFLICT';
+      throw error;
+    }
+
+    const name = patch.path.split('/').pop();
+    const stats = buildFileStats(current ? current.name : name, patch.newContent);
+
+    const [file, updatedPatch] = await prisma.$transaction([
+      current
+        ? prisma.projectFile.update({
+          where: { id: current.id },
+          data: { content: patch.newContent, ...stats }
+        })
+        : prisma.projectFile.create({
+          data: { projectId: ids.projectId, name, path: patch.path, content: patch.newContent, ...stats }
+        }),
+      prisma.agentPatch.update({
+        where: { id: patch.id },
+        data: { status: 'applied', decidedAt: new Date() }
+      }),
+      prisma.project.update({
+        where: { id: ids.projectId },
+        data: current
+          ? {
+            totalSize: { increment: stats.size - current.size },
+            totalLines: { increment: stats.lineCount - current.lineCount }
+          }
+          : {
+            totalFiles: { increment: 1 },
+            totalSize: { increment: stats.size },
+            totalLines: { increment: stats.lineCount }
+          }
+      })
+    ]);
+
+    if (!current) {
+      await prisma.agentPatch.update({ where: { id: patch.id }, data: { fileId: file.id } });
+    }
+
+    ragService.indexFileInBackground({ ...file, indexedHash: null });
+
+    logger.info(`✅ Agent patch applied: ${patch.path}`, {
+      patchId: patch.id,
+      runId: ids.runId,
+      fileId: file.id,
+      userId: ids.userId
+    });
+
+    const { content: _content, ...fileSummary } = file;
+    const { originalContent, newContent, ...patchSummary } = updatedPatch;
+    return { patch: { ...patchSummary, fileId: file.id }, file: fileSummary };
+  }
+
+  /**
+   * Descartar un parche propuesto
+   * @param {Object} ids - { runId, patchId, projectId, userId }
+   * @returns {Promise<Object|null>} Parche actualizado o null si no existe
+   */
+  async rejectPatch(ids) {
+    const found = await this.findPendingPatch(ids);
+    if (!found) return null;
+
+    const { originalContent, newContent, ...patch } = await prisma.agentPatch.update({
+      where: { id: found.patch.id },
+      data: { status: 'rejected', decidedAt: new Date() }
+    });
+
+    return patch;
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new AgentService();
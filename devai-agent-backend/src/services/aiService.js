@@ -1,11 +1,48 @@
 const logger = require('../config/logger');
-const { AI_CONFIG, MESSAGE_TYPES } = require('../utils/constants');
+const { AI_CONFIG, AI_FAILOVER_CONFIG, AI_CONTEXT_CONFIG, AI_TOOLS_CONFIG, AI_STRUCTURED_CONFIG, AI_REPLAY_CONFIG, AI_REDACTION_CONFIG, AI_INJECTION_GUARD_CONFIG, AI_PRIORITIES, MESSAGE_TYPES } = require('../utils/constants');
+const tokenizer = require('../ai/tokenizer');
+const { supportsVision } = require('../ai/modelCapabilities');
+const { createRedactor } = require('../ai/redaction');
+const injectionGuard = require('../ai/injectionGuard');
+const { injectSchemaPrompt, parseStructuredResponse, buildRepairPrompt } = require('../ai/structuredOutput');
 const cacheService = require('./cacheService');
+const circuitBreakerService = require('./circuitBreakerService');
+const schedulerService = require('./schedulerService');
+const costService = require('./costService');
+const toolService = require('./toolService');
+const apiKeyService = require('./apiKeyService');
 
 // =================================
 // SERVICIO PRINCIPAL DE IA
 // =================================
 
+/**
+ * Parsear lista de modelos separada por comas desde una variable de entorno
+ * @param {string} value - Valor de la variable
+ * @returns {Array<string>|null} Lista de modelos o null si está vacía
+ */
+function parseModelList(value) {
+  if (!value) return null;
+  const models = value.split(',').map(m => m.trim()).filter(Boolean);
+  return models.length > 0 ? models : null;
+}
+
+/**
+ * Configuración del cliente de OpenAI
+ * @param {string} apiKey - API key (del servidor o del usuario)
+ * @returns {Object} Configuración para OpenAICompatibleClient
+ */
+function buildOpenAIConfig(apiKey) {
+  return {
+    provider: 'openai',
+    name: 'OpenAI',
+    baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKey,
+    models: parseModelList(process.env.OPENAI_MODELS) || ['gpt-4o-mini', 'gpt-4o', 'gpt-4.1-mini'],
+    timeout: 60000
+  };
+}
+
 class AIService {
   constructor() {
     this.clients = new Map();
@@ -17,6 +54,15 @@ class AIService {
    */
   loadClients() {
     try {
+      // Modo replay: solo fixtures grabados, sin red ni API keys
+      if (AI_REPLAY_CONFIG.mode === 'replay') {
+        for (const provider of AI_REPLAY_CONFIG.providers) {
+          this.clients.set(provider, this.applyClientMode(provider, null));
+        }
+        logger.info(`📼 AI Service replaying fixtures from ${AI_REPLAY_CONFIG.fixturesDir} for ${this.clients.size} providers`);
+        return;
+      }
+
       // Cargar Gemini si está configurado
       if (process.env.GEMINI_API_KEY) {
         const GeminiClient = require('../ai/geminiClient');
@@ -45,12 +91,152 @@ class AIService {
         logger.info('✅ Ollama AI client loaded');
       }
 
+      // Cargar OpenAI si está configurado
+      if (process.env.OPENAI_API_KEY) {
+        const OpenAICompatibleClient = require('../ai/openaiCompatibleClient');
+        this.clients.set('openai', new OpenAICompatibleClient(buildOpenAIConfig(process.env.OPENAI_API_KEY)));
+        logger.info('✅ OpenAI client loaded');
+      }
+
+      // Cargar servidor local compatible con OpenAI (llama.cpp, vLLM, LM Studio...)
+      if (process.env.OPENAI_COMPATIBLE_URL) {
+        const OpenAICompatibleClient = require('../ai/openaiCompatibleClient');
+        this.clients.set('openai-compatible', new OpenAICompatibleClient({
+          provider: 'openai-compatible',
+          name: process.env.OPENAI_COMPATIBLE_NAME || 'OpenAI Compatible',
+          baseUrl: process.env.OPENAI_COMPATIBLE_URL,
+          apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+          models: parseModelList(process.env.OPENAI_COMPATIBLE_MODELS) || [],
+          defaultModel: process.env.OPENAI_COMPATIBLE_DEFAULT_MODEL
+        }));
+        logger.info('✅ OpenAI-compatible AI client loaded');
+      }
+
+      if (AI_REPLAY_CONFIG.mode === 'record') {
+        for (const [provider, client] of this.clients) {
+          this.clients.set(provider, this.applyClientMode(provider, client));
+        }
+        logger.info(`📼 Recording AI responses as fixtures in ${AI_REPLAY_CONFIG.fixturesDir}`);
+      }
+
+      for (const [provider, client] of this.clients) {
+        this.attachRateLimitListener(provider, client);
+      }
+
       logger.info(`🤖 AI Service initialized with ${this.clients.size} providers`);
     } catch (error) {
       logger.error('Error loading AI clients:', error);
     }
   }
 
+  /**
+   * Crear un cliente que usa la API key de un usuario
+   * @param {string} provider - Proveedor de IA
+   * @param {string} apiKey - API key en texto plano
+   * @returns {Object} Cliente de IA
+   */
+  createUserClient(provider, apiKey) {
+    if (AI_REPLAY_CONFIG.mode === 'replay') {
+      return this.applyClientMode(provider, null);
+    }
+
+    switch (provider) {
+      case 'gemini':
+        return this.applyClientMode(provider, new (require('../ai/geminiClient'))({ apiKey }));
+      case 'groq':
+        return this.applyClientMode(provider, new (require('../ai/groqClient'))({ apiKey }));
+      case 'huggingface':
+        return this.applyClientMode(provider, new (require('../ai/huggingfaceClient'))({ apiKey }));
+      case 'openai':
+        return this.applyClientMode(provider, new (require('../ai/openaiCompatibleClient'))(buildOpenAIConfig(apiKey)));
+      default:
+        throw new Error(`AI provider '${provider}' does not support user API keys`);
+    }
+  }
+
+  /**
+   * Envolver un cliente según AI_CLIENT_MODE (grabar o reproducir fixtures)
+   * @param {string} provider - Proveedor de IA
+   * @param {Object|null} client - Cliente real (null en modo replay)
+   * @returns {Object} Cliente a registrar
+   */
+  applyClientMode(provider, client) {
+    if (AI_REPLAY_CONFIG.mode === 'live') {
+      return client;
+    }
+
+    const ReplayClient = require('../ai/replayClient');
+    return new ReplayClient({
+      provider,
+      mode: AI_REPLAY_CONFIG.mode,
+      fixturesDir: AI_REPLAY_CONFIG.fixturesDir,
+      client
+    });
+  }
+
+  /**
+   * Obtener los clientes para una solicitud: los del servidor, reemplazados por
+   * clientes con la API key propia del usuario en los proveedores donde tenga una
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Map<string, Object>>} Proveedor -> cliente
+   */
+  async getClientsForUser(userId) {
+    const userKeys = await apiKeyService.getUsableKeys(userId);
+    if (userKeys.size === 0) {
+      return this.clients;
+    }
+
+    const clients = new Map(this.clients);
+    for (const [provider, key] of userKeys) {
+      try {
+        const client = this.createUserClient(provider, apiKeyService.decryptKey(key));
+        client.userKey = key;
+        this.attachRateLimitListener(provider, client);
+        clients.set(provider, client);
+      } catch (error) {
+        // Key que no se puede descifrar (ej: cambió la clave maestra): se usa la del servidor
+        logger.warn('⚠️ Could not load user API key, using server key', {
+          provider,
+          keyId: key.id,
+          userId,
+          error: error.message
+        });
+      }
+    }
+
+    return clients;
+  }
+
+  /**
+   * Cola del scheduler de un cliente: la del proveedor o la de la API key del usuario
+   * @param {string} provider - Proveedor de IA
+   * @param {Object} client - Cliente de IA
+   * @returns {string} Clave de la cola
+   */
+  getSchedulerKey(provider, client) {
+    return client.userKey ? `${provider}:key:${client.userKey.id}` : provider;
+  }
+
+  /**
+   * Enviar al scheduler la cuota que el proveedor informa en los headers de sus respuestas
+   * @param {string} provider - Proveedor de IA
+   * @param {Object} client - Cliente de IA
+   */
+  attachRateLimitListener(provider, client) {
+    client.onRateLimit = (info) => schedulerService.updateQuota(this.getSchedulerKey(provider, client), info);
+  }
+
+  /**
+   * Registrar el uso de la API key del usuario antes de llamar al proveedor
+   * @param {Object} client - Cliente de IA
+   * @returns {Promise<void>}
+   */
+  async recordUserKeyCall(client) {
+    if (client.userKey) {
+      client.userKey = await apiKeyService.recordCall(client.userKey);
+    }
+  }
+
   /**
    * Obtener lista de proveedores disponibles
    * @returns {Object} Proveedores disponibles
@@ -64,7 +250,9 @@ class AIService {
         available: client.isAvailable(),
         models: client.getAvailableModels(),
         features: client.getSupportedFeatures(),
-        rateLimit: client.getRateLimit()
+        rateLimit: client.getRateLimit(),
+        circuitBreaker: circuitBreakerService.getProviderState(name),
+        scheduler: schedulerService.getProviderState(name)
       };
     }
 
@@ -96,36 +284,392 @@ class AIService {
   }
 
   /**
-   * Generar respuesta de IA
+   * Generar respuesta de IA (con loop de herramientas si se solicitan)
    * @param {Object} options - Opciones de generación
+   * @param {Array<string>|boolean} options.tools - Herramientas habilitadas (true = todas)
+   * @param {Object} options.toolContext - Contexto para las herramientas (ej: projectId)
+   * @param {Object} options.responseSchema - JSON Schema que debe cumplir la respuesta (opcional)
    * @returns {Promise<Object>} Respuesta de IA
    */
   async generateResponse(options) {
+    if (options.responseSchema) {
+      return this.generateStructured(options);
+    }
+
+    if (this.shouldUseTools(options)) {
+      return this.generateWithTools(options);
+    }
+
+    return this.generateWithFailover(options);
+  }
+
+  /**
+   * Generar respuesta de IA recorriendo la cadena de failover
+   * @param {Object} options - Opciones de generación
+   * @returns {Promise<Object>} Respuesta de IA
+   */
+  async generateWithFailover(options) {
     const {
       provider = 'gemini',
       model = 'gemini-pro',
+      failover = AI_FAILOVER_CONFIG.enabled,
+      userId = null,
+      conversationId = null,
+      signal = null
+    } = options;
+
+    const clients = options.clients || await this.getClientsForUser(userId);
+    const candidates = this.getFailoverCandidates(provider, model, failover);
+    const attempts = [];
+
+    for (const candidate of candidates) {
+      this.throwIfCancelled(signal);
+
+      const skipReason = this.getSkipReason(candidate.provider, candidate.model, clients);
+      if (skipReason) {
+        attempts.push({ ...candidate, status: 'skipped', reason: skipReason });
+        continue;
+      }
+
+      try {
+        const response = await this.generateWithProvider({
+          ...options,
+          clients,
+          provider: candidate.provider,
+          model: candidate.model
+        });
+
+        return {
+          ...response,
+          failover: this.buildFailoverInfo(provider, model, candidate, attempts)
+        };
+      } catch (error) {
+        // Una cancelación no es un fallo del proveedor: no seguir con la cadena
+        if (error.code === 'AI_REQUEST_CANCELLED') {
+          throw error;
+        }
+
+        attempts.push({
+          ...candidate,
+          status: error.code === 'AI_CIRCUIT_OPEN' ? 'skipped' : 'failed',
+          reason: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.retryAfterMs && { retryAfterMs: error.retryAfterMs })
+        });
+
+        logger.warn('⚠️ AI provider failed, trying next in failover chain', {
+          provider: candidate.provider,
+          model: candidate.model,
+          error: error.message,
+          userId,
+          conversationId
+        });
+      }
+    }
+
+    throw this.createFailoverError(provider, attempts);
+  }
+
+  /**
+   * Verificar si la solicitud debe ejecutar el loop de herramientas
+   * @param {Object} options - Opciones de generación
+   * @returns {boolean} True si hay herramientas habilitadas
+   */
+  shouldUseTools(options) {
+    const { tools } = options;
+    if (!AI_TOOLS_CONFIG.enabled || !tools) return false;
+    return tools === true || (Array.isArray(tools) && tools.length > 0);
+  }
+
+  /**
+   * Generar respuesta ejecutando las herramientas que pida el modelo.
+   * Cada iteración envía el historial con las llamadas y sus resultados hasta
+   * que el modelo responde sin pedir herramientas o se alcanza el límite.
+   * @param {Object} options - Opciones de generación
+   * @returns {Promise<Object>} Respuesta final con las herramientas ejecutadas en `toolCalls`
+   */
+  async generateWithTools(options) {
+    const {
+      tools,
+      toolContext = {},
       messages = [],
+      userId = null,
+      conversationId = null,
+      signal = null
+    } = options;
+
+    const definitions = toolService.getDefinitions(tools);
+    const context = { ...toolContext, userId, conversationId };
+    const loopMessages = [...messages];
+    const invocations = [];
+    const guardResults = [];
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const costs = [];
+    let requestOptions = { ...options };
+    let firstResponse = null;
+    let response = null;
+
+    for (let iteration = 0; iteration < AI_TOOLS_CONFIG.maxIterations; iteration++) {
+      response = await this.generateWithFailover({
+        ...requestOptions,
+        messages: loopMessages,
+        tools: definitions
+      });
+
+      firstResponse = firstResponse || response;
+      usage.promptTokens += response.usage?.promptTokens || 0;
+      usage.completionTokens += response.usage?.completionTokens || 0;
+      usage.totalTokens += response.usage?.totalTokens || 0;
+      costs.push(response.cost);
+
+      if (!response.toolCalls?.length) {
+        return this.buildToolResponse(response, firstResponse, invocations, { usage, costs, guardResults }, false);
+      }
+
+      // Mantener el mismo proveedor durante todo el loop para no mezclar formatos
+      requestOptions = {
+        ...options,
+        provider: response.provider,
+        model: response.model,
+        failover: false
+      };
+
+      loopMessages.push({
+        role: 'assistant',
+        content: response.content || '',
+        toolCalls: response.toolCalls
+      });
+
+      for (const toolCall of response.toolCalls) {
+        this.throwIfCancelled(signal);
+
+        const result = await toolService.execute(toolCall, context);
+
+        invocations.push({
+          id: toolCall.id,
+          name: toolCall.name,
+          arguments: toolCall.arguments,
+          ...result
+        });
+
+        // Contenido de archivos: se analiza contra prompt injection antes de dárselo al modelo
+        let output = result.ok ? result.result : { error: result.error };
+        if (result.ok && AI_INJECTION_GUARD_CONFIG.enabled && toolService.isUntrusted(toolCall.name)) {
+          const guarded = injectionGuard.guardValue(output, `${toolCall.name} ${JSON.stringify(toolCall.arguments || {})}`);
+          output = guarded.value;
+          guardResults.push(guarded.result);
+        }
+
+        loopMessages.push({
+          role: 'tool',
+          toolCallId: toolCall.id,
+          name: toolCall.name,
+          content: JSON.stringify(output)
+        });
+      }
+    }
+
+    logger.warn('⚠️ AI tool loop reached max iterations', {
+      maxIterations: AI_TOOLS_CONFIG.maxIterations,
+      provider: response.provider,
+      model: response.model,
+      userId,
+      conversationId
+    });
+
+    return this.buildToolResponse(response, firstResponse, invocations, { usage, costs, guardResults }, true);
+  }
+
+  /**
+   * Formatear la respuesta final del loop de herramientas
+   * @param {Object} response - Última respuesta del modelo
+   * @param {Object} firstResponse - Primera respuesta (contiene el failover real)
+   * @param {Array<Object>} invocations - Herramientas ejecutadas con su resultado
+   * @param {Object} totals - Uso acumulado, costos y análisis de prompt injection de todas las iteraciones
+   * @param {boolean} limitReached - Si se cortó por el límite de iteraciones
+   * @returns {Object} Respuesta de IA
+   */
+  buildToolResponse(response, firstResponse, invocations, { usage, costs, guardResults = [] }, limitReached) {
+    const injectionReport = injectionGuard.buildReport(guardResults);
+
+    return {
+      ...response,
+      usage,
+      cost: costService.sumCosts(costs),
+      toolCalls: invocations,
+      toolLimitReached: limitReached,
+      failover: firstResponse.failover,
+      ...(injectionReport && { injectionGuard: injectionReport })
+    };
+  }
+
+  /**
+   * Generar una respuesta JSON que cumpla `responseSchema`.
+   * Si la respuesta no es válida se le devuelven los errores al mismo modelo
+   * para que la corrija, hasta AI_STRUCTURED_CONFIG.maxRepairs veces.
+   * @param {Object} options - Opciones de generación con `responseSchema`
+   * @returns {Promise<Object>} Respuesta de IA con `data` (JSON validado) y `structured`
+   */
+  async generateStructured(options) {
+    const {
+      responseSchema,
       systemPrompt = null,
       settings = {},
+      messages = [],
       userId = null,
-      conversationId = null
+      conversationId = null,
+      signal = null
     } = options;
 
-    // Validar proveedor
-    const client = this.clients.get(provider);
-    if (!client) {
-      throw new Error(`AI provider '${provider}' is not available`);
-    }
+    const maxAttempts = AI_STRUCTURED_CONFIG.maxRepairs + 1;
+    const loopMessages = [...messages];
+    const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    const costs = [];
+    let errors = [];
+    let response = null;
+
+    let requestOptions = {
+      ...options,
+      responseSchema: null,
+      systemPrompt: injectSchemaPrompt(systemPrompt, responseSchema),
+      // Los modos JSON nativos no admiten llamadas a herramientas: con herramientas solo se usa el prompt
+      settings: { ...settings, jsonMode: !this.shouldUseTools(options) }
+    };
 
-    if (!client.isAvailable()) {
-      throw new Error(`AI provider '${provider}' is not configured or unavailable`);
-    }
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      this.throwIfCancelled(signal);
+
+      response = await this.generateResponse({ ...requestOptions, messages: loopMessages });
+
+      usage.promptTokens += response.usage?.promptTokens || 0;
+      usage.completionTokens += response.usage?.completionTokens || 0;
+      usage.totalTokens += response.usage?.totalTokens || 0;
+      costs.push(response.cost);
+
+      const parsed = parseStructuredResponse(response.content, responseSchema);
+      errors = parsed.errors;
+
+      if (errors.length === 0) {
+        return {
+          ...response,
+          content: JSON.stringify(parsed.data),
+          data: parsed.data,
+          usage,
+          cost: costService.sumCosts(costs),
+          structured: { valid: true, repairs: attempt }
+        };
+      }
+
+      logger.warn('⚠️ AI structured output does not match schema', {
+        provider: response.provider,
+        model: response.model,
+        attempt: attempt + 1,
+        errors,
+        userId,
+        conversationId
+      });
+
+      // Pedir la corrección al mismo proveedor que produjo la respuesta
+      requestOptions = {
+        ...requestOptions,
+        provider: response.provider,
+        model: response.model,
+        failover: false
+      };
 
-    // Validar modelo
-    if (!this.isModelAvailable(provider, model)) {
-      throw new Error(`Model '${model}' is not available for provider '${provider}'`);
+      loopMessages.push(
+        { role: 'assistant', content: response.content },
+        { role: 'user', content: buildRepairPrompt(errors) }
+      );
     }
 
+    const error = new Error(`AI response did not match the response schema after ${maxAttempts} attempts`);
+    error.code = 'AI_STRUCTURED_OUTPUT_INVALID';
+    error.provider = response.provider;
+    error.validationErrors = errors;
+    error.content = response.content;
+    throw error;
+  }
+
+  /**
+   * Enviar el mismo prompt a varios proveedor/modelo en paralelo para comparar respuestas.
+   * Cada destino se ejecuta sin failover y su error no afecta a los demás.
+   * @param {Object} options - Opciones de generación (messages, systemPrompt, settings, userId, signal)
+   * @param {Array<Object>} options.targets - Destinos [{ provider, model }]
+   * @param {Object} handlers - Callbacks opcionales de streaming
+   * @param {Function} handlers.onChunk - (index, target, chunk) por cada chunk; activa el streaming
+   * @param {Function} handlers.onResult - (index, result) al terminar cada destino
+   * @returns {Promise<Array<Object>>} Resultados en el orden de `targets`
+   */
+  async compareResponses(options, { onChunk = null, onResult = null } = {}) {
+    const { targets = [], ...generationOptions } = options;
+
+    return Promise.all(targets.map(async (target, index) => {
+      const targetOptions = {
+        ...generationOptions,
+        provider: target.provider,
+        model: target.model,
+        failover: false
+      };
+      const startTime = Date.now();
+      let result;
+
+      try {
+        const response = onChunk
+          ? await this.generateStreamingResponse(targetOptions, (chunk) => onChunk(index, target, chunk), () => {})
+          : await this.generateWithFailover(targetOptions);
+
+        result = {
+          provider: target.provider,
+          model: target.model,
+          status: 'completed',
+          content: response.content,
+          latencyMs: Date.now() - startTime,
+          usage: response.usage,
+          cost: response.cost,
+          fromCache: response.fromCache || false
+        };
+      } catch (error) {
+        result = {
+          provider: target.provider,
+          model: target.model,
+          status: error.code === 'AI_REQUEST_CANCELLED' ? 'cancelled' : 'failed',
+          content: null,
+          latencyMs: Date.now() - startTime,
+          error: {
+            code: error.code || 'AI_PROVIDER_ERROR',
+            message: error.message
+          }
+        };
+      }
+
+      if (onResult) onResult(index, result);
+      return result;
+    }));
+  }
+
+  /**
+   * Generar respuesta con un proveedor concreto (sin failover)
+   * @param {Object} options - Opciones de generación
+   * @returns {Promise<Object>} Respuesta de IA
+   */
+  async generateWithProvider(options) {
+    const {
+      provider,
+      model,
+      messages = [],
+      systemPrompt = null,
+      settings = {},
+      tools = [],
+      userId = null,
+      conversationId = null,
+      signal = null,
+      priority = AI_PRIORITIES.INTERACTIVE,
+      clients = this.clients
+    } = options;
+
+    const client = clients.get(provider);
+
     // Verificar rate limit
     await this.checkRateLimit(provider, userId);
 
@@ -135,11 +679,18 @@ class AIService {
       ...settings
     };
 
-    // Preparar mensajes con contexto del sistema
-    const preparedMessages = this.prepareMessages(messages, systemPrompt);
+    // Preparar mensajes con contexto del sistema (sin secretos ni datos personales)
+    const redactor = this.createRedactor(provider);
+    const preparedMessages = this.prepareMessages(messages, systemPrompt, { redactor, provider, model });
+
+    // Las imágenes adjuntas solo se envían a modelos con visión
+    this.checkVisionSupport(provider, model, preparedMessages, clients);
+
+    // Verificar que el prompt entra en la ventana de contexto antes de enviarlo
+    this.checkContextSize(provider, model, preparedMessages, finalSettings, tools);
 
     // Crear clave de cache si es apropiado
-    const cacheKey = this.generateCacheKey(provider, model, preparedMessages, finalSettings);
+    const cacheKey = this.generateCacheKey(provider, model, preparedMessages, finalSettings, tools);
 
     try {
       // Intentar obtener de cache primero (solo para consultas determinísticas)
@@ -147,41 +698,58 @@ class AIService {
         const cached = await cacheService.get(cacheKey);
         if (cached) {
           logger.info('🎯 AI response served from cache', { provider, model, userId });
-          return {
+          return this.restoreResponse({
             ...cached,
+            cost: costService.sumCosts([]), // Servida desde cache: sin costo
             fromCache: true
-          };
+          }, redactor);
         }
       }
 
+      await this.recordUserKeyCall(client);
+
       // Generar respuesta
       const startTime = Date.now();
-      const response = await client.generateResponse({
-        model,
-        messages: preparedMessages,
-        settings: finalSettings
-      });
+      const response = await this.callProvider(client, provider, model, {
+        signal,
+        priority,
+        estimatedTokens: this.estimateRequestTokens(preparedMessages, model, finalSettings, tools)
+      }, () =>
+        client.generateResponse({
+          model,
+          messages: preparedMessages,
+          settings: finalSettings,
+          tools,
+          signal
+        })
+      );
 
       const responseTime = Date.now() - startTime;
 
+      const usage = this.resolveUsage(response.usage, preparedMessages, response.content, model, tools);
+
       // Formatear respuesta
       const formattedResponse = {
         content: response.content,
-        tokenCount: response.usage?.completionTokens || this.estimateTokens(response.content),
-        usage: response.usage || this.estimateUsage(preparedMessages, response.content),
+        ...(response.thinking && { thinking: response.thinking }),
+        toolCalls: response.toolCalls || [],
+        tokenCount: usage.completionTokens,
+        usage,
+        cost: costService.calculateCost(provider, model, usage),
         responseTime,
         provider,
         model,
+        ...(client.userKey && { userKeyId: client.userKey.id }),
         fromCache: false
       };
 
-      // Cache la respuesta si es determinística
+      // Cache la respuesta si es determinística (con los marcadores: el cache no guarda secretos)
       if (finalSettings.temperature === 0) {
         await cacheService.set(cacheKey, formattedResponse, 3600); // 1 hora
       }
 
       // Registrar uso
-      await this.recordUsage(provider, model, formattedResponse.usage, userId, conversationId);
+      await this.recordUsage(provider, model, formattedResponse.usage, userId, conversationId, formattedResponse.cost);
 
       logger.info('🤖 AI response generated', {
         provider,
@@ -192,7 +760,7 @@ class AIService {
         conversationId
       });
 
-      return formattedResponse;
+      return this.restoreResponse(formattedResponse, redactor);
 
     } catch (error) {
       logger.error('AI generation failed:', {
@@ -203,60 +771,143 @@ class AIService {
         conversationId
       });
 
-      // Reintentar con proveedor de respaldo si está configurado
-      if (provider !== 'gemini' && this.isProviderAvailable('gemini')) {
-        logger.info('🔄 Retrying with fallback provider: gemini');
-        return this.generateResponse({
-          ...options,
-          provider: 'gemini',
-          model: 'gemini-pro'
-        });
-      }
-
       throw error;
     }
   }
 
   /**
-   * Generar respuesta streaming
-   * @param {Object} options - Opciones de generación
+   * Generar respuesta streaming recorriendo la cadena de failover.
+   * Solo se cambia de proveedor si todavía no se emitió ningún chunk.
+   * @param {Object} options - Opciones de generación (`onThinking` recibe el razonamiento <think> aparte)
    * @param {Function} onChunk - Callback para cada chunk
    * @param {Function} onComplete - Callback al completar
    * @returns {Promise<Object>} Respuesta completa
    */
   async generateStreamingResponse(options, onChunk, onComplete) {
+    // El loop de herramientas y la validación de JSON necesitan respuestas completas:
+    // se ejecutan sin streaming y se emite el contenido final de una vez
+    if (options.responseSchema || this.shouldUseTools(options)) {
+      const response = await this.generateResponse(options);
+      this.throwIfCancelled(options.signal);
+      if (response.thinking && options.onThinking) options.onThinking(response.thinking);
+      onChunk(response.content);
+      onComplete(response);
+      return response;
+    }
+
     const {
       provider = 'gemini',
       model = 'gemini-pro',
+      failover = AI_FAILOVER_CONFIG.enabled,
+      userId = null,
+      conversationId = null,
+      signal = null
+    } = options;
+
+    const clients = options.clients || await this.getClientsForUser(userId);
+    const candidates = this.getFailoverCandidates(provider, model, failover);
+    const attempts = [];
+    let chunksEmitted = false;
+
+    const trackedOnChunk = (chunk) => {
+      chunksEmitted = true;
+      onChunk(chunk);
+    };
+
+    // El razonamiento enviado al cliente también impide cambiar de proveedor
+    const trackedOnThinking = options.onThinking && ((chunk) => {
+      chunksEmitted = true;
+      options.onThinking(chunk);
+    });
+
+    for (const candidate of candidates) {
+      this.throwIfCancelled(signal);
+
+      const skipReason = this.getSkipReason(candidate.provider, candidate.model, clients);
+      if (skipReason) {
+        attempts.push({ ...candidate, status: 'skipped', reason: skipReason });
+        continue;
+      }
+
+      try {
+        const response = await this.streamWithProvider({
+          ...options,
+          clients,
+          provider: candidate.provider,
+          model: candidate.model,
+          onThinking: trackedOnThinking
+        }, trackedOnChunk);
+
+        const finalResponse = {
+          ...response,
+          failover: this.buildFailoverInfo(provider, model, candidate, attempts)
+        };
+
+        onComplete(finalResponse);
+        return finalResponse;
+      } catch (error) {
+        // Con contenido parcial ya enviado al cliente no se puede cambiar de proveedor
+        if (chunksEmitted || error.code === 'AI_REQUEST_CANCELLED') {
+          throw error;
+        }
+
+        attempts.push({
+          ...candidate,
+          status: error.code === 'AI_CIRCUIT_OPEN' ? 'skipped' : 'failed',
+          reason: error.message,
+          ...(error.code && { code: error.code }),
+          ...(error.retryAfterMs && { retryAfterMs: error.retryAfterMs })
+        });
+
+        logger.warn('⚠️ AI streaming provider failed, trying next in failover chain', {
+          provider: candidate.provider,
+          model: candidate.model,
+          error: error.message,
+          userId,
+          conversationId
+        });
+      }
+    }
+
+    throw this.createFailoverError(provider, attempts);
+  }
+
+  /**
+   * Generar respuesta streaming con un proveedor concreto (sin failover)
+   * @param {Object} options - Opciones de generación
+   * @param {Function} onChunk - Callback para cada chunk
+   * @returns {Promise<Object>} Respuesta completa
+   */
+  async streamWithProvider(options, onChunk) {
+    const {
+      provider,
+      model,
       messages = [],
       systemPrompt = null,
       settings = {},
       userId = null,
-      conversationId = null
+      conversationId = null,
+      signal = null,
+      priority = AI_PRIORITIES.INTERACTIVE,
+      onThinking = null,
+      clients = this.clients
     } = options;
 
-    // Validaciones similares a generateResponse
-    const client = this.clients.get(provider);
-    if (!client) {
-      throw new Error(`AI provider '${provider}' is not available`);
-    }
-
-    if (!client.isAvailable()) {
-      throw new Error(`AI provider '${provider}' is not configured or unavailable`);
-    }
+    const client = clients.get(provider);
 
     if (!client.supportsStreaming()) {
       // Fallback a respuesta completa si no soporta streaming
-      const response = await this.generateResponse(options);
+      const response = await this.generateWithProvider(options);
+      if (response.thinking && onThinking) onThinking(response.thinking);
       
       // Simular streaming
       const chunks = response.content.split(' ');
       for (const chunk of chunks) {
+        this.throwIfCancelled(signal);
         onChunk(chunk + ' ');
         await new Promise(resolve => setTimeout(resolve, 50));
       }
       
-      onComplete(response);
       return response;
     }
 
@@ -267,37 +918,61 @@ class AIService {
       ...settings
     };
 
-    const preparedMessages = this.prepareMessages(messages, systemPrompt);
+    const redactor = this.createRedactor(provider);
+    const preparedMessages = this.prepareMessages(messages, systemPrompt, { redactor, provider, model });
+
+    this.checkVisionSupport(provider, model, preparedMessages, clients);
+    this.checkContextSize(provider, model, preparedMessages, finalSettings);
+
+    // Los marcadores [REDACTED_...] pueden llegar partidos entre chunks
+    const contentStream = this.createRestoringStream(onChunk, redactor);
+    const thinkingStream = onThinking && this.createRestoringStream(onThinking, redactor);
 
     try {
+      await this.recordUserKeyCall(client);
+
       const startTime = Date.now();
       let fullContent = '';
       
-      const response = await client.generateStreamingResponse({
-        model,
-        messages: preparedMessages,
-        settings: finalSettings
-      }, (chunk) => {
-        fullContent += chunk;
-        onChunk(chunk);
-      });
+      const response = await this.callProvider(client, provider, model, {
+        signal,
+        priority,
+        estimatedTokens: this.estimateRequestTokens(preparedMessages, model, finalSettings)
+      }, () =>
+        client.generateStreamingResponse({
+          model,
+          messages: preparedMessages,
+          settings: finalSettings,
+          signal,
+          onThinking: thinkingStream && thinkingStream.push
+        }, (chunk) => {
+          fullContent += chunk;
+          contentStream.push(chunk);
+        })
+      );
+
+      contentStream.end();
+      if (thinkingStream) thinkingStream.end();
 
       const responseTime = Date.now() - startTime;
+      const usage = this.resolveUsage(response.usage, preparedMessages, fullContent, model);
 
       const formattedResponse = {
         content: fullContent,
-        tokenCount: response.usage?.completionTokens || this.estimateTokens(fullContent),
-        usage: response.usage || this.estimateUsage(preparedMessages, fullContent),
+        ...(response.thinking && { thinking: response.thinking }),
+        tokenCount: usage.completionTokens,
+        usage,
+        cost: costService.calculateCost(provider, model, usage),
         responseTime,
         provider,
         model,
+        ...(client.userKey && { userKeyId: client.userKey.id }),
         streaming: true
       };
 
-      await this.recordUsage(provider, model, formattedResponse.usage, userId, conversationId);
+      await this.recordUsage(provider, model, formattedResponse.usage, userId, conversationId, formattedResponse.cost);
 
-      onComplete(formattedResponse);
-      return formattedResponse;
+      return this.restoreResponse(formattedResponse, redactor);
 
     } catch (error) {
       logger.error('AI streaming generation failed:', {
@@ -311,13 +986,229 @@ class AIService {
     }
   }
 
+  /**
+   * Construir la lista ordenada de proveedor/modelo a intentar
+   * @param {string} provider - Proveedor solicitado
+   * @param {string} model - Modelo solicitado
+   * @param {boolean} failover - Si se permite usar otros proveedores
+   * @returns {Array<Object>} Candidatos en orden de preferencia
+   */
+  getFailoverCandidates(provider, model, failover = true) {
+    const candidates = [{ provider, model }];
+
+    if (!failover) {
+      return candidates;
+    }
+
+    for (const fallbackProvider of AI_FAILOVER_CONFIG.chain) {
+      if (fallbackProvider === provider) continue;
+
+      const fallbackModel = AI_FAILOVER_CONFIG.models[fallbackProvider];
+      if (!fallbackModel) {
+        logger.warn(`No failover model mapped for provider '${fallbackProvider}'`);
+        continue;
+      }
+
+      candidates.push({ provider: fallbackProvider, model: fallbackModel });
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Determinar por qué un proveedor/modelo no puede atender la solicitud
+   * @param {string} provider - Nombre del proveedor
+   * @param {string} model - Nombre del modelo
+   * @param {Map<string, Object>} clients - Clientes de la solicitud (con las API keys del usuario)
+   * @returns {string|null} Motivo del salto o null si puede usarse
+   */
+  getSkipReason(provider, model, clients = this.clients) {
+    const client = clients.get(provider);
+    if (!client) {
+      return `AI provider '${provider}' is not available`;
+    }
+
+    if (!client.isAvailable()) {
+      return `AI provider '${provider}' is not configured or unavailable`;
+    }
+
+    // Los proveedores con modelos dinámicos (Ollama) validan el modelo por su cuenta
+    const availableModels = client.getAvailableModels();
+    if (availableModels.length > 0 && !availableModels.includes(model)) {
+      return `Model '${model}' is not available for provider '${provider}'`;
+    }
+
+    return circuitBreakerService.getBlockReason(provider, model);
+  }
+
+  /**
+   * Elegir el primer proveedor/modelo que el usuario pueda usar ahora (ej: modelos rápidos para tareas auxiliares)
+   * @param {Array<Object>} candidates - [{ provider, model }] en orden de preferencia
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} { provider, model } o null si ninguno está disponible
+   */
+  async pickAvailableTarget(candidates, userId) {
+    const clients = await this.getClientsForUser(userId);
+    return candidates.find(({ provider, model }) => !this.getSkipReason(provider, model, clients)) || null;
+  }
+
+  /**
+   * Esperar turno en la cola del proveedor y ejecutar la llamada con circuit breaker
+   * @param {Object} client - Cliente de IA
+   * @param {string} provider - Nombre del proveedor
+   * @param {string} model - Nombre del modelo
+   * @param {Object} schedule - { signal, priority, estimatedTokens }
+   * @param {Function} call - Función que realiza la llamada
+   * @returns {Promise<Object>} Respuesta del proveedor
+   */
+  async callProvider(client, provider, model, { signal = null, priority, estimatedTokens = 0 }, call) {
+    let release;
+    try {
+      release = await schedulerService.acquire(this.getSchedulerKey(provider, client), {
+        priority,
+        signal,
+        estimatedTokens
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw this.createCancelledError(provider);
+      }
+      throw error;
+    }
+
+    try {
+      return await this.callWithCircuitBreaker(client, provider, model, signal, call);
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Tokens que consumirá una solicitud (prompt + máximo de respuesta), para la cuota del scheduler
+   * @param {Array} messages - Mensajes preparados
+   * @param {string} model - Modelo
+   * @param {Object} settings - Configuración final
+   * @param {Array} tools - Herramientas
+   * @returns {number} Tokens estimados
+   */
+  estimateRequestTokens(messages, model, settings, tools = []) {
+    return tokenizer.countPromptTokens(messages, model, tools) + (settings.maxTokens || 0);
+  }
+
+  /**
+   * Ejecutar una llamada al proveedor registrando el resultado en su circuit breaker
+   * @param {Object} client - Cliente de IA
+   * @param {string} provider - Nombre del proveedor
+   * @param {string} model - Nombre del modelo
+   * @param {AbortSignal} signal - Señal de cancelación de la solicitud
+   * @param {Function} call - Función que realiza la llamada
+   * @returns {Promise<Object>} Respuesta del proveedor
+   */
+  async callWithCircuitBreaker(client, provider, model, signal, call) {
+    circuitBreakerService.acquire(provider, model);
+
+    try {
+      const response = await call();
+      circuitBreakerService.recordSuccess(provider, model);
+      return response;
+    } catch (error) {
+      // Cancelada por el usuario: no dice nada de la salud del proveedor
+      if (signal?.aborted || error.name === 'AbortError') {
+        circuitBreakerService.recordFailure(provider, model, error, false);
+        throw this.createCancelledError(provider);
+      }
+
+      circuitBreakerService.recordFailure(provider, model, error, client.isRetryableError(error));
+      throw error;
+    }
+  }
+
+  /**
+   * Cortar la generación si la solicitud fue cancelada
+   * @param {AbortSignal} signal - Señal de cancelación
+   */
+  throwIfCancelled(signal) {
+    if (signal?.aborted) {
+      throw this.createCancelledError();
+    }
+  }
+
+  /**
+   * Crear error de generación cancelada (por el usuario o por desconexión del cliente)
+   * @param {string} provider - Proveedor que estaba respondiendo
+   * @returns {Error} Error con código AI_REQUEST_CANCELLED
+   */
+  createCancelledError(provider = null) {
+    const error = new Error('AI generation was cancelled');
+    error.code = 'AI_REQUEST_CANCELLED';
+    error.provider = provider;
+    return error;
+  }
+
+  /**
+   * Resumir qué proveedor respondió y por qué se saltaron los anteriores
+   * @param {string} requestedProvider - Proveedor solicitado
+   * @param {string} requestedModel - Modelo solicitado
+   * @param {Object} answeredBy - Proveedor/modelo que respondió
+   * @param {Array<Object>} attempts - Intentos previos fallidos o saltados
+   * @returns {Object} Información de failover
+   */
+  buildFailoverInfo(requestedProvider, requestedModel, answeredBy, attempts) {
+    return {
+      requestedProvider,
+      requestedModel,
+      answeredBy: answeredBy.provider,
+      answeredModel: answeredBy.model,
+      usedFallback: answeredBy.provider !== requestedProvider || answeredBy.model !== requestedModel,
+      skipped: attempts
+    };
+  }
+
+  /**
+   * Crear error cuando ningún proveedor de la cadena pudo responder
+   * @param {string} provider - Proveedor solicitado
+   * @param {Array<Object>} attempts - Intentos realizados
+   * @returns {Error} Error con el detalle de cada intento
+   */
+  createFailoverError(provider, attempts) {
+    const message = attempts.length === 1
+      ? attempts[0].reason
+      : `All AI providers failed: ${attempts.map(a => `${a.provider} (${a.reason})`).join('; ')}`;
+
+    // Si ningún modelo de la cadena admite un prompt tan largo, no es un fallo del proveedor
+    const onlyFailedWith = (code) => attempts.length > 0 &&
+      attempts.every(a => a.status === 'skipped' || a.code === code) &&
+      attempts.some(a => a.code === code);
+
+    const error = new Error(message);
+    if (onlyFailedWith('AI_CONTEXT_LENGTH_EXCEEDED')) {
+      error.code = 'AI_CONTEXT_LENGTH_EXCEEDED';
+    } else if (onlyFailedWith('AI_VISION_UNSUPPORTED')) {
+      // Ningún modelo de la cadena acepta las imágenes adjuntas
+      error.code = 'AI_VISION_UNSUPPORTED';
+    } else if (onlyFailedWith('AI_KEY_LIMIT_EXCEEDED')) {
+      // La API key del usuario llegó a su límite y no hubo otro proveedor que respondiera
+      error.code = 'AI_KEY_LIMIT_EXCEEDED';
+    } else if (onlyFailedWith('AI_PROVIDER_RATE_LIMITED')) {
+      // Todos los proveedores están sin cuota: el cliente puede reintentar cuando se renueve
+      error.code = 'AI_PROVIDER_RATE_LIMITED';
+      error.retryAfterMs = Math.min(...attempts.filter(a => a.retryAfterMs).map(a => a.retryAfterMs));
+    } else {
+      error.code = 'AI_PROVIDER_ERROR';
+    }
+    error.provider = provider;
+    error.attempts = attempts;
+    return error;
+  }
+
   /**
    * Preparar mensajes con contexto del sistema
    * @param {Array} messages - Mensajes de la conversación
    * @param {string} systemPrompt - Prompt del sistema
+   * @param {Object} redaction - { redactor, provider, model } para quitar secretos antes de enviar
    * @returns {Array} Mensajes preparados
    */
-  prepareMessages(messages, systemPrompt) {
+  prepareMessages(messages, systemPrompt, { redactor = null, provider = null, model = null } = {}) {
     const prepared = [];
 
     // Agregar prompt del sistema si existe
@@ -331,10 +1222,97 @@ class AIService {
     // Agregar mensajes de la conversación
     prepared.push(...messages.map(msg => ({
       role: msg.role,
-      content: msg.content
+      content: msg.content,
+      ...(msg.images?.length > 0 && { images: msg.images }),
+      ...(msg.toolCalls?.length > 0 && { toolCalls: msg.toolCalls }),
+      ...(msg.toolCallId && { toolCallId: msg.toolCallId, name: msg.name })
     })));
 
-    return prepared;
+    return redactor ? this.redactMessages(prepared, redactor, { provider, model }) : prepared;
+  }
+
+  // =================================
+  // REDACCIÓN DE SECRETOS Y DATOS PERSONALES
+  // =================================
+
+  /**
+   * Crear el redactor de una solicitud
+   * @param {string} provider - Proveedor que recibirá el prompt
+   * @returns {Object|null} Redactor o null si no hay que redactar
+   */
+  createRedactor(provider) {
+    const { enabled, types, skipLocalProviders, localProviders } = AI_REDACTION_CONFIG;
+
+    if (!enabled || (skipLocalProviders && localProviders.includes(provider))) {
+      return null;
+    }
+
+    return createRedactor({ types });
+  }
+
+  /**
+   * Reemplazar secretos y datos personales de los mensajes por marcadores estables
+   * @param {Array} messages - Mensajes preparados
+   * @param {Object} redactor - Redactor de la solicitud
+   * @param {Object} target - { provider, model } para el reporte
+   * @returns {Array} Mensajes redactados
+   */
+  redactMessages(messages, redactor, { provider, model }) {
+    const report = [];
+
+    const redacted = messages.map((msg, index) => {
+      const { text, found } = redactor.redact(msg.content);
+      const toolCalls = msg.toolCalls && redactor.redactDeep(msg.toolCalls, found);
+
+      if (Object.keys(found).length > 0) {
+        report.push({ index, role: msg.role, found });
+      }
+
+      return { ...msg, content: text, ...(toolCalls && { toolCalls }) };
+    });
+
+    // Reporte por mensaje: solo tipos y cantidades, nunca los valores
+    for (const entry of report) {
+      logger.info('🔒 Sensitive data redacted from AI prompt', { provider, model, ...entry });
+    }
+
+    return redacted;
+  }
+
+  /**
+   * Devolver los valores reales en la respuesta en lugar de los marcadores
+   * @param {Object} response - Respuesta formateada
+   * @param {Object|null} redactor - Redactor de la solicitud
+   * @returns {Object} Respuesta restaurada
+   */
+  restoreResponse(response, redactor) {
+    if (!redactor || redactor.getCount() === 0) {
+      return response;
+    }
+
+    const restoreText = AI_REDACTION_CONFIG.restoreResponses;
+
+    return {
+      ...response,
+      ...(restoreText && { content: redactor.restore(response.content) }),
+      ...(restoreText && response.thinking && { thinking: redactor.restore(response.thinking) }),
+      // Las herramientas se ejecutan en el servidor: siempre reciben los valores reales
+      ...(response.toolCalls && { toolCalls: redactor.restoreDeep(response.toolCalls) })
+    };
+  }
+
+  /**
+   * Envolver un callback de streaming para restaurar los marcadores de cada chunk
+   * @param {Function} callback - Callback original
+   * @param {Object|null} redactor - Redactor de la solicitud
+   * @returns {Object} { push(chunk), end() }
+   */
+  createRestoringStream(callback, redactor) {
+    if (!redactor || redactor.getCount() === 0 || !AI_REDACTION_CONFIG.restoreResponses) {
+      return { push: callback, end: () => {} };
+    }
+
+    return redactor.createStreamRestorer(callback);
   }
 
   /**
@@ -365,8 +1343,9 @@ class AIService {
    * @param {Object} usage - Información de uso
    * @param {string} userId - ID del usuario
    * @param {string} conversationId - ID de la conversación
+   * @param {Object} cost - Costo estimado de la solicitud
    */
-  async recordUsage(provider, model, usage, userId, conversationId) {
+  async recordUsage(provider, model, usage, userId, conversationId, cost = null) {
     try {
       // En una implementación completa, aquí guardarías en base de datos
       const usageRecord = {
@@ -377,6 +1356,7 @@ class AIService {
         promptTokens: usage.promptTokens || 0,
         completionTokens: usage.completionTokens || 0,
         totalTokens: usage.totalTokens || 0,
+        estimatedCost: cost?.totalCost || 0,
         timestamp: new Date().toISOString()
       };
 
@@ -388,15 +1368,20 @@ class AIService {
       const currentStats = await cacheService.get(statsKey) || {
         totalRequests: 0,
         totalTokens: 0,
+        totalCost: 0,
         lastUsed: null
       };
 
       currentStats.totalRequests += 1;
       currentStats.totalTokens += usage.totalTokens || 0;
+      currentStats.totalCost = costService.round((currentStats.totalCost || 0) + (cost?.totalCost || 0));
       currentStats.lastUsed = new Date().toISOString();
 
       await cacheService.set(statsKey, currentStats, 86400); // 24 horas
 
+      // Acumular tokens y costo en la conversación y en el uso diario del usuario
+      await costService.recordCost({ provider, usage, cost, userId, conversationId });
+
     } catch (error) {
       logger.error('Error recording AI usage:', error);
       // No fallar la operación principal por esto
@@ -409,15 +1394,23 @@ class AIService {
    * @param {string} model - Modelo
    * @param {Array} messages - Mensajes
    * @param {Object} settings - Configuraciones
+   * @param {Array<Object>} tools - Herramientas enviadas al modelo
    * @returns {string} Clave de cache
    */
-  generateCacheKey(provider, model, messages, settings) {
+  generateCacheKey(provider, model, messages, settings, tools = []) {
     const crypto = require('crypto');
     
     const cacheData = {
       provider,
       model,
-      messages: messages.map(m => ({ role: m.role, content: m.content })),
+      messages: messages.map(m => ({
+        role: m.role,
+        content: m.content,
+        images: m.images?.map(image => crypto.createHash('sha256').update(image.data).digest('hex')),
+        toolCalls: m.toolCalls,
+        toolCallId: m.toolCallId
+      })),
+      tools: tools.map(tool => tool.name),
       settings: {
         temperature: settings.temperature,
         maxTokens: settings.maxTokens,
@@ -434,34 +1427,79 @@ class AIService {
   }
 
   /**
-   * Estimar tokens de un texto (aproximación simple)
-   * @param {string} text - Texto a evaluar
-   * @returns {number} Número estimado de tokens
+   * Obtener el uso de tokens informado por el proveedor o calcularlo con el tokenizador
+   * @param {Object} usage - Uso devuelto por el cliente (puede venir vacío o en cero)
+   * @param {Array} messages - Mensajes de entrada
+   * @param {string} responseContent - Contenido de respuesta
+   * @param {string} model - Modelo usado
+   * @param {Array<Object>} tools - Herramientas enviadas al modelo
+   * @returns {Object} Información de uso
+   */
+  resolveUsage(usage, messages, responseContent, model, tools = []) {
+    if (usage?.totalTokens > 0) {
+      return usage;
+    }
+
+    return tokenizer.calculateUsage(messages, responseContent, model, tools);
+  }
+
+  /**
+   * Verificar si un proveedor/modelo acepta imágenes en los mensajes
+   * @param {string} provider - Proveedor
+   * @param {string} model - Modelo
+   * @param {Map<string, Object>} clients - Clientes de la solicitud
+   * @returns {boolean} True si el cliente envía imágenes y el modelo tiene visión
    */
-  estimateTokens(text) {
-    if (!text) return 0;
-    // Aproximación: 1 token ≈ 4 caracteres
-    return Math.ceil(text.length / 4);
+  supportsVision(provider, model, clients = this.clients) {
+    const client = clients.get(provider);
+    return Boolean(client?.getSupportedFeatures().includes('vision')) && supportsVision(model);
   }
 
   /**
-   * Estimar uso de tokens
-   * @param {Array} messages - Mensajes de entrada
-   * @param {string} responseContent - Contenido de respuesta
-   * @returns {Object} Información de uso estimada
+   * Rechazar imágenes adjuntas para modelos sin visión (en vez de descartarlas en silencio)
+   * @param {string} provider - Proveedor
+   * @param {string} model - Modelo
+   * @param {Array} messages - Mensajes preparados
+   * @param {Map<string, Object>} clients - Clientes de la solicitud
    */
-  estimateUsage(messages, responseContent) {
-    const promptTokens = messages.reduce((total, msg) => 
-      total + this.estimateTokens(msg.content), 0
-    );
-    
-    const completionTokens = this.estimateTokens(responseContent);
-    
-    return {
-      promptTokens,
-      completionTokens,
-      totalTokens: promptTokens + completionTokens
-    };
+  checkVisionSupport(provider, model, messages, clients = this.clients) {
+    if (!messages.some(msg => msg.images?.length > 0)) return;
+
+    if (!this.supportsVision(provider, model, clients)) {
+      const error = new Error(`Model '${model}' of provider '${provider}' does not support image attachments`);
+      error.code = 'AI_VISION_UNSUPPORTED';
+      error.provider = provider;
+      throw error;
+    }
+  }
+
+  /**
+   * Verificar antes de enviar que el prompt más la respuesta esperada entran en el contexto del modelo
+   * @param {string} provider - Proveedor
+   * @param {string} model - Modelo
+   * @param {Array} messages - Mensajes preparados
+   * @param {Object} settings - Configuraciones (maxTokens)
+   * @param {Array<Object>} tools - Herramientas enviadas al modelo
+   */
+  checkContextSize(provider, model, messages, settings, tools = []) {
+    if (!AI_CONTEXT_CONFIG.preflightCheck) return;
+
+    const contextWindow = tokenizer.getContextWindow(model);
+    if (!contextWindow) return;
+
+    const promptTokens = tokenizer.countPromptTokens(messages, model, tools);
+    const maxTokens = settings.maxTokens || 0;
+
+    if (promptTokens + maxTokens > contextWindow) {
+      const error = new Error(
+        `Prompt too long for model '${model}': ${promptTokens} prompt tokens + ${maxTokens} max tokens exceeds the ${contextWindow} token context window`
+      );
+      error.code = 'AI_CONTEXT_LENGTH_EXCEEDED';
+      error.provider = provider;
+      error.promptTokens = promptTokens;
+      error.contextWindow = contextWindow;
+      throw error;
+    }
   }
 
   /**
@@ -485,11 +1523,12 @@ class AIService {
       return {
         byProvider: stats,
         totalRequests: Object.values(stats).reduce((sum, s) => sum + s.totalRequests, 0),
-        totalTokens: Object.values(stats).reduce((sum, s) => sum + s.totalTokens, 0)
+        totalTokens: Object.values(stats).reduce((sum, s) => sum + s.totalTokens, 0),
+        totalCost: costService.round(Object.values(stats).reduce((sum, s) => sum + (s.totalCost || 0), 0))
       };
     } catch (error) {
       logger.error('Error getting user AI stats:', error);
-      return { byProvider: {}, totalRequests: 0, totalTokens: 0 };
+      return { byProvider: {}, totalRequests: 0, totalTokens: 0, totalCost: 0 };
     }
   }
 
@@ -519,6 +1558,8 @@ class AIService {
         health[name] = {
           available: client.isAvailable(),
           healthy: isHealthy,
+          circuitBreaker: circuitBreakerService.getProviderState(name),
+          scheduler: schedulerService.getProviderState(name),
           lastChecked: new Date().toISOString()
         };
       } catch (error) {
@@ -526,6 +1567,8 @@ class AIService {
           available: false,
           healthy: false,
           error: error.message,
+          circuitBreaker: circuitBreakerService.getProviderState(name),
+          scheduler: schedulerService.getProviderState(name),
           lastChecked: new Date().toISOString()
         };
       }
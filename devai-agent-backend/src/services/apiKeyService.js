@@ -0,0 +1,317 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_BYOK_CONFIG } = require('../utils/constants');
+const { generateHash, encryptText, decryptText } = require('../utils/helpers');
+
+const prisma = new PrismaClient();
+
+// =================================
+// SERVICIO DE API KEYS DE USUARIOS (BYOK)
+// =================================
+
+// Campos que se pueden devolver al cliente (nunca la key ni su hash)
+const PUBLIC_FIELDS = {
+  id: true,
+  provider: true,
+  name: true,
+  keyPreview: true,
+  isActive: true,
+  isDefault: true,
+  usageCount: true,
+  lastUsedAt: true,
+  dailyLimit: true,
+  monthlyLimit: true,
+  dailyUsage: true,
+  monthlyUsage: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+class ApiKeyService {
+  /**
+   * Verificar si se pueden guardar y usar API keys de usuarios
+   * @returns {boolean} True si BYOK está habilitado y hay clave maestra
+   */
+  isEnabled() {
+    return AI_BYOK_CONFIG.enabled && !!AI_BYOK_CONFIG.encryptionKey;
+  }
+
+  /**
+   * Listar las API keys del usuario (sin el valor de la key)
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array>} API keys
+   */
+  async getKeys(userId) {
+    try {
+      const keys = await prisma.apiKey.findMany({
+        where: { userId },
+        select: PUBLIC_FIELDS,
+        orderBy: { provider: 'asc' }
+      });
+
+      return keys.map(key => this.withCurrentUsage(key));
+    } catch (error) {
+      logger.error('Error getting API keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Guardar una API key del usuario cifrada con la clave maestra
+   * @param {string} userId - ID del usuario
+   * @param {Object} keyData - { provider, apiKey, name, isDefault, dailyLimit, monthlyLimit }
+   * @returns {Promise<Object>} API key creada (sin el valor)
+   */
+  async createKey(userId, keyData) {
+    try {
+      const { provider, apiKey, name = null, isDefault = true, dailyLimit = null, monthlyLimit = null } = keyData;
+
+      const key = await prisma.apiKey.create({
+        data: {
+          userId,
+          provider,
+          name,
+          isDefault,
+          dailyLimit,
+          monthlyLimit,
+          ...this.buildSecretFields(apiKey)
+        },
+        select: PUBLIC_FIELDS
+      });
+
+      logger.info(`🔑 API key stored for ${provider}`, { keyId: key.id, userId, provider });
+
+      return key;
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar una API key (nombre, estado, límites o el valor de la key)
+   * @param {string} keyId - ID de la API key
+   * @param {string} userId - ID del usuario
+   * @param {Object} updateData - Campos a actualizar
+   * @returns {Promise<Object|null>} API key actualizada o null si no existe
+   */
+  async updateKey(keyId, userId, updateData) {
+    try {
+      const existing = await prisma.apiKey.findFirst({ where: { id: keyId, userId } });
+      if (!existing) return null;
+
+      const { apiKey, name, isActive, isDefault, dailyLimit, monthlyLimit } = updateData;
+
+      const key = await prisma.apiKey.update({
+        where: { id: keyId },
+        data: {
+          ...(name !== undefined && { name }),
+          ...(isActive !== undefined && { isActive }),
+          ...(isDefault !== undefined && { isDefault }),
+          ...(dailyLimit !== undefined && { dailyLimit }),
+          ...(monthlyLimit !== undefined && { monthlyLimit }),
+          ...(apiKey && this.buildSecretFields(apiKey))
+        },
+        select: PUBLIC_FIELDS
+      });
+
+      logger.info(`🔑 API key updated for ${key.provider}`, {
+        keyId,
+        userId,
+        rotated: !!apiKey
+      });
+
+      return this.withCurrentUsage(key);
+    } catch (error) {
+      logger.error('Error updating API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar una API key
+   * @param {string} keyId - ID de la API key
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se eliminó
+   */
+  async deleteKey(keyId, userId) {
+    try {
+      const { count } = await prisma.apiKey.deleteMany({ where: { id: keyId, userId } });
+
+      if (count > 0) {
+        logger.info('🗑️ API key deleted', { keyId, userId });
+      }
+
+      return count > 0;
+    } catch (error) {
+      logger.error('Error deleting API key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener la API key activa por defecto del usuario para un proveedor
+   * @param {string} userId - ID del usuario
+   * @param {string} provider - Proveedor de IA
+   * @returns {Promise<Object|null>} Registro de la API key (cifrada) o null
+   */
+  async findUsableKey(userId, provider) {
+    if (!userId || !this.isEnabled() || !AI_BYOK_CONFIG.providers.includes(provider)) {
+      return null;
+    }
+
+    return prisma.apiKey.findFirst({
+      where: {
+        userId,
+        provider,
+        isActive: true,
+        isDefault: true,
+        encryptedKey: { not: null }
+      }
+    });
+  }
+
+  /**
+   * Obtener los proveedores para los que el usuario tiene una API key utilizable
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Map<string, Object>>} Proveedor -> registro de la API key
+   */
+  async getUsableKeys(userId) {
+    if (!userId || !this.isEnabled()) {
+      return new Map();
+    }
+
+    try {
+      const keys = await prisma.apiKey.findMany({
+        where: {
+          userId,
+          provider: { in: AI_BYOK_CONFIG.providers },
+          isActive: true,
+          isDefault: true,
+          encryptedKey: { not: null }
+        }
+      });
+
+      return new Map(keys.map(key => [key.provider, key]));
+    } catch (error) {
+      // Sin acceso a las keys del usuario se sigue con las del servidor
+      logger.error('Error loading user API keys:', error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Descifrar el valor de una API key guardada
+   * @param {Object} key - Registro de la API key
+   * @returns {string} API key en texto plano
+   */
+  decryptKey(key) {
+    return decryptText(key.encryptedKey, AI_BYOK_CONFIG.encryptionKey);
+  }
+
+  /**
+   * Registrar una llamada al proveedor con la API key, respetando sus límites.
+   * Los contadores diario y mensual se reinician al cambiar el día o el mes de lastUsedAt.
+   * Cada paso es un updateMany condicional: con solicitudes simultáneas la base de datos
+   * decide cuál entra, nunca se supera el límite.
+   * @param {Object} key - Registro de la API key
+   * @returns {Promise<Object>} API key con el uso actualizado
+   */
+  async recordCall(key) {
+    const now = new Date();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    // Reiniciar los contadores del período vencido (solo la primera solicitud del período lo consigue)
+    await prisma.apiKey.updateMany({
+      where: { id: key.id, OR: [{ lastUsedAt: null }, { lastUsedAt: { lt: monthStart } }] },
+      data: { dailyUsage: 0, monthlyUsage: 0, lastUsedAt: now }
+    });
+    await prisma.apiKey.updateMany({
+      where: { id: key.id, lastUsedAt: { lt: dayStart } },
+      data: { dailyUsage: 0, lastUsedAt: now }
+    });
+
+    const { count } = await prisma.apiKey.updateMany({
+      where: {
+        id: key.id,
+        ...(key.dailyLimit !== null && { dailyUsage: { lt: key.dailyLimit } }),
+        ...(key.monthlyLimit !== null && { monthlyUsage: { lt: key.monthlyLimit } })
+      },
+      data: {
+        usageCount: { increment: 1 },
+        dailyUsage: { increment: 1 },
+        monthlyUsage: { increment: 1 },
+        lastUsedAt: now
+      }
+    });
+
+    if (count === 0) {
+      const current = await prisma.apiKey.findUnique({ where: { id: key.id } });
+      if (!current) {
+        throw new Error('API key not found');
+      }
+
+      const period = key.dailyLimit !== null && current.dailyUsage >= key.dailyLimit ? 'daily' : 'monthly';
+      throw this.createLimitError(key, period, period === 'daily' ? key.dailyLimit : key.monthlyLimit);
+    }
+
+    return prisma.apiKey.findUnique({ where: { id: key.id } });
+  }
+
+  /**
+   * Calcular el uso vigente del día y del mes
+   * @param {Object} key - Registro de la API key
+   * @param {Date} now - Fecha de referencia
+   * @returns {Object} API key con dailyUsage/monthlyUsage del período actual
+   */
+  withCurrentUsage(key, now = new Date()) {
+    const lastUsed = key.lastUsedAt ? new Date(key.lastUsedAt) : null;
+    const sameMonth = !!lastUsed &&
+      lastUsed.getUTCFullYear() === now.getUTCFullYear() &&
+      lastUsed.getUTCMonth() === now.getUTCMonth();
+    const sameDay = sameMonth && lastUsed.getUTCDate() === now.getUTCDate();
+
+    return {
+      ...key,
+      dailyUsage: sameDay ? key.dailyUsage : 0,
+      monthlyUsage: sameMonth ? key.monthlyUsage : 0
+    };
+  }
+
+  /**
+   * Crear error de límite de uso alcanzado
+   * @param {Object} key - Registro de la API key
+   * @param {string} period - 'daily' o 'monthly'
+   * @param {number} limit - Límite configurado
+   * @returns {Error} Error con código AI_KEY_LIMIT_EXCEEDED
+   */
+  createLimitError(key, period, limit) {
+    const error = new Error(`Your ${key.provider} API key reached its ${period} limit of ${limit} requests`);
+    error.code = 'AI_KEY_LIMIT_EXCEEDED';
+    error.provider = key.provider;
+    error.period = period;
+    error.limit = limit;
+    return error;
+  }
+
+  /**
+   * Preparar hash, valor cifrado y vista previa de una API key
+   * @param {string} apiKey - API key en texto plano
+   * @returns {Object} Campos a guardar
+   */
+  buildSecretFields(apiKey) {
+    if (!this.isEnabled()) {
+      throw new Error('API key storage is disabled: API_KEY_ENCRYPTION_KEY is not configured');
+    }
+
+    return {
+      keyHash: generateHash(apiKey),
+      encryptedKey: encryptText(apiKey, AI_BYOK_CONFIG.encryptionKey),
+      keyPreview: `...${apiKey.slice(-4)}`
+    };
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new ApiKeyService();
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_VISION_CONFIG, FILE_STATUS } = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+// =================================
+// SERVICIO DE IMÁGENES ADJUNTAS EN EL CHAT
+// =================================
+
+/*
+ * Los mensajes guardan solo la referencia a cada archivo subido
+ * ({ fileId, name, mimeType, size }); el contenido se lee del disco y se
+ * envía en base64 al proveedor en cada solicitud que lo necesite.
+ */
+
+class AttachmentService {
+  /**
+   * Crear el error de adjunto inválido (se responde como 400)
+   * @param {string} message - Descripción del problema
+   * @param {string} fileId - Archivo afectado
+   * @returns {Error} Error con código AI_ATTACHMENT_INVALID
+   */
+  createInvalidError(message, fileId = null) {
+    const error = new Error(message);
+    error.code = 'AI_ATTACHMENT_INVALID';
+    error.fileId = fileId;
+    return error;
+  }
+
+  /**
+   * Cargar las imágenes adjuntas de un mensaje validando acceso, tipo y tamaño
+   * @param {string} userId - ID del usuario
+   * @param {Array<string>} fileIds - IDs de archivos subidos
+   * @returns {Promise<Object>} { attachments: referencias para el mensaje, images: [{ mimeType, data }] }
+   */
+  async loadImages(userId, fileIds = []) {
+    const uniqueIds = [...new Set(fileIds)];
+
+    if (uniqueIds.length > AI_VISION_CONFIG.maxImagesPerMessage) {
+      throw this.createInvalidError(
+        `Too many image attachments (max ${AI_VISION_CONFIG.maxImagesPerMessage} per message)`
+      );
+    }
+
+    const attachments = [];
+    const images = [];
+
+    for (const fileId of uniqueIds) {
+      const file = await prisma.file.findFirst({
+        where: {
+          id: fileId,
+          OR: [
+            { userId }, // Propietario
+            { isPublic: true } // Público
+          ],
+          status: { not: FILE_STATUS.DELETED }
+        }
+      });
+
+      if (!file) {
+        throw this.createInvalidError(`Attachment '${fileId}' does not exist or you do not have access`, fileId);
+      }
+
+      if (!AI_VISION_CONFIG.mimeTypes.includes(file.mimetype)) {
+        throw this.createInvalidError(
+          `Attachment '${file.originalName}' is not a supported image (${AI_VISION_CONFIG.mimeTypes.join(', ')})`,
+          fileId
+        );
+      }
+
+      if (file.size > AI_VISION_CONFIG.maxImageBytes) {
+        throw this.createInvalidError(
+          `Attachment '${file.originalName}' is too large (max ${AI_VISION_CONFIG.maxImageBytes} bytes)`,
+          fileId
+        );
+      }
+
+      let data;
+      try {
+        data = await fs.readFile(file.path);
+      } catch (error) {
+        logger.error('Error reading image attachment:', { fileId, error: error.message });
+        throw this.createInvalidError(`Attachment '${file.originalName}' could not be read`, fileId);
+      }
+
+      attachments.push({
+        fileId: file.id,
+        name: file.originalName,
+        mimeType: file.mimetype,
+        size: file.size
+      });
+      images.push({ mimeType: file.mimetype, data: data.toString('base64') });
+    }
+
+    return { attachments, images };
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new AttachmentService();
@@ -0,0 +1,245 @@
+const logger = require('../config/logger');
+const { AI_CIRCUIT_BREAKER_CONFIG } = require('../utils/constants');
+
+// =================================
+// CIRCUIT BREAKER DE PROVEEDORES DE IA
+// =================================
+
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+class CircuitBreakerService {
+  constructor() {
+    this.circuits = new Map();
+  }
+
+  /**
+   * Generar clave del circuito
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   * @returns {string} Clave del circuito
+   */
+  getKey(provider, model) {
+    return `${provider}:${model}`;
+  }
+
+  /**
+   * Obtener (o crear) el circuito de un proveedor/modelo
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   * @returns {Object} Estado interno del circuito
+   */
+  getCircuit(provider, model) {
+    const key = this.getKey(provider, model);
+
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        provider,
+        model,
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 0,
+        totalFailures: 0,
+        totalSuccesses: 0,
+        openedAt: null,
+        lastFailureAt: null,
+        lastFailureReason: null,
+        lastSuccessAt: null,
+        probeInFlight: false
+      });
+    }
+
+    return this.circuits.get(key);
+  }
+
+  /**
+   * Verificar si el cooldown de un circuito abierto ya expiró
+   * @param {Object} circuit - Circuito a verificar
+   * @returns {boolean} True si puede pasar a half-open
+   */
+  isCooldownElapsed(circuit) {
+    return Date.now() - circuit.openedAt >= AI_CIRCUIT_BREAKER_CONFIG.cooldownMs;
+  }
+
+  /**
+   * Obtener motivo por el que el circuito bloquea solicitudes (sin modificar su estado)
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   * @returns {string|null} Motivo del bloqueo o null si permite solicitudes
+   */
+  getBlockReason(provider, model) {
+    if (!AI_CIRCUIT_BREAKER_CONFIG.enabled) return null;
+
+    const circuit = this.circuits.get(this.getKey(provider, model));
+    if (!circuit) return null;
+
+    if (circuit.state === CIRCUIT_STATES.OPEN && !this.isCooldownElapsed(circuit)) {
+      const retryIn = Math.ceil((AI_CIRCUIT_BREAKER_CONFIG.cooldownMs - (Date.now() - circuit.openedAt)) / 1000);
+      return `Circuit open for '${provider}/${model}' after ${circuit.consecutiveFailures} consecutive failures (retry in ${retryIn}s)`;
+    }
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN && circuit.probeInFlight) {
+      return `Circuit half-open for '${provider}/${model}', probe request already in flight`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Reservar paso por el circuito antes de llamar al proveedor.
+   * Si el cooldown expiró, el circuito pasa a half-open y esta solicitud actúa de sonda.
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   */
+  acquire(provider, model) {
+    if (!AI_CIRCUIT_BREAKER_CONFIG.enabled) return;
+
+    const blockReason = this.getBlockReason(provider, model);
+    if (blockReason) {
+      const error = new Error(blockReason);
+      error.code = 'AI_CIRCUIT_OPEN';
+      error.provider = provider;
+      throw error;
+    }
+
+    const circuit = this.getCircuit(provider, model);
+
+    if (circuit.state === CIRCUIT_STATES.OPEN) {
+      circuit.state = CIRCUIT_STATES.HALF_OPEN;
+      logger.info(`🟡 Circuit half-open for ${provider}/${model}, sending probe request`);
+    }
+
+    if (circuit.state === CIRCUIT_STATES.HALF_OPEN) {
+      circuit.probeInFlight = true;
+    }
+  }
+
+  /**
+   * Registrar una solicitud exitosa
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   */
+  recordSuccess(provider, model) {
+    const circuit = this.getCircuit(provider, model);
+
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info(`🟢 Circuit closed for ${provider}/${model} after successful probe`);
+    }
+
+    circuit.state = CIRCUIT_STATES.CLOSED;
+    circuit.consecutiveFailures = 0;
+    circuit.totalSuccesses += 1;
+    circuit.openedAt = null;
+    circuit.lastSuccessAt = new Date().toISOString();
+    circuit.probeInFlight = false;
+  }
+
+  /**
+   * Registrar una solicitud fallida
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   * @param {Error} error - Error producido
+   * @param {boolean} countsAsFailure - Si el error indica un proveedor caído (ej: isRetryableError)
+   */
+  recordFailure(provider, model, error, countsAsFailure = true) {
+    const circuit = this.getCircuit(provider, model);
+    circuit.probeInFlight = false;
+
+    // Errores de la solicitud (400, modelo inválido...) no dicen nada de la salud del proveedor
+    if (!countsAsFailure) return;
+
+    circuit.consecutiveFailures += 1;
+    circuit.totalFailures += 1;
+    circuit.lastFailureAt = new Date().toISOString();
+    circuit.lastFailureReason = error?.message || null;
+
+    const shouldOpen = circuit.state === CIRCUIT_STATES.HALF_OPEN ||
+      circuit.consecutiveFailures >= AI_CIRCUIT_BREAKER_CONFIG.failureThreshold;
+
+    if (shouldOpen) {
+      if (circuit.state !== CIRCUIT_STATES.OPEN) {
+        logger.warn(`🔴 Circuit opened for ${provider}/${model}`, {
+          consecutiveFailures: circuit.consecutiveFailures,
+          cooldownMs: AI_CIRCUIT_BREAKER_CONFIG.cooldownMs,
+          error: circuit.lastFailureReason
+        });
+      }
+
+      circuit.state = CIRCUIT_STATES.OPEN;
+      circuit.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Serializar el estado público de un circuito
+   * @param {Object} circuit - Circuito interno
+   * @returns {Object} Estado del circuito
+   */
+  formatCircuit(circuit) {
+    // Un circuito abierto con cooldown cumplido aceptará la próxima solicitud como sonda
+    const state = circuit.state === CIRCUIT_STATES.OPEN && this.isCooldownElapsed(circuit)
+      ? CIRCUIT_STATES.HALF_OPEN
+      : circuit.state;
+
+    return {
+      state,
+      consecutiveFailures: circuit.consecutiveFailures,
+      totalFailures: circuit.totalFailures,
+      totalSuccesses: circuit.totalSuccesses,
+      openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+      retryAt: circuit.state === CIRCUIT_STATES.OPEN
+        ? new Date(circuit.openedAt + AI_CIRCUIT_BREAKER_CONFIG.cooldownMs).toISOString()
+        : null,
+      lastFailureAt: circuit.lastFailureAt,
+      lastFailureReason: circuit.lastFailureReason,
+      lastSuccessAt: circuit.lastSuccessAt
+    };
+  }
+
+  /**
+   * Obtener el estado de los circuitos de un proveedor
+   * @param {string} provider - Proveedor de IA
+   * @returns {Object} Estado agregado (closed, degraded, open) y detalle por modelo
+   */
+  getProviderState(provider) {
+    const models = {};
+
+    for (const circuit of this.circuits.values()) {
+      if (circuit.provider === provider) {
+        models[circuit.model] = this.formatCircuit(circuit);
+      }
+    }
+
+    const states = Object.values(models).map(m => m.state);
+    let state = CIRCUIT_STATES.CLOSED;
+    if (states.length > 0 && states.every(s => s === CIRCUIT_STATES.OPEN)) {
+      state = CIRCUIT_STATES.OPEN;
+    } else if (states.some(s => s !== CIRCUIT_STATES.CLOSED)) {
+      state = 'degraded';
+    }
+
+    return {
+      enabled: AI_CIRCUIT_BREAKER_CONFIG.enabled,
+      state,
+      models
+    };
+  }
+
+  /**
+   * Reiniciar circuitos (todos o los de un proveedor)
+   * @param {string} provider - Proveedor opcional
+   */
+  reset(provider = null) {
+    for (const [key, circuit] of this.circuits) {
+      if (!provider || circuit.provider === provider) {
+        this.circuits.delete(key);
+      }
+    }
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new CircuitBreakerService();
+module.exports.CIRCUIT_STATES = CIRCUIT_STATES;
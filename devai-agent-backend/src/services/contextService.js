@@ -0,0 +1,368 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_CONTEXT_CONFIG, AI_PRIORITIES } = require('../utils/constants');
+const tokenizer = require('../ai/tokenizer');
+const cacheService = require('./cacheService');
+const aiService = require('./aiService');
+
+const prisma = new PrismaClient();
+
+// =================================
+// GESTOR DE VENTANA DE CONTEXTO
+// =================================
+
+const SUMMARY_SYSTEM_PROMPT = [
+  'You maintain a running summary of a conversation between a user and an AI assistant.',
+  'Update the existing summary with the new messages. Keep facts, decisions, code identifiers,',
+  'file names, open questions and user preferences. Drop greetings and filler.',
+  'Write in the language of the conversation. Reply with the updated summary only.'
+].join(' ');
+
+class ContextService {
+  /**
+   * Construir el historial que se enviará al modelo ajustado a su ventana de contexto.
+   * Los mensajes que no entran se resumen en un resumen acumulado por conversación.
+   * @param {Object} options - Opciones
+   * @param {string} options.conversationId - ID de la conversación
+   * @param {string} options.userId - ID del usuario
+   * @param {string} options.provider - Proveedor que responderá
+   * @param {string} options.model - Modelo que responderá
+   * @param {string} options.systemPrompt - Prompt del sistema
+   * @param {Object} options.settings - Configuraciones (maxTokens)
+   * @param {string} options.excludeMessageId - Mensaje a excluir (ej: al regenerar)
+   * @param {Object} options.images - Imágenes adjuntas por ID de mensaje ({ [messageId]: [{ mimeType, data }] })
+   * @returns {Promise<Object>} { messages, systemPrompt, summary, stats }
+   */
+  async buildContext(options) {
+    const {
+      conversationId,
+      userId = null,
+      provider,
+      model,
+      systemPrompt = null,
+      settings = {},
+      excludeMessageId = null,
+      images = {}
+    } = options;
+
+    const contextWindow = tokenizer.getContextWindow(model) || AI_CONTEXT_CONFIG.assumedContextWindow;
+    const budget = this.getHistoryBudget(contextWindow, model, systemPrompt, settings);
+
+    let summaryState = await this.getSummary(conversationId);
+    let pending = await this.getPendingMessages(conversationId, summaryState.until, excludeMessageId);
+
+    const summaryTokens = () => tokenizer.countTokens(summaryState.summary, model);
+    const pendingTokens = () => tokenizer.countPromptTokens(pending, model);
+
+    let summarizedNow = 0;
+    let droppedMessages = 0;
+
+    if (pendingTokens() > budget - summaryTokens()) {
+      // Resumir los mensajes más antiguos hasta dejar margen para varios turnos más
+      const target = Math.floor((budget - AI_CONTEXT_CONFIG.summaryMaxTokens) * AI_CONTEXT_CONFIG.foldTargetRatio);
+      const toFold = [];
+
+      while (pending.length > 1 && pendingTokens() > target) {
+        toFold.push(pending.shift());
+      }
+
+      if (toFold.length > 0) {
+        const folded = AI_CONTEXT_CONFIG.summaryEnabled
+          ? await this.foldIntoSummary(conversationId, summaryState, toFold, {
+            provider,
+            model,
+            userId,
+            budget
+          })
+          : null;
+
+        if (folded) {
+          summaryState = folded;
+          summarizedNow = toFold.length;
+        } else {
+          // Sin resumen los mensajes quedan pendientes: solo se recortan en esta solicitud
+          pending = [...toFold, ...pending];
+        }
+      }
+
+      // Si aun así no entra (resumen largo o mensaje enorme), descartar los más antiguos
+      while (pending.length > 1 && pendingTokens() > budget - summaryTokens()) {
+        pending.shift();
+        droppedMessages += 1;
+      }
+    }
+
+    const historyTokens = pendingTokens();
+
+    return {
+      messages: pending.map(({ id, role, content }) => ({
+        role,
+        content,
+        ...(images[id]?.length > 0 && { images: images[id] })
+      })),
+      systemPrompt: this.mergeSummary(systemPrompt, summaryState.summary),
+      summary: summaryState.summary,
+      stats: {
+        contextWindow,
+        budget,
+        historyTokens,
+        summaryTokens: summaryTokens(),
+        includedMessages: pending.length,
+        summarizedMessages: summaryState.count,
+        summarizedNow,
+        droppedMessages
+      }
+    };
+  }
+
+  /**
+   * Calcular tokens disponibles para el historial
+   * @param {number} contextWindow - Ventana de contexto del modelo
+   * @param {string} model - Modelo
+   * @param {string} systemPrompt - Prompt del sistema
+   * @param {Object} settings - Configuraciones (maxTokens)
+   * @returns {number} Presupuesto de tokens para historial y resumen
+   */
+  getHistoryBudget(contextWindow, model, systemPrompt, settings) {
+    const available = contextWindow -
+      (settings.maxTokens || 0) -
+      tokenizer.countTokens(systemPrompt, model) -
+      AI_CONTEXT_CONFIG.reserveTokens;
+
+    return Math.max(0, Math.min(available, AI_CONTEXT_CONFIG.maxHistoryTokens));
+  }
+
+  /**
+   * Obtener mensajes posteriores al resumen, en orden cronológico
+   * @param {string} conversationId - ID de la conversación
+   * @param {Date|null} until - Último mensaje incluido en el resumen
+   * @param {string} excludeMessageId - Mensaje a excluir
+   * @returns {Promise<Array>} Mensajes pendientes de resumir
+   */
+  async getPendingMessages(conversationId, until, excludeMessageId) {
+    const messages = await prisma.message.findMany({
+      where: {
+        conversationId,
+        ...(until && { createdAt: { gt: new Date(until) } }),
+        ...(excludeMessageId && { id: { not: excludeMessageId } })
+      },
+      orderBy: { createdAt: 'desc' },
+      take: AI_CONTEXT_CONFIG.maxMessages,
+      select: {
+        id: true,
+        role: true,
+        content: true,
+        createdAt: true
+      }
+    });
+
+    // Los mensajes vacíos son respuestas todavía en proceso
+    return messages
+      .reverse()
+      .filter(message => message.content && message.content.trim().length > 0);
+  }
+
+  /**
+   * Obtener el resumen acumulado de una conversación (cache o base de datos)
+   * @param {string} conversationId - ID de la conversación
+   * @returns {Promise<Object>} { summary, until, count }
+   */
+  async getSummary(conversationId) {
+    const cacheKey = this.getCacheKey(conversationId);
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: {
+        contextSummary: true,
+        contextSummaryUntil: true,
+        contextSummaryCount: true
+      }
+    });
+
+    const summaryState = {
+      summary: conversation?.contextSummary || null,
+      until: conversation?.contextSummaryUntil || null,
+      count: conversation?.contextSummaryCount || 0
+    };
+
+    await cacheService.set(cacheKey, summaryState, AI_CONTEXT_CONFIG.summaryCacheTtl);
+    return summaryState;
+  }
+
+  /**
+   * Incorporar mensajes al resumen acumulado y guardarlo
+   * @param {string} conversationId - ID de la conversación
+   * @param {Object} summaryState - Resumen actual
+   * @param {Array} messages - Mensajes a resumir (cronológicos)
+   * @param {Object} options - Proveedor, modelo, usuario y presupuesto
+   * @returns {Promise<Object|null>} Nuevo resumen o null si no se pudo resumir
+   */
+  async foldIntoSummary(conversationId, summaryState, messages, { provider, model, userId, budget }) {
+    let summary = summaryState.summary;
+
+    try {
+      // Resumir por lotes para que cada solicitud de resumen entre en el contexto
+      for (const batch of this.splitIntoBatches(messages, model, budget)) {
+        summary = await this.summarize(summary, batch, { provider, model, userId, conversationId });
+      }
+    } catch (error) {
+      // La respuesta no debe fallar; el cursor no avanza para resumir estos mensajes en la próxima solicitud
+      logger.warn('Context summary refresh failed, trimming old messages for this request only', {
+        conversationId,
+        error: error.message,
+        messages: messages.length
+      });
+      return null;
+    }
+
+    const newState = {
+      summary,
+      until: messages[messages.length - 1].createdAt,
+      count: summaryState.count + messages.length
+    };
+
+    await prisma.conversation.update({
+      where: { id: conversationId },
+      data: {
+        contextSummary: newState.summary,
+        contextSummaryUntil: newState.until,
+        contextSummaryCount: newState.count
+      }
+    });
+
+    await cacheService.set(this.getCacheKey(conversationId), newState, AI_CONTEXT_CONFIG.summaryCacheTtl);
+
+    logger.info('🧾 Conversation context summary refreshed', {
+      conversationId,
+      foldedMessages: messages.length,
+      totalSummarized: newState.count
+    });
+
+    return newState;
+  }
+
+  /**
+   * Dividir mensajes en lotes que no superen el presupuesto de tokens
+   * @param {Array} messages - Mensajes
+   * @param {string} model - Modelo
+   * @param {number} budget - Tokens máximos por lote
+   * @returns {Array<Array>} Lotes de mensajes
+   */
+  splitIntoBatches(messages, model, budget) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    for (const message of messages) {
+      const tokens = tokenizer.countMessageTokens(message, model);
+
+      if (current.length > 0 && currentTokens + tokens > budget) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+
+      current.push(message);
+      currentTokens += tokens;
+    }
+
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  /**
+   * Pedir al modelo un resumen actualizado
+   * @param {string|null} previousSummary - Resumen anterior
+   * @param {Array} messages - Mensajes nuevos a incorporar
+   * @param {Object} options - Proveedor, modelo, usuario y conversación
+   * @returns {Promise<string>} Resumen actualizado
+   */
+  async summarize(previousSummary, messages, { provider, model, userId, conversationId }) {
+    const transcript = messages
+      .map(message => `${message.role}: ${message.content}`)
+      .join('\n\n');
+
+    const response = await aiService.generateResponse({
+      provider,
+      model,
+      systemPrompt: SUMMARY_SYSTEM_PROMPT,
+      messages: [{
+        role: 'user',
+        content: `Existing summary:\n${previousSummary || '(none)'}\n\nNew messages:\n${transcript}`
+      }],
+      settings: {
+        temperature: 0.2,
+        maxTokens: AI_CONTEXT_CONFIG.summaryMaxTokens
+      },
+      userId,
+      conversationId,
+      // Resumir no debe quitarle cuota al chat interactivo
+      priority: AI_PRIORITIES.BACKGROUND
+    });
+
+    return response.content.trim();
+  }
+
+  /**
+   * Agregar el resumen al prompt del sistema
+   * @param {string|null} systemPrompt - Prompt del sistema
+   * @param {string|null} summary - Resumen acumulado
+   * @returns {string|null} Prompt del sistema final
+   */
+  mergeSummary(systemPrompt, summary) {
+    if (!summary) return systemPrompt;
+
+    const summaryBlock = `Summary of the earlier part of this conversation:\n${summary}`;
+    return systemPrompt ? `${systemPrompt}\n\n${summaryBlock}` : summaryBlock;
+  }
+
+  /**
+   * Borrar el resumen si ya incluye un mensaje que se editó o eliminó;
+   * se vuelve a generar con el historial actual cuando haga falta
+   * @param {string} conversationId - ID de la conversación
+   * @param {Date|string} messageCreatedAt - Fecha de creación del mensaje modificado
+   * @returns {Promise<boolean>} True si se borró el resumen
+   */
+  async invalidateSummary(conversationId, messageCreatedAt) {
+    const { until } = await this.getSummary(conversationId);
+    if (!until || new Date(messageCreatedAt) > new Date(until)) {
+      return false;
+    }
+
+    await this.resetSummary(conversationId);
+
+    logger.info('🧾 Conversation context summary reset after message change', { conversationId });
+    return true;
+  }
+
+  /**
+   * Borrar el resumen de una conversación (ej: tras editar mensajes antiguos)
+   * @param {string} conversationId - ID de la conversación
+   */
+  async resetSummary(conversationId) {
+    await prisma.conversation.update({
+      where: { id: conversationId },
+      data: {
+        contextSummary: null,
+        contextSummaryUntil: null,
+        contextSummaryCount: 0
+      }
+    });
+
+    await cacheService.del(this.getCacheKey(conversationId));
+  }
+
+  /**
+   * Generar clave de cache del resumen
+   * @param {string} conversationId - ID de la conversación
+   * @returns {string} Clave de cache
+   */
+  getCacheKey(conversationId) {
+    return `context:summary:${conversationId}`;
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new ContextService();
@@ -0,0 +1,250 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_PRICING_CONFIG, MESSAGE_TYPES } = require('../utils/constants');
+
+const prisma = new PrismaClient();
+
+// Proveedores con contador propio en la tabla de uso diario
+const USAGE_PROVIDER_COUNTERS = {
+  gemini: 'geminiCalls',
+  groq: 'groqCalls',
+  huggingface: 'huggingfaceCalls',
+  ollama: 'ollamaCalls'
+};
+
+// =================================
+// SERVICIO DE COSTOS DE IA
+// =================================
+
+class CostService {
+  /**
+   * Obtener precios de un proveedor/modelo
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   * @returns {Object|null} Precios { input, output } por millón de tokens o null si no hay tarifa
+   */
+  getPricing(provider, model) {
+    if (AI_PRICING_CONFIG.freeProviders.includes(provider)) {
+      return { input: 0, output: 0 };
+    }
+
+    return AI_PRICING_CONFIG.models[provider]?.[model] || null;
+  }
+
+  /**
+   * Calcular el costo estimado de una respuesta
+   * @param {string} provider - Proveedor de IA
+   * @param {string} model - Modelo
+   * @param {Object} usage - Uso { promptTokens, completionTokens }
+   * @returns {Object} Costo { inputCost, outputCost, totalCost, currency, priced }
+   */
+  calculateCost(provider, model, usage = {}) {
+    const pricing = this.getPricing(provider, model);
+
+    if (!pricing) {
+      logger.debug(`No pricing configured for ${provider}/${model}, counting as zero cost`);
+    }
+
+    const { tokensPerUnit, currency } = AI_PRICING_CONFIG;
+    const inputCost = ((usage.promptTokens || 0) / tokensPerUnit) * (pricing?.input || 0);
+    const outputCost = ((usage.completionTokens || 0) / tokensPerUnit) * (pricing?.output || 0);
+
+    return {
+      inputCost: this.round(inputCost),
+      outputCost: this.round(outputCost),
+      totalCost: this.round(inputCost + outputCost),
+      currency,
+      priced: Boolean(pricing)
+    };
+  }
+
+  /**
+   * Sumar costos (ej: iteraciones del loop de herramientas)
+   * @param {Array<Object>} costs - Costos a sumar
+   * @returns {Object} Costo total
+   */
+  sumCosts(costs) {
+    return costs.reduce((total, cost) => ({
+      inputCost: this.round(total.inputCost + (cost?.inputCost || 0)),
+      outputCost: this.round(total.outputCost + (cost?.outputCost || 0)),
+      totalCost: this.round(total.totalCost + (cost?.totalCost || 0)),
+      currency: AI_PRICING_CONFIG.currency,
+      priced: total.priced && Boolean(cost?.priced)
+    }), { inputCost: 0, outputCost: 0, totalCost: 0, currency: AI_PRICING_CONFIG.currency, priced: true });
+  }
+
+  /**
+   * Acumular uso y costo en la conversación y en el uso diario del usuario
+   * @param {Object} record - Datos de la solicitud
+   * @param {string} record.provider - Proveedor de IA
+   * @param {Object} record.usage - Uso de tokens
+   * @param {Object} record.cost - Costo calculado
+   * @param {string} record.userId - ID del usuario
+   * @param {string} record.conversationId - ID de la conversación
+   */
+  async recordCost({ provider, usage, cost, userId, conversationId }) {
+    const totalTokens = usage?.totalTokens || 0;
+    const totalCost = cost?.totalCost || 0;
+
+    if (conversationId) {
+      await prisma.conversation.update({
+        where: { id: conversationId },
+        data: {
+          totalTokens: { increment: totalTokens },
+          totalCost: { increment: totalCost }
+        }
+      });
+    }
+
+    if (userId) {
+      const date = new Date();
+      date.setUTCHours(0, 0, 0, 0);
+
+      const providerCounter = USAGE_PROVIDER_COUNTERS[provider];
+      const counters = {
+        tokensUsed: totalTokens,
+        apiCallsCount: 1,
+        estimatedCost: totalCost,
+        ...(providerCounter && { [providerCounter]: 1 })
+      };
+
+      await prisma.usage.upsert({
+        where: {
+          userId_date_period: { userId, date, period: 'daily' }
+        },
+        create: {
+          userId,
+          date,
+          period: 'daily',
+          ...counters
+        },
+        update: Object.fromEntries(
+          Object.entries(counters).map(([field, value]) => [field, { increment: value }])
+        )
+      });
+    }
+  }
+
+  /**
+   * Resumen de costos por usuario, día, proveedor/modelo y conversación
+   * @param {Object} options - Filtros
+   * @param {number} options.days - Días hacia atrás a incluir
+   * @param {string} [options.userId] - Limitar a un usuario (sin él, todo el equipo)
+   * @returns {Promise<Object>} Costos agrupados
+   */
+  async getCostStats({ days, userId }) {
+    const since = new Date();
+    since.setUTCHours(0, 0, 0, 0);
+    since.setUTCDate(since.getUTCDate() - days);
+
+    const usageWhere = { period: 'daily', date: { gte: since }, ...(userId && { userId }) };
+    const sum = { tokensUsed: true, apiCallsCount: true, estimatedCost: true };
+
+    const [usageByUser, usageByDay, messagesByModel, topConversations] = await Promise.all([
+      prisma.usage.groupBy({
+        by: ['userId'],
+        where: usageWhere,
+        _sum: sum,
+        orderBy: { _sum: { estimatedCost: 'desc' } }
+      }),
+      prisma.usage.groupBy({
+        by: ['date'],
+        where: usageWhere,
+        _sum: sum,
+        orderBy: { date: 'asc' }
+      }),
+      prisma.message.groupBy({
+        by: ['aiProvider', 'aiModel'],
+        where: {
+          role: MESSAGE_TYPES.ASSISTANT,
+          createdAt: { gte: since },
+          ...(userId && { conversation: { userId } })
+        },
+        _count: { _all: true },
+        _sum: { totalTokens: true, estimatedCost: true },
+        orderBy: { _sum: { estimatedCost: 'desc' } }
+      }),
+      prisma.conversation.findMany({
+        where: { updatedAt: { gte: since }, totalCost: { gt: 0 }, ...(userId && { userId }) },
+        select: { id: true, title: true, userId: true, totalTokens: true, totalCost: true },
+        orderBy: { totalCost: 'desc' },
+        take: 10
+      })
+    ]);
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: usageByUser.map(row => row.userId) } },
+      select: { id: true, email: true }
+    });
+    const emails = new Map(users.map(user => [user.id, user.email]));
+
+    const totals = (row) => ({
+      tokensUsed: row._sum.tokensUsed || 0,
+      apiCalls: row._sum.apiCallsCount || 0,
+      estimatedCost: this.round(row._sum.estimatedCost || 0)
+    });
+
+    const byDay = usageByDay.map(row => ({
+      date: row.date.toISOString().slice(0, 10),
+      ...totals(row)
+    }));
+
+    return {
+      days,
+      currency: AI_PRICING_CONFIG.currency,
+      totalCost: this.round(byDay.reduce((total, row) => total + row.estimatedCost, 0)),
+      byUser: usageByUser.map(row => ({
+        userId: row.userId,
+        email: emails.get(row.userId) || null,
+        ...totals(row)
+      })),
+      byDay,
+      byModel: messagesByModel.map(row => ({
+        provider: row.aiProvider,
+        model: row.aiModel,
+        responses: row._count._all,
+        totalTokens: row._sum.totalTokens || 0,
+        estimatedCost: this.round(row._sum.estimatedCost || 0)
+      })),
+      topConversations
+    };
+  }
+
+  /**
+   * Costo estimado acumulado y del día (todos los usuarios)
+   * @returns {Promise<Object>} Totales { totalCost, todayCost, currency }
+   */
+  async getCostTotals() {
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+
+    const [total, todayTotal] = await Promise.all([
+      prisma.usage.aggregate({
+        where: { period: 'daily' },
+        _sum: { estimatedCost: true }
+      }),
+      prisma.usage.aggregate({
+        where: { period: 'daily', date: { gte: today } },
+        _sum: { estimatedCost: true }
+      })
+    ]);
+
+    return {
+      totalCost: this.round(total._sum.estimatedCost || 0),
+      todayCost: this.round(todayTotal._sum.estimatedCost || 0),
+      currency: AI_PRICING_CONFIG.currency
+    };
+  }
+
+  /**
+   * Redondear costos a 6 decimales (fracciones de centavo)
+   * @param {number} value - Valor a redondear
+   * @returns {number} Valor redondeado
+   */
+  round(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new CostService();
@@ -0,0 +1,110 @@
+const logger = require('../config/logger');
+const { AI_RAG_CONFIG } = require('../utils/constants');
+const aiService = require('./aiService');
+
+// =================================
+// SERVICIO DE EMBEDDINGS
+// =================================
+
+/*
+ * Cualquier cliente de IA que implemente `generateEmbeddings(texts, { model, signal })`
+ * puede ser backend de embeddings (Ollama localmente, OpenAI o un servidor compatible).
+ * El backend se elige con AI_EMBEDDINGS_PROVIDER y usa el cliente ya configurado en AIService.
+ */
+
+class EmbeddingService {
+  /**
+   * Obtener el cliente que genera los embeddings
+   * @param {string} provider - Proveedor (por defecto el configurado)
+   * @returns {Object|null} Cliente con generateEmbeddings o null si no está disponible
+   */
+  getBackend(provider = AI_RAG_CONFIG.embeddingProvider) {
+    const client = aiService.clients.get(provider);
+    if (!client || !client.isAvailable() || typeof client.generateEmbeddings !== 'function') {
+      return null;
+    }
+    return client;
+  }
+
+  /**
+   * Verificar si hay un backend de embeddings disponible
+   * @returns {boolean} True si se pueden generar embeddings
+   */
+  isAvailable() {
+    return !!this.getBackend();
+  }
+
+  /**
+   * Modelo de embeddings configurado
+   * @returns {string} Nombre del modelo
+   */
+  getModel() {
+    return AI_RAG_CONFIG.embeddingModel;
+  }
+
+  /**
+   * Generar embeddings en lotes de AI_RAG_CONFIG.batchSize
+   * @param {Array<string>} texts - Textos a vectorizar
+   * @param {Object} options - { provider, model, signal }
+   * @returns {Promise<Object>} { embeddings, provider, model, dimensions, usage }
+   */
+  async embed(texts, { provider = AI_RAG_CONFIG.embeddingProvider, model = this.getModel(), signal = null } = {}) {
+    const client = this.getBackend(provider);
+    if (!client) {
+      const error = new Error(`Embeddings provider '${provider}' is not available`);
+      error.code = 'AI_EMBEDDINGS_UNAVAILABLE';
+      throw error;
+    }
+
+    const embeddings = [];
+    const usage = { promptTokens: 0, totalTokens: 0 };
+
+    for (let start = 0; start < texts.length; start += AI_RAG_CONFIG.batchSize) {
+      const batch = texts.slice(start, start + AI_RAG_CONFIG.batchSize);
+      const response = await client.generateEmbeddings(batch, { model, signal });
+
+      embeddings.push(...response.embeddings);
+      usage.promptTokens += response.usage?.promptTokens || 0;
+      usage.totalTokens += response.usage?.totalTokens || 0;
+    }
+
+    logger.debug('🧮 Embeddings generated', {
+      provider,
+      model,
+      texts: texts.length,
+      tokens: usage.totalTokens
+    });
+
+    return {
+      embeddings,
+      provider,
+      model,
+      dimensions: embeddings[0]?.length || 0,
+      usage
+    };
+  }
+
+  /**
+   * Similitud coseno entre dos vectores
+   * @param {Array<number>} a - Vector A
+   * @param {Array<number>} b - Vector B
+   * @returns {number} Similitud entre -1 y 1 (0 si las dimensiones no coinciden)
+   */
+  cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+      normA += a[i] * a[i];
+      normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new EmbeddingService();
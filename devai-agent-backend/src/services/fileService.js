@@ -3,6 +3,7 @@
 // 📁 SERVICIO DE PROCESAMIENTO DE ARCHIVOS - CommonJS
 // ============================================
 
+const path = require('path');
 const { FILE_CONFIGS, DEVICE_CONFIGS } = require('../utils/constants');
 
 // =================================
@@ -41,6 +42,17 @@ const getFileType = (filename) => {
   return typeMap[ext] || 'text';
 };
 
+/**
+ * Calcular los campos derivados del contenido de un archivo de proyecto
+ */
+const buildFileStats = (name, content) => ({
+  size: Buffer.byteLength(content, 'utf8'),
+  type: path.extname(name).toLowerCase() || name,
+  language: getFileType(name),
+  lineCount: content.split('\n').length,
+  charCount: content.length
+});
+
 /**
  * Verificar si un archivo es soportado
  */
@@ -627,6 +639,7 @@ module.exports = {
   
   // Utilidades
   getFileType,
+  buildFileStats,
   isFileSupported,
   validateFile,
   formatFileSize,
@@ -0,0 +1,97 @@
+const logger = require('../config/logger');
+
+// =================================
+// REGISTRO DE GENERACIONES EN CURSO
+// =================================
+
+class GenerationService {
+  constructor() {
+    this.generations = new Map();
+  }
+
+  /**
+   * Registrar una generación en curso para poder cancelarla
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {string} userId - ID del usuario dueño
+   * @param {string} conversationId - ID de la conversación
+   * @returns {Object} Generación { signal, partialContent, ... }
+   */
+  start(messageId, userId, conversationId) {
+    const controller = new AbortController();
+
+    const generation = {
+      messageId,
+      userId,
+      conversationId,
+      controller,
+      signal: controller.signal,
+      partialContent: '',
+      cancelReason: null,
+      startedAt: new Date().toISOString()
+    };
+
+    this.generations.set(messageId, generation);
+    return generation;
+  }
+
+  /**
+   * Obtener una generación en curso
+   * @param {string} messageId - ID del mensaje del asistente
+   * @returns {Object|null} Generación o null si no está en curso
+   */
+  get(messageId) {
+    return this.generations.get(messageId) || null;
+  }
+
+  /**
+   * Acumular contenido parcial recibido por streaming
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {string} chunk - Fragmento recibido
+   */
+  appendPartial(messageId, chunk) {
+    const generation = this.generations.get(messageId);
+    if (generation) {
+      generation.partialContent += chunk;
+    }
+  }
+
+  /**
+   * Cancelar una generación en curso
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {string} userId - ID del usuario que cancela
+   * @param {string} reason - Motivo ('user', 'client_disconnected')
+   * @returns {Object|null} Generación cancelada o null si no existe o no pertenece al usuario
+   */
+  cancel(messageId, userId, reason = 'user') {
+    const generation = this.generations.get(messageId);
+    if (!generation || generation.userId !== userId) {
+      return null;
+    }
+
+    if (!generation.signal.aborted) {
+      generation.cancelReason = reason;
+      generation.controller.abort();
+
+      logger.info(`🛑 AI generation cancelled`, {
+        messageId,
+        userId,
+        conversationId: generation.conversationId,
+        reason,
+        partialLength: generation.partialContent.length
+      });
+    }
+
+    return generation;
+  }
+
+  /**
+   * Eliminar una generación finalizada del registro
+   * @param {string} messageId - ID del mensaje del asistente
+   */
+  finish(messageId) {
+    this.generations.delete(messageId);
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new GenerationService();
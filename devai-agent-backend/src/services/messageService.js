@@ -2,6 +2,7 @@ const { PrismaClient } = require('@prisma/client');
 const logger = require('../config/logger');
 const { MESSAGE_TYPES, MESSAGE_STATUS, PAGINATION_CONFIG } = require('../utils/constants');
 const { calculatePagination, cleanObject } = require('../utils/helpers');
+const { countTokens } = require('../ai/tokenizer');
 
 const prisma = new PrismaClient();
 
@@ -81,12 +82,15 @@ class MessageService {
       const {
         content,
         role = MESSAGE_TYPES.USER,
+        status = MESSAGE_STATUS.COMPLETED,
         metadata = {},
+        attachments = [],
         parentMessageId = null
       } = messageData;
 
-      // Validar contenido
-      if (!content || typeof content !== 'string' || content.trim().length === 0) {
+      // Validar contenido (la respuesta del asistente en curso nace vacía)
+      const isPendingResponse = role === MESSAGE_TYPES.ASSISTANT && status === MESSAGE_STATUS.PROCESSING;
+      if (typeof content !== 'string' || (!isPendingResponse && content.trim().length === 0)) {
         throw new Error('Message content is required');
       }
 
@@ -95,11 +99,15 @@ class MessageService {
         throw new Error('Message content is too long (max 10,000 characters)');
       }
 
-      // Validar rol
+      // Validar rol y estado
       if (!Object.values(MESSAGE_TYPES).includes(role)) {
         throw new Error(`Invalid message role: ${role}`);
       }
 
+      if (!Object.values(MESSAGE_STATUS).includes(status)) {
+        throw new Error(`Invalid message status: ${status}`);
+      }
+
       // Verificar que la conversación existe y pertenece al usuario
       const conversation = await prisma.conversation.findFirst({
         where: {
@@ -126,8 +134,8 @@ class MessageService {
         }
       }
 
-      // Calcular tokens (estimación simple: 1 token ≈ 4 caracteres)
-      const tokenCount = Math.ceil(trimmedContent.length / 4);
+      // Calcular tokens con el tokenizador del modelo usado (si se conoce)
+      const tokenCount = countTokens(trimmedContent, metadata.model);
 
       // Crear mensaje en transacción
       const result = await prisma.$transaction(async (tx) => {
@@ -137,9 +145,10 @@ class MessageService {
             conversationId,
             content: trimmedContent,
             role,
-            status: MESSAGE_STATUS.COMPLETED,
+            status,
             tokenCount,
             metadata: cleanObject(metadata),
+            attachments,
             parentMessageId
           }
         });
@@ -205,7 +214,10 @@ class MessageService {
           throw new Error('Message content is too long (max 10,000 characters)');
         }
         cleanedUpdateData.content = trimmedContent;
-        cleanedUpdateData.tokenCount = Math.ceil(trimmedContent.length / 4);
+        cleanedUpdateData.tokenCount = countTokens(
+          trimmedContent,
+          cleanedUpdateData.metadata?.model || existingMessage.metadata?.model
+        );
       }
 
       // Actualizar mensaje
@@ -214,6 +226,11 @@ class MessageService {
         data: cleanedUpdateData
       });
 
+      // El resumen de contexto puede contener el texto anterior
+      if (cleanedUpdateData.content) {
+        await this.invalidateContextSummary(existingMessage);
+      }
+
       logger.info(`✏️ Message updated successfully`, {
         messageId,
         userId,
@@ -227,6 +244,54 @@ class MessageService {
     }
   }
 
+  /**
+   * Actualizar un mensaje del asistente (uso interno: respuesta generada, errores, ejecuciones).
+   * A diferencia de updateMessage no es una edición del usuario: no exige el rol USER
+   * @param {string} messageId - ID del mensaje
+   * @param {string} userId - ID del usuario propietario de la conversación
+   * @param {Object} updateData - Campos a actualizar; `metadata` se combina con la guardada
+   * @returns {Promise<Object>} Mensaje actualizado
+   */
+  async updateAssistantMessage(messageId, userId, updateData) {
+    try {
+      const existingMessage = await prisma.message.findFirst({
+        where: {
+          id: messageId,
+          role: MESSAGE_TYPES.ASSISTANT,
+          conversation: { userId }
+        },
+        select: { id: true, metadata: true }
+      });
+
+      if (!existingMessage) {
+        throw new Error('Assistant message not found or access denied');
+      }
+
+      const { metadata, ...fields } = cleanObject(updateData);
+
+      const updatedMessage = await prisma.message.update({
+        where: { id: messageId },
+        data: {
+          ...fields,
+          ...(metadata && {
+            metadata: cleanObject({ ...existingMessage.metadata, ...metadata })
+          })
+        }
+      });
+
+      logger.debug(`🤖 Assistant message updated`, {
+        messageId,
+        userId,
+        updatedFields: Object.keys(fields).concat(metadata ? ['metadata'] : [])
+      });
+
+      return updatedMessage;
+    } catch (error) {
+      logger.error('Error updating assistant message:', error);
+      throw error;
+    }
+  }
+
   /**
    * Eliminar mensaje (soft delete o permanente)
    * @param {string} messageId - ID del mensaje
@@ -252,6 +317,7 @@ class MessageService {
         await prisma.message.delete({
           where: { id: messageId }
         });
+        await this.invalidateContextSummary(existingMessage);
 
         logger.info(`🗑️ Message permanently deleted`, {
           messageId,
@@ -273,6 +339,7 @@ class MessageService {
             }
           }
         });
+        await this.invalidateContextSummary(existingMessage);
 
         logger.info(`📦 Message soft deleted`, {
           messageId,
@@ -288,6 +355,26 @@ class MessageService {
     }
   }
 
+  /**
+   * Descartar el resumen de contexto de la conversación si incluye un mensaje editado o eliminado.
+   * Un fallo no revierte el cambio del mensaje
+   * @param {Object} message - Mensaje antes del cambio
+   */
+  async invalidateContextSummary(message) {
+    // Se carga aquí: contextService depende de este servicio (aiService → toolService)
+    const contextService = require('./contextService');
+
+    try {
+      await contextService.invalidateSummary(message.conversationId, message.createdAt);
+    } catch (error) {
+      logger.warn('Could not reset conversation context summary', {
+        conversationId: message.conversationId,
+        messageId: message.id,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Listar mensajes de una conversación con filtros y paginación
    * @param {string} conversationId - ID de la conversación
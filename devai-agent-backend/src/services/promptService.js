@@ -0,0 +1,338 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+
+const prisma = new PrismaClient();
+
+// =================================
+// SERVICIO DE PLANTILLAS DE PROMPTS
+// =================================
+
+const VARIABLE_REGEX = /\{\{\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Campos que forman parte de cada versión de la plantilla
+const VERSIONED_FIELDS = [
+  'name',
+  'description',
+  'content',
+  'variables',
+  'defaultProvider',
+  'defaultModel',
+  'defaultSettings'
+];
+
+class PromptService {
+  /**
+   * Obtener los nombres de variables `{{variable}}` usados en un prompt
+   * @param {string} content - Texto de la plantilla
+   * @returns {Array<string>} Nombres únicos en orden de aparición
+   */
+  extractVariables(content = '') {
+    const names = [...content.matchAll(VARIABLE_REGEX)].map(match => match[1]);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Completar la definición de variables con las que aparecen en el texto.
+   * Las variables declaradas que ya no se usan en el texto se descartan.
+   * @param {string} content - Texto de la plantilla
+   * @param {Array<Object>} declared - Definiciones { name, description, defaultValue, required }
+   * @returns {Array<Object>} Definiciones normalizadas
+   */
+  normalizeVariables(content, declared = []) {
+    const byName = new Map(declared.map(variable => [variable.name, variable]));
+
+    return this.extractVariables(content).map(name => {
+      const variable = byName.get(name) || {};
+      return {
+        name,
+        description: variable.description || null,
+        defaultValue: variable.defaultValue ?? null,
+        required: variable.required ?? (variable.defaultValue === undefined || variable.defaultValue === null)
+      };
+    });
+  }
+
+  /**
+   * Reemplazar los placeholders con los valores recibidos o sus valores por defecto
+   * @param {Object} template - Plantilla (content, variables)
+   * @param {Object} values - Valores { variable: valor }
+   * @returns {string} Prompt renderizado
+   */
+  render(template, values = {}) {
+    const definitions = new Map((template.variables || []).map(variable => [variable.name, variable]));
+
+    const missing = this.extractVariables(template.content).filter(name =>
+      (values[name] === undefined || values[name] === null) &&
+      (definitions.get(name)?.defaultValue === undefined || definitions.get(name)?.defaultValue === null)
+    );
+
+    if (missing.length > 0) {
+      const error = new Error(`Missing values for template variables: ${missing.join(', ')}`);
+      error.code = 'PROMPT_VARIABLES_MISSING';
+      error.missing = missing;
+      throw error;
+    }
+
+    return template.content.replace(VARIABLE_REGEX, (match, name) => {
+      const value = values[name] ?? definitions.get(name)?.defaultValue ?? '';
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+  }
+
+  /**
+   * Buscar plantilla por ID y usuario
+   * @param {string} templateId - ID de la plantilla
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Object|null>} Plantilla o null
+   */
+  async findByIdAndUser(templateId, userId) {
+    try {
+      return await prisma.promptTemplate.findFirst({
+        where: { id: templateId, userId }
+      });
+    } catch (error) {
+      logger.error('Error finding prompt template by ID and user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar plantillas del usuario
+   * @param {string} userId - ID del usuario
+   * @param {Object} options - { search, page, limit }
+   * @returns {Promise<Object>} { templates, pagination }
+   */
+  async getTemplates(userId, { search = '', page = 1, limit = 20 } = {}) {
+    try {
+      const where = {
+        userId,
+        ...(search && {
+          OR: [
+            { name: { contains: search, mode: 'insensitive' } },
+            { description: { contains: search, mode: 'insensitive' } }
+          ]
+        })
+      };
+
+      const [templates, total] = await Promise.all([
+        prisma.promptTemplate.findMany({
+          where,
+          skip: (page - 1) * limit,
+          take: limit,
+          orderBy: { updatedAt: 'desc' }
+        }),
+        prisma.promptTemplate.count({ where })
+      ]);
+
+      return {
+        templates,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting prompt templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crear plantilla (se guarda también como versión 1)
+   * @param {string} userId - ID del usuario
+   * @param {Object} templateData - Datos de la plantilla
+   * @returns {Promise<Object>} Plantilla creada
+   */
+  async createTemplate(userId, templateData) {
+    try {
+      const data = this.buildTemplateData(templateData);
+
+      const template = await prisma.promptTemplate.create({
+        data: {
+          userId,
+          ...data,
+          version: 1,
+          versions: {
+            create: { version: 1, ...data }
+          }
+        }
+      });
+
+      logger.info(`📝 Prompt template created: ${template.name}`, {
+        templateId: template.id,
+        userId,
+        variables: data.variables.length
+      });
+
+      return template;
+    } catch (error) {
+      logger.error('Error creating prompt template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Actualizar plantilla. Cada cambio crea una nueva versión en el historial.
+   * @param {string} templateId - ID de la plantilla
+   * @param {string} userId - ID del usuario
+   * @param {Object} updateData - Campos a actualizar
+   * @returns {Promise<Object|null>} Plantilla actualizada o null si no existe
+   */
+  async updateTemplate(templateId, userId, updateData) {
+    try {
+      const existing = await this.findByIdAndUser(templateId, userId);
+      if (!existing) return null;
+
+      const merged = Object.fromEntries(
+        VERSIONED_FIELDS.map(field => [field, updateData[field] !== undefined ? updateData[field] : existing[field]])
+      );
+
+      // Si cambia el texto sin nuevas definiciones, conservar las definiciones anteriores
+      const data = this.buildTemplateData(merged);
+      const version = existing.version + 1;
+
+      const [template] = await prisma.$transaction([
+        prisma.promptTemplate.update({
+          where: { id: templateId },
+          data: { ...data, version }
+        }),
+        prisma.promptTemplateVersion.create({
+          data: { templateId, version, ...data }
+        })
+      ]);
+
+      logger.info(`✏️ Prompt template updated: ${template.name}`, {
+        templateId,
+        userId,
+        version
+      });
+
+      return template;
+    } catch (error) {
+      logger.error('Error updating prompt template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar plantilla y su historial
+   * @param {string} templateId - ID de la plantilla
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<boolean>} True si se eliminó
+   */
+  async deleteTemplate(templateId, userId) {
+    try {
+      const existing = await this.findByIdAndUser(templateId, userId);
+      if (!existing) return false;
+
+      await prisma.promptTemplate.delete({ where: { id: templateId } });
+
+      logger.info(`🗑️ Prompt template deleted: ${existing.name}`, { templateId, userId });
+      return true;
+    } catch (error) {
+      logger.error('Error deleting prompt template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener el historial de versiones de una plantilla
+   * @param {string} templateId - ID de la plantilla
+   * @param {string} userId - ID del usuario
+   * @returns {Promise<Array|null>} Versiones (más reciente primero) o null si no existe
+   */
+  async getVersions(templateId, userId) {
+    try {
+      const existing = await this.findByIdAndUser(templateId, userId);
+      if (!existing) return null;
+
+      return await prisma.promptTemplateVersion.findMany({
+        where: { templateId },
+        orderBy: { version: 'desc' }
+      });
+    } catch (error) {
+      logger.error('Error getting prompt template versions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restaurar una versión anterior (se guarda como una versión nueva)
+   * @param {string} templateId - ID de la plantilla
+   * @param {string} userId - ID del usuario
+   * @param {number} version - Versión a restaurar
+   * @returns {Promise<Object|null>} Plantilla restaurada o null si no existe la plantilla o la versión
+   */
+  async restoreVersion(templateId, userId, version) {
+    try {
+      const existing = await this.findByIdAndUser(templateId, userId);
+      if (!existing) return null;
+
+      const snapshot = await prisma.promptTemplateVersion.findUnique({
+        where: { templateId_version: { templateId, version } }
+      });
+      if (!snapshot) return null;
+
+      return await this.updateTemplate(templateId, userId, snapshot);
+    } catch (error) {
+      logger.error('Error restoring prompt template version:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Renderizar una plantilla para usarla en el chat
+   * @param {string} templateId - ID de la plantilla
+   * @param {string} userId - ID del usuario
+   * @param {Object} values - Valores de las variables
+   * @returns {Promise<Object|null>} { systemPrompt, provider, model, settings, template } o null si no existe
+   */
+  async renderTemplate(templateId, userId, values = {}) {
+    const template = await this.findByIdAndUser(templateId, userId);
+    if (!template) return null;
+
+    return {
+      systemPrompt: this.render(template, values),
+      provider: template.defaultProvider,
+      model: template.defaultModel,
+      settings: template.defaultSettings || {},
+      template: {
+        id: template.id,
+        name: template.name,
+        version: template.version
+      }
+    };
+  }
+
+  /**
+   * Preparar los campos versionados de una plantilla
+   * @param {Object} templateData - Datos recibidos
+   * @returns {Object} Datos listos para guardar
+   */
+  buildTemplateData(templateData) {
+    const {
+      name,
+      description = null,
+      content,
+      variables = [],
+      defaultProvider = null,
+      defaultModel = null,
+      defaultSettings = {}
+    } = templateData;
+
+    return {
+      name: name.trim(),
+      description: description?.trim() || null,
+      content,
+      variables: this.normalizeVariables(content, variables),
+      defaultProvider,
+      defaultModel,
+      defaultSettings: defaultSettings || {}
+    };
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new PromptService();
@@ -0,0 +1,266 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_RAG_CONFIG, AI_INJECTION_GUARD_CONFIG } = require('../utils/constants');
+const { generateHash } = require('../utils/helpers');
+const tokenizer = require('../ai/tokenizer');
+const injectionGuard = require('../ai/injectionGuard');
+const embeddingService = require('./embeddingService');
+
+const prisma = new PrismaClient();
+
+// =================================
+// SERVICIO DE RAG SOBRE ARCHIVOS DE PROYECTO
+// =================================
+
+class RagService {
+  /**
+   * Verificar si se pueden indexar y recuperar fragmentos
+   * @returns {boolean} True si RAG está habilitado y hay backend de embeddings
+   */
+  isEnabled() {
+    return AI_RAG_CONFIG.enabled && embeddingService.isAvailable();
+  }
+
+  /**
+   * Cortar el contenido de un archivo en fragmentos de líneas con solapamiento
+   * @param {string} content - Contenido del archivo
+   * @returns {Array<Object>} Fragmentos { index, startLine, endLine, content } (líneas desde 1)
+   */
+  chunkContent(content = '') {
+    const lines = content.split('\n');
+    const chunks = [];
+    let start = 0;
+
+    while (start < lines.length) {
+      let end = Math.min(lines.length, start + AI_RAG_CONFIG.chunkLines);
+
+      // Líneas muy largas (ej: archivos minificados): acortar el fragmento por caracteres
+      while (end - start > 1 && lines.slice(start, end).join('\n').length > AI_RAG_CONFIG.chunkMaxChars) {
+        end -= 1;
+      }
+
+      const text = lines.slice(start, end).join('\n');
+      if (text.trim()) {
+        chunks.push({
+          index: chunks.length,
+          startLine: start + 1,
+          endLine: end,
+          content: text.slice(0, AI_RAG_CONFIG.chunkMaxChars)
+        });
+      }
+
+      if (end >= lines.length) break;
+      // Solapar solo fragmentos completos; uno acortado continúa desde donde terminó
+      start = end - start === AI_RAG_CONFIG.chunkLines
+        ? Math.max(start + 1, end - AI_RAG_CONFIG.chunkOverlap)
+        : end;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Indexar un archivo: fragmentar, generar embeddings y reemplazar sus fragmentos anteriores
+   * @param {Object} file - Archivo del proyecto (id, projectId, name, path, content, indexedHash)
+   * @returns {Promise<Object|null>} { chunks, skipped } o null si RAG no está disponible
+   */
+  async indexFile(file) {
+    if (!this.isEnabled()) return null;
+
+    const model = embeddingService.getModel();
+    const hash = generateHash(`${model}:${file.content}`);
+    if (file.indexedHash === hash) {
+      return { chunks: 0, skipped: true };
+    }
+
+    const startTime = Date.now();
+    const chunks = this.chunkContent(file.content);
+    const { embeddings } = chunks.length > 0
+      ? await embeddingService.embed(chunks.map(chunk => this.buildEmbeddingText(file, chunk)))
+      : { embeddings: [] };
+
+    await prisma.$transaction([
+      prisma.projectFileChunk.deleteMany({ where: { fileId: file.id } }),
+      prisma.projectFileChunk.createMany({
+        data: chunks.map((chunk, i) => ({
+          fileId: file.id,
+          projectId: file.projectId,
+          chunkIndex: chunk.index,
+          startLine: chunk.startLine,
+          endLine: chunk.endLine,
+          content: chunk.content,
+          embedding: embeddings[i],
+          embeddingModel: model
+        }))
+      }),
+      prisma.projectFile.update({
+        where: { id: file.id },
+        data: { indexedAt: new Date(), indexedHash: hash }
+      })
+    ]);
+
+    logger.info(`📚 Project file indexed: ${file.path || file.name}`, {
+      fileId: file.id,
+      projectId: file.projectId,
+      chunks: chunks.length,
+      model,
+      duration: Date.now() - startTime
+    });
+
+    return { chunks: chunks.length, skipped: false };
+  }
+
+  /**
+   * Indexar un archivo sin bloquear la respuesta (los errores solo se registran)
+   * @param {Object} file - Archivo del proyecto
+   */
+  indexFileInBackground(file) {
+    this.indexFile(file).catch(error => {
+      logger.error('Error indexing project file:', {
+        fileId: file.id,
+        projectId: file.projectId,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Reindexar todos los archivos de un proyecto (los que no cambiaron se saltan)
+   * @param {string} projectId - ID del proyecto
+   * @returns {Promise<Object>} { files, indexed, skipped, failed, chunks }
+   */
+  async indexProject(projectId) {
+    const files = await prisma.projectFile.findMany({ where: { projectId } });
+    const result = { files: files.length, indexed: 0, skipped: 0, failed: 0, chunks: 0 };
+
+    // Secuencial para no saturar el backend de embeddings (normalmente local)
+    for (const file of files) {
+      try {
+        const indexed = await this.indexFile(file);
+        if (!indexed || indexed.skipped) {
+          result.skipped += 1;
+        } else {
+          result.indexed += 1;
+          result.chunks += indexed.chunks;
+        }
+      } catch (error) {
+        result.failed += 1;
+        logger.error('Error indexing project file:', { fileId: file.id, projectId, error: error.message });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Recuperar los fragmentos más relevantes del proyecto para una consulta
+   * @param {string} projectId - ID del proyecto
+   * @param {string} query - Texto de la consulta (ej: mensaje del usuario)
+   * @param {Object} options - { topK, signal }
+   * @returns {Promise<Array<Object>>} Fragmentos con `score` y archivo, de mayor a menor relevancia
+   */
+  async retrieve(projectId, query, { topK = AI_RAG_CONFIG.topK, signal = null } = {}) {
+    if (!this.isEnabled() || !query?.trim()) return [];
+
+    const model = embeddingService.getModel();
+    const chunks = await prisma.projectFileChunk.findMany({
+      where: { projectId, embeddingModel: model },
+      select: {
+        id: true,
+        fileId: true,
+        startLine: true,
+        endLine: true,
+        content: true,
+        embedding: true,
+        file: { select: { name: true, path: true } }
+      }
+    });
+
+    if (chunks.length === 0) return [];
+
+    const { embeddings: [queryEmbedding] } = await embeddingService.embed([query], { signal });
+
+    return chunks
+      .map(({ embedding, ...chunk }) => ({
+        ...chunk,
+        score: embeddingService.cosineSimilarity(queryEmbedding, embedding)
+      }))
+      .filter(chunk => chunk.score >= AI_RAG_CONFIG.minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  /**
+   * Agregar los fragmentos recuperados al prompt del sistema, hasta AI_RAG_CONFIG.maxContextTokens
+   * @param {string|null} systemPrompt - Prompt del sistema
+   * @param {Array<Object>} chunks - Fragmentos recuperados
+   * @param {string} model - Modelo que responderá (para contar tokens)
+   * @returns {Object} { systemPrompt, citations, guard } (guard: reporte de prompt injection o null)
+   */
+  injectContext(systemPrompt, chunks = [], model = null) {
+    const included = [];
+    let tokens = 0;
+
+    for (const chunk of chunks) {
+      const chunkTokens = tokenizer.countTokens(chunk.content, model);
+      if (included.length > 0 && tokens + chunkTokens > AI_RAG_CONFIG.maxContextTokens) break;
+      included.push(chunk);
+      tokens += chunkTokens;
+    }
+
+    if (included.length === 0) {
+      return { systemPrompt, citations: [], guard: null };
+    }
+
+    // El contenido de los archivos no es de confianza: se analiza y se delimita
+    const guardEnabled = AI_INJECTION_GUARD_CONFIG.enabled;
+    const guardResults = [];
+
+    const excerpts = included.map((chunk, i) => {
+      const label = `${chunk.file.path || chunk.file.name} (lines ${chunk.startLine}-${chunk.endLine})`;
+
+      if (!guardEnabled) {
+        return `[${i + 1}] ${label}\n\`\`\`\n${chunk.content}\n\`\`\``;
+      }
+
+      const { text, result } = injectionGuard.guardText(chunk.content, label);
+      guardResults.push(result);
+      return `[${i + 1}] ${label}\n${injectionGuard.wrapUntrusted(text, label)}`;
+    });
+
+    const contextBlock = [
+      'Relevant excerpts from the project files are listed below.',
+      'Use them when they help to answer and cite them as [n] with the file and lines.',
+      ...(guardEnabled ? [injectionGuard.UNTRUSTED_CONTENT_NOTICE] : []),
+      '',
+      ...excerpts
+    ].join('\n');
+
+    return {
+      systemPrompt: systemPrompt ? `${systemPrompt}\n\n${contextBlock}` : contextBlock,
+      citations: included.map((chunk, i) => ({
+        index: i + 1,
+        fileId: chunk.fileId,
+        fileName: chunk.file.name,
+        path: chunk.file.path,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        score: Math.round(chunk.score * 1000) / 1000
+      })),
+      guard: injectionGuard.buildReport(guardResults)
+    };
+  }
+
+  /**
+   * Texto que se vectoriza por fragmento (incluye la ruta para que cuente en la búsqueda)
+   * @param {Object} file - Archivo del proyecto
+   * @param {Object} chunk - Fragmento
+   * @returns {string} Texto a vectorizar
+   */
+  buildEmbeddingText(file, chunk) {
+    return `File: ${file.path || file.name} (lines ${chunk.startLine}-${chunk.endLine})\n${chunk.content}`;
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new RagService();
@@ -0,0 +1,583 @@
+const { spawn, execFile } = require('child_process');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const logger = require('../config/logger');
+const { AI_SANDBOX_CONFIG } = require('../utils/constants');
+
+const execFileAsync = promisify(execFile);
+
+// =================================
+// EJECUCIÓN AISLADA DE CÓDIGO (SANDBOX)
+// =================================
+
+/*
+ * Los fragmentos JavaScript y Python de los mensajes se ejecutan en un proceso hijo:
+ * - namespaces propios (unshare): red vacía sin interfaces salvo loopback apagado, PIDs
+ *   propios y montajes propios
+ * - sistema de archivos mínimo: una raíz tmpfs de solo lectura con /usr, las bibliotecas
+ *   y la instalación del intérprete montadas en solo lectura, más /work (el directorio
+ *   temporal de la ejecución) como único lugar con escritura; chroot a esa raíz
+ * - sin privilegios: no_new_privs y sin capabilities (setpriv), así no puede desmontar ni
+ *   salir del chroot
+ * - límites de CPU, memoria, tamaño de archivos, descriptores y procesos (prlimit y un cgroup
+ *   de pids por ejecución) y de tiempo real
+ * - entorno vacío: el proceso no ve las variables del servidor (API keys, DATABASE_URL...)
+ * - Node además corre con el modelo de permisos si el runtime lo soporta (solo lee y
+ *   escribe en /work, sin child_process ni workers)
+ */
+
+const CODE_BLOCK_REGEX = /```([\w+#.-]*)[^\n]*\n([\s\S]*?)```/g;
+
+const SAFE_PATH = '/usr/local/bin:/usr/bin:/bin:/usr/sbin:/sbin';
+
+// Directorio de trabajo dentro de la raíz del sandbox
+const SANDBOX_WORKDIR = '/work';
+
+// Rutas del sistema visibles (solo lectura) dentro del sandbox; las que no existen se omiten
+const SYSTEM_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/etc/ld.so.cache', '/dev/null', '/dev/zero', '/dev/random', '/dev/urandom'];
+
+const NAMESPACE_FLAGS = ['--mount', '--net', '--pid', '--fork', '--kill-child', '--map-root-user'];
+
+// Corre dentro de los namespaces: arma la raíz y ejecuta el comando sin privilegios. El shell
+// queda como init del namespace de PIDs y termina con el estado del comando (128 + señal si
+// lo mató una señal)
+// sh -c SANDBOX_SETUP sh <raíz> <workdir> <rutas de solo lectura...> -- <comando...>
+const SANDBOX_SETUP = `set -e
+root=$1
+work=$2
+shift 2
+mount -t tmpfs -o size=1m,mode=755 sandbox "$root"
+while [ "$1" != -- ]; do
+  if [ -L "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"
+    ln -s "$(readlink "$1")" "$root$1"
+  elif [ -d "$1" ]; then
+    mkdir -p "$root$1"
+    mount --bind "$1" "$root$1"
+    mount -o remount,bind,ro "$root$1"
+  elif [ -e "$1" ]; then
+    mkdir -p "$root$(dirname "$1")"
+    touch "$root$1"
+    mount --bind "$1" "$root$1"
+    mount -o remount,bind,ro "$root$1"
+  fi
+  shift
+done
+shift
+mkdir "$root${SANDBOX_WORKDIR}"
+mount --bind "$work" "$root${SANDBOX_WORKDIR}"
+mount -o remount,ro "$root"
+chroot "$root" /usr/bin/env -C ${SANDBOX_WORKDIR} setpriv --no-new-privs --bounding-set=-all --inh-caps=-all "$@" &
+wait $!
+`;
+
+// Corre en el servidor: mueve el shell al cgroup de la ejecución y lo reemplaza por el comando
+// sh -c CGROUP_ENTER sh <cgroup> <comando...>
+const CGROUP_ENTER = 'echo $$ > "$1/cgroup.procs" && shift && exec "$@"';
+
+// Imprime el ejecutable real y los prefijos de la instalación de Python
+const PYTHON_PATHS_SCRIPT = 'import json, os, sys; print(json.dumps([os.path.realpath(sys.executable), sys.prefix, sys.base_prefix, sys.exec_prefix, sys.base_exec_prefix]))';
+
+class SandboxService {
+  constructor() {
+    this.running = 0;
+    this.isolation = null;
+    this.pidsCgroup = null;
+    this.interpreters = {};
+  }
+
+  /**
+   * Verificar si la ejecución de código está habilitada
+   * @returns {boolean} True si está habilitada
+   */
+  isEnabled() {
+    return AI_SANDBOX_CONFIG.enabled;
+  }
+
+  /**
+   * Normalizar el lenguaje de un bloque (js, node, py...)
+   * @param {string} language - Lenguaje indicado en el bloque
+   * @returns {string|null} 'javascript', 'python' o null si no se puede ejecutar
+   */
+  normalizeLanguage(language = '') {
+    return AI_SANDBOX_CONFIG.languageAliases[String(language).toLowerCase()] || null;
+  }
+
+  /**
+   * Extraer los bloques de código de un mensaje en Markdown
+   * @param {string} content - Contenido del mensaje
+   * @returns {Array<Object>} [{ index, language, runtime, code }] (runtime null = no ejecutable)
+   */
+  extractCodeBlocks(content = '') {
+    return [...String(content).matchAll(CODE_BLOCK_REGEX)].map((match, index) => ({
+      index,
+      language: match[1] || null,
+      runtime: this.normalizeLanguage(match[1]),
+      code: match[2].replace(/\n$/, '')
+    }));
+  }
+
+  /**
+   * Detectar (una vez) qué aislamiento ofrece el sistema
+   * @returns {Promise<string|null>} 'namespace' (red, PIDs y sistema de archivos propios),
+   *   'limits' (solo límites de recursos) o null
+   */
+  async detectIsolation() {
+    if (!this.isolation) {
+      this.isolation = (async () => {
+        const sandbox = await this.createSandboxDir();
+        try {
+          if (await this.probe(this.wrapCommand(['prlimit', '--cpu=1', '--', 'true'], 'namespace', sandbox, []))) {
+            return 'namespace';
+          }
+        } finally {
+          await this.removeSandboxDir(sandbox);
+        }
+        if (await this.probe(['prlimit', '--cpu=1', '--', 'true'])) {
+          return 'limits';
+        }
+        return null;
+      })();
+    }
+
+    return this.isolation;
+  }
+
+  /**
+   * Detectar (una vez) el cgroup de pids del servidor, donde se crea uno por ejecución
+   * @returns {Promise<string|null>} Directorio del cgroup (v1 o v2) o null si no se pueden
+   *   crear cgroups de pids en él
+   */
+  async detectPidsCgroup() {
+    if (!this.pidsCgroup) {
+      this.pidsCgroup = (async () => {
+        try {
+          // v1: "N:pids:/ruta" en la jerarquía del controlador; v2: "0::/ruta" en la unificada
+          const entries = (await fs.readFile('/proc/self/cgroup', 'utf8')).trim().split('\n')
+            .map(line => line.split(':'));
+          const v1 = entries.find(([, controllers]) => controllers.split(',').includes('pids'));
+          const v2 = entries.find(([id, controllers]) => id === '0' && controllers === '');
+          if (!v1 && !v2) {
+            throw new Error('No pids cgroup hierarchy found');
+          }
+
+          const parent = v1
+            ? path.join(AI_SANDBOX_CONFIG.cgroupRoot, 'pids', v1.slice(2).join(':'))
+            : path.join(AI_SANDBOX_CONFIG.cgroupRoot, v2.slice(2).join(':'));
+
+          const probe = await this.createCgroup(parent, `devai-sandbox-probe-${process.pid}`);
+          await fs.rmdir(probe);
+          return parent;
+        } catch (error) {
+          logger.warn('Sandbox pids cgroup is not available, the process limit relies on prlimit --nproc', { error: error.message });
+          return null;
+        }
+      })();
+    }
+
+    return this.pidsCgroup;
+  }
+
+  /**
+   * Crear el cgroup de pids de una ejecución
+   * @param {string} parent - Cgroup del servidor
+   * @param {string} name - Nombre del cgroup
+   * @returns {Promise<string>} Directorio del cgroup creado
+   */
+  async createCgroup(parent, name) {
+    const dir = path.join(parent, name);
+    await fs.mkdir(dir);
+    try {
+      // Sin el controlador de pids habilitado el archivo no existe y la escritura falla
+      await fs.writeFile(path.join(dir, 'pids.max'), String(AI_SANDBOX_CONFIG.maxProcesses), { flag: 'r+' });
+    } catch (error) {
+      await fs.rmdir(dir).catch(() => {});
+      throw error;
+    }
+    return dir;
+  }
+
+  /**
+   * Borrar el cgroup de una ejecución, terminando los procesos que queden en él
+   * @param {string|null} cgroup - Directorio del cgroup
+   */
+  async removeCgroup(cgroup) {
+    if (!cgroup) return;
+
+    for (let attempt = 0; attempt < 20; attempt++) {
+      try {
+        await fs.rmdir(cgroup);
+        return;
+      } catch (error) {
+        if (error.code !== 'EBUSY') break;
+      }
+
+      const pids = (await fs.readFile(path.join(cgroup, 'cgroup.procs'), 'utf8').catch(() => ''))
+        .split('\n').filter(Boolean);
+      for (const pid of pids) {
+        try {
+          process.kill(parseInt(pid), 'SIGKILL');
+        } catch (error) {
+          // El proceso ya terminó
+        }
+      }
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    logger.warn('Failed to remove sandbox cgroup', { cgroup });
+  }
+
+  /**
+   * Resolver (una vez por lenguaje) el intérprete configurado
+   * @param {string} runtime - 'javascript' o 'python'
+   * @returns {Promise<Object|null>} { command, paths, permission } con el ejecutable real, los
+   *   directorios de su instalación (se montan en el sandbox) y los flags del modelo de permisos
+   *   que acepta (Node), o null si no se puede ejecutar
+   */
+  async detectInterpreter(runtime) {
+    if (!this.interpreters[runtime]) {
+      this.interpreters[runtime] = (async () => {
+        try {
+          if (runtime === 'python') {
+            const stdout = await this.capture([AI_SANDBOX_CONFIG.runtimes.python, '-I', '-c', PYTHON_PATHS_SCRIPT]);
+            const [command, ...prefixes] = JSON.parse(stdout);
+            return { command, paths: [...new Set([...prefixes, path.dirname(command)])], permission: [] };
+          }
+
+          const command = (await this.capture([AI_SANDBOX_CONFIG.runtimes.javascript, '-p', 'process.execPath'])).trim();
+
+          // El flag depende de la versión del runtime configurado (20: experimental, 22+: estable)
+          let permission = [];
+          if (await this.probe([command, '--permission', '-e', ''])) {
+            permission = ['--permission'];
+          } else if (await this.probe([command, '--experimental-permission', '-e', ''])) {
+            permission = ['--experimental-permission', '--no-warnings'];
+          }
+
+          return { command, paths: [path.dirname(path.dirname(command))], permission };
+        } catch (error) {
+          logger.warn(`Sandbox runtime for ${runtime} is not available`, { error: error.message });
+          return null;
+        }
+      })();
+    }
+
+    return this.interpreters[runtime];
+  }
+
+  /**
+   * Ejecutar un comando de prueba y devolver su salida
+   * @param {Array<string>} command - Comando y argumentos
+   * @returns {Promise<string>} stdout
+   */
+  async capture([command, ...args]) {
+    const { stdout } = await execFileAsync(command, args, { timeout: 3000 });
+    return stdout;
+  }
+
+  /**
+   * Ejecutar un comando de prueba
+   * @param {Array<string>} command - Comando y argumentos
+   * @returns {Promise<boolean>} True si terminó con código 0
+   */
+  probe([command, ...args]) {
+    return new Promise(resolve => {
+      const child = spawn(command, args, { env: { PATH: SAFE_PATH }, stdio: 'ignore', timeout: 3000 });
+      child.on('error', () => resolve(false));
+      child.on('close', code => resolve(code === 0));
+    });
+  }
+
+  /**
+   * Ejecutar un fragmento de código en el sandbox
+   * @param {Object} options - Opciones
+   * @param {string} options.language - Lenguaje (javascript, python o alias)
+   * @param {string} options.code - Código a ejecutar
+   * @param {string} options.userId - ID del usuario (para los logs)
+   * @returns {Promise<Object>} { language, exitCode, signal, stdout, stderr, timedOut, truncated, durationMs, ... }
+   */
+  async execute({ language, code, userId = null }) {
+    const runtime = this.normalizeLanguage(language);
+    if (!runtime) {
+      throw this.createError('SANDBOX_LANGUAGE_UNSUPPORTED', `Language '${language}' cannot be executed (supported: JavaScript, Python)`);
+    }
+
+    if (!code || !code.trim()) {
+      throw this.createError('SANDBOX_INVALID_CODE', 'Code is empty');
+    }
+    if (code.length > AI_SANDBOX_CONFIG.maxCodeChars) {
+      throw this.createError('SANDBOX_INVALID_CODE', `Code exceeds ${AI_SANDBOX_CONFIG.maxCodeChars} characters`);
+    }
+
+    const isolation = await this.detectIsolation();
+    if (!isolation || (isolation !== 'namespace' && AI_SANDBOX_CONFIG.requireNetworkIsolation)) {
+      throw this.createError('SANDBOX_UNAVAILABLE', 'Code execution requires Linux with unshare, setpriv and prlimit (network and filesystem isolation)');
+    }
+
+    const interpreter = await this.detectInterpreter(runtime);
+    if (!interpreter) {
+      throw this.createError('SANDBOX_RUNTIME_UNAVAILABLE', `The ${runtime} interpreter is not available`);
+    }
+    // Sin namespace de montaje solo el modelo de permisos de Node limita el sistema de archivos
+    if (isolation !== 'namespace' && interpreter.permission.length === 0) {
+      throw this.createError('SANDBOX_UNAVAILABLE', `Executing ${runtime} code requires filesystem isolation (unshare --mount or a Node runtime with --permission)`);
+    }
+
+    if (this.running >= AI_SANDBOX_CONFIG.maxConcurrent) {
+      throw this.createError('SANDBOX_BUSY', 'Too many code executions in progress, try again in a few seconds');
+    }
+
+    this.running++;
+    const sandbox = await this.createSandboxDir();
+    let cgroup = null;
+
+    try {
+      const parent = await this.detectPidsCgroup();
+      if (parent) {
+        cgroup = await this.createCgroup(parent, path.basename(sandbox.dir));
+      }
+
+      // Dentro del namespace el directorio de trabajo se monta en /work
+      const workdir = isolation === 'namespace' ? SANDBOX_WORKDIR : sandbox.work;
+      const command = await this.prepare(runtime, code, sandbox.work, workdir, interpreter);
+      const result = await this.run(
+        this.inCgroup(this.wrapCommand(this.withLimits(command, runtime, isolation), isolation, sandbox, interpreter.paths), cgroup),
+        sandbox.work,
+        workdir
+      );
+
+      // El shell del namespace informa las señales como código de salida 128 + número
+      const signal = isolation === 'namespace' && result.exitCode > 128
+        ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === result.exitCode - 128)
+        : null;
+      if (signal) {
+        Object.assign(result, { exitCode: null, signal });
+      }
+
+      logger.info(`🧪 Code executed in sandbox`, {
+        userId,
+        language: runtime,
+        exitCode: result.exitCode,
+        timedOut: result.timedOut,
+        durationMs: result.durationMs
+      });
+
+      return {
+        language: runtime,
+        ...result,
+        isolation,
+        limits: {
+          timeoutMs: AI_SANDBOX_CONFIG.timeoutMs,
+          cpuSeconds: AI_SANDBOX_CONFIG.cpuSeconds,
+          memoryMb: AI_SANDBOX_CONFIG.memoryMb,
+          maxProcesses: AI_SANDBOX_CONFIG.maxProcesses
+        },
+        executedAt: new Date().toISOString()
+      };
+    } finally {
+      this.running--;
+      await this.removeCgroup(cgroup);
+      await this.removeSandboxDir(sandbox);
+    }
+  }
+
+  /**
+   * Crear el directorio temporal de una ejecución
+   * @returns {Promise<Object>} { dir, root, work }: root es el punto de montaje de la raíz
+   *   del sandbox y work el directorio de trabajo
+   */
+  async createSandboxDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'devai-sandbox-'));
+    const sandbox = { dir, root: path.join(dir, 'root'), work: path.join(dir, 'work') };
+    await Promise.all([fs.mkdir(sandbox.root), fs.mkdir(sandbox.work)]);
+    return sandbox;
+  }
+
+  /**
+   * Borrar el directorio temporal de una ejecución
+   * @param {Object} sandbox - Directorio creado con createSandboxDir
+   */
+  async removeSandboxDir(sandbox) {
+    await fs.rm(sandbox.dir, { recursive: true, force: true }).catch(error => {
+      logger.warn('Failed to remove sandbox directory', { dir: sandbox.dir, error: error.message });
+    });
+  }
+
+  /**
+   * Escribir el código en el directorio de trabajo y armar el comando del intérprete
+   * @param {string} runtime - 'javascript' o 'python'
+   * @param {string} code - Código
+   * @param {string} hostWorkdir - Directorio temporal en el servidor
+   * @param {string} workdir - El mismo directorio visto por el proceso (/work en el namespace)
+   * @param {Object} interpreter - Intérprete resuelto con detectInterpreter
+   * @returns {Promise<Array<string>>} Comando y argumentos
+   */
+  async prepare(runtime, code, hostWorkdir, workdir, interpreter) {
+    if (runtime === 'python') {
+      await fs.writeFile(path.join(hostWorkdir, 'main.py'), code);
+      return [interpreter.command, '-I', '-B', 'main.py'];
+    }
+
+    // Con import/export el fragmento es un módulo ES
+    const file = /^\s*(?:import\s[\s\S]*?from\s|import\s*['"{*]|export\s)/m.test(code) ? 'main.mjs' : 'main.js';
+    await fs.writeFile(path.join(hostWorkdir, file), code);
+
+    const { permission } = interpreter;
+    const access = permission.length > 0 ? [`--allow-fs-read=${workdir}`, `--allow-fs-write=${workdir}`] : [];
+
+    return [
+      interpreter.command,
+      `--max-old-space-size=${AI_SANDBOX_CONFIG.memoryMb}`,
+      ...permission,
+      ...access,
+      file
+    ];
+  }
+
+  /**
+   * Agregar los límites de recursos al comando
+   * @param {Array<string>} command - Comando del intérprete
+   * @param {string} runtime - 'javascript' o 'python'
+   * @param {string} isolation - 'namespace' o 'limits'
+   * @returns {Array<string>} Comando con prlimit
+   */
+  withLimits(command, runtime, isolation) {
+    const memoryBytes = AI_SANDBOX_CONFIG.memoryMb * 1024 * 1024;
+    const limits = [
+      'prlimit',
+      `--cpu=${AI_SANDBOX_CONFIG.cpuSeconds}`,
+      `--fsize=${AI_SANDBOX_CONFIG.maxFileSizeBytes}`,
+      `--nofile=${AI_SANDBOX_CONFIG.maxOpenFiles}`,
+      // V8 reserva mucho espacio de direcciones sin usarlo: a Node se le limita la memoria
+      // escribible (--data), que también cubre los Buffer fuera del heap
+      runtime === 'python' ? `--as=${memoryBytes}` : `--data=${memoryBytes}`,
+      // --nproc cuenta por UID: dentro del namespace de usuario solo ve los procesos de la
+      // ejecución; fuera contaría todos los del usuario del servidor
+      ...(isolation === 'namespace' ? [`--nproc=${AI_SANDBOX_CONFIG.maxProcesses}`] : []),
+      '--'
+    ];
+
+    return [...limits, ...command];
+  }
+
+  /**
+   * Ejecutar el comando dentro del cgroup de la ejecución
+   * @param {Array<string>} command - Comando a ejecutar
+   * @param {string|null} cgroup - Directorio del cgroup (null = sin cgroup)
+   * @returns {Array<string>} Comando final
+   */
+  inCgroup(command, cgroup) {
+    return cgroup ? ['sh', '-c', CGROUP_ENTER, 'sh', cgroup, ...command] : command;
+  }
+
+  /**
+   * Ejecutar el comando dentro de los namespaces, con la raíz mínima y sin privilegios
+   * @param {Array<string>} command - Comando a ejecutar
+   * @param {string} isolation - 'namespace' o 'limits'
+   * @param {Object} sandbox - Directorio creado con createSandboxDir
+   * @param {Array<string>} runtimePaths - Directorios del intérprete a montar en solo lectura
+   * @returns {Array<string>} Comando final
+   */
+  wrapCommand(command, isolation, sandbox, runtimePaths) {
+    if (isolation !== 'namespace') {
+      return command;
+    }
+
+    return [
+      'unshare', ...NAMESPACE_FLAGS,
+      'sh', '-c', SANDBOX_SETUP, 'sh', sandbox.root, sandbox.work,
+      ...SYSTEM_PATHS, ...runtimePaths, '--',
+      ...command
+    ];
+  }
+
+  /**
+   * Ejecutar el proceso con límite de tiempo y de salida
+   * @param {Array<string>} command - Comando final
+   * @param {string} hostWorkdir - Directorio de trabajo en el servidor
+   * @param {string} workdir - El mismo directorio visto por el proceso (HOME y TMPDIR)
+   * @returns {Promise<Object>} { exitCode, signal, stdout, stderr, timedOut, truncated, durationMs }
+   */
+  run([command, ...args], hostWorkdir, workdir) {
+    return new Promise((resolve, reject) => {
+      const startTime = Date.now();
+      const output = { stdout: '', stderr: '' };
+      let timedOut = false;
+      let truncated = false;
+
+      const child = spawn(command, args, {
+        cwd: hostWorkdir,
+        env: {
+          PATH: SAFE_PATH,
+          HOME: workdir,
+          TMPDIR: workdir,
+          LANG: 'C.UTF-8',
+          PYTHONIOENCODING: 'utf-8'
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        // Grupo de procesos propio para poder terminarlo completo
+        detached: true
+      });
+
+      const kill = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // El proceso ya terminó
+        }
+      };
+
+      const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, AI_SANDBOX_CONFIG.timeoutMs);
+
+      const collect = (stream) => (chunk) => {
+        output[stream] += chunk.toString('utf8');
+        if (output[stream].length > AI_SANDBOX_CONFIG.maxOutputChars) {
+          output[stream] = output[stream].slice(0, AI_SANDBOX_CONFIG.maxOutputChars);
+          truncated = true;
+          kill();
+        }
+      };
+
+      child.stdout.on('data', collect('stdout'));
+      child.stderr.on('data', collect('stderr'));
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(this.createError('SANDBOX_RUNTIME_UNAVAILABLE', `Could not start the interpreter: ${error.message}`));
+      });
+
+      child.on('close', (exitCode, signal) => {
+        clearTimeout(timer);
+        resolve({
+          exitCode,
+          signal,
+          stdout: output.stdout,
+          stderr: output.stderr,
+          timedOut,
+          truncated,
+          durationMs: Date.now() - startTime
+        });
+      });
+    });
+  }
+
+  /**
+   * Crear error con código para que el controlador elija el estado HTTP
+   * @param {string} code - Código del error
+   * @param {string} message - Mensaje
+   * @returns {Error} Error con `code`
+   */
+  createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new SandboxService();
@@ -0,0 +1,358 @@
+const logger = require('../config/logger');
+const { AI_SCHEDULER_CONFIG, AI_PRIORITIES } = require('../utils/constants');
+
+// =================================
+// COLA DE SOLICITUDES POR PROVEEDOR DE IA
+// =================================
+
+/*
+ * Cada proveedor (o API key de usuario) tiene su propia cola. Antes de llamar al proveedor
+ * se pide turno con `acquire`; la solicitud espera si:
+ *   - ya hay AI_SCHEDULER_CONFIG.maxConcurrent solicitudes en curso,
+ *   - el proveedor pidió esperar (retry-after),
+ *   - la cuota restante informada en los headers se agotó hasta el próximo reset.
+ * El carril interactivo siempre sale antes que el de segundo plano, y este además deja
+ * libres las últimas `backgroundReserve` solicitudes de la cuota para el chat.
+ */
+
+class SchedulerService {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  /**
+   * Obtener (o crear) la cola de un proveedor o API key
+   * @param {string} key - Clave de la cola (ej: 'groq' o 'groq:key:<id>')
+   * @returns {Object} Estado interno de la cola
+   */
+  getBucket(key) {
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        key,
+        provider: key.split(':')[0],
+        queue: [],
+        active: 0,
+        timer: null,
+        quota: {
+          remainingRequests: null,
+          remainingTokens: null,
+          resetRequestsAt: null,
+          resetTokensAt: null,
+          retryAfterUntil: null,
+          updatedAt: null
+        },
+        stats: {
+          scheduled: 0,
+          delayed: 0,
+          rejected: 0,
+          totalWaitMs: 0,
+          maxWaitMs: 0,
+          lastWaitMs: 0
+        }
+      });
+    }
+
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Esperar turno para llamar al proveedor
+   * @param {string} key - Clave de la cola
+   * @param {Object} options - { priority, signal, estimatedTokens }
+   * @returns {Promise<Function>} Función `release` a llamar cuando termina la solicitud
+   */
+  acquire(key, { priority = AI_PRIORITIES.INTERACTIVE, signal = null, estimatedTokens = 0 } = {}) {
+    if (!AI_SCHEDULER_CONFIG.enabled) {
+      return Promise.resolve(() => {});
+    }
+
+    const bucket = this.getBucket(key);
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        priority: priority === AI_PRIORITIES.BACKGROUND ? AI_PRIORITIES.BACKGROUND : AI_PRIORITIES.INTERACTIVE,
+        estimatedTokens,
+        enqueuedAt: Date.now(),
+        signal,
+        resolve,
+        reject,
+        onAbort: null
+      };
+
+      job.maxWaitMs = job.priority === AI_PRIORITIES.BACKGROUND
+        ? AI_SCHEDULER_CONFIG.backgroundMaxWaitMs
+        : AI_SCHEDULER_CONFIG.maxWaitMs;
+
+      if (signal) {
+        if (signal.aborted) {
+          return reject(this.createAbortError());
+        }
+        job.onAbort = () => {
+          this.removeJob(bucket, job);
+          reject(this.createAbortError());
+          this.pump(bucket);
+        };
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+
+      bucket.queue.push(job);
+      this.pump(bucket);
+    });
+  }
+
+  /**
+   * Actualizar la cuota de una cola con los headers de rate limit del proveedor
+   * @param {string} key - Clave de la cola
+   * @param {Object} info - Cuota normalizada (ver src/ai/rateLimitHeaders.js)
+   */
+  updateQuota(key, info) {
+    const bucket = this.getBucket(key);
+    const { quota } = bucket;
+    const now = Date.now();
+
+    if (info.remainingRequests !== null) {
+      quota.remainingRequests = info.remainingRequests;
+      quota.resetRequestsAt = now + (info.resetRequestsMs ?? AI_SCHEDULER_CONFIG.defaultResetMs);
+    }
+
+    if (info.remainingTokens !== null) {
+      quota.remainingTokens = info.remainingTokens;
+      quota.resetTokensAt = now + (info.resetTokensMs ?? AI_SCHEDULER_CONFIG.defaultResetMs);
+    }
+
+    if (info.retryAfterMs !== null) {
+      quota.retryAfterUntil = now + info.retryAfterMs;
+      logger.warn(`🚦 Provider ${bucket.key} asked to wait ${Math.ceil(info.retryAfterMs / 1000)}s`, {
+        status: info.status,
+        queued: bucket.queue.length
+      });
+    }
+
+    quota.updatedAt = new Date(now).toISOString();
+
+    // Una cuota renovada puede liberar solicitudes en espera
+    this.pump(bucket);
+  }
+
+  /**
+   * Despachar las solicitudes que pueden salir y programar la siguiente revisión
+   * @param {Object} bucket - Cola
+   */
+  pump(bucket) {
+    if (bucket.timer) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+
+    while (bucket.queue.length > 0 && bucket.active < AI_SCHEDULER_CONFIG.maxConcurrent) {
+      const job = this.getNextJob(bucket);
+      const waitMs = this.getWaitMs(bucket, job);
+
+      if (waitMs <= 0) {
+        this.removeJob(bucket, job);
+        this.dispatch(bucket, job);
+        continue;
+      }
+
+      // Si ni esperando hasta el reset entra en su tiempo máximo, se rechaza ya
+      if (Date.now() + waitMs - job.enqueuedAt > job.maxWaitMs) {
+        this.removeJob(bucket, job);
+        bucket.stats.rejected += 1;
+        job.reject(this.createRateLimitError(bucket, waitMs));
+        continue;
+      }
+
+      bucket.timer = setTimeout(() => this.pump(bucket), waitMs);
+      return;
+    }
+  }
+
+  /**
+   * Siguiente solicitud a despachar: la más antigua del carril interactivo, si hay
+   * @param {Object} bucket - Cola
+   * @returns {Object} Solicitud en espera
+   */
+  getNextJob(bucket) {
+    return bucket.queue.find(job => job.priority === AI_PRIORITIES.INTERACTIVE) || bucket.queue[0];
+  }
+
+  /**
+   * Calcular cuánto debe esperar una solicitud según la cuota conocida
+   * @param {Object} bucket - Cola
+   * @param {Object} job - Solicitud
+   * @returns {number} Milisegundos de espera (0 si puede salir ya)
+   */
+  getWaitMs(bucket, job) {
+    const { quota } = bucket;
+    const now = Date.now();
+
+    // Cuotas cuyo reset ya pasó se consideran renovadas (desconocidas hasta la próxima respuesta)
+    if (quota.resetRequestsAt !== null && quota.resetRequestsAt <= now) {
+      quota.remainingRequests = null;
+      quota.resetRequestsAt = null;
+    }
+    if (quota.resetTokensAt !== null && quota.resetTokensAt <= now) {
+      quota.remainingTokens = null;
+      quota.resetTokensAt = null;
+    }
+
+    let until = 0;
+
+    if (quota.retryAfterUntil > now) {
+      until = quota.retryAfterUntil;
+    }
+
+    const reserve = job.priority === AI_PRIORITIES.BACKGROUND ? AI_SCHEDULER_CONFIG.backgroundReserve : 0;
+    if (quota.remainingRequests !== null && quota.remainingRequests <= reserve) {
+      until = Math.max(until, quota.resetRequestsAt);
+    }
+
+    if (quota.remainingTokens !== null && job.estimatedTokens > quota.remainingTokens) {
+      until = Math.max(until, quota.resetTokensAt);
+    }
+
+    return until > now ? until - now : 0;
+  }
+
+  /**
+   * Dar turno a una solicitud
+   * @param {Object} bucket - Cola
+   * @param {Object} job - Solicitud
+   */
+  dispatch(bucket, job) {
+    const waitMs = Date.now() - job.enqueuedAt;
+
+    if (job.signal && job.onAbort) {
+      job.signal.removeEventListener('abort', job.onAbort);
+    }
+
+    bucket.active += 1;
+
+    // Descontar por adelantado: los headers de la respuesta corregirán la cuota
+    if (bucket.quota.remainingRequests !== null) {
+      bucket.quota.remainingRequests -= 1;
+    }
+    if (bucket.quota.remainingTokens !== null) {
+      bucket.quota.remainingTokens -= job.estimatedTokens;
+    }
+
+    bucket.stats.scheduled += 1;
+    bucket.stats.totalWaitMs += waitMs;
+    bucket.stats.lastWaitMs = waitMs;
+    bucket.stats.maxWaitMs = Math.max(bucket.stats.maxWaitMs, waitMs);
+
+    if (waitMs > 0) {
+      bucket.stats.delayed += 1;
+      logger.debug(`🚦 AI request waited ${waitMs}ms in ${bucket.key} queue`, { priority: job.priority });
+    }
+
+    let released = false;
+    job.resolve(() => {
+      if (released) return;
+      released = true;
+      bucket.active -= 1;
+      this.pump(bucket);
+    });
+  }
+
+  /**
+   * Quitar una solicitud de la cola
+   * @param {Object} bucket - Cola
+   * @param {Object} job - Solicitud
+   */
+  removeJob(bucket, job) {
+    const index = bucket.queue.indexOf(job);
+    if (index !== -1) {
+      bucket.queue.splice(index, 1);
+    }
+  }
+
+  /**
+   * Crear error de solicitud cancelada mientras esperaba turno
+   * @returns {Error} Error con name AbortError
+   */
+  createAbortError() {
+    const error = new Error('AI request was cancelled while queued');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * Crear error de espera excesiva por el rate limit del proveedor
+   * @param {Object} bucket - Cola
+   * @param {number} waitMs - Espera necesaria
+   * @returns {Error} Error con código AI_PROVIDER_RATE_LIMITED
+   */
+  createRateLimitError(bucket, waitMs) {
+    const error = new Error(
+      `Rate limit reached for AI provider '${bucket.provider}' (next slot in ${Math.ceil(waitMs / 1000)}s)`
+    );
+    error.code = 'AI_PROVIDER_RATE_LIMITED';
+    error.provider = bucket.provider;
+    error.retryAfterMs = waitMs;
+    return error;
+  }
+
+  /**
+   * Obtener el estado de las colas de un proveedor (incluye las de API keys de usuario)
+   * @param {string} provider - Proveedor de IA
+   * @returns {Object} Profundidad de cola, solicitudes en curso, tiempos de espera y cuota
+   */
+  getProviderState(provider) {
+    const buckets = [...this.buckets.values()].filter(bucket => bucket.provider === provider);
+    const serverBucket = this.buckets.get(provider);
+    const now = Date.now();
+
+    const sum = (fn) => buckets.reduce((total, bucket) => total + fn(bucket), 0);
+    const scheduled = sum(bucket => bucket.stats.scheduled);
+    const countLane = (lane) => sum(bucket => bucket.queue.filter(job => job.priority === lane).length);
+
+    const quota = serverBucket?.quota;
+    const resetIn = (at) => (at && at > now ? at - now : null);
+
+    return {
+      enabled: AI_SCHEDULER_CONFIG.enabled,
+      queueDepth: sum(bucket => bucket.queue.length),
+      lanes: {
+        [AI_PRIORITIES.INTERACTIVE]: countLane(AI_PRIORITIES.INTERACTIVE),
+        [AI_PRIORITIES.BACKGROUND]: countLane(AI_PRIORITIES.BACKGROUND)
+      },
+      active: sum(bucket => bucket.active),
+      maxConcurrent: AI_SCHEDULER_CONFIG.maxConcurrent,
+      waits: {
+        scheduled,
+        delayed: sum(bucket => bucket.stats.delayed),
+        rejected: sum(bucket => bucket.stats.rejected),
+        avgMs: scheduled > 0 ? Math.round(sum(bucket => bucket.stats.totalWaitMs) / scheduled) : 0,
+        maxMs: Math.max(0, ...buckets.map(bucket => bucket.stats.maxWaitMs)),
+        lastMs: serverBucket?.stats.lastWaitMs || 0
+      },
+      quota: quota?.updatedAt
+        ? {
+          remainingRequests: quota.remainingRequests,
+          remainingTokens: quota.remainingTokens,
+          resetRequestsInMs: resetIn(quota.resetRequestsAt),
+          resetTokensInMs: resetIn(quota.resetTokensAt),
+          retryAfterMs: resetIn(quota.retryAfterUntil),
+          updatedAt: quota.updatedAt
+        }
+        : null
+    };
+  }
+
+  /**
+   * Reiniciar colas vacías (todas o las de un proveedor)
+   * @param {string} provider - Proveedor opcional
+   */
+  reset(provider = null) {
+    for (const [key, bucket] of this.buckets) {
+      if ((!provider || bucket.provider === provider) && bucket.queue.length === 0 && bucket.active === 0) {
+        clearTimeout(bucket.timer);
+        this.buckets.delete(key);
+      }
+    }
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new SchedulerService();
@@ -0,0 +1,224 @@
+const { EventEmitter } = require('events');
+const logger = require('../config/logger');
+const { AI_STREAM_CONFIG } = require('../utils/constants');
+const cacheService = require('./cacheService');
+
+// =================================
+// BUFFER DE STREAMS SSE REANUDABLES
+// =================================
+
+class StreamService {
+  constructor() {
+    // Los eventos se guardan en cache (Redis o memoria) para poder reenviarlos;
+    // el emitter solo avisa a los clientes conectados a esta instancia
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.queues = new Map();
+  }
+
+  /**
+   * Abrir el buffer de eventos de una generación
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {Object} owner - { userId, conversationId }
+   */
+  async open(messageId, { userId, conversationId }) {
+    await cacheService.set(this.getMetaKey(messageId), {
+      userId,
+      conversationId,
+      status: 'streaming',
+      startedAt: new Date().toISOString()
+    }, AI_STREAM_CONFIG.bufferTtl);
+  }
+
+  /**
+   * Agregar un evento al stream con el siguiente ID secuencial
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {string} type - Tipo de evento (start, chunk, complete, error, cancelled)
+   * @param {Object} data - Datos del evento
+   * @returns {Promise<Object>} Evento guardado { id, type, ...data }
+   */
+  push(messageId, type, data = {}) {
+    return this.enqueue(messageId, async () => {
+      const id = await cacheService.incr(this.getSeqKey(messageId), 1, AI_STREAM_CONFIG.bufferTtl);
+      const event = { id, type, ...data };
+
+      await cacheService.set(this.getEventKey(messageId, id), event, AI_STREAM_CONFIG.bufferTtl);
+      this.emitter.emit(`event:${messageId}`, event);
+
+      return event;
+    });
+  }
+
+  /**
+   * Cerrar el stream: los clientes conectados terminan su respuesta
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {string} status - Estado final (completed, failed, cancelled)
+   */
+  end(messageId, status) {
+    return this.enqueue(messageId, async () => {
+      const meta = await this.getMeta(messageId);
+      if (meta) {
+        await cacheService.set(this.getMetaKey(messageId), {
+          ...meta,
+          status,
+          endedAt: new Date().toISOString()
+        }, AI_STREAM_CONFIG.bufferTtl);
+      }
+
+      this.emitter.emit(`end:${messageId}`);
+    });
+  }
+
+  /**
+   * Obtener el estado de un stream
+   * @param {string} messageId - ID del mensaje del asistente
+   * @returns {Promise<Object|null>} { userId, conversationId, status } o null si expiró
+   */
+  async getMeta(messageId) {
+    return cacheService.get(this.getMetaKey(messageId));
+  }
+
+  /**
+   * Obtener los eventos guardados posteriores a un ID
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {number} afterId - Último ID recibido por el cliente
+   * @returns {Promise<Array<Object>>} Eventos en orden
+   */
+  async getEvents(messageId, afterId = 0) {
+    const lastId = parseInt(await cacheService.get(this.getSeqKey(messageId))) || 0;
+    if (lastId <= afterId) return [];
+
+    const keys = [];
+    for (let id = afterId + 1; id <= lastId; id++) {
+      keys.push(this.getEventKey(messageId, id));
+    }
+
+    const events = await cacheService.mget(keys);
+    return keys.map(key => events[key]).filter(Boolean);
+  }
+
+  /**
+   * Conectar una respuesta SSE al stream: reenvía lo perdido desde `lastEventId`
+   * y sigue con los eventos nuevos hasta que el stream termine
+   * @param {Object} res - Respuesta HTTP con cabeceras SSE ya enviadas
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {number} lastEventId - Último ID recibido por el cliente (0 = desde el inicio)
+   */
+  async attach(res, messageId, lastEventId = 0) {
+    let lastSent = lastEventId;
+    let replaying = true;
+    let ended = false;
+    const pending = [];
+
+    const write = (event) => {
+      if (event.id <= lastSent) return;
+      lastSent = event.id;
+      res.write(this.formatEvent(event));
+    };
+
+    const finish = () => {
+      detach();
+      if (!res.writableEnded) res.end();
+    };
+
+    const onEvent = (event) => (replaying ? pending.push(event) : write(event));
+    const onEnd = () => (replaying ? (ended = true) : finish());
+
+    const detach = () => {
+      this.emitter.off(`event:${messageId}`, onEvent);
+      this.emitter.off(`end:${messageId}`, onEnd);
+    };
+
+    // Suscribirse antes de leer el buffer para no perder eventos entre ambos pasos
+    this.emitter.on(`event:${messageId}`, onEvent);
+    this.emitter.on(`end:${messageId}`, onEnd);
+    res.on('close', detach);
+
+    try {
+      const events = await this.getEvents(messageId, lastEventId);
+      events.forEach(write);
+      pending.forEach(write);
+      replaying = false;
+
+      const meta = await this.getMeta(messageId);
+      if (ended || meta?.status !== 'streaming') {
+        finish();
+      }
+    } catch (error) {
+      logger.error('Stream replay failed:', { messageId, error: error.message });
+      finish();
+    }
+  }
+
+  /**
+   * Verificar si hay clientes conectados a un stream en esta instancia
+   * @param {string} messageId - ID del mensaje del asistente
+   * @returns {boolean} True si algún cliente está escuchando
+   */
+  hasClients(messageId) {
+    return this.emitter.listenerCount(`event:${messageId}`) > 0;
+  }
+
+  /**
+   * Formatear un evento como frame SSE con su ID
+   * @param {Object} event - Evento { id, type, ...data }
+   * @returns {string} Frame SSE
+   */
+  formatEvent({ id, ...payload }) {
+    return `id: ${id}\ndata: ${JSON.stringify(payload)}\n\n`;
+  }
+
+  /**
+   * Ejecutar operaciones de un stream en orden (los chunks llegan sin esperar a guardarse)
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {Function} task - Operación asíncrona
+   * @returns {Promise<any>} Resultado de la operación
+   */
+  enqueue(messageId, task) {
+    const previous = this.queues.get(messageId) || Promise.resolve();
+    const next = previous
+      .then(task)
+      .catch(error => {
+        logger.error('Stream buffer operation failed:', { messageId, error: error.message });
+        return null;
+      });
+
+    this.queues.set(messageId, next);
+    next.then(() => {
+      if (this.queues.get(messageId) === next) this.queues.delete(messageId);
+    });
+
+    return next;
+  }
+
+  /**
+   * Generar clave de cache del estado del stream
+   * @param {string} messageId - ID del mensaje del asistente
+   * @returns {string} Clave de cache
+   */
+  getMetaKey(messageId) {
+    return `stream:${messageId}:meta`;
+  }
+
+  /**
+   * Generar clave de cache del contador de eventos
+   * @param {string} messageId - ID del mensaje del asistente
+   * @returns {string} Clave de cache
+   */
+  getSeqKey(messageId) {
+    return `stream:${messageId}:seq`;
+  }
+
+  /**
+   * Generar clave de cache de un evento
+   * @param {string} messageId - ID del mensaje del asistente
+   * @param {number} id - ID del evento
+   * @returns {string} Clave de cache
+   */
+  getEventKey(messageId, id) {
+    return `stream:${messageId}:event:${id}`;
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new StreamService();
@@ -0,0 +1,118 @@
+const logger = require('../config/logger');
+const { AI_SUGGESTIONS_CONFIG, AI_PRIORITIES } = require('../utils/constants');
+const { truncateText } = require('../utils/helpers');
+const aiService = require('./aiService');
+
+// =================================
+// SUGERENCIAS DE SEGUIMIENTO
+// =================================
+
+/*
+ * Paso opcional después de cada respuesta del chat: un modelo rápido propone de 2 a 4
+ * preguntas o acciones para continuar, escritas como las diría el usuario. Se guardan en
+ * metadata.suggestions del mensaje y el cliente las muestra como botones.
+ * Si falla, la respuesta se entrega igual sin sugerencias.
+ */
+
+const SUGGESTIONS_SYSTEM_PROMPT = [
+  'You suggest what the user could ask next after an answer from an AI coding assistant.',
+  'Write short follow-up questions or requests in the voice of the user, each one under 10 words.',
+  'For answers with code prefer concrete actions such as "Add tests for this function",',
+  '"Explain this regex" or "Convert it to TypeScript". Do not repeat what the answer already covers.',
+  'Write in the language of the conversation.'
+].join(' ');
+
+const SUGGESTIONS_SCHEMA = {
+  type: 'object',
+  properties: {
+    suggestions: {
+      type: 'array',
+      items: { type: 'string', minLength: 1 },
+      minItems: AI_SUGGESTIONS_CONFIG.minCount,
+      maxItems: AI_SUGGESTIONS_CONFIG.maxCount
+    }
+  },
+  required: ['suggestions'],
+  additionalProperties: false
+};
+
+class SuggestionService {
+  /**
+   * Verificar si las sugerencias están habilitadas
+   * @returns {boolean} True si están habilitadas
+   */
+  isEnabled() {
+    return AI_SUGGESTIONS_CONFIG.enabled;
+  }
+
+  /**
+   * Generar sugerencias de seguimiento para una respuesta
+   * @param {Object} options - Opciones
+   * @param {string} options.question - Mensaje del usuario
+   * @param {string} options.answer - Respuesta del asistente
+   * @param {string} options.userId - ID del usuario
+   * @param {string} options.conversationId - ID de la conversación
+   * @param {Object} options.fallback - { provider, model } a usar si ningún candidato está disponible
+   * @param {AbortSignal} options.signal - Señal de cancelación de la generación
+   * @returns {Promise<Array<string>>} Sugerencias (vacío si no se pudieron generar)
+   */
+  async generate({ question, answer, userId, conversationId, fallback = null, signal = null }) {
+    if (!this.isEnabled() || !answer || !answer.trim()) return [];
+
+    try {
+      const candidates = fallback ? [...AI_SUGGESTIONS_CONFIG.candidates, fallback] : AI_SUGGESTIONS_CONFIG.candidates;
+      const target = await aiService.pickAvailableTarget(candidates, userId);
+      if (!target) return [];
+
+      const response = await aiService.generateResponse({
+        ...target,
+        systemPrompt: SUGGESTIONS_SYSTEM_PROMPT,
+        messages: [{
+          role: 'user',
+          content: [
+            `User message:\n${truncateText(question, AI_SUGGESTIONS_CONFIG.maxQuestionChars)}`,
+            `Assistant answer:\n${truncateText(answer, AI_SUGGESTIONS_CONFIG.maxAnswerChars)}`
+          ].join('\n\n')
+        }],
+        responseSchema: SUGGESTIONS_SCHEMA,
+        settings: { temperature: 0.5, maxTokens: 200 },
+        userId,
+        conversationId,
+        signal,
+        failover: false,
+        priority: AI_PRIORITIES.BACKGROUND
+      });
+
+      return this.clean(response.data.suggestions);
+    } catch (error) {
+      logger.warn('Follow-up suggestions generation failed', {
+        conversationId,
+        error: error.message
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Normalizar las sugerencias (espacios, comillas, duplicados y longitud)
+   * @param {Array<string>} suggestions - Sugerencias del modelo
+   * @returns {Array<string>} Sugerencias limpias
+   */
+  clean(suggestions) {
+    const seen = new Set();
+
+    return suggestions
+      .map(suggestion => suggestion.replace(/\s+/g, ' ').replace(/^[-*\d.)\s"'`]+|["'`\s]+$/g, '').trim())
+      .filter(suggestion => {
+        const key = suggestion.toLowerCase();
+        if (!suggestion || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(suggestion => truncateText(suggestion, AI_SUGGESTIONS_CONFIG.maxLength))
+      .slice(0, AI_SUGGESTIONS_CONFIG.maxCount);
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new SuggestionService();
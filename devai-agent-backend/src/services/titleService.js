@@ -0,0 +1,198 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_TITLE_CONFIG, AI_PRIORITIES } = require('../utils/constants');
+const { truncateText } = require('../utils/helpers');
+const aiService = require('./aiService');
+
+const prisma = new PrismaClient();
+
+// =================================
+// TÍTULOS Y PREVIEWS DE CONVERSACIONES
+// =================================
+
+/*
+ * Tras la primera respuesta del asistente se pide a un modelo rápido un título corto
+ * y un preview de una línea. Cada AI_TITLE_CONFIG.refreshEveryMessages mensajes se le
+ * vuelve a preguntar si el tema cambió; solo entonces se reemplazan.
+ * Los títulos editados a mano (titleSource = 'user') nunca se sobrescriben.
+ */
+
+const TITLE_SYSTEM_PROMPT = [
+  'You write titles for conversations between a user and an AI assistant.',
+  'The title names the topic in at most 6 words, without quotes or trailing punctuation.',
+  'The preview is one sentence (max 20 words) describing what the conversation is about.',
+  'Write both in the language of the conversation.'
+].join(' ');
+
+const TITLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    preview: { type: 'string', minLength: 1 },
+    topicChanged: { type: 'boolean' }
+  },
+  required: ['title', 'preview', 'topicChanged'],
+  additionalProperties: false
+};
+
+class TitleService {
+  /**
+   * Actualizar título y preview sin bloquear la respuesta (los errores solo se registran)
+   * @param {Object} options - Ver refresh()
+   */
+  refreshInBackground(options) {
+    if (!AI_TITLE_CONFIG.enabled) return;
+
+    this.refresh(options).catch(error => {
+      logger.warn('Conversation title generation failed', {
+        conversationId: options.conversationId,
+        error: error.message
+      });
+    });
+  }
+
+  /**
+   * Generar (o regenerar si el tema cambió) el título y el preview de una conversación
+   * @param {Object} options - Opciones
+   * @param {string} options.conversationId - ID de la conversación
+   * @param {string} options.userId - ID del usuario
+   * @param {Object} options.fallback - { provider, model } a usar si ningún candidato está disponible
+   * @returns {Promise<Object|null>} { title, preview, updated } o null si no tocaba revisar
+   */
+  async refresh({ conversationId, userId, fallback = null }) {
+    const conversation = await prisma.conversation.findUnique({
+      where: { id: conversationId },
+      select: {
+        title: true,
+        preview: true,
+        titleSource: true,
+        titleGeneratedAt: true,
+        titleMessageCount: true
+      }
+    });
+    if (!conversation) return null;
+
+    const messages = await this.getMessages(conversationId);
+    const isFirst = !conversation.titleGeneratedAt;
+
+    // Esperar a que haya una respuesta del asistente, o a suficientes mensajes nuevos para revisar el tema
+    if (!messages.some(message => message.role === 'assistant')) return null;
+    if (!isFirst && messages.length - conversation.titleMessageCount < AI_TITLE_CONFIG.refreshEveryMessages) {
+      return null;
+    }
+
+    const candidates = fallback ? [...AI_TITLE_CONFIG.candidates, fallback] : AI_TITLE_CONFIG.candidates;
+    const target = await aiService.pickAvailableTarget(candidates, userId);
+    if (!target) {
+      logger.debug('No AI provider available for conversation titles', { conversationId });
+      return null;
+    }
+
+    const response = await aiService.generateResponse({
+      ...target,
+      systemPrompt: TITLE_SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: this.buildPrompt(conversation, messages, isFirst) }],
+      responseSchema: TITLE_SCHEMA,
+      settings: { temperature: 0.3, maxTokens: 150 },
+      userId,
+      conversationId,
+      failover: false,
+      // Los títulos no deben quitarle cuota al chat interactivo
+      priority: AI_PRIORITIES.BACKGROUND
+    });
+
+    const { topicChanged } = response.data;
+    const title = this.cleanTitle(response.data.title) || conversation.title;
+    const preview = truncateText(response.data.preview.replace(/\s+/g, ' ').trim(), AI_TITLE_CONFIG.maxPreviewLength);
+    const tracking = { titleGeneratedAt: new Date(), titleMessageCount: messages.length };
+
+    if (!isFirst && !topicChanged) {
+      // Mismo tema: solo se recuerda hasta dónde se revisó
+      await prisma.conversation.update({ where: { id: conversationId }, data: tracking });
+      return { title: conversation.title, preview: conversation.preview, updated: false };
+    }
+
+    // El filtro por titleSource evita pisar un título que el usuario editó mientras se generaba
+    const { count } = await prisma.conversation.updateMany({
+      where: { id: conversationId, titleSource: 'auto' },
+      data: { title, preview, ...tracking }
+    });
+
+    if (count === 0) {
+      await prisma.conversation.update({ where: { id: conversationId }, data: { preview, ...tracking } });
+    }
+
+    logger.info(`🏷️ Conversation title ${isFirst ? 'generated' : 'refreshed'}`, {
+      conversationId,
+      provider: response.provider,
+      model: response.model,
+      keptUserTitle: count === 0
+    });
+
+    return { title: count === 0 ? conversation.title : title, preview, updated: true };
+  }
+
+  /**
+   * Obtener los mensajes con contenido en orden cronológico
+   * @param {string} conversationId - ID de la conversación
+   * @returns {Promise<Array>} Mensajes { role, content }
+   */
+  async getMessages(conversationId) {
+    const messages = await prisma.message.findMany({
+      where: { conversationId },
+      orderBy: { createdAt: 'asc' },
+      select: { role: true, content: true }
+    });
+
+    // Los mensajes vacíos son respuestas todavía en proceso
+    return messages.filter(message => message.content && message.content.trim().length > 0);
+  }
+
+  /**
+   * Construir el prompt: el inicio de la conversación la primera vez, los mensajes recientes al revisar
+   * @param {Object} conversation - Título y preview actuales
+   * @param {Array} messages - Mensajes cronológicos
+   * @param {boolean} isFirst - Si es la primera generación
+   * @returns {string} Prompt
+   */
+  buildPrompt(conversation, messages, isFirst) {
+    const selected = isFirst
+      ? messages.slice(0, AI_TITLE_CONFIG.recentMessages)
+      : messages.slice(-AI_TITLE_CONFIG.recentMessages);
+
+    const transcript = selected
+      .map(message => `${message.role}: ${truncateText(message.content, AI_TITLE_CONFIG.maxCharsPerMessage)}`)
+      .join('\n\n');
+
+    if (isFirst) {
+      return `Conversation:\n${transcript}\n\nSet topicChanged to true.`;
+    }
+
+    return [
+      `Current title: ${conversation.title}`,
+      `Current preview: ${conversation.preview || '(none)'}`,
+      '',
+      `Most recent messages:\n${transcript}`,
+      '',
+      'Set topicChanged to true only if the recent messages are about a clearly different topic than the current title.'
+    ].join('\n');
+  }
+
+  /**
+   * Limpiar el título devuelto por el modelo (comillas, punto final, saltos de línea)
+   * @param {string} title - Título generado
+   * @returns {string} Título final
+   */
+  cleanTitle(title) {
+    const cleaned = title
+      .replace(/\s+/g, ' ')
+      .replace(/^["'`*#\s]+|["'`*\s]+$/g, '')
+      .replace(/[.:;]+$/, '')
+      .trim();
+
+    return truncateText(cleaned, AI_TITLE_CONFIG.maxTitleLength);
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new TitleService();
@@ -0,0 +1,343 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../config/logger');
+const { AI_TOOLS_CONFIG, AI_AGENT_CONFIG, AI_SANDBOX_CONFIG } = require('../utils/constants');
+const messageService = require('./messageService');
+const sandboxService = require('./sandboxService');
+
+const prisma = new PrismaClient();
+
+// =================================
+// SERVICIO DE HERRAMIENTAS PARA LA IA
+// =================================
+
+class ToolService {
+  constructor() {
+    this.tools = new Map();
+    this.registerBuiltInTools();
+  }
+
+  /**
+   * Registrar una herramienta
+   * @param {Object} tool - Definición con handler
+   * @param {string} tool.name - Nombre único (snake_case)
+   * @param {string} tool.description - Descripción para el modelo
+   * @param {Object} tool.parameters - JSON Schema de los argumentos
+   * @param {Function} tool.handler - async (args, context) => resultado
+   * @param {boolean} tool.untrusted - El resultado trae contenido de archivos (se analiza contra prompt injection)
+   * @param {boolean} tool.agentOnly - Solo para el modo agente (no se ofrece en el chat)
+   */
+  register(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool must have a name and a handler function');
+    }
+
+    this.tools.set(tool.name, tool);
+  }
+
+  /**
+   * Registrar herramientas incluidas por defecto
+   */
+  registerBuiltInTools() {
+    this.register({
+      name: 'list_project_files',
+      description: 'List the files of the project linked to the current conversation, with path, language and line count.',
+      parameters: {
+        type: 'object',
+        properties: {
+          language: { type: 'string', description: 'Optional language filter, e.g. "javascript"' }
+        }
+      },
+      handler: async ({ language }, context) => {
+        const projectId = this.requireProject(context);
+
+        const files = await prisma.projectFile.findMany({
+          where: {
+            projectId,
+            ...(language && { language: { equals: language, mode: 'insensitive' } })
+          },
+          select: { name: true, path: true, language: true, lineCount: true },
+          orderBy: { path: 'asc' },
+          take: 200
+        });
+
+        return { files };
+      }
+    });
+
+    this.register({
+      name: 'get_project_file',
+      description: 'Read the content of a file from the project linked to the current conversation.',
+      untrusted: true,
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Relative path or file name, e.g. "src/app.js"' }
+        },
+        required: ['path']
+      },
+      handler: async ({ path }, context) => {
+        const projectId = this.requireProject(context);
+
+        if (!path) {
+          throw new Error('Parameter "path" is required');
+        }
+
+        const file = await prisma.projectFile.findFirst({
+          where: {
+            projectId,
+            OR: [{ path }, { name: path }]
+          },
+          select: { name: true, path: true, language: true, lineCount: true, content: true }
+        });
+
+        if (!file) {
+          throw new Error(`File '${path}' not found in project`);
+        }
+
+        return file;
+      }
+    });
+
+    this.register({
+      name: 'search_project_files',
+      description: 'Search the files of the project linked to the current conversation for a text (case-insensitive). Returns matching lines with path and line number.',
+      untrusted: true,
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Text to search for, e.g. "router.post("' },
+          language: { type: 'string', description: 'Optional language filter, e.g. "javascript"' }
+        },
+        required: ['query']
+      },
+      handler: async ({ query, language }, context) => {
+        const projectId = this.requireProject(context);
+
+        if (!query) {
+          throw new Error('Parameter "query" is required');
+        }
+
+        // Cada archivo encontrado aporta al menos una coincidencia: no hace falta cargar
+        // más archivos que el máximo de resultados (uno extra indica que hay más)
+        const maxResults = AI_AGENT_CONFIG.maxSearchResults;
+        const files = await prisma.projectFile.findMany({
+          where: {
+            projectId,
+            content: { contains: query, mode: 'insensitive' },
+            ...(language && { language: { equals: language, mode: 'insensitive' } })
+          },
+          select: { path: true, content: true },
+          orderBy: { path: 'asc' },
+          take: maxResults + 1
+        });
+
+        const searched = files.slice(0, maxResults);
+        const needle = query.toLowerCase();
+        const matches = [];
+        for (const file of searched) {
+          file.content.split('\n').forEach((line, index) => {
+            if (matches.length < maxResults && line.toLowerCase().includes(needle)) {
+              matches.push({ path: file.path, line: index + 1, text: line.trim().slice(0, 200) });
+            }
+          });
+        }
+
+        return {
+          matches,
+          files: searched.length,
+          truncated: matches.length >= maxResults || files.length > maxResults
+        };
+      }
+    });
+
+    if (AI_SANDBOX_CONFIG.enabled) {
+      this.register({
+        name: 'run_code_snippet',
+        description: 'Run a short JavaScript (Node.js) or Python snippet in an isolated sandbox without network or access to the project files, and return its stdout, stderr and exit code. Use it to check the behavior of small pieces of code.',
+        parameters: {
+          type: 'object',
+          properties: {
+            language: { type: 'string', enum: ['javascript', 'python'], description: 'Language of the snippet' },
+            code: { type: 'string', description: 'Complete program to run; print the values you want to inspect' }
+          },
+          required: ['language', 'code']
+        },
+        handler: async ({ language, code }, context) => {
+          const result = await sandboxService.execute({ language, code, userId: context.userId });
+
+          return {
+            language: result.language,
+            exitCode: result.exitCode,
+            signal: result.signal,
+            stdout: result.stdout,
+            stderr: result.stderr,
+            timedOut: result.timedOut,
+            truncated: result.truncated,
+            durationMs: result.durationMs
+          };
+        }
+      });
+    }
+
+    this.register({
+      name: 'search_messages',
+      description: 'Search previous chat messages by text, in the current conversation or across all conversations of the user.',
+      parameters: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', description: 'Text to search for' },
+          scope: { type: 'string', enum: ['conversation', 'all'], description: 'Where to search (default: conversation)' },
+          limit: { type: 'integer', description: 'Maximum number of results (default: 5)' }
+        },
+        required: ['query']
+      },
+      handler: async ({ query, scope = 'conversation', limit = 5 }, context) => {
+        const take = Math.min(20, Math.max(1, parseInt(limit) || 5));
+
+        let messages;
+        if (scope === 'all') {
+          messages = await prisma.message.findMany({
+            where: {
+              conversation: { userId: context.userId },
+              content: { contains: query, mode: 'insensitive' }
+            },
+            orderBy: { createdAt: 'desc' },
+            take
+          });
+        } else {
+          messages = await messageService.searchMessages(context.conversationId, context.userId, {
+            query,
+            limit: take
+          });
+        }
+
+        return {
+          results: messages.map(message => ({
+            id: message.id,
+            conversationId: message.conversationId,
+            role: message.role,
+            content: message.content,
+            createdAt: message.createdAt
+          }))
+        };
+      }
+    });
+  }
+
+  /**
+   * Verificar que la conversación pertenece a un proyecto
+   * @param {Object} context - Contexto de ejecución
+   * @returns {string} ID del proyecto
+   */
+  requireProject(context) {
+    if (!context.projectId) {
+      throw new Error('This conversation is not linked to a project');
+    }
+    return context.projectId;
+  }
+
+  /**
+   * Obtener definiciones (sin handler) para enviar al modelo
+   * @param {Array<string>|boolean} names - Nombres de herramientas o true para todas
+   * @returns {Array<Object>} Definiciones en formato unificado
+   */
+  getDefinitions(names = true) {
+    const selected = names === true
+      ? [...this.tools.values()].filter(tool => !tool.agentOnly)
+      : names.map(name => {
+        const tool = this.tools.get(name);
+        if (!tool) {
+          throw new Error(`Unknown tool '${name}'`);
+        }
+        return tool;
+      });
+
+    return selected.map(({ name, description, parameters }) => ({ name, description, parameters }));
+  }
+
+  /**
+   * Listar nombres de herramientas disponibles en el chat
+   * @returns {Array<string>} Nombres
+   */
+  getToolNames() {
+    return [...this.tools.values()].filter(tool => !tool.agentOnly).map(tool => tool.name);
+  }
+
+  /**
+   * Verificar si el resultado de una herramienta es contenido no confiable (archivos del usuario)
+   * @param {string} name - Nombre de la herramienta
+   * @returns {boolean} True si hay que pasarlo por el injection guard
+   */
+  isUntrusted(name) {
+    return Boolean(this.tools.get(name)?.untrusted);
+  }
+
+  /**
+   * Ejecutar una llamada a herramienta. Nunca lanza: los errores se devuelven al modelo.
+   * @param {Object} toolCall - Llamada normalizada { id, name, arguments }
+   * @param {Object} context - Contexto { userId, conversationId, projectId }
+   * @returns {Promise<Object>} Resultado { ok, result | error, durationMs }
+   */
+  async execute(toolCall, context = {}) {
+    const startTime = Date.now();
+    const tool = this.tools.get(toolCall.name);
+
+    if (!tool) {
+      return {
+        ok: false,
+        error: `Unknown tool '${toolCall.name}'`,
+        durationMs: 0
+      };
+    }
+
+    try {
+      const result = await tool.handler(toolCall.arguments || {}, context);
+
+      logger.info(`🔧 Tool executed: ${toolCall.name}`, {
+        toolCallId: toolCall.id,
+        userId: context.userId,
+        conversationId: context.conversationId,
+        durationMs: Date.now() - startTime
+      });
+
+      return {
+        ok: true,
+        result: this.truncateResult(result),
+        durationMs: Date.now() - startTime
+      };
+    } catch (error) {
+      logger.warn(`Tool ${toolCall.name} failed:`, {
+        error: error.message,
+        toolCallId: toolCall.id,
+        userId: context.userId
+      });
+
+      return {
+        ok: false,
+        error: error.message,
+        durationMs: Date.now() - startTime
+      };
+    }
+  }
+
+  /**
+   * Recortar resultados grandes para no desbordar el contexto del modelo
+   * @param {any} result - Resultado de la herramienta
+   * @returns {any} Resultado (recortado si es necesario)
+   */
+  truncateResult(result) {
+    const serialized = JSON.stringify(result);
+    if (!serialized || serialized.length <= AI_TOOLS_CONFIG.maxResultChars) {
+      return result;
+    }
+
+    return {
+      truncated: true,
+      originalLength: serialized.length,
+      preview: serialized.substring(0, AI_TOOLS_CONFIG.maxResultChars)
+    };
+  }
+}
+
+// Exportar instancia única del servicio
+module.exports = new ToolService();
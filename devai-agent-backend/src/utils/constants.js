@@ -17,6 +17,505 @@ const API_KEYS = {
 const DEFAULT_PROVIDER = process.env.REACT_APP_DEFAULT_AI_PROVIDER || 'gemini';
 const DEFAULT_MODEL = process.env.REACT_APP_DEFAULT_MODEL || 'gemini-1.5-flash-latest';
 
+// Proveedores, modelos conocidos y ajustes por defecto de las solicitudes de IA
+// (Ollama y los servidores compatibles con OpenAI informan sus modelos en tiempo de ejecución)
+const AI_CONFIG = {
+  PROVIDERS: {
+    GEMINI: 'gemini',
+    GROQ: 'groq',
+    HUGGINGFACE: 'huggingface',
+    OLLAMA: 'ollama',
+    OPENAI: 'openai',
+    OPENAI_COMPATIBLE: 'openai-compatible'
+  },
+  MODELS: {
+    GEMINI: {
+      'gemini-pro': { name: 'Gemini Pro' },
+      'gemini-pro-vision': { name: 'Gemini Pro Vision' },
+      'gemini-1.5-pro': { name: 'Gemini 1.5 Pro' },
+      'gemini-1.5-flash': { name: 'Gemini 1.5 Flash' }
+    },
+    GROQ: {
+      'llama3-8b-8192': { name: 'Llama 3 8B' },
+      'llama3-70b-8192': { name: 'Llama 3 70B' },
+      'llama2-70b-4096': { name: 'Llama 2 70B' },
+      'mixtral-8x7b-32768': { name: 'Mixtral 8x7B' },
+      'gemma-7b-it': { name: 'Gemma 7B' },
+      'gemma2-9b-it': { name: 'Gemma 2 9B' },
+      'deepseek-r1-distill-llama-70b': { name: 'DeepSeek R1 Distill Llama 70B' }
+    },
+    HUGGINGFACE: {
+      'microsoft/DialoGPT-large': { name: 'DialoGPT Large' },
+      'microsoft/DialoGPT-medium': { name: 'DialoGPT Medium' },
+      'facebook/blenderbot-400M-distill': { name: 'BlenderBot 400M' },
+      'google/flan-t5-large': { name: 'Flan-T5 Large' },
+      'google/flan-t5-xl': { name: 'Flan-T5 XL' },
+      'bigscience/bloom-560m': { name: 'BLOOM 560M' },
+      'EleutherAI/gpt-j-6b': { name: 'GPT-J 6B' }
+    },
+    OPENAI: {
+      'gpt-4o': { name: 'GPT-4o' },
+      'gpt-4o-mini': { name: 'GPT-4o mini' },
+      'gpt-4.1': { name: 'GPT-4.1' },
+      'gpt-4.1-mini': { name: 'GPT-4.1 mini' }
+    }
+  },
+  DEFAULT_SETTINGS: {
+    temperature: 0.7,
+    maxTokens: 2048
+  },
+  RATE_LIMITS: {
+    REQUESTS_PER_MINUTE: parseInt(process.env.AI_RATE_LIMIT_PER_MINUTE) || 60
+  }
+};
+
+// =================================
+// 🔁 FAILOVER DE PROVEEDORES DE IA
+// =================================
+
+// Orden en el que se prueban los proveedores cuando el solicitado falla,
+// y modelo a usar en cada uno (ej: AI_FAILOVER_CHAIN=gemini,groq,ollama)
+const AI_FAILOVER_CONFIG = {
+  enabled: process.env.AI_FAILOVER_ENABLED !== 'false',
+  chain: (process.env.AI_FAILOVER_CHAIN || 'gemini,groq,ollama')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean),
+  models: {
+    gemini: process.env.AI_FAILOVER_GEMINI_MODEL || 'gemini-1.5-flash',
+    groq: process.env.AI_FAILOVER_GROQ_MODEL || 'llama3-8b-8192',
+    huggingface: process.env.AI_FAILOVER_HUGGINGFACE_MODEL || 'microsoft/DialoGPT-large',
+    ollama: process.env.AI_FAILOVER_OLLAMA_MODEL || 'llama2',
+    openai: process.env.AI_FAILOVER_OPENAI_MODEL || 'gpt-4o-mini',
+    'openai-compatible': process.env.OPENAI_COMPATIBLE_DEFAULT_MODEL
+  }
+};
+
+// =================================
+// 🔌 CIRCUIT BREAKER DE PROVEEDORES
+// =================================
+
+const AI_CIRCUIT_BREAKER_CONFIG = {
+  enabled: process.env.AI_CIRCUIT_BREAKER_ENABLED !== 'false',
+  failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD) || 5,
+  cooldownMs: parseInt(process.env.AI_CIRCUIT_COOLDOWN_MS) || 30000
+};
+
+// =================================
+// 🚦 COLA DE SOLICITUDES POR PROVEEDOR
+// =================================
+
+// Carriles de prioridad: el chat interactivo pasa antes que los trabajos en segundo plano
+const AI_PRIORITIES = {
+  INTERACTIVE: 'interactive',
+  BACKGROUND: 'background'
+};
+
+const AI_SCHEDULER_CONFIG = {
+  enabled: process.env.AI_SCHEDULER_ENABLED !== 'false',
+  // Solicitudes simultáneas por proveedor (o por API key de usuario)
+  maxConcurrent: parseInt(process.env.AI_SCHEDULER_MAX_CONCURRENT) || 4,
+  // Espera máxima en cola antes de rechazar (y pasar al siguiente proveedor del failover)
+  maxWaitMs: parseInt(process.env.AI_SCHEDULER_MAX_WAIT_MS) || 30000,
+  backgroundMaxWaitMs: parseInt(process.env.AI_SCHEDULER_BACKGROUND_MAX_WAIT_MS) || 120000,
+  // Solicitudes restantes que se reservan para el chat interactivo
+  backgroundReserve: parseInt(process.env.AI_SCHEDULER_BACKGROUND_RESERVE) || 2,
+  // Reset asumido cuando el proveedor informa la cuota restante pero no cuándo se renueva
+  defaultResetMs: parseInt(process.env.AI_SCHEDULER_DEFAULT_RESET_MS) || 60000
+};
+
+// =================================
+// 📏 VENTANAS DE CONTEXTO Y TOKENS
+// =================================
+
+// Ventana de contexto por prefijo de modelo (se usa el prefijo más largo que coincida)
+const AI_CONTEXT_CONFIG = {
+  preflightCheck: process.env.AI_CONTEXT_PREFLIGHT !== 'false',
+  defaultContextWindow: parseInt(process.env.AI_DEFAULT_CONTEXT_WINDOW) || null,
+  // Gestor de contexto: ventana asumida si el modelo es desconocido y tope del historial
+  assumedContextWindow: 4096,
+  maxHistoryTokens: parseInt(process.env.AI_CONTEXT_MAX_HISTORY_TOKENS) || 16000,
+  reserveTokens: 256,
+  maxMessages: 200,
+  // Resumen acumulado: al desbordar se resumen mensajes hasta dejar el historial en este ratio del presupuesto
+  summaryEnabled: process.env.AI_CONTEXT_SUMMARY_ENABLED !== 'false',
+  summaryMaxTokens: parseInt(process.env.AI_CONTEXT_SUMMARY_MAX_TOKENS) || 512,
+  foldTargetRatio: 0.6,
+  summaryCacheTtl: 86400,
+  contextWindows: {
+    'gemini-pro': 32768,
+    'gemini-1.5-flash': 1048576,
+    'gemini-1.5-pro': 2097152,
+    'gpt-4o': 128000,
+    'gpt-4.1': 1047576,
+    'gpt-4': 8192,
+    'gpt-3.5-turbo': 16385,
+    'gemma-7b-it': 8192,
+    'gemma2-9b-it': 8192,
+    'deepseek-r1-distill-llama-70b': 131072,
+    'llama2': 4096,
+    'llama3': 8192,
+    'codellama': 16384,
+    'mistral': 32768,
+    'mixtral': 32768,
+    'phi': 2048,
+    'microsoft/DialoGPT': 1024,
+    'facebook/blenderbot': 128,
+    'google/flan-t5': 512,
+    'bigscience/bloom': 2048,
+    'EleutherAI/gpt-j': 2048
+  }
+};
+
+// =================================
+// 💲 PRECIOS DE PROVEEDORES DE IA
+// =================================
+
+// Precios en USD por millón de tokens (tier de pago). Los proveedores gratuitos
+// o locales cuentan como costo cero.
+const AI_PRICING_CONFIG = {
+  currency: 'USD',
+  tokensPerUnit: 1000000,
+  freeProviders: (process.env.AI_PRICING_FREE_PROVIDERS || 'ollama,openai-compatible,huggingface')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean),
+  models: {
+    gemini: {
+      'gemini-pro': { input: 0.5, output: 1.5 },
+      'gemini-pro-vision': { input: 0.5, output: 1.5 },
+      'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+      'gemini-1.5-pro': { input: 1.25, output: 5.0 }
+    },
+    groq: {
+      'llama3-8b-8192': { input: 0.05, output: 0.08 },
+      'llama3-70b-8192': { input: 0.59, output: 0.79 },
+      'llama2-70b-4096': { input: 0.7, output: 0.8 },
+      'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+      'gemma-7b-it': { input: 0.07, output: 0.07 },
+      'gemma2-9b-it': { input: 0.2, output: 0.2 }
+    },
+    openai: {
+      'gpt-4o': { input: 2.5, output: 10.0 },
+      'gpt-4o-mini': { input: 0.15, output: 0.6 },
+      'gpt-4.1': { input: 2.0, output: 8.0 },
+      'gpt-4.1-mini': { input: 0.4, output: 1.6 }
+    }
+  }
+};
+
+// =================================
+// 🔧 HERRAMIENTAS (FUNCTION CALLING)
+// =================================
+
+const AI_TOOLS_CONFIG = {
+  enabled: process.env.AI_TOOLS_ENABLED !== 'false',
+  maxIterations: parseInt(process.env.AI_TOOLS_MAX_ITERATIONS) || 5,
+  maxResultChars: parseInt(process.env.AI_TOOLS_MAX_RESULT_CHARS) || 8000
+};
+
+// =================================
+// 🧩 SALIDA ESTRUCTURADA (JSON SCHEMA)
+// =================================
+
+const AI_STRUCTURED_CONFIG = {
+  // Reintentos pidiendo al modelo que corrija una respuesta que no cumple el schema
+  maxRepairs: parseInt(process.env.AI_STRUCTURED_MAX_REPAIRS) || 2
+};
+
+// =================================
+// 📡 STREAMS REANUDABLES (SSE)
+// =================================
+
+const AI_STREAM_CONFIG = {
+  // Tiempo (segundos) que se conservan los eventos para reanudar con Last-Event-ID
+  bufferTtl: parseInt(process.env.AI_STREAM_BUFFER_TTL) || 3600,
+  // Si ningún cliente se reconecta en este tiempo, la generación se cancela
+  resumeGraceMs: parseInt(process.env.AI_STREAM_RESUME_GRACE_MS) || 30000
+};
+
+// =================================
+// ⚖️ COMPARACIÓN ENTRE PROVEEDORES
+// =================================
+
+const AI_COMPARE_CONFIG = {
+  // Destinos proveedor/modelo por solicitud de comparación
+  maxTargets: parseInt(process.env.AI_COMPARE_MAX_TARGETS) || 4
+};
+
+// =================================
+// 🔑 API KEYS PROPIAS DE LOS USUARIOS (BYOK)
+// =================================
+
+const AI_BYOK_CONFIG = {
+  enabled: process.env.AI_BYOK_ENABLED !== 'false',
+  // Clave maestra con la que se cifran las API keys guardadas (AES-256-GCM)
+  encryptionKey: process.env.API_KEY_ENCRYPTION_KEY || '',
+  // Proveedores que aceptan una API key del usuario
+  providers: ['gemini', 'groq', 'huggingface', 'openai']
+};
+
+// =================================
+// 📚 EMBEDDINGS Y RAG SOBRE ARCHIVOS DE PROYECTO
+// =================================
+
+const AI_RAG_CONFIG = {
+  enabled: process.env.AI_RAG_ENABLED !== 'false',
+  // Backend de embeddings: 'ollama' (local) u 'openai' / 'openai-compatible'
+  embeddingProvider: process.env.AI_EMBEDDINGS_PROVIDER || 'ollama',
+  embeddingModel: process.env.AI_EMBEDDINGS_MODEL || 'nomic-embed-text',
+  // Textos por solicitud al backend de embeddings
+  batchSize: parseInt(process.env.AI_EMBEDDINGS_BATCH_SIZE) || 16,
+  // Los archivos se cortan por líneas con solapamiento para no perder el contexto en los bordes
+  chunkLines: parseInt(process.env.AI_RAG_CHUNK_LINES) || 60,
+  chunkOverlap: parseInt(process.env.AI_RAG_CHUNK_OVERLAP) || 10,
+  chunkMaxChars: parseInt(process.env.AI_RAG_CHUNK_MAX_CHARS) || 4000,
+  // Fragmentos a inyectar en el prompt y similitud mínima (coseno)
+  topK: parseInt(process.env.AI_RAG_TOP_K) || 5,
+  minScore: parseFloat(process.env.AI_RAG_MIN_SCORE) || 0.3,
+  // Tokens máximos de fragmentos dentro del prompt del sistema
+  maxContextTokens: parseInt(process.env.AI_RAG_MAX_CONTEXT_TOKENS) || 3000
+};
+
+// =================================
+// 📼 GRABACIÓN Y REPRODUCCIÓN DE RESPUESTAS DE IA (TESTS OFFLINE)
+// =================================
+
+const AI_REPLAY_CONFIG = {
+  // 'live' (por defecto), 'record' (llama al proveedor y guarda fixtures) o 'replay' (solo fixtures)
+  mode: ['record', 'replay'].includes(process.env.AI_CLIENT_MODE) ? process.env.AI_CLIENT_MODE : 'live',
+  fixturesDir: process.env.AI_FIXTURES_DIR || 'tests/fixtures/ai',
+  // Proveedores que se registran en modo replay aunque no tengan API key configurada
+  providers: (process.env.AI_REPLAY_PROVIDERS || 'gemini,groq,huggingface,ollama,openai,openai-compatible')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean)
+};
+
+// =================================
+// 🖼️ IMÁGENES ADJUNTAS PARA MODELOS MULTIMODALES
+// =================================
+
+const AI_VISION_CONFIG = {
+  maxImagesPerMessage: parseInt(process.env.AI_VISION_MAX_IMAGES) || 4,
+  maxImageBytes: parseInt(process.env.AI_VISION_MAX_IMAGE_BYTES) || 5 * 1024 * 1024,
+  // Formatos que aceptan Gemini y los modelos de visión de Ollama (SVG no es un bitmap)
+  mimeTypes: ['image/png', 'image/jpeg', 'image/webp', 'image/gif'],
+  // Capacidad de visión por prefijo de modelo (gana el prefijo más largo; desconocido = sin visión)
+  models: {
+    'gemini-pro': false,
+    'gemini-pro-vision': true,
+    'gemini-1.5': true,
+    'gemini-2': true,
+    'llava': true,
+    'bakllava': true,
+    'llama3.2-vision': true,
+    'moondream': true,
+    'minicpm-v': true,
+    ...Object.fromEntries((process.env.AI_VISION_MODELS || '')
+      .split(',')
+      .map(model => model.trim())
+      .filter(Boolean)
+      .map(model => [model, true]))
+  }
+};
+
+// =================================
+// 🔒 REDACCIÓN DE SECRETOS Y DATOS PERSONALES EN LOS PROMPTS
+// =================================
+
+const AI_REDACTION_CONFIG = {
+  enabled: process.env.AI_REDACTION_ENABLED !== 'false',
+  // Tipos detectados: api_key, jwt, email, private_key, connection_string
+  types: (process.env.AI_REDACTION_TYPES || 'api_key,jwt,email,private_key,connection_string')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean),
+  // Devolver al usuario los valores reales en lugar de los marcadores [REDACTED_...]
+  restoreResponses: process.env.AI_REDACTION_RESTORE !== 'false',
+  // Los proveedores locales no sacan datos del servidor: se pueden excluir de la redacción
+  skipLocalProviders: process.env.AI_REDACTION_SKIP_LOCAL === 'true',
+  localProviders: (process.env.AI_REDACTION_LOCAL_PROVIDERS || 'ollama')
+    .split(',')
+    .map(provider => provider.trim())
+    .filter(Boolean)
+};
+
+// =================================
+// 🛡️ PROTECCIÓN CONTRA PROMPT INJECTION EN ARCHIVOS
+// =================================
+
+const AI_INJECTION_GUARD_CONFIG = {
+  enabled: process.env.AI_INJECTION_GUARD_ENABLED !== 'false',
+  // 'flag' (solo registrar), 'strip' (quitar las líneas sospechosas) o 'quarantine' (descartar el bloque)
+  mode: ['strip', 'quarantine'].includes(process.env.AI_INJECTION_GUARD_MODE) ? process.env.AI_INJECTION_GUARD_MODE : 'flag',
+  // Puntaje de riesgo (0-1) a partir del cual se aplica strip/quarantine y se registra un aviso
+  threshold: parseFloat(process.env.AI_INJECTION_GUARD_THRESHOLD) || 0.5,
+  maxFindings: 20
+};
+
+// =================================
+// 🏷️ TÍTULOS Y PREVIEWS DE CONVERSACIONES GENERADOS POR IA
+// =================================
+
+/**
+ * Leer una lista proveedor:modelo separada por comas
+ * @param {string} value - ej: 'groq:llama3-8b-8192,gemini:gemini-1.5-flash'
+ * @returns {Array<Object>} [{ provider, model }]
+ */
+const parseModelList = (value) => value
+  .split(',')
+  .map(entry => entry.trim().split(':'))
+  .filter(([provider, model]) => provider && model)
+  .map(([provider, ...model]) => ({ provider, model: model.join(':') }));
+
+// Modelos rápidos para tareas auxiliares (títulos, sugerencias), del más rápido al más lento
+const FAST_MODELS = 'groq:llama3-8b-8192,gemini:gemini-1.5-flash,ollama:llama2';
+
+const AI_TITLE_CONFIG = {
+  enabled: process.env.AI_TITLES_ENABLED !== 'false',
+  // Proveedor/modelo a usar, del más rápido al más lento (ej: AI_TITLE_MODELS=groq:llama3-8b-8192,gemini:gemini-1.5-flash)
+  // Si ninguno está disponible se usa el que respondió al chat
+  candidates: parseModelList(process.env.AI_TITLE_MODELS || FAST_MODELS),
+  // Mensajes nuevos tras los que se revisa si el tema cambió (y se regenera el título)
+  refreshEveryMessages: parseInt(process.env.AI_TITLE_REFRESH_EVERY) || 10,
+  // Mensajes recientes y caracteres por mensaje que se envían al modelo
+  recentMessages: 6,
+  maxCharsPerMessage: 1000,
+  maxTitleLength: 80,
+  maxPreviewLength: 160
+};
+
+// =================================
+// 💡 SUGERENCIAS DE SEGUIMIENTO
+// =================================
+
+const AI_SUGGESTIONS_CONFIG = {
+  enabled: process.env.AI_SUGGESTIONS_ENABLED !== 'false',
+  // Mismo formato que AI_TITLE_MODELS; si ninguno está disponible se usa el que respondió al chat
+  candidates: parseModelList(process.env.AI_SUGGESTION_MODELS || FAST_MODELS),
+  minCount: 2,
+  maxCount: 4,
+  maxLength: 80,
+  // Caracteres de la pregunta y la respuesta que se envían al modelo
+  maxQuestionChars: 1000,
+  maxAnswerChars: 4000
+};
+
+// =================================
+// 🤖 MODO AGENTE (PLAN / ACT SOBRE UN PROYECTO)
+// =================================
+
+const AI_AGENT_CONFIG = {
+  enabled: process.env.AI_AGENT_ENABLED !== 'false',
+  // Presupuesto de pasos (respuestas del modelo) por ejecución
+  defaultMaxSteps: parseInt(process.env.AI_AGENT_DEFAULT_STEPS) || 12,
+  maxStepsLimit: parseInt(process.env.AI_AGENT_MAX_STEPS) || 30,
+  // Ejecuciones simultáneas por usuario
+  maxConcurrentRuns: parseInt(process.env.AI_AGENT_MAX_CONCURRENT_RUNS) || 2,
+  // Herramientas disponibles para el agente
+  tools: ['list_project_files', 'get_project_file', 'search_project_files', 'propose_file_change'],
+  maxSearchResults: 50,
+  maxFileChars: 200000
+};
+
+// =================================
+// 🧪 EJECUCIÓN AISLADA DE CÓDIGO (SANDBOX)
+// =================================
+
+const AI_SANDBOX_CONFIG = {
+  enabled: process.env.AI_SANDBOX_ENABLED !== 'false',
+  // Límites por ejecución
+  timeoutMs: parseInt(process.env.AI_SANDBOX_TIMEOUT_MS) || 5000,
+  cpuSeconds: parseInt(process.env.AI_SANDBOX_CPU_SECONDS) || 3,
+  memoryMb: parseInt(process.env.AI_SANDBOX_MEMORY_MB) || 256,
+  // Procesos e hilos por ejecución (los hilos del intérprete también cuentan)
+  maxProcesses: parseInt(process.env.AI_SANDBOX_MAX_PROCESSES) || 16,
+  // Jerarquía de cgroups donde se crea un cgroup de pids por ejecución: prlimit --nproc no
+  // limita a los procesos de root. Si no se puede escribir ahí solo se aplica --nproc
+  cgroupRoot: process.env.AI_SANDBOX_CGROUP_ROOT || '/sys/fs/cgroup',
+  maxFileSizeBytes: 1024 * 1024,
+  maxOpenFiles: 64,
+  maxCodeChars: 50000,
+  maxOutputChars: 20000,
+  // Ejecuciones simultáneas en el servidor
+  maxConcurrent: parseInt(process.env.AI_SANDBOX_MAX_CONCURRENT) || 2,
+  // Resultados guardados en metadata.executions de cada mensaje
+  maxExecutionsPerMessage: 10,
+  // Sin red ni acceso al sistema de archivos del servidor: se ejecuta en namespaces propios
+  // (unshare). En false se permite ejecutar JavaScript sin ese aislamiento si el Node configurado
+  // tiene modelo de permisos (solo para desarrollo)
+  requireNetworkIsolation: process.env.AI_SANDBOX_REQUIRE_NETWORK_ISOLATION !== 'false',
+  runtimes: {
+    javascript: process.env.AI_SANDBOX_NODE_PATH || process.execPath,
+    python: process.env.AI_SANDBOX_PYTHON_PATH || 'python3'
+  },
+  languageAliases: {
+    javascript: 'javascript',
+    js: 'javascript',
+    node: 'javascript',
+    nodejs: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    python: 'python',
+    python3: 'python',
+    py: 'python'
+  }
+};
+
+// =================================
+// 💬 MENSAJES
+// =================================
+
+// Valores de Message.role
+const MESSAGE_TYPES = {
+  USER: 'user',
+  ASSISTANT: 'assistant',
+  SYSTEM: 'system'
+};
+
+// Estados de procesamiento de un mensaje del asistente
+const MESSAGE_STATUS = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Roles de usuario (req.user.role, 'user' si no tiene)
+const USER_ROLES = {
+  USER: 'user',
+  MODERATOR: 'moderator',
+  ADMIN: 'admin'
+};
+
+// Mensajes genéricos de error de la API
+const ERROR_MESSAGES = {
+  INTERNAL_SERVER_ERROR: 'An unexpected error occurred, please try again later',
+  UNAUTHORIZED: 'Authentication is required to access this resource',
+  FORBIDDEN: 'You do not have permission to access this resource',
+  NOT_FOUND: 'The requested resource was not found'
+};
+
+// =================================
+// 📁 PROYECTOS
+// =================================
+
+// Estados de un proyecto
+const PROJECT_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived',
+  DELETED: 'deleted'
+};
+
+// Paginación de los listados (?page=&limit=)
+const PAGINATION_CONFIG = {
+  DEFAULT_PAGE: 1,
+  DEFAULT_LIMIT: 20,
+  MIN_LIMIT: 1,
+  MAX_LIMIT: 100
+};
+
 // =================================
 // 🌐 CONFIGURACIÓN DE BACKEND
 // =================================
@@ -497,6 +996,33 @@ module.exports = {
   API_KEYS,
   DEFAULT_PROVIDER,
   DEFAULT_MODEL,
+  AI_CONFIG,
+  AI_FAILOVER_CONFIG,
+  AI_CIRCUIT_BREAKER_CONFIG,
+  AI_PRIORITIES,
+  AI_SCHEDULER_CONFIG,
+  AI_CONTEXT_CONFIG,
+  AI_PRICING_CONFIG,
+  AI_TOOLS_CONFIG,
+  AI_STRUCTURED_CONFIG,
+  AI_STREAM_CONFIG,
+  AI_COMPARE_CONFIG,
+  AI_BYOK_CONFIG,
+  AI_RAG_CONFIG,
+  AI_REPLAY_CONFIG,
+  AI_VISION_CONFIG,
+  AI_REDACTION_CONFIG,
+  AI_INJECTION_GUARD_CONFIG,
+  AI_TITLE_CONFIG,
+  AI_SUGGESTIONS_CONFIG,
+  AI_AGENT_CONFIG,
+  AI_SANDBOX_CONFIG,
+  MESSAGE_TYPES,
+  MESSAGE_STATUS,
+  USER_ROLES,
+  ERROR_MESSAGES,
+  PROJECT_STATUS,
+  PAGINATION_CONFIG,
   BACKEND_CONFIG,
   
   // Configuración por dispositivo
@@ -83,6 +83,132 @@ const sanitizeText = (text) => {
     .substring(0, 1000); // Limitar longitud
 };
 
+// =================================
+// UTILIDADES DE DIFF
+// =================================
+
+// Por encima de este producto de líneas no se calcula el LCS: se reemplaza el bloque completo
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Calcular las operaciones línea a línea entre dos textos (LCS)
+ * @param {Array<string>} a - Líneas originales
+ * @param {Array<string>} b - Líneas nuevas
+ * @returns {Array<Array>} Operaciones [tipo (' ', '-', '+'), línea]
+ */
+const diffLines = (a, b) => {
+  // Prefijo y sufijo comunes fuera de la tabla
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const ops = a.slice(0, start).map(line => [' ', line]);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    ops.push(...midA.map(line => ['-', line]), ...midB.map(line => ['+', line]));
+  } else {
+    // lcs[i][j] = LCS de midA[i:] y midB[j:]
+    const width = midB.length + 1;
+    const lcs = new Uint32Array((midA.length + 1) * width);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length || j < midB.length) {
+      if (i < midA.length && j < midB.length && midA[i] === midB[j]) {
+        ops.push([' ', midA[i++]]);
+        j++;
+      } else if (j >= midB.length || (i < midA.length && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        ops.push(['-', midA[i++]]);
+      } else {
+        ops.push(['+', midB[j++]]);
+      }
+    }
+  }
+
+  ops.push(...a.slice(endA).map(line => [' ', line]));
+  return ops;
+};
+
+/**
+ * Generar un diff unificado entre dos versiones de un archivo
+ * @param {string|null} oldText - Contenido original (null = archivo nuevo)
+ * @param {string} newText - Contenido nuevo
+ * @param {string} filePath - Ruta para las cabeceras
+ * @param {number} context - Líneas de contexto alrededor de cada cambio
+ * @returns {Object} { diff, additions, deletions }
+ */
+const createUnifiedDiff = (oldText, newText, filePath = 'file', context = 3) => {
+  const a = oldText ? oldText.split('\n') : [];
+  const b = newText ? newText.split('\n') : [];
+  const ops = diffLines(a, b);
+
+  // Número de línea (1-based) anterior a cada operación en cada versión
+  const oldBefore = [];
+  const newBefore = [];
+  let oldLine = 0;
+  let newLine = 0;
+  for (const [type] of ops) {
+    oldBefore.push(oldLine);
+    newBefore.push(newLine);
+    if (type !== '+') oldLine++;
+    if (type !== '-') newLine++;
+  }
+
+  // Rangos de operaciones con cambios más su contexto (los que se tocan se unen)
+  const ranges = [];
+  ops.forEach(([type], index) => {
+    if (type === ' ') return;
+    const from = Math.max(0, index - context);
+    const to = Math.min(ops.length, index + context + 1);
+    const last = ranges[ranges.length - 1];
+    if (last && from <= last.to) {
+      last.to = Math.max(last.to, to);
+    } else {
+      ranges.push({ from, to });
+    }
+  });
+
+  const lines = [oldText ? `--- a/${filePath}` : '--- /dev/null', `+++ b/${filePath}`];
+  let additions = 0;
+  let deletions = 0;
+
+  for (const { from, to } of ranges) {
+    const hunk = ops.slice(from, to);
+    const oldCount = hunk.filter(([type]) => type !== '+').length;
+    const newCount = hunk.filter(([type]) => type !== '-').length;
+    const oldStart = oldCount > 0 ? oldBefore[from] + 1 : oldBefore[from];
+    const newStart = newCount > 0 ? newBefore[from] + 1 : newBefore[from];
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const [type, line] of hunk) {
+      if (type === '+') additions++;
+      if (type === '-') deletions++;
+      lines.push(`${type}${line}`);
+    }
+  }
+
+  return {
+    diff: ranges.length > 0 ? lines.join('\n') : '',
+    additions,
+    deletions
+  };
+};
+
 // =================================
 // UTILIDADES DE VALIDACIÓN
 // =================================
@@ -446,6 +572,46 @@ const generateUniqueId = () => {
   return crypto.randomUUID();
 };
 
+/**
+ * Derivar una clave AES de 256 bits a partir de un secreto de cualquier longitud
+ * @param {string} secret - Secreto maestro
+ * @returns {Buffer} - Clave de 32 bytes
+ */
+const deriveEncryptionKey = (secret) => {
+  if (!secret) {
+    throw new Error('Encryption key is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Cifrar texto con AES-256-GCM
+ * @param {string} plainText - Texto a cifrar
+ * @param {string} secret - Secreto maestro
+ * @returns {string} - Texto cifrado (iv:authTag:datos en base64)
+ */
+const encryptText = (plainText, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveEncryptionKey(secret), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Descifrar texto generado por encryptText
+ * @param {string} cipherText - Texto cifrado
+ * @param {string} secret - Secreto maestro
+ * @returns {string} - Texto original (lanza si el secreto no coincide o el dato fue alterado)
+ */
+const decryptText = (cipherText, secret) => {
+  const [iv, authTag, encrypted] = cipherText.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', deriveEncryptionKey(secret), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
 // =================================
 // UTILIDADES DE PAGINACIÓN
 // =================================
@@ -568,6 +734,9 @@ module.exports = {
   truncateText,
   sanitizeText,
   
+  // Diff
+  createUnifiedDiff,
+  
   // Validación
   isEmpty,
   isValidEmail,
@@ -599,6 +768,8 @@ module.exports = {
   generateHash,
   generateRandomToken,
   generateUniqueId,
+  encryptText,
+  decryptText,
   
   // Paginación
   calculateOffset,
@@ -0,0 +1,227 @@
+// =================================
+// RUTAS DE IA MONTADAS EN LA APP (/api/v1/ai)
+// =================================
+
+import { describe, it, expect, beforeAll, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+import request from 'supertest';
+
+const require = createRequire(import.meta.url);
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const CONVERSATION_ID = '22222222-2222-4222-8222-222222222222';
+const USER_MESSAGE_ID = '33333333-3333-4333-8333-333333333333';
+const ASSISTANT_MESSAGE_ID = '44444444-4444-4444-8444-444444444444';
+
+// La autenticación solo consulta el usuario; el resto de la base de datos no se toca
+// porque los servicios se sustituyen en cada test
+const prismaPath = require.resolve('@prisma/client');
+require.cache[prismaPath] = {
+  id: prismaPath,
+  filename: prismaPath,
+  loaded: true,
+  exports: {
+    PrismaClient: class {
+      constructor() {
+        return new Proxy({
+          user: {
+            findUnique: async () => ({ id: USER_ID, email: 'dev@example.com', username: 'dev', isActive: true })
+          }
+        }, {
+          get: (target, model) => target[model] || new Proxy({}, { get: () => async () => null })
+        });
+      }
+    }
+  }
+};
+
+const assistantMessage = {
+  id: ASSISTANT_MESSAGE_ID,
+  conversationId: CONVERSATION_ID,
+  role: 'assistant',
+  status: 'completed',
+  content: 'Old answer',
+  parentMessageId: USER_MESSAGE_ID,
+  metadata: { provider: 'groq', model: 'llama3-8b-8192' },
+  conversation: { id: CONVERSATION_ID, systemPrompt: null }
+};
+
+const aiResponse = {
+  content: 'New answer',
+  tokenCount: 2,
+  usage: { promptTokens: 5, completionTokens: 2, totalTokens: 7 },
+  cost: { totalCost: 0, currency: 'USD', priced: true },
+  provider: 'groq',
+  model: 'llama3-8b-8192',
+  responseTime: 12
+};
+
+let app;
+let token;
+let aiService;
+let apiKeyService;
+let messageService;
+let contextService;
+let generationService;
+let streamService;
+let sandboxService;
+
+const api = (method, path) => request(app)[method](`/api/v1/ai${path}`).set('Authorization', `Bearer ${token}`);
+
+beforeAll(() => {
+  app = require('../../src/app.js');
+  const { jwtService } = require('../../src/config/jwt.js');
+  token = jwtService.generateAccessToken({ userId: USER_ID, email: 'dev@example.com' });
+
+  aiService = require('../../src/services/aiService.js');
+  apiKeyService = require('../../src/services/apiKeyService.js');
+  messageService = require('../../src/services/messageService.js');
+  contextService = require('../../src/services/contextService.js');
+  generationService = require('../../src/services/generationService.js');
+  streamService = require('../../src/services/streamService.js');
+  sandboxService = require('../../src/services/sandboxService.js');
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  generationService.finish(ASSISTANT_MESSAGE_ID);
+});
+
+describe('/api/v1/ai', () => {
+  it('exige autenticación', async () => {
+    const response = await request(app).get('/api/v1/ai/providers');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('GET /providers lista los proveedores configurados', async () => {
+    const response = await api('get', '/providers');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ defaultProvider: 'gemini' });
+    expect(response.body.providers).toBeTypeOf('object');
+  });
+
+  it('POST /compare envía el mismo prompt a cada destino', async () => {
+    const compareResponses = vi.spyOn(aiService, 'compareResponses').mockResolvedValue([
+      { provider: 'groq', model: 'llama3-8b-8192', status: 'completed', content: 'A', responseTime: 10 },
+      { provider: 'gemini', model: 'gemini-pro', status: 'completed', content: 'B', responseTime: 20 }
+    ]);
+
+    const response = await api('post', '/compare').send({
+      message: 'Explain closures',
+      targets: [
+        { provider: 'groq', model: 'llama3-8b-8192' },
+        { provider: 'gemini', model: 'gemini-pro' }
+      ]
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toHaveLength(2);
+    expect(compareResponses).toHaveBeenCalledWith(expect.objectContaining({
+      userId: USER_ID,
+      messages: [{ role: 'user', content: 'Explain closures' }]
+    }));
+  });
+
+  it('GET /ollama/models lista los modelos instalados', async () => {
+    vi.spyOn(aiService.clients, 'get').mockImplementation((name) => name === 'ollama'
+      ? {
+        pullModel: async () => {},
+        listModels: async () => [{ name: 'llama3:8b', size: 4661224676, digest: 'abc', modified_at: '2026-10-01T00:00:00Z' }],
+        getSystemInfo: async () => ({ version: '0.3.12' })
+      }
+      : undefined);
+
+    const response = await api('get', '/ollama/models');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      models: [{ name: 'llama3:8b', size: 4661224676, digest: 'abc', modifiedAt: '2026-10-01T00:00:00Z', details: {} }],
+      version: '0.3.12'
+    });
+  });
+
+  it('POST /chat/:messageId/cancel aborta la generación en curso', async () => {
+    vi.spyOn(messageService, 'findByIdAndUser').mockResolvedValue(assistantMessage);
+    const generation = generationService.start(ASSISTANT_MESSAGE_ID, USER_ID, CONVERSATION_ID);
+
+    const response = await api('post', `/chat/${ASSISTANT_MESSAGE_ID}/cancel`);
+
+    expect(response.status).toBe(202);
+    expect(response.body).toMatchObject({ messageId: ASSISTANT_MESSAGE_ID, partialLength: 0 });
+    expect(generation.signal.aborted).toBe(true);
+
+    // Una vez terminada la solicitud de chat ya no hay nada que cancelar
+    generationService.finish(ASSISTANT_MESSAGE_ID);
+    const again = await api('post', `/chat/${ASSISTANT_MESSAGE_ID}/cancel`);
+    expect(again.status).toBe(409);
+  });
+
+  it('GET /chat/:messageId/stream reenvía los eventos posteriores a Last-Event-ID', async () => {
+    await streamService.open(ASSISTANT_MESSAGE_ID, { userId: USER_ID, conversationId: CONVERSATION_ID });
+    await streamService.push(ASSISTANT_MESSAGE_ID, 'chunk', { content: 'Hola' });
+    await streamService.push(ASSISTANT_MESSAGE_ID, 'chunk', { content: ', mundo' });
+    await streamService.end(ASSISTANT_MESSAGE_ID, 'completed');
+
+    const response = await api('get', `/chat/${ASSISTANT_MESSAGE_ID}/stream`).set('Last-Event-ID', '1');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    expect(response.text).toBe(`id: 2\ndata: ${JSON.stringify({ type: 'chunk', content: ', mundo' })}\n\n`);
+  });
+
+  it('POST /chat/:messageId/execute ejecuta un bloque y guarda el resultado en el mensaje', async () => {
+    vi.spyOn(messageService, 'findByIdAndUser').mockResolvedValue({
+      ...assistantMessage,
+      content: 'Try this:\n\n```js\nconsole.log(6 * 7)\n```',
+      metadata: { ...assistantMessage.metadata, executions: [] }
+    });
+    const updateAssistantMessage = vi.spyOn(messageService, 'updateAssistantMessage')
+      .mockImplementation(async (id, userId, data) => ({ ...assistantMessage, ...data }));
+    vi.spyOn(sandboxService, 'isEnabled').mockReturnValue(true);
+    const execute = vi.spyOn(sandboxService, 'execute').mockResolvedValue({
+      language: 'javascript',
+      exitCode: 0,
+      signal: null,
+      stdout: '42\n',
+      stderr: '',
+      timedOut: false,
+      truncated: false,
+      durationMs: 40
+    });
+
+    const response = await api('post', `/chat/${ASSISTANT_MESSAGE_ID}/execute`).send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.execution).toMatchObject({ blockIndex: 0, edited: false, exitCode: 0, stdout: '42\n' });
+    expect(execute).toHaveBeenCalledWith({ language: 'js', code: 'console.log(6 * 7)', userId: USER_ID });
+    expect(updateAssistantMessage).toHaveBeenCalledWith(ASSISTANT_MESSAGE_ID, USER_ID, {
+      metadata: { executions: [response.body.execution] }
+    });
+  });
+
+  it('POST /regenerate/:messageId reemplaza la respuesta del asistente', async () => {
+    vi.spyOn(messageService, 'findByIdAndUser').mockResolvedValue(assistantMessage);
+    const updateAssistantMessage = vi.spyOn(messageService, 'updateAssistantMessage')
+      .mockImplementation(async (id, userId, data) => ({ ...assistantMessage, ...data }));
+    vi.spyOn(apiKeyService, 'findUsableKey').mockResolvedValue({ id: 'key-1' });
+    vi.spyOn(contextService, 'buildContext').mockResolvedValue({ messages: [], systemPrompt: null });
+    const generateResponse = vi.spyOn(aiService, 'generateResponse').mockResolvedValue(aiResponse);
+
+    const response = await api('post', `/regenerate/${ASSISTANT_MESSAGE_ID}`).send({});
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ content: 'New answer', status: 'completed' });
+    expect(generateResponse).toHaveBeenCalledWith(expect.objectContaining({
+      provider: 'groq',
+      userId: USER_ID,
+      conversationId: CONVERSATION_ID
+    }));
+    expect(updateAssistantMessage).toHaveBeenLastCalledWith(
+      ASSISTANT_MESSAGE_ID,
+      USER_ID,
+      expect.objectContaining({ content: 'New answer', status: 'completed' })
+    );
+  });
+});
@@ -0,0 +1,110 @@
+// =================================
+// SERVICIO DE IA CONTRA FIXTURES GRABADOS (MODO REPLAY)
+// =================================
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'module';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const require = createRequire(import.meta.url);
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'ai');
+
+// Sin userId ni conversationId aiService no toca la base de datos: un PrismaClient que falla
+// ante cualquier consulta lo garantiza y evita depender de `prisma generate` o de Postgres
+const prismaPath = require.resolve('@prisma/client');
+require.cache[prismaPath] = {
+  id: prismaPath,
+  filename: prismaPath,
+  loaded: true,
+  exports: {
+    PrismaClient: class {
+      constructor() {
+        return new Proxy({}, {
+          get: (target, model) => {
+            throw new Error(`Unexpected database access in replay test: prisma.${String(model)}`);
+          }
+        });
+      }
+    }
+  }
+};
+
+const baseRequest = {
+  provider: 'groq',
+  model: 'llama3-8b-8192',
+  systemPrompt: 'You are a concise JavaScript assistant.',
+  settings: { temperature: 0.2, maxTokens: 256 }
+};
+
+let aiService;
+
+beforeAll(() => {
+  // La configuración se lee al cargar constants: el modo debe fijarse antes del require
+  process.env.AI_CLIENT_MODE = 'replay';
+  process.env.AI_FIXTURES_DIR = fixturesDir;
+  aiService = require('../../src/services/aiService.js');
+});
+
+describe('aiService en modo replay', () => {
+  it('responde desde el fixture grabado sin red ni API keys', async () => {
+    const response = await aiService.generateResponse({
+      ...baseRequest,
+      failover: false,
+      messages: [{ role: 'user', content: 'What does Array.prototype.flat do?' }]
+    });
+
+    expect(response.content).toContain('one level deep by default');
+    expect(response).toMatchObject({
+      provider: 'groq',
+      model: 'llama3-8b-8192',
+      toolCalls: [],
+      usage: { promptTokens: 31, completionTokens: 46, totalTokens: 77 },
+      fromCache: false,
+      failover: { answeredBy: 'groq', usedFallback: false }
+    });
+    expect(response.cost).toMatchObject({ currency: 'USD', priced: true });
+    expect(response.cost.totalCost).toBeGreaterThan(0);
+  });
+
+  it('reproduce los chunks grabados de un stream en orden', async () => {
+    const chunks = [];
+    let completed = null;
+
+    const response = await aiService.generateStreamingResponse({
+      ...baseRequest,
+      failover: false,
+      messages: [{ role: 'user', content: 'Write a haiku about closures' }]
+    }, (chunk) => chunks.push(chunk), (final) => { completed = final; });
+
+    expect(chunks).toEqual(['Outer scope is gone', '\nyet the inner function keeps', '\nits variables near']);
+    expect(response.content).toBe(chunks.join(''));
+    expect(response.usage.totalTokens).toBe(47);
+    expect(completed).toBe(response);
+  });
+
+  it('pasa al siguiente proveedor cuando el error grabado es del proveedor', async () => {
+    const response = await aiService.generateResponse({
+      ...baseRequest,
+      provider: 'huggingface',
+      model: 'google/flan-t5-large',
+      messages: [{ role: 'user', content: 'Explain event bubbling in one sentence' }]
+    });
+
+    expect(response.provider).toBe('gemini');
+    expect(response.model).toBe('gemini-1.5-flash');
+    expect(response.content).toContain('stopPropagation');
+    expect(response.failover).toMatchObject({ requestedProvider: 'huggingface', answeredBy: 'gemini', usedFallback: true });
+    expect(response.failover.skipped[0]).toMatchObject({ provider: 'huggingface', status: 'failed' });
+  });
+
+  it('falla con un error claro si no hay fixture para la solicitud', async () => {
+    await expect(aiService.generateResponse({
+      ...baseRequest,
+      failover: false,
+      messages: [{ role: 'user', content: 'A question nobody recorded' }]
+    })).rejects.toMatchObject({
+      message: expect.stringContaining('AI_CLIENT_MODE=record')
+    });
+  });
+});
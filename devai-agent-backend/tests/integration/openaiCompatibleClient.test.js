@@ -0,0 +1,170 @@
+// =================================
+// CLIENTE COMPATIBLE CON OPENAI CONTRA UN SERVIDOR LOCAL
+// =================================
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'http';
+import OpenAICompatibleClient from '../../src/ai/openaiCompatibleClient.js';
+
+// Servidor mínimo que implementa /v1/models y /v1/chat/completions (JSON y SSE)
+const requests = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = body ? JSON.parse(body) : null;
+    requests.push({ method: req.method, url: req.url, headers: req.headers, body: payload });
+
+    if (req.method === 'GET' && req.url === '/v1/models') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ data: [{ id: 'local-model' }, { id: 'local-coder' }] }));
+    }
+
+    if (req.method !== 'POST' || req.url !== '/v1/chat/completions') {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'Not found' } }));
+    }
+
+    if (payload.model === 'missing-model') {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'model not loaded', type: 'invalid_request_error' } }));
+    }
+
+    if (payload.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'x-ratelimit-remaining-requests': '42' });
+      const events = [
+        { model: payload.model, choices: [{ delta: { content: 'Hola' } }] },
+        { model: payload.model, choices: [{ delta: { content: ', mundo' }, finish_reason: 'stop' }] },
+        { model: payload.model, choices: [], usage: { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 } }
+      ];
+      const stream = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('') + 'data: [DONE]\n\n';
+
+      // Partir el stream a mitad de línea para probar el buffer de líneas SSE
+      const middle = Math.floor(stream.length / 2);
+      res.write(stream.slice(0, middle));
+      return setTimeout(() => res.end(stream.slice(middle)), 10);
+    }
+
+    const wantsTool = Array.isArray(payload.tools) && !payload.messages.some(message => message.role === 'tool');
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      model: payload.model,
+      choices: [{
+        message: wantsTool
+          ? { content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'list_project_files', arguments: '{"path":"src"}' } }] }
+          : { content: `Echo: ${payload.messages[payload.messages.length - 1].content}` },
+        finish_reason: wantsTool ? 'tool_calls' : 'stop'
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 }
+    }));
+  });
+});
+
+let client;
+
+beforeAll(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  client = new OpenAICompatibleClient({
+    provider: 'openai-compatible',
+    name: 'Local Stub',
+    baseUrl: `http://127.0.0.1:${server.address().port}/v1/`,
+    apiKey: 'local-key'
+  });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+describe('OpenAICompatibleClient', () => {
+  it('carga los modelos desde /models cuando no se configuran', async () => {
+    const response = await client.generateResponse({
+      messages: [{ role: 'user', content: 'ping' }],
+      settings: { maxTokens: 64, temperature: 0 }
+    });
+
+    expect(client.getAvailableModels()).toEqual(['local-model', 'local-coder']);
+    expect(response).toMatchObject({
+      content: 'Echo: ping',
+      toolCalls: [],
+      usage: { promptTokens: 12, completionTokens: 4, totalTokens: 16 },
+      finishReason: 'stop',
+      model: 'local-model'
+    });
+
+    const chatRequest = requests.find(request => request.url === '/v1/chat/completions');
+    expect(chatRequest.headers.authorization).toBe('Bearer local-key');
+    expect(chatRequest.body).toMatchObject({ model: 'local-model', max_tokens: 64, temperature: 0, stream: false });
+  });
+
+  it('envía herramientas y normaliza las llamadas de la respuesta', async () => {
+    const tools = [{
+      name: 'list_project_files',
+      description: 'List files',
+      parameters: { type: 'object', properties: { path: { type: 'string' } } }
+    }];
+
+    const response = await client.generateResponse({
+      model: 'local-coder',
+      messages: [{ role: 'user', content: 'What files are in src?' }],
+      tools
+    });
+
+    expect(requests[requests.length - 1].body).toMatchObject({
+      model: 'local-coder',
+      tool_choice: 'auto',
+      tools: [{ type: 'function', function: { name: 'list_project_files' } }]
+    });
+    expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'list_project_files', arguments: { path: 'src' } }]);
+  });
+
+  it('reconstruye el stream SSE aunque las líneas lleguen partidas', async () => {
+    const chunks = [];
+    const rateLimits = [];
+    client.onRateLimit = (info) => rateLimits.push(info);
+
+    const response = await client.generateStreamingResponse({
+      model: 'local-model',
+      messages: [{ role: 'user', content: 'saluda' }]
+    }, (chunk) => chunks.push(chunk));
+
+    expect(chunks).toEqual(['Hola', ', mundo']);
+    expect(response).toEqual({
+      content: 'Hola, mundo',
+      usage: { promptTokens: 7, completionTokens: 3, totalTokens: 10 },
+      finishReason: 'stop',
+      model: 'local-model'
+    });
+    expect(requests[requests.length - 1].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+    expect(rateLimits[0]).toMatchObject({ remainingRequests: 42 });
+
+    client.onRateLimit = null;
+  });
+
+  it('propaga los errores del servidor sin reintentar los no recuperables', async () => {
+    client.availableModels.push('missing-model');
+    const before = requests.length;
+
+    await expect(client.generateResponse({
+      model: 'missing-model',
+      messages: [{ role: 'user', content: 'ping' }]
+    })).rejects.toMatchObject({
+      message: 'Local Stub API error: 400 - model not loaded',
+      status: 400,
+      type: 'invalid_request_error'
+    });
+    expect(requests.length - before).toBe(1);
+  });
+
+  it('rechaza modelos que el servidor no ofrece', async () => {
+    await expect(client.generateResponse({
+      model: 'gpt-4o',
+      messages: [{ role: 'user', content: 'ping' }]
+    })).rejects.toThrow("Model 'gpt-4o' is not available");
+  });
+
+  it('responde al health check listando modelos', async () => {
+    await expect(client.healthCheck()).resolves.toBe(true);
+  });
+});
@@ -3,7 +3,6 @@
 // =================================
 
 import { beforeAll, afterAll, beforeEach, afterEach } from 'vitest';
-import { PrismaClient } from '@prisma/client';
 import logger from '../src/config/logger.js';
 
 // =================================
@@ -16,7 +15,8 @@ process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-for-testing-only-32-chars';
 process.env.LOG_LEVEL = 'error'; // Solo errores en tests
 
-const prisma = new PrismaClient();
+// null si no hay base de datos de test: los tests offline (clientes de IA, replay) no la necesitan
+let prisma = null;
 
 // =================================
 // SETUP GLOBAL ANTES DE TODOS LOS TESTS
@@ -24,12 +24,20 @@ const prisma = new PrismaClient();
 
 beforeAll(async () => {
   logger.info('🧪 Setting up test environment...');
-  
+
   try {
     // Conectar a la base de datos de test
+    const { PrismaClient } = await import('@prisma/client');
+    prisma = new PrismaClient();
     await prisma.$connect();
     logger.info('✅ Connected to test database');
-    
+  } catch (error) {
+    logger.warn('⚠️ Test database not available, running without it:', error.message);
+    prisma = null;
+    return;
+  }
+
+  try {
     // Ejecutar migraciones si es necesario
     await runMigrations();
     
@@ -48,6 +56,8 @@ beforeAll(async () => {
 // =================================
 
 afterAll(async () => {
+  if (!prisma) return;
+
   logger.info('🧹 Cleaning up test environment...');
   
   try {
@@ -69,7 +79,7 @@ afterAll(async () => {
 
 beforeEach(async () => {
   // Limpiar datos entre tests para evitar interferencias
-  await cleanTestData();
+  if (prisma) await cleanTestData();
 });
 
 // =================================
@@ -0,0 +1,67 @@
+// =================================
+// LÍMITES DE RECURSOS DEL SANDBOX DE CÓDIGO
+// =================================
+
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const sandboxService = require('../../src/services/sandboxService.js');
+const { AI_SANDBOX_CONFIG } = require('../../src/utils/constants.js');
+
+// Los límites solo se pueden comprobar donde hay namespaces (Linux con unshare, setpriv y prlimit)
+const isolation = await sandboxService.detectIsolation();
+const python = await sandboxService.detectInterpreter('python');
+
+describe.skipIf(isolation !== 'namespace')('sandboxService', () => {
+  it('ejecuta JavaScript y devuelve la salida', async () => {
+    const result = await sandboxService.execute({ language: 'js', code: 'console.log(6 * 7)' });
+
+    expect(result).toMatchObject({ exitCode: 0, stdout: '42\n', isolation: 'namespace' });
+  });
+
+  it('falla si JavaScript reserva más memoria que el límite', async () => {
+    const megabytes = AI_SANDBOX_CONFIG.memoryMb + 344;
+    const result = await sandboxService.execute({
+      language: 'javascript',
+      code: `const buffer = Buffer.alloc(${megabytes} * 1024 * 1024, 1);\nconsole.log('allocated', buffer.length);`
+    });
+
+    expect(result.stdout).not.toContain('allocated');
+    expect(result.exitCode === 0 && result.signal === null).toBe(false);
+  });
+
+  it.skipIf(!python)('falla si Python reserva más memoria que el límite', async () => {
+    const megabytes = AI_SANDBOX_CONFIG.memoryMb + 344;
+    const result = await sandboxService.execute({
+      language: 'python',
+      code: `data = bytearray(${megabytes} * 1024 * 1024)\nprint('allocated', len(data))`
+    });
+
+    expect(result.stdout).not.toContain('allocated');
+    expect(result.stderr).toContain('MemoryError');
+  });
+
+  it.skipIf(!python)('no deja crear más procesos que el límite', async () => {
+    const result = await sandboxService.execute({
+      language: 'python',
+      code: [
+        'import os, time',
+        'children = 0',
+        'try:',
+        `    for _ in range(${AI_SANDBOX_CONFIG.maxProcesses + 4}):`,
+        '        if os.fork() == 0:',
+        '            time.sleep(1)',
+        '            os._exit(0)',
+        '        children += 1',
+        'except OSError:',
+        "    print('fork refused')",
+        "print('children', children)"
+      ].join('\n')
+    });
+
+    expect(result.stdout).toContain('fork refused');
+    const children = parseInt(result.stdout.match(/children (\d+)/)[1]);
+    expect(children).toBeLessThan(AI_SANDBOX_CONFIG.maxProcesses);
+  });
+});
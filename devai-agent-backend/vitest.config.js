@@ -1,7 +1,7 @@
 import { defineConfig } from 'vitest/config';
 import path from 'path';
 
-export default defineConfig({
+const baseConfig = defineConfig({
   test: {
     // Configuración del entorno de testing
     environment: 'node',
@@ -173,15 +173,17 @@ export default defineConfig({
   }
 });
 
+export default baseConfig;
+
 // Configuración específica para diferentes tipos de tests
 export const unitConfig = defineConfig({
   test: {
-    ...defineConfig().test,
+    ...baseConfig.test,
     name: 'unit',
     include: ['tests/unit/**/*.{test,spec}.{js,ts}'],
     testTimeout: 10000, // Tests unitarios más rápidos
     coverage: {
-      ...defineConfig().test.coverage,
+      ...baseConfig.test.coverage,
       thresholds: {
         global: {
           branches: 80,
@@ -196,7 +198,7 @@ export const unitConfig = defineConfig({
 
 export const integrationConfig = defineConfig({
   test: {
-    ...defineConfig().test,
+    ...baseConfig.test,
     name: 'integration',
     include: ['tests/integration/**/*.{test,spec}.{js,ts}'],
     testTimeout: 30000, // Tests de integración más lentos
@@ -209,7 +211,7 @@ export const integrationConfig = defineConfig({
 
 export const e2eConfig = defineConfig({
   test: {
-    ...defineConfig().test,
+    ...baseConfig.test,
     name: 'e2e',
     include: ['tests/e2e/**/*.{test,spec}.{js,ts}'],
     testTimeout: 60000, // Tests E2E muy lentos
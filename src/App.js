@@ -204,7 +204,8 @@ const DevAIAgent = () => {
         timestamp: new Date(),
         provider: response.provider,
         model: response.model,
-        usage: response.usage
+        usage: response.usage,
+        suggestions: response.suggestions || []
       };
 
       conversation.addMessage(assistantMessage);
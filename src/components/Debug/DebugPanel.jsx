@@ -104,6 +104,11 @@ const DebugPanel = ({ show, onClose }) => {
     setApiCalls(duplicates);
   }, [logs]);
 
+  // Mensajes con hallazgos del injection guard (contenido de archivos sospechoso)
+  const injectionFindings = messages
+    .map((message, index) => ({ index, report: message?.metadata?.injectionGuard }))
+    .filter(({ report }) => report?.segments?.length > 0);
+
   const clearLogs = () => setLogs([]);
 
   const exportLogs = () => {
@@ -120,7 +125,8 @@ const DebugPanel = ({ show, onClose }) => {
       },
       logs: logs,
       apiCalls: apiCalls,
-      duplicateDetection: apiCalls.length > 0
+      duplicateDetection: apiCalls.length > 0,
+      injectionFindings
     };
 
     const blob = new Blob([JSON.stringify(logData, null, 2)], { type: 'application/json' });
@@ -229,6 +235,37 @@ const DebugPanel = ({ show, onClose }) => {
           </div>
         )}
 
+        {/* Hallazgos de prompt injection */}
+        {injectionFindings.length > 0 && (
+          <div className="p-4 bg-orange-50 dark:bg-orange-900/30 border-b border-gray-200 dark:border-gray-600">
+            <h3 className="font-medium text-orange-800 dark:text-orange-200 mb-2">
+              🛡️ Posible Prompt Injection en Archivos ({injectionFindings.length})
+            </h3>
+            <p className="text-sm text-orange-700 dark:text-orange-300">
+              Contenido de archivos del proyecto con instrucciones sospechosas enviado al modelo.
+            </p>
+            <div className="mt-2 space-y-1">
+              {injectionFindings.slice(-5).map(({ index, report }) => (
+                <div key={index} className="text-xs bg-orange-100 dark:bg-orange-900/50 p-2 rounded">
+                  <p>
+                    <strong>Mensaje #{index + 1}</strong> · Riesgo: {Math.round(report.score * 100)}% · Modo: {report.mode}
+                  </p>
+                  {showDetails && report.segments.map((segment, segmentIndex) => (
+                    <div key={segmentIndex} className="mt-1 pl-2 border-l-2 border-orange-300">
+                      <p><strong>{segment.source}</strong> ({segment.action}, {Math.round(segment.score * 100)}%)</p>
+                      {segment.findings.map((finding, findingIndex) => (
+                        <p key={findingIndex} className="font-mono">
+                          L{finding.line} [{finding.pattern}] {finding.excerpt}
+                        </p>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Logs */}
         <div className="flex-1 overflow-hidden flex flex-col">
           <div className="p-3 border-b border-gray-200 dark:border-gray-600">
@@ -106,7 +106,8 @@ const ChatContainer = ({
           id: Date.now() + 1,
           provider: response.provider,
           model: response.model,
-          usage: response.usage
+          usage: response.usage,
+          suggestions: response.suggestions || []
         };
 
         if (conversation?.addMessage) {
@@ -140,6 +141,13 @@ const ChatContainer = ({
     if (onInputChange) onInputChange(value);
   };
 
+  // ✅ Sugerencia de seguimiento: se copia al input para que el usuario la edite o la envíe
+  const handleSuggestionClick = (suggestion) => {
+    handleInputChange(suggestion);
+    const inputElement = document.querySelector('textarea');
+    if (inputElement) inputElement.focus();
+  };
+
   return (
     <div 
       className="fade-in-up"
@@ -186,6 +194,7 @@ const ChatContainer = ({
             <MessageList 
               messages={displayMessages}
               isMobile={isMobile}
+              onSuggestionClick={handleSuggestionClick}
             />
 
             {/* Indicador de pensamiento */}
@@ -5,12 +5,13 @@
 import React, { useState } from 'react';
 import { Sparkles, AlertCircle, ChevronDown, ChevronUp, Copy } from 'lucide-react';
 import { renderMessageContent } from '../../../utils/messageRenderer';
+import { SuggestionChips, getSuggestions } from '../../ui/MessageBubble';
 
 /**
  * Lista de mensajes del chat
  * @param {Object} props - Props del componente
  */
-const MessageList = ({ messages, isMobile }) => {
+const MessageList = ({ messages, isMobile, onSuggestionClick }) => {
   const [expandedThinking, setExpandedThinking] = useState({});
 
   /**
@@ -38,6 +39,10 @@ const MessageList = ({ messages, isMobile }) => {
     return null;
   }
 
+  // Las sugerencias de seguimiento solo se muestran bajo la última respuesta
+  const lastMessage = messages[messages.length - 1];
+  const suggestions = lastMessage.role === 'assistant' ? getSuggestions(lastMessage) : [];
+
   return (
     <>
       {messages.map((message, index) => (
@@ -51,6 +56,16 @@ const MessageList = ({ messages, isMobile }) => {
           onCopy={() => copyToClipboard(message.content)}
         />
       ))}
+
+      {suggestions.length > 0 && (
+        <div style={{ paddingLeft: isMobile ? '0' : '40px' }}>
+          <SuggestionChips
+            suggestions={suggestions}
+            isMobile={isMobile}
+            onSelect={onSuggestionClick}
+          />
+        </div>
+      )}
     </>
   );
 };
@@ -31,6 +31,8 @@ const MessageBubble = ({
   showTimestamp = true,
   showThinking = true,
   showCopy = true,
+  showSuggestions = true,
+  onSuggestionClick,
   variant = 'default' // 'default', 'compact', 'minimal'
 }) => {
   const [isThinkingExpanded, setIsThinkingExpanded] = useState(false);
@@ -43,6 +45,7 @@ const MessageBubble = ({
   const isUser = message.role === 'user';
   const isAssistant = message.role === 'assistant';
   const isSystem = message.role === 'system';
+  const suggestions = getSuggestions(message);
 
   /**
    * Copiar contenido al portapapeles
@@ -142,6 +145,15 @@ const MessageBubble = ({
             />
           )}
         </div>
+
+        {/* Sugerencias de seguimiento */}
+        {isAssistant && showSuggestions && suggestions.length > 0 && (
+          <SuggestionChips
+            suggestions={suggestions}
+            isMobile={isMobile}
+            onSelect={onSuggestionClick}
+          />
+        )}
       </div>
       
       {/* Avatar */}
@@ -312,6 +324,43 @@ const ActionButton = ({ onClick, icon, title, variant = 'default' }) => {
   );
 };
 
+/**
+ * Sugerencias de seguimiento como botones debajo de la respuesta
+ */
+export const SuggestionChips = ({ suggestions, isMobile, onSelect }) => (
+  <div style={{
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+    marginTop: '8px'
+  }}>
+    {suggestions.map((suggestion, index) => (
+      <button
+        key={index}
+        onClick={() => onSelect && onSelect(suggestion)}
+        className="interactive-button"
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          padding: isMobile ? '6px 10px' : '6px 12px',
+          background: 'rgba(34, 197, 94, 0.1)',
+          border: '1px solid rgba(34, 197, 94, 0.3)',
+          borderRadius: '9999px',
+          color: '#d1d5db',
+          fontSize: isMobile ? '12px' : '13px',
+          cursor: 'pointer',
+          textAlign: 'left'
+        }}
+        title="Usar esta sugerencia"
+      >
+        <Sparkles style={{ width: '12px', height: '12px', color: '#4ade80', flexShrink: 0 }} />
+        {suggestion}
+      </button>
+    ))}
+  </div>
+);
+
 /**
  * Avatar del mensaje
  */
@@ -550,6 +599,11 @@ const MinimalMessageBubble = ({ message, isMobile }) => {
 /**
  * Funciones auxiliares para estilos
  */
+/**
+ * Sugerencias de seguimiento de un mensaje (respuesta directa del backend o metadata guardada)
+ */
+export const getSuggestions = (message) => message.suggestions || message.metadata?.suggestions || [];
+
 const getBubbleRadius = (isUser, isAssistant) => {
   if (isUser) return '16px 16px 4px 16px';
   if (isAssistant) return '16px 16px 16px 4px';
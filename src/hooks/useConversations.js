@@ -70,11 +70,14 @@ export const useConversations = () => {
       const lastMessage = messages[messages.length - 1];
 
       const conversationId = currentConversationId || now.getTime();
+      const existing = conversations.find(conv => conv.id === conversationId);
 
       const conversation = {
         id: conversationId,
-        title: generateConversationTitle(firstUserMessage?.content) || 'Nueva conversación',
-        preview: generatePreview(lastMessage?.content) || '',
+        // Título y preview generados por el backend o editados a mano tienen prioridad sobre los derivados del texto
+        title: metadata.title || existing?.title || generateConversationTitle(firstUserMessage?.content),
+        titleSource: metadata.titleSource || existing?.titleSource || 'auto',
+        preview: metadata.preview || generatePreview(lastMessage?.content) || '',
         messages: messages,
         messageCount: messages.length,
         createdAt: currentConversationId ? 
@@ -298,6 +301,27 @@ const generateConversationTitle = (content) => {
     .replace(/\n+/g, ' ') // Reemplazar saltos de línea
     .trim();
 
+  // Truncar a 60 caracteres
+  if (title.length > 60) {
+    title = title.substring(0, 57) + '...';
+  }
+
+  return title || 'Nueva conversación';
+};
+
+/**
+ * Generar preview de una línea a partir de un mensaje
+ * @param {string} content - Contenido del mensaje
+ * @returns {string} Preview generado
+ */
+const generatePreview = (content) => {
+  if (!content || typeof content !== 'string') return '';
+
+  let preview = content
+    .replace(/```[\s\S]*?```/g, '[código]')
+    .replace(/\s+/g, ' ')
+    .trim();
+
   // Truncar a 100 caracteres
   if (preview.length > 100) {
     preview = preview.substring(0, 97) + '...';